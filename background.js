@@ -12,7 +12,35 @@ import {
   SCAN_HISTORY_SCHEMA,
   SUBSCRIPTION_SCAN_HISTORY_SCHEMA,
   SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA,
-  SUBSCRIPTION_CONFIG
+  SUBSCRIPTION_ALERT_SCHEMA,
+  SUBSCRIPTION_ALERT_TYPES,
+  TRIAL_CONFIG,
+  TRIAL_SCHEMA,
+  TRIAL_CALENDAR_EVENTS_SCHEMA,
+  SUBSCRIPTION_CONFIG,
+  CARRIER_CONFIG,
+  PACKAGE_STATUS,
+  PACKAGE_STATUS_GROUPS,
+  SYNC_CONFIG,
+  SCHEDULE_CONFIG,
+  NOTIFICATION_CONFIG,
+  CALENDAR_REMINDER_STATUS,
+  CALENDAR_EVENT_TYPES,
+  CALENDAR_SETTINGS_CONFIG,
+  DELIVERY_EVENT_CONFIG,
+  PACKAGE_STATUS_LABELS,
+  ACCOUNT_CONFIG,
+  EXTRACTOR_CONFIG,
+  LLM_BACKEND_CONFIG,
+  EXTRACTION_SCHEMAS,
+  EXTRACTION_FAILURE_SCHEMA,
+  SCAN_CONTROL_CONFIG,
+  EXPORT_CONFIG,
+  BACKUP_CONFIG,
+  PACKAGE_QUERY_CONFIG,
+  PACKAGE_EDIT_CONFIG,
+  ENTRY_SOURCES,
+  MANUAL_ENTRY_CONFIG
 } from './constants.js';
 
 // Service worker startup log
@@ -60,7 +88,8 @@ async function cleanupOnStartup() {
       message: '',
       step: '',
       startTime: null,
-      options: null
+      options: null,
+      account: null
     };
 
     // Reset both scanning states
@@ -70,6 +99,9 @@ async function cleanupOnStartup() {
     // Clear stored scanning states
     await chrome.storage.local.remove(['subscriptionScanningState', 'packageScanningState']);
 
+    // Checkpointed scans survive the reload and can be resumed
+    await restoreResumableScans();
+
     // Destroy any existing LLM session
     try {
       if (typeof llmExtractor !== 'undefined' && llmExtractor) {
@@ -109,24 +141,408 @@ async function cleanupOnStartup() {
   }
 }
 
+/**
+ * Gmail account management so several mailboxes can be scanned
+ * The Chrome profile account is always available, added accounts sign in with launchWebAuthFlow
+ */
+class AccountManager {
+  constructor(packageDB) {
+    this.packageDB = packageDB;
+    this.profileEmail = null;
+  }
+
+  /**
+   * Get stored accounts merged with defaults
+   */
+  async getState() {
+    const result = await chrome.storage.local.get(ACCOUNT_CONFIG.STORAGE_KEY);
+    return { ...ACCOUNT_CONFIG.DEFAULT_STATE, ...result[ACCOUNT_CONFIG.STORAGE_KEY] };
+  }
+
+  /**
+   * Save account state
+   */
+  async saveState(state) {
+    await chrome.storage.local.set({ [ACCOUNT_CONFIG.STORAGE_KEY]: state });
+    return state;
+  }
+
+  /**
+   * Get the Chrome profile account email, null when Chrome is not signed in
+   * Scan history saved before accounts existed is assigned to this account the first time
+   */
+  async getProfileEmail() {
+    if (this.profileEmail) return this.profileEmail;
+    if (!chrome.identity || !chrome.identity.getProfileUserInfo) return null;
+
+    const userInfo = await new Promise(resolve => {
+      chrome.identity.getProfileUserInfo({ accountStatus: 'ANY' }, resolve);
+    });
+    if (!userInfo || !userInfo.email) return null;
+    this.profileEmail = userInfo.email;
+
+    const state = await this.getState();
+    if (!state.legacyHistoryAccount) {
+      await this.packageDB.assignScanHistoryAccount(this.profileEmail);
+      await this.saveState({ ...state, legacyHistoryAccount: this.profileEmail });
+    }
+
+    return this.profileEmail;
+  }
+
+  /**
+   * Get the added account scans run against, null for the Chrome profile account
+   */
+  async getActiveAccount() {
+    const state = await this.getState();
+    return state.activeAccount;
+  }
+
+  /**
+   * Get the email of the account scans and queries run against
+   */
+  async getActiveAccountEmail() {
+    return (await this.getActiveAccount()) || this.getProfileEmail();
+  }
+
+  /**
+   * Get the Chrome profile account, added accounts and the active account
+   */
+  async getAccounts() {
+    const state = await this.getState();
+    const profileAccount = await this.getProfileEmail();
+
+    return {
+      profileAccount,
+      accounts: state.accounts,
+      activeAccount: state.activeAccount || profileAccount
+    };
+  }
+
+  /**
+   * Sign in to another Gmail account and add it to the account list
+   */
+  async addAccount() {
+    const auth = await this.authorize({ interactive: true, prompt: 'select_account' });
+    const email = await this.fetchAccountEmail(auth.token);
+    await this.saveToken(email, auth);
+
+    const state = await this.getState();
+    const profileAccount = await this.getProfileEmail();
+    if (email !== profileAccount && !state.accounts.some(account => account.email === email)) {
+      state.accounts.push({ email, addedAt: new Date().toISOString() });
+      await this.saveState(state);
+      console.log(`Gmail account added: ${email}`);
+    }
+
+    return this.getAccounts();
+  }
+
+  /**
+   * Remove an added account and sign it out, its scanned data is kept
+   */
+  async removeAccount(email) {
+    const state = await this.getState();
+    if (!state.accounts.some(account => account.email === email)) {
+      throw new Error(ERROR_MESSAGES.ACCOUNT_NOT_FOUND);
+    }
+
+    state.accounts = state.accounts.filter(account => account.email !== email);
+    if (state.activeAccount === email) state.activeAccount = null;
+    await this.saveState(state);
+
+    const token = await this.removeToken(email);
+    if (token) {
+      fetch(ACCOUNT_CONFIG.REVOKE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `token=${encodeURIComponent(token)}`
+      }).catch(error => console.warn('Failed to revoke account token:', error));
+    }
+
+    console.log(`Gmail account removed: ${email}`);
+    return this.getAccounts();
+  }
+
+  /**
+   * Switch the account scans and queries run against, null switches back to the Chrome profile account
+   */
+  async switchAccount(email) {
+    const state = await this.getState();
+    const profileAccount = await this.getProfileEmail();
+
+    if (!email || email === profileAccount) {
+      state.activeAccount = null;
+    } else if (state.accounts.some(account => account.email === email)) {
+      state.activeAccount = email;
+    } else {
+      throw new Error(ERROR_MESSAGES.ACCOUNT_NOT_FOUND);
+    }
+
+    await this.saveState(state);
+    console.log(`Switched Gmail account to ${email || profileAccount}`);
+    return this.getAccounts();
+  }
+
+  /**
+   * Get an access token for an added account, signing in again silently once it expires or is rejected.
+   * Scans and other background work never open a sign-in window, when silent sign-in fails the user re-adds the account from the popup.
+   */
+  async getAccountToken(email) {
+    const tokens = await this.getTokens();
+    const cached = tokens[email];
+    if (cached && cached.expiresAt - ACCOUNT_CONFIG.TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    let auth;
+    try {
+      auth = await this.authorize({ interactive: false, loginHint: email, prompt: 'none' });
+    } catch (error) {
+      console.warn(`Silent sign-in for ${email} failed:`, error.message);
+      throw new Error(`${ERROR_MESSAGES.ACCOUNT_REAUTH_REQUIRED} (${email})`);
+    }
+
+    await this.saveToken(email, auth);
+    return auth.token;
+  }
+
+  /**
+   * Run the OAuth implicit flow in a Chrome sign-in window
+   */
+  async authorize({ interactive, loginHint = null, prompt = null }) {
+    if (!ACCOUNT_CONFIG.WEB_CLIENT_ID) {
+      throw new Error(ERROR_MESSAGES.ACCOUNT_CLIENT_NOT_CONFIGURED);
+    }
+
+    try {
+      const params = new URLSearchParams({
+        client_id: ACCOUNT_CONFIG.WEB_CLIENT_ID,
+        response_type: 'token',
+        redirect_uri: chrome.identity.getRedirectURL(),
+        scope: ACCOUNT_CONFIG.SCOPES.join(' ')
+      });
+      if (loginHint) params.set('login_hint', loginHint);
+      if (prompt) params.set('prompt', prompt);
+
+      const responseUrl = await chrome.identity.launchWebAuthFlow({
+        url: `${ACCOUNT_CONFIG.AUTH_URL}?${params}`,
+        interactive
+      });
+
+      const response = new URLSearchParams(new URL(responseUrl).hash.slice(1));
+      const token = response.get('access_token');
+      if (!token) {
+        throw new Error(response.get('error') || ERROR_MESSAGES.NO_AUTH_TOKEN);
+      }
+
+      return { token, expiresIn: Number(response.get('expires_in')) || 3600 };
+    } catch (error) {
+      console.error('Gmail account sign-in error:', error);
+      throw new Error(`${ERROR_MESSAGES.ACCOUNT_AUTH_FAILED}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the Gmail address a token belongs to
+   */
+  async fetchAccountEmail(token) {
+    const response = await fetch(`${GMAIL_API.BASE_URL}/users/me/profile`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`${ERROR_MESSAGES.ACCOUNT_AUTH_FAILED}: HTTP ${response.status}`);
+    }
+
+    const profile = await response.json();
+    return profile.emailAddress;
+  }
+
+  /**
+   * Get cached access tokens keyed by account email
+   */
+  async getTokens() {
+    const result = await chrome.storage.session.get(ACCOUNT_CONFIG.TOKEN_STORAGE_KEY);
+    return result[ACCOUNT_CONFIG.TOKEN_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Cache an access token until it expires
+   */
+  async saveToken(email, auth) {
+    const tokens = await this.getTokens();
+    tokens[email] = { token: auth.token, expiresAt: Date.now() + auth.expiresIn * 1000 };
+    await chrome.storage.session.set({ [ACCOUNT_CONFIG.TOKEN_STORAGE_KEY]: tokens });
+  }
+
+  /**
+   * Drop a token the Gmail API rejected, so the next getAccountToken signs in again silently.
+   * A token already replaced by another request is left alone.
+   */
+  async invalidateToken(email, token) {
+    const tokens = await this.getTokens();
+    if (tokens[email] && tokens[email].token === token) {
+      await this.removeToken(email);
+    }
+  }
+
+  /**
+   * Drop the cached token for an account, returning it so it can be revoked
+   */
+  async removeToken(email) {
+    const tokens = await this.getTokens();
+    const cached = tokens[email];
+    if (!cached) return null;
+
+    delete tokens[email];
+    await chrome.storage.session.set({ [ACCOUNT_CONFIG.TOKEN_STORAGE_KEY]: tokens });
+    return cached.token;
+  }
+}
+
+/**
+ * Build a Gmail link that opens a message in the account it was scanned from
+ */
+function getGmailMessageUrl(emailId, account = null) {
+  if (!account || account === 'unknown@gmail.com') {
+    return `${ACCOUNT_CONFIG.GMAIL_URL}u/0/#inbox/${emailId}`;
+  }
+  return `${ACCOUNT_CONFIG.GMAIL_URL}?authuser=${encodeURIComponent(account)}#inbox/${emailId}`;
+}
+
+/**
+ * Check whether an emailId is the placeholder of a manually added record, which has no email to open
+ */
+function isManualEntryId(emailId) {
+  return typeof emailId === 'string' && emailId.startsWith(MANUAL_ENTRY_CONFIG.EMAIL_ID_PREFIX);
+}
+
+/**
+ * Wait for ms milliseconds, rejecting with the signal's reason as soon as it is aborted
+ */
+function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Token bucket for API quota, requests wait in order until enough units have refilled
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the units refilled since the last call
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for the given number of units, after every request queued before it
+   */
+  take(cost) {
+    const turn = this.queue.then(() => this.waitFor(cost));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Wait until the bucket holds the cost (capped at capacity so large batches still get through), then spend it
+   */
+  async waitFor(cost) {
+    const needed = Math.min(cost, this.capacity);
+
+    this.refill();
+    while (this.tokens < needed) {
+      await new Promise(resolve => setTimeout(resolve, ((needed - this.tokens) / this.refillPerSecond) * 1000));
+      this.refill();
+    }
+    this.tokens -= needed;
+  }
+
+  /**
+   * Empty the bucket after the server reports a rate limit, so queued requests slow down too
+   */
+  drain() {
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+}
+
 /**
  * Gmail API integration class for searching and fetching emails
+ * Methods that take a signal stop fetching and retrying once it is aborted
  */
 class GmailScanner {
-  constructor() {
+  constructor(accountManager = null) {
+    this.accountManager = accountManager;
+    this.rateLimiter = new TokenBucket(GMAIL_API.QUOTA_UNITS_PER_SECOND, GMAIL_API.QUOTA_UNITS_PER_SECOND);
+  }
+
+  /**
+   * Get OAuth token for Gmail API access, using the active account when one was added
+   * With interactive false no sign-in window is shown and the call fails instead
+   */
+  async getAuthToken(interactive = true) {
+    const activeAccount = this.accountManager ? await this.accountManager.getActiveAccount() : null;
+    if (activeAccount) {
+      return this.accountManager.getAccountToken(activeAccount);
+    }
+
+    return this.getProfileAuthToken(interactive);
+  }
+
+  /**
+   * Get a new token after the Gmail API rejected one with 401, without opening a sign-in window
+   */
+  async refreshAuthToken(staleToken) {
+    const activeAccount = this.accountManager ? await this.accountManager.getActiveAccount() : null;
+    if (activeAccount) {
+      await this.accountManager.invalidateToken(activeAccount, staleToken);
+      return this.accountManager.getAccountToken(activeAccount);
+    }
+
+    if (chrome.identity) {
+      await new Promise(resolve => chrome.identity.removeCachedAuthToken({ token: staleToken }, resolve));
+    }
+    return this.getProfileAuthToken(false);
   }
 
   /**
-   * Get OAuth token for Gmail API access
+   * Get OAuth token for the Chrome profile account
    */
-  async getAuthToken() {
+  async getProfileAuthToken(interactive = true) {
     return new Promise((resolve, reject) => {
       if (!chrome.identity) {
         reject(new Error(ERROR_MESSAGES.CHROME_IDENTITY_UNAVAILABLE));
         return;
       }
 
-      chrome.identity.getAuthToken({ interactive: true }, (token) => {
+      chrome.identity.getAuthToken({ interactive }, (token) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else if (!token) {
@@ -142,7 +558,7 @@ class GmailScanner {
    * Function for scanning through all Gmails with pagination support
    */
   async searchEmails(options = {}) {
-    const { newerThan = null, olderThan = null } = options;
+    const { newerThan = null, olderThan = null, signal = null } = options;
 
     try {
       const token = await this.getAuthToken();
@@ -159,7 +575,7 @@ class GmailScanner {
           url += `&pageToken=${nextPageToken}`;
         }
 
-        const response = await this.makeGmailRequest(url, token);
+        const response = await this.makeGmailRequest(url, token, GMAIL_API.QUOTA_COSTS.MESSAGE_LIST, signal);
 
         if (response.messages) {
           const emailIds = response.messages.map(msg => msg.id);
@@ -167,16 +583,11 @@ class GmailScanner {
         }
 
         nextPageToken = response.nextPageToken;
-
-        // Add a small delay between requests to avoid rate limiting
-        if (nextPageToken) {
-          await new Promise(resolve => setTimeout(resolve, GMAIL_API.REQUEST_DELAY_MS));
-        }
-
       } while (nextPageToken);
 
       return allEmailIds;
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       console.error('Gmail search error:', error);
       throw new Error(`${ERROR_MESSAGES.GMAIL_SEARCH_FAILED}: ${error.message}`);
     }
@@ -219,6 +630,234 @@ class GmailScanner {
     }
   }
 
+  /**
+   * Fetch messages ahead of the caller, FETCH_CONCURRENCY batches at a time
+   * get(index) resolves with the parsed email or rejects with that message's error; callers read in order
+   */
+  createEmailQueue(emailIds, format = 'full', signal = null) {
+    const batchSize = format === 'full' ? GMAIL_API.FULL_BATCH_SIZE : GMAIL_API.BATCH_SIZE;
+    const batches = new Map();
+    // A stopped scan reads no further, so nothing fetched ahead is kept
+    signal?.addEventListener('abort', () => batches.clear(), { once: true });
+
+    const loadBatch = (batchIndex) => {
+      if (signal?.aborted || batches.has(batchIndex) || batchIndex * batchSize >= emailIds.length) return;
+
+      const batch = this.fetchEmailsBatch(emailIds.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize), format, signal);
+      // A failed batch is reported by get() for each of its messages
+      batch.catch(() => {});
+      batches.set(batchIndex, batch);
+    };
+
+    return {
+      get: async (index) => {
+        signal?.throwIfAborted();
+        const batchIndex = Math.floor(index / batchSize);
+        for (let ahead = 0; ahead < GMAIL_API.FETCH_CONCURRENCY; ahead++) {
+          loadBatch(batchIndex + ahead);
+        }
+        // Let go of batches that were already read
+        batches.delete(batchIndex - 1);
+
+        const result = (await batches.get(batchIndex)).get(emailIds[index]);
+        if (result.error) throw result.error;
+        return result.email;
+      }
+    };
+  }
+
+  /**
+   * Fetch subject, sender, date and snippet for messages, without their bodies
+   * Messages that can't be fetched are left out of the returned Map
+   */
+  async fetchEmailMetadata(emailIds, signal = null) {
+    const queue = this.createEmailQueue(emailIds, 'metadata', signal);
+    const metadata = new Map();
+
+    for (let i = 0; i < emailIds.length; i++) {
+      try {
+        metadata.set(emailIds[i], await queue.get(i));
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        console.warn(`Failed to fetch metadata for email ${emailIds[i]}:`, error.message);
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Fetch up to BATCH_SIZE messages in one Gmail batch request
+   * Resolves with a Map of message ID to { email } or { error }; messages rejected with 429/5xx are retried with backoff,
+   * a 401 renews the token once and resends
+   */
+  async fetchEmailsBatch(emailIds, format = 'full', signal = null) {
+    let token = await this.getAuthToken();
+    let tokenRefreshed = false;
+    const results = new Map();
+    let pending = [...emailIds];
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      const paths = pending.map(emailId => this.getMessagePath(emailId, format));
+      const cost = pending.length * GMAIL_API.QUOTA_COSTS.MESSAGE_GET;
+      let parts;
+      try {
+        parts = await this.sendBatchRequest(paths, token, cost, signal);
+      } catch (error) {
+        if (error.status !== 401 || tokenRefreshed) throw error;
+        // Same as makeGmailRequest: sign in again silently once and resend the batch
+        token = await this.refreshAuthToken(token);
+        tokenRefreshed = true;
+        parts = await this.sendBatchRequest(paths, token, cost, signal);
+      }
+
+      // Batched requests can be rejected one by one when the token expires mid-scan
+      const retryUnauthorized = !tokenRefreshed && parts.some(part => part && part.status === 401);
+      if (retryUnauthorized) {
+        token = await this.refreshAuthToken(token);
+        tokenRefreshed = true;
+      }
+
+      const retryIds = [];
+      pending.forEach((emailId, index) => {
+        const { status, body } = parts[index] || { status: 500, body: null };
+
+        if (status >= 200 && status < 300) {
+          results.set(emailId, { email: this.parseEmailResponse(body) });
+        } else if (attempt < GMAIL_API.MAX_RETRIES && (this.isRetryableError(status, body) || (status === 401 && retryUnauthorized))) {
+          retryIds.push(emailId);
+        } else {
+          const error = new Error(body?.error?.message || `HTTP ${status}`);
+          error.status = status;
+          results.set(emailId, { error });
+        }
+      });
+
+      if (retryIds.length > 0) {
+        console.warn(`Retrying ${retryIds.length} of ${pending.length} batched messages (${attempt + 1}/${GMAIL_API.MAX_RETRIES})`);
+        await this.backoff(attempt, null, signal);
+      }
+      pending = retryIds;
+    }
+
+    return results;
+  }
+
+  /**
+   * API path of a message, metadata requests only ask for the headers scans use
+   */
+  getMessagePath(emailId, format) {
+    let path = `/gmail/v1/users/me/messages/${emailId}?format=${format}`;
+    if (format === 'metadata') {
+      path += GMAIL_API.METADATA_HEADERS.map(header => `&metadataHeaders=${header}`).join('');
+    }
+    return path;
+  }
+
+  /**
+   * Send GET requests as one multipart/mixed batch, returning { status, body } per request in order
+   */
+  async sendBatchRequest(paths, token, cost, signal = null) {
+    const boundary = `batch_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    const body = paths.map((path, index) => [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index}>`,
+      '',
+      `GET ${path}`,
+      ''
+    ].join('\r\n')).join('\r\n') + `\r\n--${boundary}--`;
+
+    const response = await this.fetchWithRetry(GMAIL_API.BATCH_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': `multipart/mixed; boundary=${boundary}`
+      },
+      body,
+      signal
+    }, cost);
+
+    return this.parseBatchResponse(await response.text(), response.headers.get('Content-Type') || '');
+  }
+
+  /**
+   * Split a multipart/mixed batch response into { status, body } entries indexed by Content-ID
+   */
+  parseBatchResponse(text, contentType) {
+    const boundaryMatch = contentType.match(/boundary="?([^";]+)"?/i);
+    if (!boundaryMatch) {
+      throw new Error('Batch response has no multipart boundary');
+    }
+
+    const parts = [];
+    text.split(`--${boundaryMatch[1]}`).forEach(part => {
+      const idMatch = part.match(/Content-ID:\s*<response-item(\d+)>/i);
+      const statusMatch = part.match(/HTTP\/[\d.]+\s+(\d{3})/);
+      if (!idMatch || !statusMatch) return;
+
+      // The JSON body follows the blank line after the inner response headers
+      const inner = part.slice(statusMatch.index);
+      const bodyStart = inner.search(/\r?\n\r?\n/);
+      let body = null;
+      try {
+        body = bodyStart === -1 ? null : JSON.parse(inner.slice(bodyStart).trim());
+      } catch (error) {
+        body = null;
+      }
+
+      parts[parseInt(idMatch[1], 10)] = { status: parseInt(statusMatch[1], 10), body };
+    });
+
+    return parts;
+  }
+
+  /**
+   * Get the mailbox profile (email address and current history ID)
+   */
+  async getProfile() {
+    const token = await this.getAuthToken();
+    return this.makeGmailRequest(`${GMAIL_API.BASE_URL}/users/me/profile`, token, GMAIL_API.QUOTA_COSTS.PROFILE);
+  }
+
+  /**
+   * List IDs of messages added since the given history ID with pagination support
+   * Throws with error.status 404 when the history ID has expired
+   */
+  async listHistory(startHistoryId) {
+    const token = await this.getAuthToken();
+
+    const messageIds = new Set();
+    let latestHistoryId = startHistoryId;
+    let nextPageToken = null;
+
+    do {
+      let url = `${GMAIL_API.BASE_URL}/users/me/history?startHistoryId=${startHistoryId}&historyTypes=messageAdded&maxResults=${GMAIL_API.MAX_RESULTS_PER_PAGE}`;
+
+      if (nextPageToken) {
+        url += `&pageToken=${nextPageToken}`;
+      }
+
+      const response = await this.makeGmailRequest(url, token, GMAIL_API.QUOTA_COSTS.HISTORY_LIST);
+
+      (response.history || []).forEach(record => {
+        (record.messagesAdded || []).forEach(({ message }) => {
+          const labels = message.labelIds || [];
+          if (!labels.some(label => GMAIL_API.HISTORY_EXCLUDED_LABELS.includes(label))) {
+            messageIds.add(message.id);
+          }
+        });
+      });
+
+      if (response.historyId) {
+        latestHistoryId = response.historyId;
+      }
+      nextPageToken = response.nextPageToken;
+    } while (nextPageToken);
+
+    return { messageIds: [...messageIds], historyId: latestHistoryId };
+  }
+
   /**
    * Parse Gmail API email response
    */
@@ -313,24 +952,196 @@ class GmailScanner {
   }
 
   /**
-   * Make authenticated request to Gmail API
+   * Make authenticated request to Gmail API, cost is the request's quota units
    */
-  async makeGmailRequest(url, token) {
-    const response = await fetch(url, {
+  async makeGmailRequest(url, token, cost = GMAIL_API.QUOTA_COSTS.MESSAGE_GET, signal = null) {
+    const request = authToken => this.fetchWithRetry(url, {
       headers: {
-        'Authorization': `Bearer ${token}`,
+        'Authorization': `Bearer ${authToken}`,
         'Content-Type': 'application/json'
-      }
-    });
+      },
+      signal
+    }, cost);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
+    let response;
+    try {
+      response = await request(token);
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      // The token expired during a long scan or was revoked, sign in again silently and retry once
+      response = await request(await this.refreshAuthToken(token));
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetch within the quota, retrying network errors, 429 and 5xx responses with exponential backoff
+   * Throws with error.status for other errors or once MAX_RETRIES is used up, and with the abort reason once options.signal is aborted
+   */
+  async fetchWithRetry(url, options, cost) {
+    const { signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.take(cost);
+      signal?.throwIfAborted();
+
+      let response;
+      try {
+        response = await fetch(url, options);
+      } catch (networkError) {
+        if (signal?.aborted) throw signal.reason;
+        if (attempt >= GMAIL_API.MAX_RETRIES) throw networkError;
+        console.warn(`Gmail request failed, retrying (${attempt + 1}/${GMAIL_API.MAX_RETRIES}):`, networkError.message);
+        await this.backoff(attempt, null, signal);
+        continue;
+      }
+
+      if (response.ok) return response;
+
+      const errorData = await response.json().catch(() => ({}));
+      if (attempt < GMAIL_API.MAX_RETRIES && this.isRetryableError(response.status, errorData)) {
+        console.warn(`Gmail request failed with HTTP ${response.status}, retrying (${attempt + 1}/${GMAIL_API.MAX_RETRIES})`);
+        await this.backoff(attempt, response.headers.get('Retry-After'), signal);
+        continue;
+      }
+
+      const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
       error.status = response.status;
       throw error;
     }
+  }
 
-    return response.json();
+  /**
+   * 429 and 5xx responses are transient, as are 403s whose reason is a rate limit
+   */
+  isRetryableError(status, errorData) {
+    if (GMAIL_API.RETRYABLE_STATUSES.includes(status)) return true;
+    return status === 403 && (errorData?.error?.errors || []).some(error => GMAIL_API.RATE_LIMIT_REASONS.includes(error.reason));
+  }
+
+  /**
+   * Wait before a retry: Retry-After when the server sent one, otherwise exponential backoff with jitter
+   */
+  async backoff(attempt, retryAfter = null, signal = null) {
+    // Queued requests would hit the same limit, make them wait for the bucket to refill as well
+    this.rateLimiter.drain();
+
+    const retryAfterMs = Number(retryAfter) * 1000;
+    const delayMs = retryAfterMs > 0
+      ? retryAfterMs
+      : Math.min(GMAIL_API.RETRY_MAX_DELAY_MS, GMAIL_API.RETRY_BASE_DELAY_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+    await delay(delayMs, signal);
+  }
+}
+
+/**
+ * Incremental sync engine using the Gmail History API
+ * Stores the mailbox historyId per account and scan scope in chrome.storage.local
+ */
+class GmailSyncEngine {
+  constructor(gmailScanner) {
+    this.gmailScanner = gmailScanner;
+  }
+
+  /**
+   * Get stored sync state for an account and scope
+   */
+  async getSyncState(account, scope) {
+    const result = await chrome.storage.local.get(SYNC_CONFIG.STORAGE_KEY);
+    const syncState = result[SYNC_CONFIG.STORAGE_KEY] || {};
+    return syncState[account]?.[scope] || null;
+  }
+
+  /**
+   * Save sync state for an account and scope
+   */
+  async saveSyncState(account, scope, historyId) {
+    const result = await chrome.storage.local.get(SYNC_CONFIG.STORAGE_KEY);
+    const syncState = result[SYNC_CONFIG.STORAGE_KEY] || {};
+
+    syncState[account] = {
+      ...syncState[account],
+      [scope]: {
+        historyId: historyId,
+        lastSyncDate: new Date().toISOString().split('T')[0],
+        lastSyncTime: new Date().toISOString()
+      }
+    };
+
+    await chrome.storage.local.set({ [SYNC_CONFIG.STORAGE_KEY]: syncState });
+  }
+
+  /**
+   * Remove sync state so the next scan falls back to a full range scan
+   */
+  async clearSyncState(account, scope) {
+    const result = await chrome.storage.local.get(SYNC_CONFIG.STORAGE_KEY);
+    const syncState = result[SYNC_CONFIG.STORAGE_KEY] || {};
+
+    if (syncState[account]) {
+      delete syncState[account][scope];
+      await chrome.storage.local.set({ [SYNC_CONFIG.STORAGE_KEY]: syncState });
+    }
+  }
+
+  /**
+   * Start a sync for a scope
+   * Returns messageIds added since the last sync, or messageIds: null when a full
+   * range scan is needed (first sync or expired history ID)
+   */
+  async startSync(scope) {
+    // Capture the current history ID before scanning so mail arriving mid-scan is picked up next time
+    const profile = await this.gmailScanner.getProfile();
+    const account = profile.emailAddress;
+    const currentHistoryId = profile.historyId;
+    const stored = await this.getSyncState(account, scope);
+
+    const sync = {
+      account,
+      scope,
+      currentHistoryId,
+      lastSyncDate: stored?.lastSyncDate || null,
+      messageIds: null,
+      reason: 'No previous sync'
+    };
+
+    if (!stored?.historyId) {
+      return sync;
+    }
+
+    try {
+      const history = await this.gmailScanner.listHistory(stored.historyId);
+      sync.messageIds = history.messageIds;
+      sync.reason = `Incremental sync since ${stored.lastSyncTime}`;
+      console.log(`Incremental ${scope} sync for ${account}: ${history.messageIds.length} new messages`);
+    } catch (error) {
+      if (error.status === 404) {
+        console.log(`History ID for ${account} ${scope} sync expired, falling back to full range scan`);
+        await this.clearSyncState(account, scope);
+        sync.lastSyncDate = null;
+        sync.reason = 'History ID expired';
+      } else {
+        throw error;
+      }
+    }
+
+    return sync;
+  }
+
+  /**
+   * Commit a finished sync so the next scan continues from its starting history ID
+   */
+  async commitSync(sync) {
+    if (!sync || !sync.currentHistoryId) return;
+
+    try {
+      await this.saveSyncState(sync.account, sync.scope, sync.currentHistoryId);
+      console.log(`Committed ${sync.scope} sync for ${sync.account} at history ID ${sync.currentHistoryId}`);
+    } catch (error) {
+      console.error('Failed to commit sync state:', error);
+    }
   }
 }
 
@@ -344,15 +1155,16 @@ class CalendarManager {
 
   /**
    * Get OAuth token for Calendar API access
+   * With interactive false no sign-in window is shown and the call fails instead
    */
-  async getAuthToken() {
+  async getAuthToken(interactive = true) {
     return new Promise((resolve, reject) => {
       if (!chrome.identity) {
         reject(new Error(ERROR_MESSAGES.CHROME_IDENTITY_UNAVAILABLE));
         return;
       }
 
-      chrome.identity.getAuthToken({ interactive: true }, (token) => {
+      chrome.identity.getAuthToken({ interactive }, (token) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else if (!token) {
@@ -364,33 +1176,163 @@ class CalendarManager {
     });
   }
 
+  /**
+   * Get reminder calendar settings merged with defaults
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(CALENDAR_SETTINGS_CONFIG.STORAGE_KEY);
+    return { ...CALENDAR_SETTINGS_CONFIG.DEFAULT_SETTINGS, ...result[CALENDAR_SETTINGS_CONFIG.STORAGE_KEY] };
+  }
+
+  /**
+   * Update target calendar, templates and event timing (applies to new reminders)
+   */
+  async updateSettings(updates = {}) {
+    const settings = await this.getSettings();
+
+    if (updates.calendarId && typeof updates.calendarId === 'string') {
+      settings.calendarId = updates.calendarId;
+      settings.calendarName = updates.calendarName || updates.calendarId;
+    }
+    if (typeof updates.titleTemplate === 'string' && updates.titleTemplate.trim()) {
+      settings.titleTemplate = updates.titleTemplate.trim();
+    }
+    if (typeof updates.descriptionTemplate === 'string') {
+      settings.descriptionTemplate = updates.descriptionTemplate;
+    }
+    if (typeof updates.allDay === 'boolean') {
+      settings.allDay = updates.allDay;
+    }
+    if (/^([01]\d|2[0-3]):[0-5]\d$/.test(updates.eventTime || '')) {
+      settings.eventTime = updates.eventTime;
+    }
+    if (updates.durationMinutes !== undefined) {
+      const durationMinutes = Number(updates.durationMinutes);
+      if (!Number.isFinite(durationMinutes)) {
+        throw new Error(`${ERROR_MESSAGES.CALENDAR_SETTINGS_INVALID}: duration must be a number of minutes`);
+      }
+      settings.durationMinutes = Math.max(CALENDAR_SETTINGS_CONFIG.MIN_DURATION_MINUTES, Math.round(durationMinutes));
+    }
+    if (CALENDAR_SETTINGS_CONFIG.TRANSPARENCY_OPTIONS.includes(updates.transparency)) {
+      settings.transparency = updates.transparency;
+    }
+
+    await chrome.storage.local.set({ [CALENDAR_SETTINGS_CONFIG.STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Calendar new events go to when no calendar is given
+   */
+  async getCalendarId() {
+    const settings = await this.getSettings();
+    return settings.calendarId || this.calendarId;
+  }
+
+  /**
+   * List calendars the user can add events to
+   */
+  async listCalendars() {
+    try {
+      const token = await this.getAuthToken();
+      const url = `${CALENDAR_API.BASE_URL}${CALENDAR_API.CALENDAR_LIST_PATH}?minAccessRole=writer`;
+
+      const response = await this.makeCalendarRequest(url, token);
+
+      return (response.items || []).map(calendar => ({
+        id: calendar.id,
+        name: calendar.summaryOverride || calendar.summary,
+        primary: !!calendar.primary
+      }));
+    } catch (error) {
+      console.error('Failed to list calendars:', error);
+      throw new Error(`${ERROR_MESSAGES.CALENDAR_LIST_FAILED}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use the "Subscriptions" calendar for reminders, creating it if it doesn't exist yet
+   */
+  async createSubscriptionsCalendar() {
+    try {
+      const calendarName = CALENDAR_SETTINGS_CONFIG.SUBSCRIPTIONS_CALENDAR_NAME;
+      const existing = (await this.listCalendars()).find(calendar => calendar.name === calendarName);
+
+      let calendarId = existing ? existing.id : null;
+      if (!calendarId) {
+        const token = await this.getAuthToken();
+        const calendar = await this.makeCalendarRequest(`${CALENDAR_API.BASE_URL}/calendars`, token, {
+          method: 'POST',
+          body: JSON.stringify({
+            summary: calendarName,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+          })
+        });
+        calendarId = calendar.id;
+        console.log(`Created calendar "${calendarName}"`);
+      }
+
+      return this.updateSettings({ calendarId, calendarName });
+    } catch (error) {
+      console.error('Failed to create subscriptions calendar:', error);
+      throw new Error(`${ERROR_MESSAGES.CALENDAR_CREATE_FAILED}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start/end of an all-day event, or of a timed event when allDay is false
+   */
+  buildEventTiming(eventData) {
+    const date = eventData.date || new Date().toISOString().split('T')[0];
+
+    if (eventData.allDay !== false || !eventData.time) {
+      return { start: { date }, end: { date } };
+    }
+
+    // Local wall-clock times, interpreted in the browser's time zone
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const start = new Date(`${date}T${eventData.time}:00Z`);
+    const end = new Date(start.getTime() + (eventData.durationMinutes || 30) * 60 * 1000);
+
+    return {
+      start: { dateTime: start.toISOString().slice(0, 19), timeZone },
+      end: { dateTime: end.toISOString().slice(0, 19), timeZone }
+    };
+  }
+
+  /**
+   * Events URL for a calendar, defaulting to the configured reminder calendar
+   */
+  async getEventsUrl(calendarId, eventId = null) {
+    const targetCalendarId = calendarId || await this.getCalendarId();
+    const url = `${CALENDAR_API.BASE_URL}/calendars/${encodeURIComponent(targetCalendarId)}/events`;
+    return eventId ? `${url}/${encodeURIComponent(eventId)}` : url;
+  }
+
   /**
    * Function for creating event in calendar
    */
   async createEvent(eventData) {
     try {
       const token = await this.getAuthToken();
+      const calendarId = eventData.calendarId || await this.getCalendarId();
 
       const event = {
         summary: eventData.title || 'Event',
-        start: {
-          date: eventData.date || new Date().toISOString().split('T')[0]
-        },
-        end: {
-          date: eventData.date || new Date().toISOString().split('T')[0]
-        },
+        ...this.buildEventTiming(eventData),
         description: eventData.description || '',
-        transparency: 'transparent'
+        transparency: eventData.transparency || 'transparent'
       };
+      this.applyEventOptions(event, eventData);
 
-      const url = `${CALENDAR_API.BASE_URL}/calendars/${this.calendarId}/events`;
+      const url = await this.getEventsUrl(calendarId);
 
       const response = await this.makeCalendarRequest(url, token, {
         method: 'POST',
         body: JSON.stringify(event)
       });
 
-      return response;
+      return { ...response, calendarId };
     } catch (error) {
       console.error('Failed to create calendar event:', error);
       throw new Error(`${ERROR_MESSAGES.CALENDAR_EVENT_FAILED}: ${error.message}`);
@@ -398,1250 +1340,5688 @@ class CalendarManager {
   }
 
   /**
-   * Make authenticated request to Calendar API
+   * Replace an existing event; fields that are not provided are cleared
    */
-  async makeCalendarRequest(url, token, options = {}) {
-    const config = {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      ...options
-    };
-
-    const response = await fetch(url, config);
+  async updateEvent(eventId, eventData, calendarId = null) {
+    try {
+      const token = await this.getAuthToken();
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
-      error.status = response.status;
-      throw error;
-    }
+      const event = {
+        summary: eventData.title || 'Event',
+        ...this.buildEventTiming(eventData),
+        description: eventData.description || '',
+        transparency: eventData.transparency || 'transparent'
+      };
+      this.applyEventOptions(event, eventData);
 
-    return response.json();
-  }
-}
+      const url = await this.getEventsUrl(calendarId, eventId);
 
-/**
- * LLM Extraction service using LanguageModel API
- */
-class LLMExtractor {
-  constructor() {
-    this.isInitialized = false;
-    this.currentSession = null;
+      return await this.makeCalendarRequest(url, token, {
+        method: 'PUT',
+        body: JSON.stringify(event)
+      });
+    } catch (error) {
+      console.error('Failed to update calendar event:', error);
+      throw this.wrapCalendarError(ERROR_MESSAGES.CALENDAR_UPDATE_FAILED, error);
+    }
   }
 
   /**
-   * Initialize the language model
+   * Change only the given fields (title, description, date, transparency) of an existing event
    */
-  async initialize() {
-    if (this.isInitialized) return;
-
+  async patchEvent(eventId, changes, calendarId = null) {
     try {
-      // Check if LanguageModel API is available
-      if (typeof LanguageModel === 'undefined' || !LanguageModel) {
-        throw new Error('Chrome AI not available. Please enable "Prompt API for Gemini Nano" in chrome://flags and restart Chrome.');
-      }
-
-      const availability = await LanguageModel.availability();
-      console.log('LanguageModel availability:', availability);
+      const token = await this.getAuthToken();
 
-      if (availability === 'no') {
-        throw new Error('Chrome AI not available on this device. Please enable "Prompt API for Gemini Nano" in chrome://flags and restart Chrome.');
+      const event = {};
+      if (changes.title !== undefined) event.summary = changes.title;
+      if (changes.description !== undefined) event.description = changes.description;
+      if (changes.transparency !== undefined) event.transparency = changes.transparency;
+      if (changes.date !== undefined) {
+        Object.assign(event, this.buildEventTiming(changes));
       }
+      this.applyEventOptions(event, changes);
 
-      if (availability === 'after-download') {
-        throw new Error('Chrome AI model needs to be downloaded first. Please wait for the download to complete and try again.');
-      }
+      const url = await this.getEventsUrl(calendarId, eventId);
 
-      console.log('LLM Extractor initialized with LanguageModel API');
-      this.isInitialized = true;
+      return await this.makeCalendarRequest(url, token, {
+        method: 'PATCH',
+        body: JSON.stringify(event)
+      });
     } catch (error) {
-      console.error('Failed to initialize LLM:', error);
-      throw new Error(`LLM initialization failed: ${error.message}`);
+      console.error('Failed to patch calendar event:', error);
+      throw this.wrapCalendarError(ERROR_MESSAGES.CALENDAR_UPDATE_FAILED, error);
     }
   }
 
   /**
-   * Destroy existing session if it exists
+   * Load an event, the API still returns deleted events with status "cancelled"
    */
-  async destroySession() {
+  async getEvent(eventId, calendarId = null) {
     try {
-      if (this.currentSession) {
-        console.log('Destroying existing LLM session');
-        await this.currentSession.destroy();
-        this.currentSession = null;
-      }
+      const token = await this.getAuthToken();
+      const url = await this.getEventsUrl(calendarId, eventId);
+
+      return await this.makeCalendarRequest(url, token);
     } catch (error) {
-      console.error('Failed to destroy LLM session:', error);
-      // Continue anyway, just set to null
-      this.currentSession = null;
+      console.error('Failed to load calendar event:', error);
+      throw this.wrapCalendarError(ERROR_MESSAGES.CALENDAR_GET_FAILED, error);
     }
   }
 
   /**
-   * Create or reuse LLM session
+   * Delete an event
    */
-  async getSession() {
+  async deleteEvent(eventId, calendarId = null) {
     try {
-      if (!this.isInitialized) {
-        await this.initialize();
-      }
-
-      const availability = await LanguageModel.availability();
-      if (availability !== 'available') {
-        throw new Error(`Chrome AI not ready: ${availability}. Please ensure Chrome AI is properly enabled.`);
-      }
-
-      // Create new session if none exists
-      if (!this.currentSession) {
-        console.log('Creating new LLM session');
-
-        // Add timeout to session creation
-        const createPromise = LanguageModel.create({
-          temperature: LLM_CONFIG.TEMPERATURE,
-          topK: LLM_CONFIG.TOP_K,
-          initialPrompts: [
-            {
-              role: 'system',
-              content: LLM_CONFIG.SYSTEM_PROMPT
-            }
-          ]
-        });
-
-        this.currentSession = await createPromise;
-      }
+      const token = await this.getAuthToken();
+      const url = await this.getEventsUrl(calendarId, eventId);
 
-      return this.currentSession;
+      await this.makeCalendarRequest(url, token, { method: 'DELETE' });
     } catch (error) {
-      console.error('Failed to get LLM session:', error);
-      throw error;
+      console.error('Failed to delete calendar event:', error);
+      throw this.wrapCalendarError(ERROR_MESSAGES.CALENDAR_DELETE_FAILED, error);
     }
   }
 
   /**
-   * Function for calling the LLM given a prompt
+   * Add optional recurrence rules, reminder overrides and color to an event body
    */
-  async callLLM(prompt) {
-    try {
-      const session = await this.getSession();
-
-      const result = await session.prompt(prompt);
-      return result;
-    } catch (error) {
-      console.error('LLM call failed:', error);
-      throw new Error(`${ERROR_MESSAGES.LLM_CALL_FAILED}: ${error.message}`);
+  applyEventOptions(event, eventData) {
+    if (eventData.recurrence) {
+      event.recurrence = eventData.recurrence;
+    }
+    if (eventData.reminders) {
+      event.reminders = { useDefault: false, overrides: eventData.reminders };
+    }
+    if (eventData.colorId) {
+      event.colorId = eventData.colorId;
     }
   }
-}
 
-/**
- * Package Database Manager using IndexedDB
- */
-class PackageDatabase {
-  constructor() {
-    this.db = null;
+  /**
+   * Check if an error means the event was already deleted outside the extension
+   */
+  isEventGone(error) {
+    return error.status === 404 || error.status === 410;
   }
 
   /**
-   * Initialize IndexedDB database
+   * Prefix an API error with a readable message, keeping the HTTP status
    */
-  async initDB() {
-    try {
-      return new Promise((resolve, reject) => {
-        const request = indexedDB.open(PACKAGE_CONFIG.DB_NAME, PACKAGE_CONFIG.DB_VERSION);
+  wrapCalendarError(message, error) {
+    const wrapped = new Error(`${message}: ${error.message}`);
+    wrapped.status = error.status;
+    return wrapped;
+  }
 
-        request.onerror = () => {
+  /**
+   * Make authenticated request to Calendar API
+   */
+  async makeCalendarRequest(url, token, options = {}) {
+    const config = {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      ...options
+    };
+
+    const response = await fetch(url, config);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    // DELETE responds with 204 No Content
+    if (response.status === 204) {
+      return null;
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Fetch JSON from an LLM server, failing with the server's error text on non-2xx responses
+ */
+async function fetchBackendJson(url, options = {}) {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * LLM backend for OpenAI-compatible servers (llama.cpp, LM Studio, vLLM)
+ */
+class OpenAICompatibleBackend {
+  /**
+   * Request headers, with the API key when one is set
+   */
+  getHeaders(config) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Check the server answers and serves the configured model
+   */
+  async healthCheck(config, signal) {
+    const data = await fetchBackendJson(`${config.baseUrl}/models`, {
+      headers: this.getHeaders(config),
+      signal
+    });
+    const models = (data.data || []).map(model => model.id);
+
+    // Some servers serve a single model and list nothing, so only fail when the list names other models
+    if (models.length > 0 && !models.includes(config.model)) {
+      throw new Error(`Model "${config.model}" not found. Available: ${models.join(', ')}`);
+    }
+
+    return models;
+  }
+
+  /**
+   * Send the prompt as a chat completion and return the reply text, constrained to the JSON Schema when given
+   */
+  async prompt(prompt, config, signal, schema = null) {
+    const body = {
+      model: config.model,
+      temperature: LLM_CONFIG.TEMPERATURE,
+      messages: [
+        { role: 'system', content: LLM_CONFIG.SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+      ]
+    };
+    if (schema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'extraction', strict: true, schema } };
+    }
+
+    const data = await fetchBackendJson(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(config),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Response contained no completion');
+    }
+    return content;
+  }
+}
+
+/**
+ * LLM backend for a local Ollama server
+ */
+class OllamaBackend {
+  /**
+   * Check the server answers and has the configured model pulled
+   */
+  async healthCheck(config, signal) {
+    const data = await fetchBackendJson(`${config.baseUrl}/api/tags`, { signal });
+    const models = (data.models || []).map(model => model.name);
+
+    // Ollama lists untagged models as name:latest
+    if (!models.includes(config.model) && !models.includes(`${config.model}:latest`)) {
+      throw new Error(`Model "${config.model}" not pulled. Run "ollama pull ${config.model}"`);
+    }
+
+    return models;
+  }
+
+  /**
+   * Send the prompt as a non-streaming chat and return the reply text, constrained to the JSON Schema when given
+   */
+  async prompt(prompt, config, signal, schema = null) {
+    const body = {
+      model: config.model,
+      stream: false,
+      options: {
+        temperature: LLM_CONFIG.TEMPERATURE,
+        top_k: LLM_CONFIG.TOP_K
+      },
+      messages: [
+        { role: 'system', content: LLM_CONFIG.SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+      ]
+    };
+    if (schema) {
+      body.format = schema;
+    }
+
+    const data = await fetchBackendJson(`${config.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    const content = data.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Response contained no message');
+    }
+    return content;
+  }
+}
+
+/**
+ * LLM Extraction service, prompting Chrome's LanguageModel API or a configured HTTP backend
+ */
+class LLMExtractor {
+  constructor(fallbackStrategies = []) {
+    this.name = EXTRACTOR_CONFIG.TYPES.LANGUAGE_MODEL;
+    this.isInitialized = false;
+    this.currentSession = null;
+    // Tried in order when the language model can't be used, each implements name, isAvailable(task) and extract(prompt, task)
+    this.fallbackStrategies = fallbackStrategies;
+    this.lastExtractor = null;
+    this.backends = {
+      [LLM_BACKEND_CONFIG.BACKENDS.OPENAI]: new OpenAICompatibleBackend(),
+      [LLM_BACKEND_CONFIG.BACKENDS.OLLAMA]: new OllamaBackend()
+    };
+    this.activeRequests = 0;
+    this.slotWaiters = [];
+    this.healthCache = null;
+    // Set to false once this Chrome version rejects responseConstraint
+    this.supportsResponseConstraint = null;
+  }
+
+  /**
+   * Get backend settings merged with defaults
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(LLM_BACKEND_CONFIG.SETTINGS_KEY);
+    const stored = result[LLM_BACKEND_CONFIG.SETTINGS_KEY] || {};
+    const defaults = LLM_BACKEND_CONFIG.DEFAULT_SETTINGS;
+
+    return {
+      ...defaults,
+      ...stored,
+      openai: { ...defaults.openai, ...stored.openai },
+      ollama: { ...defaults.ollama, ...stored.ollama }
+    };
+  }
+
+  /**
+   * Validate and merge backend settings without saving them
+   */
+  async resolveSettings(updates = {}) {
+    const settings = await this.getSettings();
+
+    if (updates.backend !== undefined) {
+      if (!Object.values(LLM_BACKEND_CONFIG.BACKENDS).includes(updates.backend)) {
+        throw new Error(`Unknown LLM backend: ${updates.backend}`);
+      }
+      settings.backend = updates.backend;
+    }
+
+    [LLM_BACKEND_CONFIG.BACKENDS.OPENAI, LLM_BACKEND_CONFIG.BACKENDS.OLLAMA].forEach(backend => {
+      const backendUpdates = updates[backend];
+      if (!backendUpdates) return;
+
+      if (typeof backendUpdates.baseUrl === 'string') {
+        const baseUrl = backendUpdates.baseUrl.trim().replace(/\/+$/, '');
+        if (!/^https?:\/\/[^\s/]+/.test(baseUrl)) {
+          throw new Error(`${LLM_BACKEND_CONFIG.LABELS[backend]} URL must start with http:// or https://`);
+        }
+        settings[backend].baseUrl = baseUrl;
+      }
+      if (typeof backendUpdates.model === 'string') {
+        settings[backend].model = backendUpdates.model.trim();
+      }
+      if (backend === LLM_BACKEND_CONFIG.BACKENDS.OPENAI && typeof backendUpdates.apiKey === 'string') {
+        settings[backend].apiKey = backendUpdates.apiKey.trim();
+      }
+    });
+
+    if (settings.backend !== LLM_BACKEND_CONFIG.BACKENDS.CHROME && !settings[settings.backend].model) {
+      throw new Error(`Enter a model name for the ${LLM_BACKEND_CONFIG.LABELS[settings.backend]}`);
+    }
+    if (updates.timeoutMs !== undefined) {
+      const timeoutMs = Number(updates.timeoutMs);
+      if (!Number.isFinite(timeoutMs)) throw new Error('Timeout must be a number');
+      settings.timeoutMs = Math.min(LLM_BACKEND_CONFIG.MAX_TIMEOUT_MS, Math.max(LLM_BACKEND_CONFIG.MIN_TIMEOUT_MS, timeoutMs));
+    }
+    if (updates.maxConcurrency !== undefined) {
+      const maxConcurrency = Math.round(Number(updates.maxConcurrency));
+      if (!Number.isFinite(maxConcurrency)) throw new Error('Concurrency must be a number');
+      settings.maxConcurrency = Math.min(LLM_BACKEND_CONFIG.MAX_CONCURRENCY, Math.max(1, maxConcurrency));
+    }
+
+    return settings;
+  }
+
+  /**
+   * Update backend, endpoint, timeout and concurrency settings (applies to the next prompt)
+   */
+  async updateSettings(updates = {}) {
+    const settings = await this.resolveSettings(updates);
+
+    await chrome.storage.local.set({ [LLM_BACKEND_CONFIG.SETTINGS_KEY]: settings });
+    this.healthCache = null;
+    if (settings.backend !== LLM_BACKEND_CONFIG.BACKENDS.CHROME) {
+      await this.destroySession();
+    }
+    return settings;
+  }
+
+  /**
+   * Wait until fewer than maxConcurrency prompts are in flight
+   */
+  async acquireSlot(maxConcurrency) {
+    while (this.activeRequests >= maxConcurrency) {
+      await new Promise(resolve => this.slotWaiters.push(resolve));
+    }
+    this.activeRequests++;
+  }
+
+  /**
+   * Free a prompt slot and wake the next waiting prompt
+   */
+  releaseSlot() {
+    this.activeRequests--;
+    const next = this.slotWaiters.shift();
+    if (next) next();
+  }
+
+  /**
+   * Check the configured backend can answer prompts
+   * Returns { ok, backend, detail, models }; useCache reuses a recent result for the saved settings
+   */
+  async checkHealth(settings = null, useCache = false) {
+    const now = Date.now();
+    if (useCache && this.healthCache && now - this.healthCache.checkedAt < LLM_BACKEND_CONFIG.HEALTH_CACHE_MS) {
+      return this.healthCache.health;
+    }
+
+    const resolved = settings || await this.getSettings();
+    const backend = resolved.backend;
+    let health;
+
+    try {
+      if (backend === LLM_BACKEND_CONFIG.BACKENDS.CHROME) {
+        if (typeof LanguageModel === 'undefined' || !LanguageModel) {
+          throw new Error('LanguageModel API not available in this browser');
+        }
+        const availability = await LanguageModel.availability();
+        if (availability !== 'available') {
+          throw new Error(`Chrome AI not ready: ${availability}`);
+        }
+        health = { ok: true, backend, detail: 'Chrome built-in model is ready' };
+      } else {
+        const config = resolved[backend];
+        const models = await this.backends[backend].healthCheck(
+          config,
+          AbortSignal.timeout(LLM_BACKEND_CONFIG.HEALTH_CHECK_TIMEOUT_MS)
+        );
+        health = { ok: true, backend, detail: `${config.model} is available at ${config.baseUrl}`, models };
+      }
+    } catch (error) {
+      const detail = error.name === 'TimeoutError' || error.name === 'AbortError'
+        ? `No response within ${LLM_BACKEND_CONFIG.HEALTH_CHECK_TIMEOUT_MS / 1000}s`
+        : error.message;
+      console.warn(`LLM backend ${backend} health check failed:`, detail);
+      health = { ok: false, backend, detail };
+    }
+
+    if (!settings) {
+      this.healthCache = { checkedAt: now, health };
+    }
+    return health;
+  }
+
+  /**
+   * Initialize the language model
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      // Check if LanguageModel API is available
+      if (typeof LanguageModel === 'undefined' || !LanguageModel) {
+        throw new Error('Chrome AI not available. Please enable "Prompt API for Gemini Nano" in chrome://flags and restart Chrome.');
+      }
+
+      const availability = await LanguageModel.availability();
+      console.log('LanguageModel availability:', availability);
+
+      if (availability === 'no') {
+        throw new Error('Chrome AI not available on this device. Please enable "Prompt API for Gemini Nano" in chrome://flags and restart Chrome.');
+      }
+
+      if (availability === 'after-download') {
+        throw new Error('Chrome AI model needs to be downloaded first. Please wait for the download to complete and try again.');
+      }
+
+      console.log('LLM Extractor initialized with LanguageModel API');
+      this.isInitialized = true;
+    } catch (error) {
+      console.error('Failed to initialize LLM:', error);
+      throw new Error(`LLM initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Destroy existing session if it exists
+   */
+  async destroySession() {
+    try {
+      if (this.currentSession) {
+        console.log('Destroying existing LLM session');
+        await this.currentSession.destroy();
+        this.currentSession = null;
+      }
+    } catch (error) {
+      console.error('Failed to destroy LLM session:', error);
+      // Continue anyway, just set to null
+      this.currentSession = null;
+    }
+  }
+
+  /**
+   * Create or reuse LLM session
+   */
+  async getSession() {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const availability = await LanguageModel.availability();
+      if (availability !== 'available') {
+        throw new Error(`Chrome AI not ready: ${availability}. Please ensure Chrome AI is properly enabled.`);
+      }
+
+      // Create new session if none exists
+      if (!this.currentSession) {
+        console.log('Creating new LLM session');
+
+        // Add timeout to session creation
+        const createPromise = LanguageModel.create({
+          temperature: LLM_CONFIG.TEMPERATURE,
+          topK: LLM_CONFIG.TOP_K,
+          initialPrompts: [
+            {
+              role: 'system',
+              content: LLM_CONFIG.SYSTEM_PROMPT
+            }
+          ]
+        });
+
+        this.currentSession = await createPromise;
+      }
+
+      return this.currentSession;
+    } catch (error) {
+      console.error('Failed to get LLM session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prompt the Chrome session, constrained to the JSON Schema where the Prompt API supports it
+   */
+  async promptChromeSession(prompt, schema, signal) {
+    const session = await this.getSession();
+
+    if (schema && this.supportsResponseConstraint !== false) {
+      try {
+        const result = await session.prompt(prompt, { signal, responseConstraint: schema });
+        this.supportsResponseConstraint = true;
+        return result;
+      } catch (error) {
+        if (signal.aborted || this.supportsResponseConstraint || !['NotSupportedError', 'TypeError'].includes(error.name)) {
+          throw error;
+        }
+        console.warn('Prompt API rejected the response constraint, prompting without it:', error);
+        this.supportsResponseConstraint = false;
+      }
+    }
+
+    return session.prompt(prompt, { signal });
+  }
+
+  /**
+   * Function for calling the LLM given a prompt, sent unchanged to the configured backend
+   * The optional JSON Schema constrains the reply on backends that support structured output
+   * Aborting the optional signal (a cancelled scan) stops the prompt and rejects with the signal's reason
+   */
+  async callLLM(prompt, schema = null, signal = null) {
+    const settings = await this.getSettings();
+    const isChrome = settings.backend === LLM_BACKEND_CONFIG.BACKENDS.CHROME;
+    // The Chrome session is shared, so its prompts always run one at a time
+    await this.acquireSlot(isChrome ? 1 : settings.maxConcurrency);
+
+    // The timeout covers the prompt itself, not the wait for a free slot
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      signal?.throwIfAborted();
+
+      if (isChrome) {
+        return await this.promptChromeSession(prompt, schema, controller.signal);
+      }
+
+      return await this.backends[settings.backend].prompt(prompt, settings[settings.backend], controller.signal, schema);
+    } catch (error) {
+      // A prompt aborted mid-way can leave the Chrome session unusable
+      if (controller.signal.aborted) await this.destroySession();
+      if (signal?.aborted) throw signal.reason;
+
+      const message = controller.signal.aborted
+        ? `Timed out after ${settings.timeoutMs / 1000}s`
+        : error.message;
+      console.error(`LLM call to ${settings.backend} backend failed:`, message);
+      throw new Error(`${ERROR_MESSAGES.LLM_CALL_FAILED}: ${message}`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Check whether the configured backend can be used right now
+   */
+  async isAvailable() {
+    const health = await this.checkHealth(null, true);
+    return health.ok;
+  }
+
+  /**
+   * Extraction strategy interface: answer the prompt with the language model, constrained to the task's schema
+   */
+  async extract(prompt, task) {
+    return this.callLLM(prompt, EXTRACTION_SCHEMAS[task.type] || null, task.signal);
+  }
+
+  /**
+   * Run an extraction with the first available strategy, starting with the language model
+   * Returns the validated reply object and the name of the extractor that produced it
+   * task.signal cancels the extraction, a cancelled one never falls back to the next strategy
+   */
+  async runExtraction(prompt, task) {
+    const strategies = [this, ...this.fallbackStrategies];
+
+    for (const [index, strategy] of strategies.entries()) {
+      task.signal?.throwIfAborted();
+      if (!(await strategy.isAvailable(task))) continue;
+
+      try {
+        const data = await this.extractValidReply(strategy, prompt, task);
+        if (this.lastExtractor !== strategy.name) {
+          console.log(`Extracting ${task.type} emails with the ${strategy.name} extractor`);
+          this.lastExtractor = strategy.name;
+        }
+        return { data, extractor: strategy.name };
+      } catch (error) {
+        if (task.signal?.aborted || index === strategies.length - 1) throw error;
+        console.warn(`${strategy.name} extractor failed, falling back:`, error);
+      }
+    }
+
+    throw new Error(`${ERROR_MESSAGES.NO_EXTRACTOR_AVAILABLE} for ${task.type} emails`);
+  }
+
+  /**
+   * Get a strategy's reply and validate it against the task schema
+   * The language model is re-prompted with the problems found, up to MAX_REPAIR_ATTEMPTS times
+   */
+  async extractValidReply(strategy, prompt, task) {
+    const schema = EXTRACTION_SCHEMAS[task.type];
+    // Only the language model can be asked to fix its reply
+    const maxRepairs = strategy === this ? EXTRACTOR_CONFIG.MAX_REPAIR_ATTEMPTS : 0;
+    let response = await strategy.extract(prompt, task);
+
+    for (let attempt = 0; ; attempt++) {
+      const { data, errors } = this.validateReply(response, schema);
+      if (errors.length === 0) return data;
+
+      if (attempt >= maxRepairs) {
+        throw new Error(`${ERROR_MESSAGES.INVALID_EXTRACTION}: ${errors.join('; ')}`);
+      }
+
+      console.warn(`Invalid ${task.type} reply from the ${strategy.name} extractor, asking for a repair (${attempt + 1}/${maxRepairs}):`, errors);
+      response = await strategy.extract(this.buildRepairPrompt(prompt, response, errors, schema), task);
+    }
+  }
+
+  /**
+   * Parse a reply and check it against the schema, returning the normalized object and any problems found
+   */
+  validateReply(response, schema) {
+    let value;
+    try {
+      value = this.parseReply(response);
+    } catch (error) {
+      return { data: null, errors: [`reply is not valid JSON (${error.message})`] };
+    }
+
+    if (!schema) return { data: value, errors: [] };
+
+    const data = this.normalizeToSchema(value, schema);
+    return { data, errors: this.validateAgainstSchema(data, schema, '') };
+  }
+
+  /**
+   * Parse the JSON object out of a reply, ignoring code fences and text around it
+   */
+  parseReply(response) {
+    const text = String(response ?? '')
+      .replace(/```(?:json)?/gi, '')
+      .trim();
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+      throw new Error('no JSON object found');
+    }
+
+    return JSON.parse(text.slice(start, end + 1));
+  }
+
+  /**
+   * Fix small, unambiguous deviations before validating: "null"/"" for nullable fields,
+   * "true"/"false" strings, numbers for strings, enum casing, missing nullable fields and unknown fields
+   */
+  normalizeToSchema(value, schema) {
+    const types = [].concat(schema.type || []);
+
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (types.includes('null') && EXTRACTOR_CONFIG.NULL_STRINGS.includes(trimmed.toLowerCase())) return null;
+      if (types.includes('boolean') && /^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+      if (schema.enum) {
+        const enumValue = trimmed.toLowerCase().replace(/[\s-]+/g, '_');
+        if (schema.enum.includes(enumValue)) return enumValue;
+      }
+      return trimmed;
+    }
+
+    if (typeof value === 'number' && types.includes('string')) return String(value);
+
+    if (types.includes('object') && value && typeof value === 'object' && !Array.isArray(value)) {
+      const properties = schema.properties || {};
+      const normalized = {};
+
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          normalized[key] = this.normalizeToSchema(child, properties[key]);
+        } else if (schema.additionalProperties !== false) {
+          normalized[key] = child;
+        }
+      });
+      (schema.required || []).forEach(key => {
+        if (!(key in normalized) && [].concat(properties[key]?.type || []).includes('null')) {
+          normalized[key] = null;
+        }
+      });
+
+      return normalized;
+    }
+
+    return value;
+  }
+
+  /**
+   * Check a value against the JSON Schema subset used by EXTRACTION_SCHEMAS (type, enum, date format, required, properties)
+   */
+  validateAgainstSchema(value, schema, path) {
+    const name = path || 'reply';
+    const types = [].concat(schema.type || []);
+    const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+    if (types.length > 0 && !types.includes(actualType)) {
+      return [`${name} must be ${types.join(' or ')}, got ${actualType}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${name} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.format === 'date' && typeof value === 'string' && !this.isValidDate(value)) {
+      errors.push(`${name} must be a YYYY-MM-DD date, got "${value}"`);
+    }
+
+    if (actualType === 'object') {
+      (schema.required || [])
+        .filter(key => !(key in value))
+        .forEach(key => errors.push(`${path ? `${path}.` : ''}${key} is missing`));
+
+      Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+        if (key in value) {
+          errors.push(...this.validateAgainstSchema(value[key], childSchema, path ? `${path}.${key}` : key));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a YYYY-MM-DD string is a real calendar date
+   */
+  isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+  }
+
+  /**
+   * Ask the model to answer the original prompt again, listing what was wrong with its last reply
+   */
+  buildRepairPrompt(prompt, response, errors, schema) {
+    return `Your previous reply to the task below could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${String(response ?? '').slice(0, 2000)}
+
+Reply again with ONLY a JSON object that matches this JSON Schema, with no explanatory text, markdown formatting, or code blocks:
+${JSON.stringify(schema)}
+
+Task:
+${prompt}`;
+  }
+}
+
+/**
+ * Deterministic extractor for delivery, subscription and trial emails, used when the language model is unavailable
+ * Answers with the same JSON the language model prompts ask for, built from keywords, regexes and sender domains
+ */
+class RuleBasedExtractor {
+  constructor() {
+    this.name = EXTRACTOR_CONFIG.TYPES.RULE_BASED;
+    this.extractors = {
+      [EXTRACTOR_CONFIG.TASKS.DELIVERY]: email => this.extractDelivery(email),
+      [EXTRACTOR_CONFIG.TASKS.SUBSCRIPTION]: email => this.extractSubscription(email),
+      [EXTRACTOR_CONFIG.TASKS.TRIAL]: email => this.extractTrial(email)
+    };
+
+    const currencySymbols = SUBSCRIPTION_CONFIG.CURRENCY_SYMBOLS
+      .map(([symbol]) => symbol.replace(/[$]/g, '\\$'))
+      .join('|');
+    const currencies = `${currencySymbols}|${SUBSCRIPTION_CONFIG.CURRENCY_CODES.join('|')}`;
+    this.amountPattern = new RegExp(`(?:${currencies})\\s?\\d[\\d.,]*\\d|(?:${currencies})\\s?\\d|\\d[\\d.,]*\\s?(?:${currencies})`, 'i');
+  }
+
+  /**
+   * Only tasks with a rule set can be handled
+   */
+  async isAvailable(task) {
+    return !!(task && this.extractors[task.type]);
+  }
+
+  /**
+   * Extraction strategy interface: the prompt is ignored, the task carries the email
+   */
+  async extract(prompt, task) {
+    const email = {
+      ...task.email,
+      text: this.toPlainText(`${task.email.subject || ''}\n${task.email.body || task.email.content || ''}`)
+    };
+    return JSON.stringify(this.extractors[task.type](email));
+  }
+
+  /**
+   * Classify a delivery email and pull out its status and dates
+   */
+  extractDelivery(email) {
+    const notDelivery = { isDeliveryEmail: false, status: null, deliveryDate: null, expectedDeliveryDate: null, orderNumber: null, sender: null };
+    const subject = (email.subject || '').toLowerCase();
+    const lowerText = email.text.toLowerCase();
+
+    if (this.containsAny(subject, EXTRACTOR_CONFIG.PROMOTION_KEYWORDS, true)) return notDelivery;
+
+    // The subject is the strongest signal, the body often mentions several statuses
+    const status = this.matchStatus(subject) || this.matchStatus(lowerText);
+    if (!status || !this.containsAny(lowerText, EXTRACTOR_CONFIG.DELIVERY_CONTEXT_KEYWORDS)) return notDelivery;
+
+    const isDelivered = status === PACKAGE_STATUS.DELIVERED;
+    return {
+      isDeliveryEmail: true,
+      status,
+      deliveryDate: isDelivered ? this.findLabelledDate(email.text, EXTRACTOR_CONFIG.DATE_LABELS.DELIVERED, email.date) : null,
+      expectedDeliveryDate: isDelivered ? null : this.findLabelledDate(email.text, EXTRACTOR_CONFIG.DATE_LABELS.EXPECTED_DELIVERY, email.date),
+      orderNumber: null,
+      sender: this.getSenderDomain(email.from)
+    };
+  }
+
+  /**
+   * Classify a subscription charge email and pull out the service, amount, period and dates
+   */
+  extractSubscription(email) {
+    const notSubscription = { isSubscriptionEmail: false, subscriptionName: null, amount: null, billingDate: null, billingPeriod: null, nextBillingDate: null };
+    const subject = (email.subject || '').toLowerCase();
+    const lowerText = email.text.toLowerCase();
+
+    if (!this.containsAny(lowerText, EXTRACTOR_CONFIG.CHARGE_KEYWORDS)) return notSubscription;
+    if (this.containsAny(subject, EXTRACTOR_CONFIG.CHARGE_EXCLUDED_KEYWORDS, true)) return notSubscription;
+
+    const amount = this.findAmount(email.text, EXTRACTOR_CONFIG.AMOUNT_LABELS);
+    if (!amount) return notSubscription;
+
+    const billingPeriod = Object.keys(EXTRACTOR_CONFIG.BILLING_PERIOD_PATTERNS)
+      .find(period => EXTRACTOR_CONFIG.BILLING_PERIOD_PATTERNS[period].test(email.text)) || null;
+
+    return {
+      isSubscriptionEmail: true,
+      subscriptionName: this.getServiceName(email.from),
+      amount,
+      billingDate: this.findLabelledDate(email.text, EXTRACTOR_CONFIG.DATE_LABELS.BILLING, email.date),
+      billingPeriod,
+      nextBillingDate: this.findLabelledDate(email.text, EXTRACTOR_CONFIG.DATE_LABELS.NEXT_BILLING, email.date)
+    };
+  }
+
+  /**
+   * Classify an active free trial email and work out when it ends
+   */
+  extractTrial(email) {
+    const notTrial = { isTrialEmail: false, serviceName: null, trialEndDate: null, priceAfterTrial: null };
+    const lowerText = email.text.toLowerCase();
+
+    if (!this.containsAny(lowerText, EXTRACTOR_CONFIG.TRIAL_ACTIVE_KEYWORDS)) return notTrial;
+    if (this.containsAny(lowerText, EXTRACTOR_CONFIG.TRIAL_AD_KEYWORDS)) return notTrial;
+
+    // Fall back to the trial length counted from the email date, e.g. "your 7-day trial"
+    let trialEndDate = this.findLabelledDate(email.text, EXTRACTOR_CONFIG.DATE_LABELS.TRIAL_END, email.date);
+    const lengthMatch = email.text.match(EXTRACTOR_CONFIG.TRIAL_LENGTH_PATTERN);
+    if (!trialEndDate && lengthMatch && email.date && !isNaN(new Date(email.date).getTime())) {
+      const end = new Date(email.date);
+      end.setUTCDate(end.getUTCDate() + parseInt(lengthMatch[1], 10));
+      trialEndDate = end.toISOString().split('T')[0];
+    }
+
+    return {
+      isTrialEmail: true,
+      serviceName: this.getServiceName(email.from),
+      trialEndDate,
+      priceAfterTrial: this.findAmount(email.text, EXTRACTOR_CONFIG.TRIAL_PRICE_LABELS)
+    };
+  }
+
+  /**
+   * Strip HTML tags and entities and collapse whitespace
+   */
+  toPlainText(text) {
+    return text
+      .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;|&#160;/gi, ' ')
+      .replace(/&amp;/gi, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Check for any keyword, optionally as a whole word so "free" doesn't match "carefree"
+   */
+  containsAny(lowerText, keywords, wholeWord = false) {
+    return keywords.some(keyword => {
+      if (!wholeWord) return lowerText.includes(keyword);
+
+      // Boundaries only apply next to word characters, "% off" still matches "20% off"
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const start = /^\w/.test(keyword) ? '\\b' : '';
+      const end = /\w$/.test(keyword) ? '\\b' : '';
+      return new RegExp(`${start}${escaped}${end}`).test(lowerText);
+    });
+  }
+
+  /**
+   * Match a shipment status using the same keywords as the status normalizer
+   */
+  matchStatus(lowerText) {
+    const match = Object.entries(PACKAGE_CONFIG.STATUS_KEYWORDS)
+      .find(([, keywords]) => this.containsAny(lowerText, keywords));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Get the sender's domain name, e.g. "amazon" for "shipment-tracking@amazon.co.uk"
+   */
+  getSenderDomain(emailFrom) {
+    const addressMatch = (emailFrom || '').match(/@([a-z0-9.-]+)/i);
+    if (!addressMatch) return null;
+
+    const labels = addressMatch[1].toLowerCase().split('.');
+    labels.pop();
+    while (labels.length > 1 && EXTRACTOR_CONFIG.DOMAIN_SUFFIX_LABELS.includes(labels[labels.length - 1])) {
+      labels.pop();
+    }
+    return labels[labels.length - 1] || null;
+  }
+
+  /**
+   * Get a service name from the sender table, the "From" display name or the domain
+   */
+  getServiceName(emailFrom) {
+    const domain = this.getSenderDomain(emailFrom);
+    if (domain && EXTRACTOR_CONFIG.SENDER_NAMES[domain]) {
+      return EXTRACTOR_CONFIG.SENDER_NAMES[domain];
+    }
+
+    const displayName = (emailFrom || '').split('<')[0]
+      .replace(/["']/g, '')
+      .replace(EXTRACTOR_CONFIG.SENDER_NAME_NOISE, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (displayName && !displayName.includes('@')) return displayName;
+
+    return domain ? domain.charAt(0).toUpperCase() + domain.slice(1) : null;
+  }
+
+  /**
+   * Find an amount next to one of the labels, falling back to the first amount in the text
+   */
+  findAmount(text, labels) {
+    const lowerText = text.toLowerCase();
+    for (const label of labels) {
+      let index = lowerText.indexOf(label);
+      while (index !== -1) {
+        const start = index + label.length;
+        const match = text.slice(start, start + EXTRACTOR_CONFIG.LABEL_WINDOW).match(this.amountPattern);
+        if (match) return match[0].trim();
+        index = lowerText.indexOf(label, index + 1);
+      }
+    }
+
+    const match = text.match(this.amountPattern);
+    return match ? match[0].trim() : null;
+  }
+
+  /**
+   * Find the first date following one of the labels
+   */
+  findLabelledDate(text, labels, referenceDate) {
+    const lowerText = text.toLowerCase();
+    for (const label of labels) {
+      let index = lowerText.indexOf(label);
+      while (index !== -1) {
+        const start = index + label.length;
+        const date = this.parseDate(text.slice(start, start + EXTRACTOR_CONFIG.LABEL_WINDOW), referenceDate);
+        if (date) return date;
+        index = lowerText.indexOf(label, index + 1);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse the first date in a short piece of text as YYYY-MM-DD
+   * Missing years and weekdays ("Arriving Tuesday") are resolved against the email date
+   */
+  parseDate(text, referenceDate = null) {
+    const reference = referenceDate && !isNaN(new Date(referenceDate).getTime()) ? new Date(referenceDate) : new Date();
+    reference.setUTCHours(0, 0, 0, 0);
+
+    let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (match) return this.formatDate(+match[1], +match[2] - 1, +match[3]);
+
+    // Numeric dates are read as month/day/year
+    match = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+    if (match) return this.formatDate(match[3].length === 2 ? 2000 + +match[3] : +match[3], +match[1] - 1, +match[2]);
+
+    // "March 4, 2026" or "4 March 2026", skipping word/number pairs that aren't months ("Total 15")
+    for (const monthFirst of text.matchAll(/\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?/gi)) {
+      const monthIndex = this.getMonthIndex(monthFirst[1]);
+      if (monthIndex !== -1) return this.resolveYear(monthIndex, +monthFirst[2], monthFirst[3], reference);
+    }
+    for (const dayFirst of text.matchAll(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\b\.?(?:,?\s+(\d{4}))?/gi)) {
+      const monthIndex = this.getMonthIndex(dayFirst[2]);
+      if (monthIndex !== -1) return this.resolveYear(monthIndex, +dayFirst[1], dayFirst[3], reference);
+    }
+
+    match = text.match(/\b(today|tomorrow|sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i);
+    if (match) {
+      const word = match[1].toLowerCase();
+      const weekday = EXTRACTOR_CONFIG.WEEKDAY_NAMES.indexOf(word);
+      const daysAhead = word === 'today' ? 0 : word === 'tomorrow' ? 1 : (weekday - reference.getUTCDay() + 7) % 7;
+      const date = new Date(reference);
+      date.setUTCDate(date.getUTCDate() + daysAhead);
+      return date.toISOString().split('T')[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the month index for a full or abbreviated month name, -1 when it isn't one
+   */
+  getMonthIndex(word) {
+    const lowerWord = word.toLowerCase();
+    return EXTRACTOR_CONFIG.MONTH_NAMES.findIndex(month => month.startsWith(lowerWord));
+  }
+
+  /**
+   * Use the stated year, otherwise the email's year (or the next one when the date would be months in the past)
+   */
+  resolveYear(monthIndex, day, year, reference) {
+    if (year) return this.formatDate(+year, monthIndex, day);
+
+    const date = this.formatDate(reference.getUTCFullYear(), monthIndex, day);
+    const sixMonthsAgo = new Date(reference);
+    sixMonthsAgo.setUTCMonth(sixMonthsAgo.getUTCMonth() - 6);
+    if (date && date < sixMonthsAgo.toISOString().split('T')[0]) {
+      return this.formatDate(reference.getUTCFullYear() + 1, monthIndex, day);
+    }
+    return date;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD, null when the day doesn't exist in that month
+   */
+  formatDate(year, monthIndex, day) {
+    const date = new Date(Date.UTC(year, monthIndex, day));
+    if (isNaN(date.getTime()) || date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+  }
+}
+
+/**
+ * Parse a free-form amount like "$9.99", "1.234,56 €", "CA$12" or "¥1,200"
+ * into a numeric value and ISO-4217 currency code
+ */
+function parseCurrencyAmount(amount) {
+  if (amount === null || amount === undefined) return null;
+  if (typeof amount === 'number') {
+    return { value: amount, currency: SUBSCRIPTION_CONFIG.DEFAULT_CURRENCY };
+  }
+
+  const text = String(amount).trim();
+  const numberMatch = text.match(/\d{1,3}(?:[\s'\u00a0]\d{3})+(?:[.,]\d{1,2})?(?!\d)|\d[\d.,]*\d|\d/);
+  if (!numberMatch) return null;
+
+  // Work out which separator (if any) is the decimal point
+  let numberText = numberMatch[0].replace(/[\s'\u00a0]/g, '');
+  const lastDot = numberText.lastIndexOf('.');
+  const lastComma = numberText.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimalSeparator = lastDot > lastComma ? '.' : ',';
+    const thousandsSeparator = decimalSeparator === '.' ? ',' : '.';
+    numberText = numberText.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = numberText.split(separator);
+    // A single separator followed by 1-2 digits is a decimal point, otherwise it groups thousands
+    const isDecimal = parts.length === 2 && parts[1].length <= 2;
+    numberText = isDecimal ? parts.join('.') : parts.join('');
+  }
+
+  const value = parseFloat(numberText);
+  if (isNaN(value)) return null;
+
+  const upperText = text.toUpperCase();
+  const code = SUBSCRIPTION_CONFIG.CURRENCY_CODES.find(c => new RegExp(`(^|[^A-Z])${c}([^A-Z]|$)`).test(upperText));
+  const symbol = SUBSCRIPTION_CONFIG.CURRENCY_SYMBOLS.find(([s]) => upperText.includes(s));
+  const currency = symbol && symbol[0].length > 1
+    ? symbol[1]
+    : (code || (symbol ? symbol[1] : SUBSCRIPTION_CONFIG.DEFAULT_CURRENCY));
+
+  return { value, currency };
+}
+
+/**
+ * Package Database Manager using IndexedDB
+ */
+class PackageDatabase {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Initialize IndexedDB database
+   */
+  async initDB() {
+    try {
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(PACKAGE_CONFIG.DB_NAME, PACKAGE_CONFIG.DB_VERSION);
+
+        request.onerror = () => {
           console.error('Database error:', request.error);
           reject(new Error(ERROR_MESSAGES.DB_INIT_FAILED));
         };
 
-        request.onsuccess = () => {
-          this.db = request.result;
-          console.log('Package database initialized');
-          resolve(this.db);
-        };
+        request.onsuccess = () => {
+          this.db = request.result;
+          console.log('Package database initialized');
+          resolve(this.db);
+        };
+
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          const transaction = event.target.transaction;
+          const oldVersion = event.oldVersion;
+          const newVersion = event.newVersion;
+
+          console.log(`Database upgrade from version ${oldVersion} to ${newVersion}`);
+
+          // Create packages store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.STORE_NAME)) {
+            const store = db.createObjectStore(PACKAGE_CONFIG.STORE_NAME, {
+              keyPath: PACKAGE_SCHEMA.ID
+            });
+
+            // Create indexes
+            store.createIndex(PACKAGE_SCHEMA.USER_EMAIL, PACKAGE_SCHEMA.USER_EMAIL, { unique: false });
+            store.createIndex(PACKAGE_SCHEMA.DELIVERY_TIME, PACKAGE_SCHEMA.DELIVERY_TIME, { unique: false });
+            store.createIndex(PACKAGE_SCHEMA.EMAIL_ID, PACKAGE_SCHEMA.EMAIL_ID, { unique: false });
+            store.createIndex(PACKAGE_SCHEMA.TRACKING_NUMBER, PACKAGE_SCHEMA.TRACKING_NUMBER, { unique: false });
+            store.createIndex(PACKAGE_SCHEMA.STATUS, PACKAGE_SCHEMA.STATUS, { unique: false });
+            store.createIndex(PACKAGE_SCHEMA.ORDER_NUMBER, PACKAGE_SCHEMA.ORDER_NUMBER, { unique: false });
+          }
+
+          // Create subscriptions store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME)) {
+            const subscriptionStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME, {
+              keyPath: SUBSCRIPTION_SCHEMA.ID
+            });
+
+            // Create indexes for subscriptions
+            subscriptionStore.createIndex(SUBSCRIPTION_SCHEMA.USER_EMAIL, SUBSCRIPTION_SCHEMA.USER_EMAIL, { unique: false });
+            subscriptionStore.createIndex(SUBSCRIPTION_SCHEMA.BILLING_DATE, SUBSCRIPTION_SCHEMA.BILLING_DATE, { unique: false });
+            subscriptionStore.createIndex(SUBSCRIPTION_SCHEMA.EMAIL_ID, SUBSCRIPTION_SCHEMA.EMAIL_ID, { unique: false });
+          }
+
+          // Create scan history store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME)) {
+            const scanHistoryStore = db.createObjectStore(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME, {
+              keyPath: SCAN_HISTORY_SCHEMA.ID
+            });
+
+            // Create indexes for scan history
+            scanHistoryStore.createIndex(SCAN_HISTORY_SCHEMA.SCAN_DATE, SCAN_HISTORY_SCHEMA.SCAN_DATE, { unique: false });
+            scanHistoryStore.createIndex(SCAN_HISTORY_SCHEMA.EARLIEST_EMAIL_TIMESTAMP, SCAN_HISTORY_SCHEMA.EARLIEST_EMAIL_TIMESTAMP, { unique: false });
+            scanHistoryStore.createIndex(SCAN_HISTORY_SCHEMA.LATEST_EMAIL_TIMESTAMP, SCAN_HISTORY_SCHEMA.LATEST_EMAIL_TIMESTAMP, { unique: false });
+          }
+
+          // Create subscription scan history store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME)) {
+            const subscriptionScanHistoryStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME, {
+              keyPath: SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ID
+            });
+
+            // Create indexes for subscription scan history
+            subscriptionScanHistoryStore.createIndex(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE, { unique: false });
+            subscriptionScanHistoryStore.createIndex(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.START_DATE, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.START_DATE, { unique: false });
+            subscriptionScanHistoryStore.createIndex(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE, { unique: false });
+          }
+
+          // Create subscription calendar events store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME)) {
+            const subscriptionCalendarEventsStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME, {
+              keyPath: SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.ID
+            });
+
+            // Create indexes for subscription calendar events
+            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID, { unique: false });
+            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME, { unique: false });
+            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CREATED_DATE, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CREATED_DATE, { unique: false });
+            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID, { unique: false });
+          }
+
+          // Create subscription alerts store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME)) {
+            const subscriptionAlertsStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME, {
+              keyPath: SUBSCRIPTION_ALERT_SCHEMA.ID
+            });
+
+            // Create indexes for subscription alerts
+            subscriptionAlertsStore.createIndex(SUBSCRIPTION_ALERT_SCHEMA.SUBSCRIPTION_KEY, SUBSCRIPTION_ALERT_SCHEMA.SUBSCRIPTION_KEY, { unique: false });
+            subscriptionAlertsStore.createIndex(SUBSCRIPTION_ALERT_SCHEMA.CREATED_AT, SUBSCRIPTION_ALERT_SCHEMA.CREATED_AT, { unique: false });
+          }
+
+          // Create trials store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.TRIALS_STORE_NAME)) {
+            const trialsStore = db.createObjectStore(PACKAGE_CONFIG.TRIALS_STORE_NAME, {
+              keyPath: TRIAL_SCHEMA.ID
+            });
+
+            // Create indexes for trials
+            trialsStore.createIndex(TRIAL_SCHEMA.EMAIL_ID, TRIAL_SCHEMA.EMAIL_ID, { unique: false });
+            trialsStore.createIndex(TRIAL_SCHEMA.TRIAL_END_DATE, TRIAL_SCHEMA.TRIAL_END_DATE, { unique: false });
+          }
+
+          // Create trial calendar events store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME)) {
+            const trialCalendarEventsStore = db.createObjectStore(PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME, {
+              keyPath: TRIAL_CALENDAR_EVENTS_SCHEMA.ID
+            });
+
+            // Create indexes for trial calendar events
+            trialCalendarEventsStore.createIndex(TRIAL_CALENDAR_EVENTS_SCHEMA.TRIAL_ID, TRIAL_CALENDAR_EVENTS_SCHEMA.TRIAL_ID, { unique: false });
+            trialCalendarEventsStore.createIndex(TRIAL_CALENDAR_EVENTS_SCHEMA.CREATED_DATE, TRIAL_CALENDAR_EVENTS_SCHEMA.CREATED_DATE, { unique: false });
+          }
+
+          // Create extraction failures store if it doesn't exist
+          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME)) {
+            const extractionFailuresStore = db.createObjectStore(PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME, {
+              keyPath: EXTRACTION_FAILURE_SCHEMA.ID
+            });
+
+            // Create indexes for extraction failures
+            extractionFailuresStore.createIndex(EXTRACTION_FAILURE_SCHEMA.SCAN_TYPE, EXTRACTION_FAILURE_SCHEMA.SCAN_TYPE, { unique: false });
+          }
+
+          // Handle version upgrades
+          if (oldVersion < 2) {
+            console.log('Upgraded database schema to include email details fields');
+          }
+          if (oldVersion < 3) {
+            console.log('Upgraded database schema to include scan history');
+          }
+          if (oldVersion < 4) {
+            console.log('Upgraded database schema to include subscriptions');
+          }
+          if (oldVersion < 5) {
+            console.log('Upgraded database schema to include subscription scan history and calendar events tracking');
+          }
+          if (oldVersion < 6) {
+            const packageStore = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+            if (!packageStore.indexNames.contains(PACKAGE_SCHEMA.TRACKING_NUMBER)) {
+              packageStore.createIndex(PACKAGE_SCHEMA.TRACKING_NUMBER, PACKAGE_SCHEMA.TRACKING_NUMBER, { unique: false });
+            }
+            console.log('Upgraded database schema to include package tracking numbers and carriers');
+          }
+          if (oldVersion < 7) {
+            const packageStore = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+            if (!packageStore.indexNames.contains(PACKAGE_SCHEMA.STATUS)) {
+              packageStore.createIndex(PACKAGE_SCHEMA.STATUS, PACKAGE_SCHEMA.STATUS, { unique: false });
+            }
+            if (!packageStore.indexNames.contains(PACKAGE_SCHEMA.ORDER_NUMBER)) {
+              packageStore.createIndex(PACKAGE_SCHEMA.ORDER_NUMBER, PACKAGE_SCHEMA.ORDER_NUMBER, { unique: false });
+            }
+
+            console.log('Upgraded database schema to include shipment lifecycle status and history');
+          }
+
+          if (oldVersion < 8) {
+            console.log('Upgraded database schema to include structured subscription amounts');
+          }
+          if (oldVersion < 9) {
+            console.log('Upgraded database schema to include subscription charge alerts');
+          }
+          if (oldVersion < 10) {
+            console.log('Upgraded database schema to include free trials and trial reminders');
+          }
+          if (oldVersion < 11) {
+            const calendarEventsStore = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+            if (!calendarEventsStore.indexNames.contains(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID)) {
+              calendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID, { unique: false });
+            }
+
+            console.log('Upgraded database schema to include calendar reminder lifecycle');
+          }
+          if (oldVersion < 12) {
+            console.log('Upgraded database schema to include extraction failures');
+          }
+          if (oldVersion < 13) {
+            console.log('Upgraded database schema to include entry sources and account-scoped reminders and alerts');
+          }
+
+          if (oldVersion > 0) {
+            this.migrateAllStores(transaction, oldVersion);
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Failed to initialize database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run every record through the whole migrateRecord chain once during an upgrade.
+   * Reminders and alerts take their account from the charge they were created for.
+   */
+  migrateAllStores(transaction, oldVersion) {
+    this.migrateStoreRecords(transaction.objectStore(PACKAGE_CONFIG.STORE_NAME), oldVersion);
+    this.migrateStoreRecords(transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME), oldVersion);
+
+    const request = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME).getAll();
+    request.onsuccess = () => {
+      const accountsByEmailId = this.getAccountsByEmailId(request.result);
+      this.migrateStoreRecords(transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME), oldVersion, accountsByEmailId);
+      this.migrateStoreRecords(transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME), oldVersion, accountsByEmailId);
+    };
+  }
+
+  /**
+   * Map each charge email to the account its subscription row was scanned from
+   */
+  getAccountsByEmailId(subscriptionRows) {
+    return new Map(subscriptionRows
+      .filter(row => row[SUBSCRIPTION_SCHEMA.USER_EMAIL])
+      .map(row => [row[SUBSCRIPTION_SCHEMA.EMAIL_ID], row[SUBSCRIPTION_SCHEMA.USER_EMAIL]]));
+  }
+
+  /**
+   * Run migrateRecord over every record of a store during an upgrade
+   */
+  migrateStoreRecords(store, oldVersion, accountsByEmailId = new Map()) {
+    store.openCursor().onsuccess = (cursorEvent) => {
+      const cursor = cursorEvent.target.result;
+      if (!cursor) return;
+
+      const record = cursor.value;
+      if (this.migrateRecord(store.name, record, oldVersion, accountsByEmailId)) {
+        cursor.update(record);
+      }
+      cursor.continue();
+    };
+  }
+
+  /**
+   * Bring a record written by an older schema version up to date in place, returns true if it changed.
+   * Used by onupgradeneeded and when restoring a backup made by an older version.
+   * accountsByEmailId (from getAccountsByEmailId) supplies the account of reminders and alerts saved without one.
+   */
+  migrateRecord(storeName, record, oldVersion, accountsByEmailId = new Map()) {
+    let changed = false;
+
+    // Packages saved before v7 were only ever delivery emails
+    if (oldVersion < 7 && storeName === PACKAGE_CONFIG.STORE_NAME && !record[PACKAGE_SCHEMA.STATUS]) {
+      record[PACKAGE_SCHEMA.STATUS] = PACKAGE_STATUS.DELIVERED;
+      record[PACKAGE_SCHEMA.STATUS_HISTORY] = [{
+        status: PACKAGE_STATUS.DELIVERED,
+        date: record[PACKAGE_SCHEMA.DELIVERY_TIME],
+        emailId: record[PACKAGE_SCHEMA.EMAIL_ID],
+        emailSubject: record[PACKAGE_SCHEMA.EMAIL_SUBJECT] || ''
+      }];
+      record[PACKAGE_SCHEMA.ORDER_NUMBER] = null;
+      record[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE] = null;
+      record[PACKAGE_SCHEMA.LAST_UPDATED] = record[PACKAGE_SCHEMA.DELIVERY_TIME];
+      changed = true;
+    }
+
+    // Backfill numeric amounts and currencies for subscriptions saved as free-form strings
+    if (oldVersion < 8 && storeName === PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME) {
+      const parsedAmount = parseCurrencyAmount(record[SUBSCRIPTION_SCHEMA.AMOUNT]);
+      record[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE] = parsedAmount ? parsedAmount.value : null;
+      record[SUBSCRIPTION_SCHEMA.CURRENCY] = parsedAmount ? parsedAmount.currency : null;
+      changed = true;
+    }
+
+    // Existing records point at live reminders
+    if (oldVersion < 11 && storeName === PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME &&
+        !record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS]) {
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS] = CALENDAR_REMINDER_STATUS.ACTIVE;
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE] = null;
+      changed = true;
+    }
+
+    // Records saved before manual entry and editing came from emails and have no edits
+    if (oldVersion < 13 && (storeName === PACKAGE_CONFIG.STORE_NAME || storeName === PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME) &&
+        !record[PACKAGE_SCHEMA.SOURCE]) {
+      record[PACKAGE_SCHEMA.SOURCE] = ENTRY_SOURCES.EMAIL;
+      changed = true;
+    }
+    if (oldVersion < 13 && storeName === PACKAGE_CONFIG.STORE_NAME && !record[PACKAGE_SCHEMA.EDITED_FIELDS]) {
+      record[PACKAGE_SCHEMA.EDITED_FIELDS] = [];
+      changed = true;
+    }
+
+    // Reminders and alerts saved before they carried an account
+    if (oldVersion < 13 && (storeName === PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME || storeName === PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME) &&
+        !record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.USER_EMAIL] && accountsByEmailId.has(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID])) {
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.USER_EMAIL] = accountsByEmailId.get(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID]);
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Read every object store for a backup
+   */
+  async getAllStoreRecords() {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const storeNames = Object.keys(BACKUP_CONFIG.STORES);
+        const transaction = this.db.transaction(storeNames, 'readonly');
+        const stores = {};
+
+        storeNames.forEach(storeName => {
+          const request = transaction.objectStore(storeName).getAll();
+          request.onsuccess = () => {
+            stores[storeName] = request.result;
+          };
+        });
+
+        transaction.oncomplete = () => resolve(stores);
+        transaction.onerror = () => {
+          console.error('Failed to read stores for backup:', transaction.error);
+          reject(new Error(ERROR_MESSAGES.BACKUP_FAILED));
+        };
+      });
+    } catch (error) {
+      console.error('Get all store records error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write backup records into every store in one transaction.
+   * Replace clears the stores first, except calendar event stores which are always merged; merge keeps local
+   * records that match by ID or by the store's merge key (so calendar event records aren't duplicated),
+   * carrying over what the user did to a package in the backup: picked up, deleted and edited fields.
+   */
+  async restoreStoreRecords(stores, mode) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const storeNames = Object.keys(BACKUP_CONFIG.STORES);
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        const summary = {};
+
+        storeNames.forEach(storeName => {
+          const store = transaction.objectStore(storeName);
+          const records = stores[storeName] || [];
+          summary[storeName] = { restored: 0, kept: 0 };
+
+          if (mode === BACKUP_CONFIG.MODES.REPLACE && !BACKUP_CONFIG.RECONCILED_STORES.includes(storeName)) {
+            store.clear();
+            records.forEach(record => store.put(record));
+            summary[storeName].restored = records.length;
+            return;
+          }
+
+          const mergeKey = BACKUP_CONFIG.STORES[storeName];
+          const request = store.getAll();
+          request.onsuccess = () => {
+            const localById = new Map(request.result.map(record => [record.id, record]));
+            const localByKey = new Map(request.result
+              .filter(record => record[mergeKey] !== null && record[mergeKey] !== undefined)
+              .map(record => [record[mergeKey], record]));
+
+            records.forEach(record => {
+              const local = localById.get(record.id) || localByKey.get(record[mergeKey]);
+              if (!local) {
+                store.put(record);
+                localById.set(record.id, record);
+                localByKey.set(record[mergeKey], record);
+                summary[storeName].restored++;
+                return;
+              }
+
+              if (storeName === PACKAGE_CONFIG.STORE_NAME && this.mergeBackupPackage(local, record)) {
+                store.put(local);
+              }
+              summary[storeName].kept++;
+            });
+          };
+        });
+
+        transaction.oncomplete = () => resolve(summary);
+        transaction.onerror = () => {
+          console.error('Failed to restore backup records:', transaction.error);
+          reject(new Error(ERROR_MESSAGES.RESTORE_FAILED));
+        };
+      });
+    } catch (error) {
+      console.error('Restore store records error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Carry the user's own changes from a backed-up package over to the matching local one, returns true if it changed.
+   * Fields edited locally keep their local value.
+   */
+  mergeBackupPackage(local, record) {
+    let changed = false;
+
+    if (record[PACKAGE_SCHEMA.PICKED_UP] && !local[PACKAGE_SCHEMA.PICKED_UP]) {
+      local[PACKAGE_SCHEMA.PICKED_UP] = true;
+      changed = true;
+    }
+    if (record[PACKAGE_SCHEMA.DELETED] && !local[PACKAGE_SCHEMA.DELETED]) {
+      local[PACKAGE_SCHEMA.DELETED] = true;
+      changed = true;
+    }
+
+    const localEdits = local[PACKAGE_SCHEMA.EDITED_FIELDS] || [];
+    const backupEdits = (record[PACKAGE_SCHEMA.EDITED_FIELDS] || []).filter(field => !localEdits.includes(field));
+    if (backupEdits.length > 0) {
+      backupEdits.forEach(field => {
+        local[field] = record[field];
+      });
+      local[PACKAGE_SCHEMA.EDITED_FIELDS] = [...localEdits, ...backupEdits];
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Save package to database
+   */
+  async savePackageToDB(packageData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const status = packageData.status || PACKAGE_STATUS.DELIVERED;
+        const extractor = packageData.extractor || null;
+        const packageRecord = {
+          [PACKAGE_SCHEMA.ID]: `${packageData.emailId}_${Date.now()}`,
+          [PACKAGE_SCHEMA.USER_EMAIL]: packageData.userEmail,
+          [PACKAGE_SCHEMA.SENDER]: packageData.sender,
+          [PACKAGE_SCHEMA.DELIVERY_DATE]: packageData.deliveryDate,
+          [PACKAGE_SCHEMA.DELIVERY_TIME]: packageData.deliveryTime,
+          [PACKAGE_SCHEMA.EMAIL_ID]: packageData.emailId,
+          [PACKAGE_SCHEMA.EMAIL_SUBJECT]: packageData.emailSubject || '',
+          [PACKAGE_SCHEMA.EMAIL_FROM]: packageData.emailFrom || '',
+          [PACKAGE_SCHEMA.EMAIL_SNIPPET]: packageData.emailSnippet || '',
+          [PACKAGE_SCHEMA.PICKED_UP]: false,
+          [PACKAGE_SCHEMA.TRACKING_NUMBER]: packageData.trackingNumber || null,
+          [PACKAGE_SCHEMA.CARRIER]: packageData.carrier || null,
+          [PACKAGE_SCHEMA.STATUS]: status,
+          [PACKAGE_SCHEMA.STATUS_HISTORY]: [{
+            status: status,
+            date: packageData.deliveryTime,
+            emailId: packageData.emailId,
+            emailSubject: packageData.emailSubject || '',
+            extractor: extractor
+          }],
+          [PACKAGE_SCHEMA.ORDER_NUMBER]: packageData.orderNumber || null,
+          [PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE]: packageData.expectedDeliveryDate || null,
+          [PACKAGE_SCHEMA.LAST_UPDATED]: packageData.deliveryTime,
+          [PACKAGE_SCHEMA.CREATED_AT]: new Date().toISOString(),
+          [PACKAGE_SCHEMA.EXTRACTOR]: extractor,
+          [PACKAGE_SCHEMA.SOURCE]: packageData.source || ENTRY_SOURCES.EMAIL
+        };
+
+        const request = store.add(packageRecord);
+
+        request.onsuccess = () => {
+          console.log('Package saved to database:', packageRecord.id);
+          resolve(packageRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save package:', request.error);
+          reject(new Error(ERROR_MESSAGES.PACKAGE_SAVE_FAILED));
+        };
+      });
+    } catch (error) {
+      console.error('Save package error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a package status update to an existing package record or save a new one
+   * Emails are linked by tracking number first, then by order number. They also link to deleted packages
+   * so a rescan doesn't bring them back, hand-entered packages pass includeDeleted false instead.
+   */
+  async savePackageStatusUpdate(packageData, includeDeleted = true) {
+    try {
+      if (!this.db) await this.initDB();
+
+      const existing = await this.findLinkedPackage(packageData.trackingNumber, packageData.orderNumber, packageData.userEmail, includeDeleted);
+      if (!existing) {
+        const record = await this.savePackageToDB(packageData);
+        return { record, isNew: true, previousStatus: null };
+      }
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const previousStatus = existing[PACKAGE_SCHEMA.STATUS];
+        const history = existing[PACKAGE_SCHEMA.STATUS_HISTORY] || [];
+
+        // Fields the user corrected by hand keep their value whatever the new email says
+        const editedValues = Object.fromEntries(
+          (existing[PACKAGE_SCHEMA.EDITED_FIELDS] || []).map(field => [field, existing[field]])
+        );
+
+        const extractor = packageData.extractor || null;
+        if (!history.some(entry => entry.emailId === packageData.emailId)) {
+          history.push({
+            status: packageData.status,
+            date: packageData.deliveryTime,
+            emailId: packageData.emailId,
+            emailSubject: packageData.emailSubject || '',
+            extractor: extractor
+          });
+        }
+        history.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        // The newest email in the timeline decides the current status
+        const latestEntry = history[history.length - 1];
+        existing[PACKAGE_SCHEMA.STATUS_HISTORY] = history;
+        existing[PACKAGE_SCHEMA.STATUS] = latestEntry.status;
+        existing[PACKAGE_SCHEMA.LAST_UPDATED] = latestEntry.date;
+        existing[PACKAGE_SCHEMA.DELIVERY_TIME] = latestEntry.date;
+        existing[PACKAGE_SCHEMA.TRACKING_NUMBER] = existing[PACKAGE_SCHEMA.TRACKING_NUMBER] || packageData.trackingNumber || null;
+        existing[PACKAGE_SCHEMA.CARRIER] = existing[PACKAGE_SCHEMA.CARRIER] || packageData.carrier || null;
+        existing[PACKAGE_SCHEMA.ORDER_NUMBER] = existing[PACKAGE_SCHEMA.ORDER_NUMBER] || packageData.orderNumber || null;
+
+        // Emails arrive newest first, an older estimate must not replace the current one
+        if (packageData.expectedDeliveryDate && latestEntry.emailId === packageData.emailId) {
+          existing[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE] = packageData.expectedDeliveryDate;
+        }
+        if (packageData.status === PACKAGE_STATUS.DELIVERED && packageData.deliveryDate) {
+          existing[PACKAGE_SCHEMA.DELIVERY_DATE] = packageData.deliveryDate;
+        }
+        if (latestEntry.emailId === packageData.emailId) {
+          existing[PACKAGE_SCHEMA.EMAIL_ID] = packageData.emailId;
+          existing[PACKAGE_SCHEMA.EMAIL_SUBJECT] = packageData.emailSubject || '';
+          existing[PACKAGE_SCHEMA.EMAIL_FROM] = packageData.emailFrom || '';
+          existing[PACKAGE_SCHEMA.EMAIL_SNIPPET] = packageData.emailSnippet || '';
+          existing[PACKAGE_SCHEMA.EXTRACTOR] = extractor;
+        }
+        Object.assign(existing, editedValues);
+
+        const request = store.put(existing);
+
+        request.onsuccess = () => {
+          console.log(`Package ${existing.id} updated: ${previousStatus} -> ${existing[PACKAGE_SCHEMA.STATUS]}`);
+          resolve({ record: existing, isNew: false, previousStatus });
+        };
+
+        request.onerror = () => {
+          console.error('Failed to update package status:', request.error);
+          reject(new Error(ERROR_MESSAGES.PACKAGE_SAVE_FAILED));
+        };
+      });
+    } catch (error) {
+      console.error('Save package status update error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an existing package record by tracking number or order number.
+   * Among several matches, packages not yet picked up win, then the most recently updated one.
+   * A deleted package (tombstone) is only returned when no live package matches either number.
+   */
+  async findLinkedPackage(trackingNumber, orderNumber, account = null, includeDeleted = true) {
+    try {
+      if (!this.db) await this.initDB();
+
+      const lookups = [
+        [PACKAGE_SCHEMA.TRACKING_NUMBER, trackingNumber],
+        [PACKAGE_SCHEMA.ORDER_NUMBER, orderNumber]
+      ].filter(([, value]) => value);
+      let tombstone = null;
+
+      for (const [indexName, value] of lookups) {
+        const matches = await new Promise((resolve) => {
+          const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+          const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+          const request = store.index(indexName).getAll(value);
+
+          // The same tracking or order number in another account is a different record
+          request.onsuccess = () => resolve((request.result || []).filter(pkg =>
+            (!account || pkg[PACKAGE_SCHEMA.USER_EMAIL] === account) &&
+            (includeDeleted || !pkg[PACKAGE_SCHEMA.DELETED])
+          ));
+          request.onerror = () => {
+            console.error(`Failed to look up package by ${indexName}:`, request.error);
+            resolve([]);
+          };
+        });
+
+        const [best] = matches.sort((a, b) =>
+          (!!a[PACKAGE_SCHEMA.DELETED] - !!b[PACKAGE_SCHEMA.DELETED]) ||
+          (!!a[PACKAGE_SCHEMA.PICKED_UP] - !!b[PACKAGE_SCHEMA.PICKED_UP]) ||
+          new Date(b[PACKAGE_SCHEMA.LAST_UPDATED] || 0) - new Date(a[PACKAGE_SCHEMA.LAST_UPDATED] || 0)
+        );
+        if (best && !best[PACKAGE_SCHEMA.DELETED]) return best;
+        tombstone = tombstone || best || null;
+      }
+
+      return tombstone;
+    } catch (error) {
+      console.error('Find linked package error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get every package, picked up or not, optionally for one account
+   */
+  async getPackages(account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          // Sort by delivery time (newest first)
+          const packages = request.result
+            .filter(pkg => !pkg[PACKAGE_SCHEMA.DELETED] && (!account || pkg[PACKAGE_SCHEMA.USER_EMAIL] === account))
+            .sort((a, b) =>
+              new Date(b[PACKAGE_SCHEMA.DELIVERY_TIME]) - new Date(a[PACKAGE_SCHEMA.DELIVERY_TIME])
+            );
+          resolve(packages);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch packages:', request.error);
+          reject(new Error(ERROR_MESSAGES.PACKAGE_FETCH_FAILED));
+        };
+      });
+    } catch (error) {
+      console.error('Get all packages error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get packages that have not been picked up, optionally limited to a set of statuses and an account
+   */
+  async getUnpickedPackages(statuses = null, account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          // Filter packages where pickedUp is false (exclude picked up packages)
+          const unpickedPackages = request.result.filter(pkg =>
+            pkg[PACKAGE_SCHEMA.PICKED_UP] === false &&
+            !pkg[PACKAGE_SCHEMA.DELETED] &&
+            (!statuses || statuses.includes(pkg[PACKAGE_SCHEMA.STATUS] || PACKAGE_STATUS.DELIVERED)) &&
+            (!account || pkg[PACKAGE_SCHEMA.USER_EMAIL] === account)
+          );
+
+          // Sort by delivery time (newest first)
+          const packages = unpickedPackages.sort((a, b) =>
+            new Date(b[PACKAGE_SCHEMA.DELIVERY_TIME]) - new Date(a[PACKAGE_SCHEMA.DELIVERY_TIME])
+          );
+          resolve(packages);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch packages:', request.error);
+          reject(new Error(ERROR_MESSAGES.PACKAGE_FETCH_FAILED));
+        };
+      });
+    } catch (error) {
+      console.error('Get packages error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get unpicked packages split into problem, incoming and awaiting pickup groups
+   */
+  async getPackageGroups(account = null) {
+    const incomingStatuses = PACKAGE_STATUS_GROUPS.INCOMING
+      .filter(status => !PACKAGE_STATUS_GROUPS.PROBLEMS.includes(status));
+
+    const [problems, incoming, awaitingPickup] = await Promise.all([
+      this.getUnpickedPackages(PACKAGE_STATUS_GROUPS.PROBLEMS, account),
+      this.getUnpickedPackages(incomingStatuses, account),
+      this.getUnpickedPackages(PACKAGE_STATUS_GROUPS.AWAITING_PICKUP, account)
+    ]);
+
+    return { problems, incoming, awaitingPickup };
+  }
+
+  /**
+   * Mark package as picked up
+   */
+  async markPackageAsPickedUp(packageId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const getRequest = store.get(packageId);
+
+        getRequest.onsuccess = () => {
+          const packageRecord = getRequest.result;
+          if (packageRecord) {
+            packageRecord[PACKAGE_SCHEMA.PICKED_UP] = true;
+
+            const updateRequest = store.put(packageRecord);
+            updateRequest.onsuccess = () => {
+              console.log('Package marked as picked up:', packageId);
+              resolve(packageRecord);
+            };
+            updateRequest.onerror = () => reject(new Error('Failed to update package'));
+          } else {
+            reject(new Error('Package not found'));
+          }
+        };
+
+        getRequest.onerror = () => {
+          reject(new Error('Failed to find package'));
+        };
+      });
+    } catch (error) {
+      console.error('Mark pickup error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of a package record
+   */
+  async updatePackageFields(packageId, changes) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const getRequest = store.get(packageId);
+
+        getRequest.onsuccess = () => {
+          const packageRecord = getRequest.result;
+          if (!packageRecord) {
+            reject(new Error('Package not found'));
+            return;
+          }
+
+          Object.assign(packageRecord, changes);
+
+          const updateRequest = store.put(packageRecord);
+          updateRequest.onsuccess = () => resolve(packageRecord);
+          updateRequest.onerror = () => reject(new Error('Failed to update package'));
+        };
+
+        getRequest.onerror = () => {
+          reject(new Error('Failed to find package'));
+        };
+      });
+    } catch (error) {
+      console.error('Update package error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo a pickup so the package shows up as waiting again
+   */
+  async markPackageAsUnpicked(packageId) {
+    try {
+      const packageRecord = await this.updatePackageFields(packageId, { [PACKAGE_SCHEMA.PICKED_UP]: false });
+      console.log('Package marked as not picked up:', packageId);
+      return packageRecord;
+    } catch (error) {
+      console.error('Mark unpicked error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply manual corrections to a package and remember which fields were edited,
+   * so later rescans leave them alone
+   */
+  async updatePackage(packageId, changes = {}) {
+    try {
+      const packageRecord = await this.getPackageById(packageId);
+      if (!packageRecord || packageRecord[PACKAGE_SCHEMA.DELETED]) {
+        throw new Error(ERROR_MESSAGES.PACKAGE_NOT_FOUND);
+      }
+
+      const updates = {};
+      for (const [field, rawValue] of Object.entries(changes)) {
+        const value = this.normalizePackageEdit(field, rawValue);
+        if (value !== (packageRecord[field] ?? null)) updates[field] = value;
+      }
+
+      if (Object.keys(updates).length === 0) return packageRecord;
+
+      const editedFields = new Set([...(packageRecord[PACKAGE_SCHEMA.EDITED_FIELDS] || []), ...Object.keys(updates)]);
+      updates[PACKAGE_SCHEMA.EDITED_FIELDS] = [...editedFields];
+
+      const updated = await this.updatePackageFields(packageId, updates);
+      console.log(`Package ${packageId} edited:`, Object.keys(updates).join(', '));
+      return updated;
+    } catch (error) {
+      console.error('Edit package error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate one manually edited field; empty values clear the field
+   */
+  normalizePackageEdit(field, rawValue) {
+    if (!PACKAGE_EDIT_CONFIG.EDITABLE_FIELDS.includes(field)) {
+      throw new Error(`${ERROR_MESSAGES.PACKAGE_EDIT_INVALID}: ${field} cannot be edited`);
+    }
+
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (value === '' || value === null || value === undefined) {
+      if (field === PACKAGE_SCHEMA.STATUS) {
+        throw new Error(`${ERROR_MESSAGES.PACKAGE_EDIT_INVALID}: status is required`);
+      }
+      return null;
+    }
+
+    let isValid = typeof value === 'string';
+    if (PACKAGE_EDIT_CONFIG.DATE_FIELDS.includes(field)) {
+      isValid = /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    } else if (field === PACKAGE_SCHEMA.STATUS) {
+      isValid = Object.values(PACKAGE_STATUS).includes(value);
+    } else if (field === PACKAGE_SCHEMA.CARRIER) {
+      isValid = CARRIER_CONFIG.CARRIERS.some(carrier => carrier.id === value);
+    }
+
+    if (!isValid) {
+      throw new Error(`${ERROR_MESSAGES.PACKAGE_EDIT_INVALID}: ${field}`);
+    }
+    return value;
+  }
+
+  /**
+   * Hide a package everywhere. The record is kept as a tombstone so rescans
+   * recognise its emails and do not bring it back.
+   */
+  async deletePackage(packageId) {
+    try {
+      const packageRecord = await this.updatePackageFields(packageId, {
+        [PACKAGE_SCHEMA.DELETED]: true,
+        [PACKAGE_SCHEMA.CALENDAR_EVENT_ID]: null,
+        [PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]: true
+      });
+      console.log('Package deleted:', packageId);
+      return packageRecord;
+    } catch (error) {
+      console.error('Delete package error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single package by ID
+   */
+  async getPackageById(packageId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const request = store.get(packageId);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => {
+          console.error('Failed to get package:', request.error);
+          reject(new Error('Failed to get package'));
+        };
+      });
+    } catch (error) {
+      console.error('Get package error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get latest scan date from database, optionally for one account
+   */
+  async getLatestScanDate(account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+        const index = store.index(PACKAGE_SCHEMA.DELIVERY_TIME);
+
+        const request = index.openCursor(null, 'prev');
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor && account && cursor.value[PACKAGE_SCHEMA.USER_EMAIL] !== account) {
+            cursor.continue();
+          } else if (cursor) {
+            resolve(cursor.value[PACKAGE_SCHEMA.DELIVERY_TIME]);
+          } else {
+            resolve(null);
+          }
+        };
+
+        request.onerror = () => {
+          console.error('Failed to get latest scan date:', request.error);
+          resolve(null);
+        };
+      });
+    } catch (error) {
+      console.error('Get latest scan date error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get packages in date range to check what's already scanned
+   */
+  async getPackagesInDateRange(startDate, endDate) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+        const index = store.index(PACKAGE_SCHEMA.DELIVERY_TIME);
+
+        const startTime = new Date(startDate).getTime();
+        const endTime = new Date(endDate).getTime();
+        const packages = [];
+
+        const request = index.openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            const packageTime = new Date(cursor.value[PACKAGE_SCHEMA.DELIVERY_TIME]).getTime();
+            if (packageTime >= startTime && packageTime <= endTime && !cursor.value[PACKAGE_SCHEMA.DELETED]) {
+              packages.push(cursor.value);
+            }
+            cursor.continue();
+          } else {
+            resolve(packages);
+          }
+        };
+
+        request.onerror = () => {
+          console.error('Failed to get packages in date range:', request.error);
+          resolve([]);
+        };
+      });
+    } catch (error) {
+      console.error('Get packages in date range error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Search packages by sender, carrier, status, picked-up flag, date range and free text,
+   * sorted and paginated. A date range is read through getPackagesInDateRange.
+   */
+  async queryPackages(query = {}, account = null) {
+    try {
+      const [defaultSortBy, defaultSortOrder] = PACKAGE_QUERY_CONFIG.DEFAULT_SORT.split(':');
+      const {
+        text = '',
+        sender = '',
+        carriers = null,
+        statuses = null,
+        pickedUp = null,
+        startDate = null,
+        endDate = null,
+        sortBy = defaultSortBy,
+        sortOrder = defaultSortOrder
+      } = query;
+      const offset = Math.max(0, Number(query.offset) || 0);
+      const limit = Math.min(PACKAGE_QUERY_CONFIG.MAX_PAGE_SIZE, Math.max(1, Number(query.limit) || PACKAGE_QUERY_CONFIG.PAGE_SIZE));
+
+      if (!PACKAGE_QUERY_CONFIG.SORT_FIELDS.includes(sortBy)) {
+        throw new Error(`Cannot sort packages by ${sortBy}`);
+      }
+
+      // Date inputs are whole days, so the range ends at the end of endDate
+      const source = startDate || endDate
+        ? await this.getPackagesInDateRange(startDate || 0, endDate ? `${endDate}T23:59:59.999Z` : Date.now())
+        : await this.getPackages();
+
+      const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+      const senderText = sender.trim().toLowerCase();
+
+      const matches = source.filter(pkg => {
+        if (account && pkg[PACKAGE_SCHEMA.USER_EMAIL] !== account) return false;
+        if (pickedUp !== null && !!pkg[PACKAGE_SCHEMA.PICKED_UP] !== pickedUp) return false;
+        if (statuses && statuses.length && !statuses.includes(pkg[PACKAGE_SCHEMA.STATUS] || PACKAGE_STATUS.DELIVERED)) return false;
+        if (carriers && carriers.length && !carriers.includes(pkg[PACKAGE_SCHEMA.CARRIER])) return false;
+        if (senderText && !(pkg[PACKAGE_SCHEMA.SENDER] || '').toLowerCase().includes(senderText)) return false;
+
+        if (words.length) {
+          const haystack = PACKAGE_QUERY_CONFIG.TEXT_FIELDS.map(field => pkg[field] || '').join(' ').toLowerCase();
+          if (!words.every(word => haystack.includes(word))) return false;
+        }
+        return true;
+      });
+
+      // Missing values sort last in either direction
+      const direction = sortOrder === 'asc' ? 1 : -1;
+      const isDateField = sortBy === PACKAGE_SCHEMA.DELIVERY_TIME || sortBy === PACKAGE_SCHEMA.LAST_UPDATED;
+      matches.sort((a, b) => {
+        const valueA = a[sortBy] || (sortBy === PACKAGE_SCHEMA.STATUS ? PACKAGE_STATUS.DELIVERED : null);
+        const valueB = b[sortBy] || (sortBy === PACKAGE_SCHEMA.STATUS ? PACKAGE_STATUS.DELIVERED : null);
+        if (!valueA || !valueB) return valueA ? -1 : (valueB ? 1 : 0);
+
+        const order = isDateField
+          ? new Date(valueA) - new Date(valueB)
+          : String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' });
+        return order * direction;
+      });
+
+      const packages = matches.slice(offset, offset + limit);
+      return {
+        packages,
+        total: matches.length,
+        offset,
+        limit,
+        hasMore: offset + packages.length < matches.length
+      };
+    } catch (error) {
+      console.error('Query packages error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if email already exists in database
+   */
+  async emailExists(emailId) {
+    const existingEmailIds = await this.getExistingEmailIds([emailId]);
+    return existingEmailIds.has(emailId);
+  }
+
+  /**
+   * Find which of the given emails were already processed, in a single read of the packages store
+   */
+  async getExistingEmailIds(emailIds) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          const wanted = new Set(emailIds);
+          const existing = new Set();
+
+          // Linked packages keep every processed email in their status history
+          request.result.forEach(pkg => {
+            [pkg[PACKAGE_SCHEMA.EMAIL_ID], ...(pkg[PACKAGE_SCHEMA.STATUS_HISTORY] || []).map(entry => entry.emailId)]
+              .filter(emailId => wanted.has(emailId))
+              .forEach(emailId => existing.add(emailId));
+          });
+          resolve(existing);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to check which emails exist:', request.error);
+          resolve(new Set());
+        };
+      });
+    } catch (error) {
+      console.error('Check existing emails error:', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Save scan history to database
+   */
+  async saveScanHistory(scanData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME);
+
+        const scanRecord = {
+          [SCAN_HISTORY_SCHEMA.ID]: `scan_${Date.now()}`,
+          [SCAN_HISTORY_SCHEMA.SCAN_DATE]: new Date().toISOString(),
+          [SCAN_HISTORY_SCHEMA.EMAILS_SCANNED]: scanData.emailsScanned,
+          [SCAN_HISTORY_SCHEMA.EARLIEST_EMAIL_TIMESTAMP]: scanData.earliestEmailTimestamp,
+          [SCAN_HISTORY_SCHEMA.LATEST_EMAIL_TIMESTAMP]: scanData.latestEmailTimestamp,
+          [SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]: scanData.startDateRequested,
+          [SCAN_HISTORY_SCHEMA.END_DATE_REQUESTED]: scanData.endDateRequested,
+          [SCAN_HISTORY_SCHEMA.PACKAGES_FOUND]: scanData.packagesFound,
+          [SCAN_HISTORY_SCHEMA.TRIGGER]: scanData.trigger || SCHEDULE_CONFIG.TRIGGERS.MANUAL,
+          [SCAN_HISTORY_SCHEMA.ACCOUNT]: scanData.account || null
+        };
+
+        const request = store.add(scanRecord);
+
+        request.onsuccess = () => {
+          console.log('Scan history saved:', scanRecord.id);
+          resolve(scanRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save scan history:', request.error);
+          reject(new Error('Failed to save scan history'));
+        };
+      });
+    } catch (error) {
+      console.error('Save scan history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get scan history to check for overlapping scans, optionally for one account
+   */
+  async getScanHistory(account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          const scanHistory = request.result
+            .filter(scan => !account || scan[SCAN_HISTORY_SCHEMA.ACCOUNT] === account)
+            .sort((a, b) =>
+              new Date(b[SCAN_HISTORY_SCHEMA.SCAN_DATE]) - new Date(a[SCAN_HISTORY_SCHEMA.SCAN_DATE])
+            );
+          resolve(scanHistory);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to get scan history:', request.error);
+          resolve([]);
+        };
+      });
+    } catch (error) {
+      console.error('Get scan history error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check if a date range has already been scanned
+   */
+  async getOptimizedScanRanges(startDate, endDate, account = null) {
+    try {
+      const scanHistory = await this.getScanHistory(account);
+      const requestedStart = new Date(startDate).getTime();
+      const requestedEnd = new Date(endDate).getTime();
+
+      // Find overlapping scans using the REQUESTED date ranges, not email timestamps
+      const overlappingScans = scanHistory.filter(scan => {
+        const scanStart = new Date(scan[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime();
+        const scanEnd = new Date(scan[SCAN_HISTORY_SCHEMA.END_DATE_REQUESTED]).getTime();
+
+        // Check if there's any overlap between requested ranges
+        return !(scanEnd < requestedStart || scanStart > requestedEnd);
+      });
+
+      if (overlappingScans.length === 0) {
+        // No overlaps, scan the entire range
+        return [{ startDate, endDate, reason: 'No previous scans found' }];
+      }
+
+      // Calculate gaps that need to be scanned
+      const rangesToScan = [];
+      let currentStart = requestedStart;
+
+      // Sort overlapping scans by requested start date
+      overlappingScans.sort((a, b) =>
+        new Date(a[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime() -
+        new Date(b[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime()
+      );
+
+      for (const scan of overlappingScans) {
+        const scanStart = new Date(scan[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime();
+        const scanEnd = new Date(scan[SCAN_HISTORY_SCHEMA.END_DATE_REQUESTED]).getTime();
+
+        // If there's a gap before this scan, add it to ranges to scan
+        if (currentStart < scanStart) {
+          rangesToScan.push({
+            startDate: new Date(currentStart).toISOString().split('T')[0],
+            endDate: new Date(scanStart - 1).toISOString().split('T')[0],
+            reason: 'Gap before scanned range'
+          });
+        }
+
+        // Move current start to after this scan
+        currentStart = Math.max(currentStart, scanEnd + 1);
+      }
+
+      // If there's a gap after the last scan, add it
+      if (currentStart <= requestedEnd) {
+        rangesToScan.push({
+          startDate: new Date(currentStart).toISOString().split('T')[0],
+          endDate: endDate,
+          reason: 'Gap after scanned range'
+        });
+      }
+
+      return rangesToScan.length > 0 ? rangesToScan : [{
+        startDate: null,
+        endDate: null,
+        reason: 'Range already fully scanned'
+      }];
+
+    } catch (error) {
+      console.error('Get optimized scan ranges error:', error);
+      // Fallback to scanning the entire range
+      return [{ startDate, endDate, reason: 'Error checking scan history, scanning full range' }];
+    }
+  }
+
+  /**
+   * Save subscription to database
+   */
+  async saveSubscriptionToDB(subscriptionData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME);
+
+        const subscriptionRecord = {
+          [SUBSCRIPTION_SCHEMA.ID]: `${subscriptionData.emailId}_${Date.now()}`,
+          [SUBSCRIPTION_SCHEMA.USER_EMAIL]: subscriptionData.userEmail,
+          [SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME]: subscriptionData.subscriptionName,
+          [SUBSCRIPTION_SCHEMA.AMOUNT]: subscriptionData.amount,
+          [SUBSCRIPTION_SCHEMA.AMOUNT_VALUE]: subscriptionData.amountValue ?? null,
+          [SUBSCRIPTION_SCHEMA.CURRENCY]: subscriptionData.currency || null,
+          [SUBSCRIPTION_SCHEMA.BILLING_DATE]: subscriptionData.billingDate,
+          [SUBSCRIPTION_SCHEMA.REMINDER_DATE]: subscriptionData.reminderDate,
+          [SUBSCRIPTION_SCHEMA.BILLING_CYCLE]: subscriptionData.billingCycle || null,
+          [SUBSCRIPTION_SCHEMA.NEXT_RENEWAL_DATE]: subscriptionData.nextRenewalDate || null,
+          [SUBSCRIPTION_SCHEMA.EMAIL_ID]: subscriptionData.emailId,
+          [SUBSCRIPTION_SCHEMA.EMAIL_SUBJECT]: subscriptionData.emailSubject || '',
+          [SUBSCRIPTION_SCHEMA.EMAIL_FROM]: subscriptionData.emailFrom || '',
+          [SUBSCRIPTION_SCHEMA.CREATED_AT]: new Date().toISOString(),
+          [SUBSCRIPTION_SCHEMA.EXTRACTOR]: subscriptionData.extractor || null,
+          [SUBSCRIPTION_SCHEMA.SOURCE]: subscriptionData.source || ENTRY_SOURCES.EMAIL
+        };
+
+        const request = store.add(subscriptionRecord);
+
+        request.onsuccess = () => {
+          console.log('Subscription saved to database:', subscriptionRecord.id);
+          resolve(subscriptionRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save subscription:', request.error);
+          reject(new Error('Failed to save subscription'));
+        };
+      });
+    } catch (error) {
+      console.error('Save subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all subscriptions from database, optionally for one account
+   */
+  async getSubscriptions(account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          // Sort by billing date (newest first)
+          const subscriptions = request.result
+            .filter(sub => !account || sub[SUBSCRIPTION_SCHEMA.USER_EMAIL] === account)
+            .sort((a, b) =>
+              new Date(b[SUBSCRIPTION_SCHEMA.BILLING_DATE]) - new Date(a[SUBSCRIPTION_SCHEMA.BILLING_DATE])
+            );
+          resolve(subscriptions);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch subscriptions:', request.error);
+          reject(new Error('Failed to fetch subscriptions'));
+        };
+      });
+    } catch (error) {
+      console.error('Get subscriptions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save subscription scan history
+   */
+  async saveSubscriptionScanHistory(scanData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME);
+
+        const scanRecord = {
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ID]: `sub_scan_${Date.now()}`,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE]: new Date().toISOString(),
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.START_DATE]: scanData.startDate,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE]: scanData.endDate,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.EMAILS_SCANNED]: scanData.emailsScanned,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SUBSCRIPTIONS_FOUND]: scanData.subscriptionsFound,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.CALENDAR_EVENTS_CREATED]: scanData.calendarEventsCreated,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.TRIGGER]: scanData.trigger || SCHEDULE_CONFIG.TRIGGERS.MANUAL,
+          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ACCOUNT]: scanData.account || null
+        };
+
+        const request = store.add(scanRecord);
+
+        request.onsuccess = () => {
+          console.log('Subscription scan history saved:', scanRecord.id);
+          resolve(scanRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save subscription scan history:', request.error);
+          reject(new Error('Failed to save subscription scan history'));
+        };
+      });
+    } catch (error) {
+      console.error('Save subscription scan history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get latest subscription scan date, optionally for one account
+   */
+  async getLatestSubscriptionScanDate(account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME);
+        const index = store.index(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE);
+
+        const request = index.openCursor(null, 'prev');
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor && account && cursor.value[SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ACCOUNT] !== account) {
+            cursor.continue();
+          } else if (cursor) {
+            resolve(cursor.value[SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE]);
+          } else {
+            resolve(null);
+          }
+        };
+
+        request.onerror = () => {
+          console.error('Failed to get latest subscription scan date:', request.error);
+          resolve(null);
+        };
+      });
+    } catch (error) {
+      console.error('Get latest subscription scan date error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Assign package and subscription scan history saved before accounts existed to an account
+   */
+  async assignScanHistoryAccount(account) {
+    try {
+      if (!this.db) await this.initDB();
+
+      const historyStores = [
+        [PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME, SCAN_HISTORY_SCHEMA.ACCOUNT],
+        [PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ACCOUNT]
+      ];
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(historyStores.map(([storeName]) => storeName), 'readwrite');
+        let updatedCount = 0;
+
+        historyStores.forEach(([storeName, accountField]) => {
+          const request = transaction.objectStore(storeName).openCursor();
+
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            if (!cursor.value[accountField]) {
+              cursor.update({ ...cursor.value, [accountField]: account });
+              updatedCount++;
+            }
+            cursor.continue();
+          };
+        });
+
+        transaction.oncomplete = () => {
+          if (updatedCount > 0) console.log(`Assigned ${updatedCount} scan history records to ${account}`);
+          resolve(updatedCount);
+        };
+
+        transaction.onerror = () => {
+          console.error('Failed to assign scan history account:', transaction.error);
+          reject(new Error('Failed to assign scan history account'));
+        };
+      });
+    } catch (error) {
+      console.error('Assign scan history account error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if calendar event already exists for email
+   */
+  async calendarEventExists(emailId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+        const index = store.index(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID);
+
+        const request = index.get(emailId);
+
+        request.onsuccess = () => {
+          resolve(!!request.result);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to check calendar event exists:', request.error);
+          resolve(false);
+        };
+      });
+    } catch (error) {
+      console.error('Check calendar event exists error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save a subscription charge alert (re-scanning the same email overwrites it)
+   */
+  async saveSubscriptionAlert(alertData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME);
+
+        const alertRecord = {
+          [SUBSCRIPTION_ALERT_SCHEMA.ID]: `alert_${alertData.emailId}_${alertData.type}`,
+          [SUBSCRIPTION_ALERT_SCHEMA.TYPE]: alertData.type,
+          [SUBSCRIPTION_ALERT_SCHEMA.USER_EMAIL]: alertData.userEmail || null,
+          [SUBSCRIPTION_ALERT_SCHEMA.SUBSCRIPTION_NAME]: alertData.subscriptionName,
+          [SUBSCRIPTION_ALERT_SCHEMA.SUBSCRIPTION_KEY]: alertData.subscriptionKey,
+          [SUBSCRIPTION_ALERT_SCHEMA.EMAIL_ID]: alertData.emailId,
+          [SUBSCRIPTION_ALERT_SCHEMA.BILLING_DATE]: alertData.billingDate,
+          [SUBSCRIPTION_ALERT_SCHEMA.AMOUNT]: alertData.amount,
+          [SUBSCRIPTION_ALERT_SCHEMA.PREVIOUS_AMOUNT]: alertData.previousAmount || null,
+          [SUBSCRIPTION_ALERT_SCHEMA.PREVIOUS_BILLING_DATE]: alertData.previousBillingDate || null,
+          [SUBSCRIPTION_ALERT_SCHEMA.MESSAGE]: alertData.message,
+          [SUBSCRIPTION_ALERT_SCHEMA.DISMISSED]: false,
+          [SUBSCRIPTION_ALERT_SCHEMA.CREATED_AT]: new Date().toISOString()
+        };
+
+        const request = store.put(alertRecord);
+
+        request.onsuccess = () => {
+          console.log('Subscription alert saved:', alertRecord.id);
+          resolve(alertRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save subscription alert:', request.error);
+          reject(new Error('Failed to save subscription alert'));
+        };
+      });
+    } catch (error) {
+      console.error('Save subscription alert error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get subscription charge alerts, newest first, optionally for one account.
+   * Alerts saved before they carried an account are matched through the charge email they were raised for.
+   */
+  async getSubscriptionAlerts(includeDismissed = false, account = null) {
+    try {
+      if (!this.db) await this.initDB();
+      const accountEmailIds = account
+        ? new Set((await this.getSubscriptions(account)).map(row => row[SUBSCRIPTION_SCHEMA.EMAIL_ID]))
+        : null;
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          const alerts = request.result
+            .filter(alert => includeDismissed || !alert[SUBSCRIPTION_ALERT_SCHEMA.DISMISSED])
+            .filter(alert => !account || (alert[SUBSCRIPTION_ALERT_SCHEMA.USER_EMAIL]
+              ? alert[SUBSCRIPTION_ALERT_SCHEMA.USER_EMAIL] === account
+              : accountEmailIds.has(alert[SUBSCRIPTION_ALERT_SCHEMA.EMAIL_ID])))
+            .sort((a, b) => b[SUBSCRIPTION_ALERT_SCHEMA.CREATED_AT].localeCompare(a[SUBSCRIPTION_ALERT_SCHEMA.CREATED_AT]));
+          resolve(alerts);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch subscription alerts:', request.error);
+          reject(new Error('Failed to fetch subscription alerts'));
+        };
+      });
+    } catch (error) {
+      console.error('Get subscription alerts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dismiss a subscription charge alert
+   */
+  async dismissSubscriptionAlert(alertId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME);
+
+        const getRequest = store.get(alertId);
+
+        getRequest.onsuccess = () => {
+          const alertRecord = getRequest.result;
+          if (!alertRecord) {
+            reject(new Error('Alert not found'));
+            return;
+          }
+
+          alertRecord[SUBSCRIPTION_ALERT_SCHEMA.DISMISSED] = true;
+          const updateRequest = store.put(alertRecord);
+          updateRequest.onsuccess = () => resolve(alertRecord);
+          updateRequest.onerror = () => reject(new Error('Failed to dismiss alert'));
+        };
+
+        getRequest.onerror = () => {
+          reject(new Error('Failed to find alert'));
+        };
+      });
+    } catch (error) {
+      console.error('Dismiss subscription alert error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a free trial (one record per service and trial end date)
+   */
+  async saveTrial(trialData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.TRIALS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.TRIALS_STORE_NAME);
+
+        const trialRecord = {
+          [TRIAL_SCHEMA.ID]: trialData.id,
+          [TRIAL_SCHEMA.USER_EMAIL]: trialData.userEmail,
+          [TRIAL_SCHEMA.SERVICE_NAME]: trialData.serviceName,
+          [TRIAL_SCHEMA.TRIAL_END_DATE]: trialData.trialEndDate,
+          [TRIAL_SCHEMA.PRICE_AFTER_TRIAL]: trialData.priceAfterTrial,
+          [TRIAL_SCHEMA.AMOUNT_VALUE]: trialData.amountValue ?? null,
+          [TRIAL_SCHEMA.CURRENCY]: trialData.currency || null,
+          [TRIAL_SCHEMA.REMINDER_DATE]: trialData.reminderDate,
+          [TRIAL_SCHEMA.EMAIL_ID]: trialData.emailId,
+          [TRIAL_SCHEMA.EMAIL_SUBJECT]: trialData.emailSubject || '',
+          [TRIAL_SCHEMA.EMAIL_FROM]: trialData.emailFrom || '',
+          [TRIAL_SCHEMA.CREATED_AT]: new Date().toISOString(),
+          [TRIAL_SCHEMA.EXTRACTOR]: trialData.extractor || null
+        };
+
+        const request = store.put(trialRecord);
+
+        request.onsuccess = () => {
+          console.log('Trial saved to database:', trialRecord.id);
+          resolve(trialRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save trial:', request.error);
+          reject(new Error('Failed to save trial'));
+        };
+      });
+    } catch (error) {
+      console.error('Save trial error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all free trials, soonest ending first, optionally for one account
+   */
+  async getTrials(account = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.TRIALS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.TRIALS_STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          const trials = request.result
+            .filter(trial => !account || trial[TRIAL_SCHEMA.USER_EMAIL] === account)
+            .sort((a, b) =>
+              (a[TRIAL_SCHEMA.TRIAL_END_DATE] || '').localeCompare(b[TRIAL_SCHEMA.TRIAL_END_DATE] || '')
+            );
+          resolve(trials);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch trials:', request.error);
+          reject(new Error('Failed to fetch trials'));
+        };
+      });
+    } catch (error) {
+      console.error('Get trials error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one free trial by ID, or by another indexed field such as the email it was found in
+   */
+  async getTrial(value, indexName = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.TRIALS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.TRIALS_STORE_NAME);
+
+        const request = indexName ? store.index(indexName).get(value) : store.get(value);
+
+        request.onsuccess = () => {
+          resolve(request.result || null);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch trial:', request.error);
+          reject(new Error('Failed to fetch trial'));
+        };
+      });
+    } catch (error) {
+      console.error('Get trial error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an email a scan couldn't process so a later scan can retry it
+   * previousFailure is the record being retried, its attempt count carries over
+   */
+  async saveExtractionFailure(failureData, previousFailure = null) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME);
+        const now = new Date().toISOString();
+
+        const failureRecord = {
+          [EXTRACTION_FAILURE_SCHEMA.ID]: `${failureData.scanType}_${failureData.emailId}`,
+          [EXTRACTION_FAILURE_SCHEMA.EMAIL_ID]: failureData.emailId,
+          [EXTRACTION_FAILURE_SCHEMA.SCAN_TYPE]: failureData.scanType,
+          [EXTRACTION_FAILURE_SCHEMA.ACCOUNT]: failureData.account || null,
+          [EXTRACTION_FAILURE_SCHEMA.ERROR]: failureData.error,
+          [EXTRACTION_FAILURE_SCHEMA.ATTEMPTS]: (previousFailure ? previousFailure[EXTRACTION_FAILURE_SCHEMA.ATTEMPTS] : 0) + 1,
+          [EXTRACTION_FAILURE_SCHEMA.FIRST_FAILED_AT]: previousFailure ? previousFailure[EXTRACTION_FAILURE_SCHEMA.FIRST_FAILED_AT] : now,
+          [EXTRACTION_FAILURE_SCHEMA.LAST_FAILED_AT]: now
+        };
+
+        const request = store.put(failureRecord);
+
+        request.onsuccess = () => {
+          console.log('Extraction failure recorded:', failureRecord.id);
+          resolve(failureRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to record extraction failure:', request.error);
+          reject(new Error('Failed to record extraction failure'));
+        };
+      });
+    } catch (error) {
+      console.error('Save extraction failure error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recorded extraction failures, optionally for one account and scan type
+   * retryableOnly leaves out emails that already failed MAX_FAILURE_RETRIES times
+   */
+  async getExtractionFailures(account = null, scanType = null, retryableOnly = false) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          const failures = request.result
+            .filter(failure => !account || failure[EXTRACTION_FAILURE_SCHEMA.ACCOUNT] === account)
+            .filter(failure => !scanType || failure[EXTRACTION_FAILURE_SCHEMA.SCAN_TYPE] === scanType)
+            .filter(failure => !retryableOnly || failure[EXTRACTION_FAILURE_SCHEMA.ATTEMPTS] < EXTRACTOR_CONFIG.MAX_FAILURE_RETRIES)
+            .sort((a, b) => b[EXTRACTION_FAILURE_SCHEMA.LAST_FAILED_AT].localeCompare(a[EXTRACTION_FAILURE_SCHEMA.LAST_FAILED_AT]));
+          resolve(failures);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch extraction failures:', request.error);
+          reject(new Error('Failed to fetch extraction failures'));
+        };
+      });
+    } catch (error) {
+      console.error('Get extraction failures error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an extraction failure record, done before the email is retried
+   */
+  async deleteExtractionFailure(failureId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME);
+
+        const request = store.delete(failureId);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(new Error('Failed to delete extraction failure'));
+      });
+    } catch (error) {
+      console.error('Delete extraction failure error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset the attempt count of an account's failures so the next scans retry them all
+   */
+  async resetExtractionFailures(account = null) {
+    const failures = await this.getExtractionFailures(account);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME);
+
+      failures.forEach(failure => store.put({ ...failure, [EXTRACTION_FAILURE_SCHEMA.ATTEMPTS]: 0 }));
+
+      transaction.oncomplete = () => resolve(failures.length);
+      transaction.onerror = () => reject(new Error('Failed to reset extraction failures'));
+    });
+  }
+
+  /**
+   * Check if a calendar reminder already exists for a trial
+   */
+  async trialCalendarEventExists(trialId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME);
+        const index = store.index(TRIAL_CALENDAR_EVENTS_SCHEMA.TRIAL_ID);
+
+        const request = index.get(trialId);
+
+        request.onsuccess = () => {
+          resolve(!!request.result);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to check trial calendar event exists:', request.error);
+          resolve(false);
+        };
+      });
+    } catch (error) {
+      console.error('Check trial calendar event exists error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save trial calendar event record
+   */
+  async saveTrialCalendarEventRecord(eventData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME);
+
+        const eventRecord = {
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.ID]: `trial_event_${Date.now()}`,
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.TRIAL_ID]: eventData.trialId,
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.EMAIL_ID]: eventData.emailId,
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.SERVICE_NAME]: eventData.serviceName,
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID]: eventData.calendarEventId,
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE]: eventData.reminderDate,
+          [TRIAL_CALENDAR_EVENTS_SCHEMA.CREATED_DATE]: new Date().toISOString()
+        };
+
+        const request = store.add(eventRecord);
+
+        request.onsuccess = () => {
+          console.log('Trial calendar event record saved:', eventRecord.id);
+          resolve(eventRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save trial calendar event record:', request.error);
+          reject(new Error('Failed to save trial calendar event record'));
+        };
+      });
+    } catch (error) {
+      console.error('Save trial calendar event record error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save calendar event record
+   */
+  async saveCalendarEventRecord(eventData) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+
+        const eventRecord = {
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.ID]: `cal_event_${Date.now()}`,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID]: eventData.emailId,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME]: eventData.subscriptionName,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID]: eventData.calendarEventId,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CREATED_DATE]: new Date().toISOString(),
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_SUBJECT]: eventData.emailSubject,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_FROM]: eventData.emailFrom,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE]: eventData.reminderDate || null,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS]: CALENDAR_REMINDER_STATUS.ACTIVE,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE]: eventData.eventType || CALENDAR_EVENT_TYPES.SINGLE,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.RECURRENCE]: eventData.recurrence || null,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.BILLING_CYCLE]: eventData.billingCycle || null,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_ID]: eventData.calendarId || CALENDAR_API.DEFAULT_CALENDAR_ID,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TIME]: eventData.eventTime || null,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.DURATION_MINUTES]: eventData.durationMinutes || null,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.USER_EMAIL]: eventData.userEmail || null
+        };
+
+        const request = store.add(eventRecord);
+
+        request.onsuccess = () => {
+          console.log('Calendar event record saved:', eventRecord.id);
+          resolve(eventRecord);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to save calendar event record:', request.error);
+          reject(new Error('Failed to save calendar event record'));
+        };
+      });
+    } catch (error) {
+      console.error('Save calendar event record error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get subscription calendar reminders, soonest first (active only unless includeInactive)
+   */
+  async getCalendarEventRecords(includeInactive = false) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+          const records = request.result
+            .filter(record => includeInactive || record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS] === CALENDAR_REMINDER_STATUS.ACTIVE)
+            .sort((a, b) =>
+              (a[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE] || '9999').localeCompare(b[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE] || '9999')
+            );
+          resolve(records);
+        };
+
+        request.onerror = () => {
+          console.error('Failed to fetch calendar event records:', request.error);
+          reject(new Error('Failed to fetch calendar event records'));
+        };
+      });
+    } catch (error) {
+      console.error('Get calendar event records error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the local record of a Google Calendar event
+   */
+  async getCalendarEventRecordByEventId(calendarEventId) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+        const index = store.index(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID);
+
+        const request = index.get(calendarEventId);
+
+        request.onsuccess = () => {
+          resolve(request.result || null);
+        };
+
+        request.onerror = () => {
+          reject(new Error('Failed to find calendar event record'));
+        };
+      });
+    } catch (error) {
+      console.error('Get calendar event record error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the local record of a Google Calendar event
+   */
+  async updateCalendarEventRecord(calendarEventId, changes) {
+    try {
+      if (!this.db) await this.initDB();
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+        const index = store.index(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID);
+
+        const getRequest = index.get(calendarEventId);
+
+        getRequest.onsuccess = () => {
+          const eventRecord = getRequest.result;
+          if (!eventRecord) {
+            resolve(null);
+            return;
+          }
+
+          Object.assign(eventRecord, changes, {
+            [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.UPDATED_DATE]: new Date().toISOString()
+          });
+
+          const updateRequest = store.put(eventRecord);
+          updateRequest.onsuccess = () => resolve(eventRecord);
+          updateRequest.onerror = () => reject(new Error('Failed to update calendar event record'));
+        };
+
+        getRequest.onerror = () => {
+          reject(new Error('Failed to find calendar event record'));
+        };
+      });
+    } catch (error) {
+      console.error('Update calendar event record error:', error);
+      throw error;
+    }
+  }
+
+}
+
+/**
+ * Subscription Tracker - Main orchestrator for subscription tracking
+ */
+class SubscriptionTracker {
+  constructor(gmailScanner, llmExtractor, calendarManager, packageDB, syncEngine = null, notificationManager = null) {
+    this.gmailScanner = gmailScanner;
+    this.llmExtractor = llmExtractor;
+    this.calendarManager = calendarManager;
+    this.packageDB = packageDB;
+    this.syncEngine = syncEngine;
+    this.notificationManager = notificationManager;
+    this.aggregator = new SubscriptionAggregator(packageDB);
+  }
+
+  /**
+   * Scan current month subscription emails and create calendar reminders
+   * options.scanControl cancels or pauses the scan between emails and skips emails a resumed scan already processed
+   */
+  async scanCurrentMonthSubscriptions(progressCallback = null, options = {}) {
+    const scanControl = options.scanControl || new ScanControl();
+
+    try {
+      // Fetch messages added since the last sync, falling back to a date range search
+      const sync = this.syncEngine
+        ? await this.syncEngine.startSync(SYNC_CONFIG.SCOPES.SUBSCRIPTION)
+        : null;
+      const isIncrementalSync = !!(sync && sync.messageIds);
+
+      // Get the last scan date to optimize scanning
+      const lastScanDate = await this.packageDB.getLatestSubscriptionScanDate(options.account);
+      
+      let startDate, endDate;
+      if (isIncrementalSync) {
+        startDate = sync.lastSyncDate;
+        endDate = new Date().toISOString().split('T')[0];
+        console.log(`Incremental sync: ${sync.messageIds.length} new messages since ${startDate}`);
+      } else if (lastScanDate) {
+        // Scan from last scan date to now
+        startDate = lastScanDate;
+        endDate = new Date().toISOString().split('T')[0];
+        console.log(`Incremental scan from ${startDate} to ${endDate}`);
+      } else {
+        // First time scan - scan current month
+        const now = new Date();
+        startDate = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
+        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0];
+        console.log(`Initial scan from ${startDate} to ${endDate}`);
+      }
+
+      // Define keywords for filtering
+      const subscriptionSpecificKeywords = ['subscription', 'renewal', 'monthly subscription', 'annual subscription'];
+      const trialSettings = await this.getTrialSettings();
+      const renewalSettings = await this.getRenewalSettings();
+      // Kept in the checkpoint, emails processed before a restart are skipped on resume but still get their reminders
+      scanControl.results.trials = scanControl.results.trials || [];
+      scanControl.results.subscriptions = scanControl.results.subscriptions || [];
+      const trials = scanControl.results.trials;
+
+      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 10, message: 'Searching for subscription emails...' });
+
+      // Use synced message IDs or search for subscription-related emails
+      const foundEmailIds = isIncrementalSync
+        ? sync.messageIds
+        : await this.searchSubscriptionEmails({ startDate, endDate, signal: scanControl.signal });
+
+      // Emails that failed on earlier scans are retried along with the new ones
+      const retryFailures = new Map(
+        (await this.packageDB.getExtractionFailures(options.account, SYNC_CONFIG.SCOPES.SUBSCRIPTION, true))
+          .map(failure => [failure[EXTRACTION_FAILURE_SCHEMA.EMAIL_ID], failure])
+      );
+      const emailIds = [...new Set([...foundEmailIds, ...retryFailures.keys()])];
+
+      if (emailIds.length === 0) {
+        if (sync) await this.syncEngine.commitSync(sync);
+        if (progressCallback) progressCallback({ step: 'complete', progress: 100, message: 'No subscription emails found' });
+        return [];
+      }
+
+      // A resumed scan skips the emails it processed before the restart
+      const remainingIds = emailIds.filter(emailId => !scanControl.isProcessed(emailId));
+
+      // First pass on headers and snippets only, emails neither prefilter below would keep are never fetched in full
+      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 20, message: `Checking ${remainingIds.length} emails...` });
+      const metadata = await this.gmailScanner.fetchEmailMetadata(remainingIds, scanControl.signal);
+      const candidateIds = remainingIds.filter(emailId => {
+        const emailMetadata = metadata.get(emailId);
+        return !emailMetadata || retryFailures.has(emailId) ||
+          this.isLikelyTrialEmail(emailMetadata) ||
+          this.isLikelySubscriptionEmail(emailMetadata, subscriptionSpecificKeywords);
+      });
+      console.log(`Subscription first pass kept ${candidateIds.length} of ${remainingIds.length} emails`);
+
+      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 30, message: `Processing ${candidateIds.length} subscription emails...` });
+
+      // Charges recorded so far, kept up to date as this scan saves new ones
+      const existingRows = await this.packageDB.getSubscriptions(options.account);
+      // New-service alerts only make sense once we know which services were already tracked
+      const flagNewServices = existingRows.length > 0;
+      let alertCount = 0;
+
+      const subscriptions = scanControl.results.subscriptions;
+      const totalEmails = candidateIds.length;
+      let processedEmails = 0;
+      let analyzedEmails = 0;
+      const emailQueue = this.gmailScanner.createEmailQueue(candidateIds, 'full', scanControl.signal);
+
+      for (let i = 0; i < candidateIds.length; i++) {
+        await scanControl.waitIfPaused();
+
+        const emailId = candidateIds[i];
+        processedEmails++;
+        const emailProgress = 30 + (processedEmails / totalEmails) * 50;
+
+        const previousFailure = retryFailures.get(emailId);
+        if (previousFailure) {
+          await this.packageDB.deleteExtractionFailure(previousFailure[EXTRACTION_FAILURE_SCHEMA.ID]);
+        }
+
+        try {
+          if (progressCallback) {
+            progressCallback({
+              step: 'subscription_scan',
+              progress: Math.round(emailProgress),
+              message: `Processing email ${processedEmails}/${totalEmails}...`
+            });
+          }
+
+          // Fetch email content (prefetched in batches)
+          const email = await emailQueue.get(i);
+
+          // Synced messages are not filtered by Gmail search, apply the same subject/content query here
+          if (isIncrementalSync && !this.matchesSubscriptionSearch(email, [...subscriptionSpecificKeywords, ...TRIAL_CONFIG.KEYWORDS])) {
+            continue;
+          }
+
+          // Trial emails are rejected by the subscription classifier, so they get their own
+          if (this.isLikelyTrialEmail(email)) {
+            const trial = await this.processTrialEmail(email, emailId, trialSettings, scanControl.signal);
+            if (trial) {
+              trials.push(trial);
+              continue;
+            }
+          }
+
+          // Pre-filter: Check if this email is likely subscription-related before sending to LLM
+          if (!this.isLikelySubscriptionEmail(email, subscriptionSpecificKeywords)) {
+            console.log(`Filtered out email: "${email.subject}" - not subscription-related`);
+            continue; // Skip this email
+          }
+
+          analyzedEmails++;
+          if (progressCallback) {
+            progressCallback({
+              step: 'subscription_scan',
+              progress: Math.round(emailProgress),
+              message: `Analyzing subscription email ${analyzedEmails} (${processedEmails}/${totalEmails} processed)`
+            });
+          }
+
+          // Extract subscription information using LLM
+          const subscriptionInfo = await this.extractSubscriptionInfo(email.body || email.snippet || '', email.from, email.subject, email.date, scanControl.signal);
+
+          if (subscriptionInfo.isSubscriptionEmail) {
+            // Predict the next renewal from the email, falling back to the charge history
+            const renewal = this.aggregator.predictRenewal(subscriptionInfo, existingRows);
+            const reminderDate = this.getRenewalReminderDate(renewal.nextRenewalDate, renewalSettings.leadDays);
+
+            const subscriptionData = {
+              userEmail: await this.getCurrentUserEmail(),
+              subscriptionName: subscriptionInfo.subscriptionName,
+              amount: subscriptionInfo.amount,
+              amountValue: subscriptionInfo.amountValue,
+              currency: subscriptionInfo.currency,
+              billingDate: subscriptionInfo.billingDate,
+              billingCycle: renewal.billingCycle,
+              nextRenewalDate: renewal.nextRenewalDate,
+              reminderDate,
+              emailId: emailId,
+              emailSubject: email.subject,
+              emailFrom: email.from,
+              extractor: subscriptionInfo.extractor
+            };
+
+            // Compare with this service's previous charges before saving the new one
+            const alerts = this.aggregator.detectChargeAlerts(subscriptionData, existingRows, flagNewServices);
+            for (const alert of alerts) {
+              await this.packageDB.saveSubscriptionAlert({ ...alert, userEmail: subscriptionData.userEmail });
+              alertCount++;
+            }
+
+            // Save to database
+            const savedSubscription = await this.packageDB.saveSubscriptionToDB(subscriptionData);
+            existingRows.push(savedSubscription);
+
+            subscriptions.push({
+              ...subscriptionInfo,
+              userEmail: subscriptionData.userEmail,
+              billingCycle: renewal.billingCycle,
+              nextRenewalDate: renewal.nextRenewalDate,
+              cycleSource: renewal.source,
+              reminderDate,
+              emailId: emailId,
+              emailDate: email.date,
+              emailSubject: email.subject,
+              emailFrom: email.from
+            });
+          }
+
+        } catch (emailError) {
+          if (scanControl.signal.aborted) throw emailError;
+          console.error(`Failed to process email ${emailId}:`, emailError);
+          await this.packageDB.saveExtractionFailure({
+            emailId,
+            scanType: SYNC_CONFIG.SCOPES.SUBSCRIPTION,
+            account: options.account,
+            error: emailError.message
+          }, previousFailure).catch(saveError => console.error('Could not record extraction failure:', saveError));
+        } finally {
+          await scanControl.markProcessed(emailId);
+        }
+      }
+
+      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 80, message: `Creating calendar events for ${subscriptions.length} subscriptions...` });
+
+      // Create calendar events for subscriptions (check for duplicates)
+      const createdEvents = [];
+      for (let i = 0; i < subscriptions.length; i++) {
+        const subscription = subscriptions[i];
+        try {
+          const event = await this.createRenewalReminder(subscription, renewalSettings);
+          if (event) createdEvents.push(event);
+        } catch (eventError) {
+          console.error(`Failed to create calendar event for subscription:`, eventError);
+        }
+      }
+
+      // Move services tracked with one-off reminders onto a series once their cycle is known
+      try {
+        createdEvents.push(...await this.migrateRemindersToSeries(renewalSettings, options.account));
+      } catch (migrationError) {
+        console.error('Failed to migrate reminders to recurring events:', migrationError);
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          step: 'complete',
+          progress: 100,
+          message: `Created ${createdEvents.length} subscription reminders` +
+            (trials.length > 0 ? `, found ${trials.length} free trial${trials.length === 1 ? '' : 's'}` : '') +
+            (alertCount > 0 ? `, ${alertCount} charge alert${alertCount === 1 ? '' : 's'}` : '')
+        });
+      }
+
+      if (sync) await this.syncEngine.commitSync(sync);
+
+      // Save subscription scan history
+      try {
+        await this.packageDB.saveSubscriptionScanHistory({
+          startDate: startDate,
+          endDate: endDate,
+          emailsScanned: emailIds.length,
+          subscriptionsFound: subscriptions.length,
+          calendarEventsCreated: createdEvents.length,
+          trigger: options.trigger,
+          account: options.account
+        });
+      } catch (historyError) {
+        console.error('Failed to save subscription scan history:', historyError);
+      }
+
+      // Let the user know about renewals coming up soon
+      if (this.notificationManager) {
+        await this.notificationManager.sendRenewalDigest();
+      }
+
+      // Don't clear progress here - let the progress callback handle it
+
+      return createdEvents;
+
+    } catch (error) {
+      if (scanControl.signal.aborted) {
+        console.log('Subscription scan cancelled');
+        if (progressCallback) progressCallback({ step: 'cancelled', progress: 0, message: ERROR_MESSAGES.SCAN_CANCELLED });
+        throw error;
+      }
+
+      console.error('Scan subscriptions error:', error);
+      if (progressCallback) {
+        progressCallback({
+          step: 'error',
+          progress: 0,
+          message: `Error: ${error.message}`
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the calendar reminder for a newly saved charge: a recurring series once the billing cycle is known,
+   * otherwise a one-off reminder. Returns null if the charge already has one.
+   */
+  async createRenewalReminder(subscription, renewalSettings) {
+    // Check if calendar event already exists for this email
+    const eventExists = await this.packageDB.calendarEventExists(subscription.emailId);
+    if (eventExists) {
+      console.log(`Calendar event already exists for email ${subscription.emailId}, skipping`);
+      return null;
+    }
+
+    // Once the billing cycle is known, one recurring event covers every renewal
+    if (subscription.cycleSource !== 'default') {
+      return this.ensureRenewalSeries(subscription, renewalSettings);
+    }
+
+    // Past receipts of one service all predict the same renewal, which only needs one reminder
+    const key = this.aggregator.normalizeName(subscription.subscriptionName);
+    const records = await this.getAccountReminderRecords(subscription.userEmail, true);
+    const sameRenewal = records.some(record =>
+      this.aggregator.normalizeName(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME]) === key &&
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE] === subscription.reminderDate
+    );
+    if (sameRenewal) {
+      console.log(`Reminder for ${subscription.subscriptionName} on ${subscription.reminderDate} already exists, skipping`);
+      return null;
+    }
+
+    const event = await this.createSubscriptionReminderEvent(subscription);
+
+    // Save calendar event record to prevent duplicates
+    await this.packageDB.saveCalendarEventRecord({
+      emailId: subscription.emailId,
+      subscriptionName: subscription.subscriptionName,
+      calendarEventId: event.id,
+      emailSubject: subscription.emailSubject,
+      emailFrom: subscription.emailFrom,
+      reminderDate: event.reminderDate,
+      calendarId: event.calendarId,
+      eventTime: event.eventTime,
+      durationMinutes: event.durationMinutes,
+      userEmail: subscription.userEmail
+    });
+
+    return event;
+  }
+
+  /**
+   * Add a charge that has no billing email, such as a direct debit. It goes through the same
+   * renewal prediction, charge alerts and calendar reminder as a scanned one.
+   */
+  async addManualSubscription(entry = {}, account = null) {
+    const subscriptionName = (entry.subscriptionName || '').trim();
+    const billingDate = entry.billingDate || '';
+    const isValidDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime());
+
+    if (!subscriptionName) {
+      throw new Error(`${ERROR_MESSAGES.MANUAL_ENTRY_INVALID}: service name is required`);
+    }
+    if (!isValidDate(billingDate)) {
+      throw new Error(`${ERROR_MESSAGES.MANUAL_ENTRY_INVALID}: billing date must be YYYY-MM-DD`);
+    }
+    if (entry.nextBillingDate && !isValidDate(entry.nextBillingDate)) {
+      throw new Error(`${ERROR_MESSAGES.MANUAL_ENTRY_INVALID}: next billing date must be YYYY-MM-DD`);
+    }
+    if (entry.billingCycle && !this.aggregator.billingCycles.some(cycle => cycle.id === entry.billingCycle)) {
+      throw new Error(`${ERROR_MESSAGES.MANUAL_ENTRY_INVALID}: unknown billing cycle ${entry.billingCycle}`);
+    }
+
+    const amount = (entry.amount || '').trim() || null;
+    const parsedAmount = amount ? parseCurrencyAmount(amount) : null;
+    if (amount && !parsedAmount) {
+      throw new Error(`${ERROR_MESSAGES.MANUAL_ENTRY_INVALID}: amount not recognised, include a currency (e.g. $9.99 or 9.99 EUR)`);
+    }
+
+    // A billing cycle picked in the form counts like one stated in an email
+    const existingRows = await this.packageDB.getSubscriptions(account);
+    const renewal = this.aggregator.predictRenewal({
+      subscriptionName,
+      billingDate,
+      billingPeriod: entry.billingCycle || null,
+      nextBillingDate: entry.nextBillingDate || null
+    }, existingRows);
+    const renewalSettings = await this.getRenewalSettings();
+
+    const subscriptionData = {
+      userEmail: account || await this.getCurrentUserEmail(),
+      subscriptionName,
+      amount,
+      amountValue: parsedAmount ? parsedAmount.value : null,
+      currency: parsedAmount ? parsedAmount.currency : null,
+      billingDate,
+      billingCycle: renewal.billingCycle,
+      nextRenewalDate: renewal.nextRenewalDate,
+      reminderDate: this.getRenewalReminderDate(renewal.nextRenewalDate, renewalSettings.leadDays),
+      emailId: `${MANUAL_ENTRY_CONFIG.EMAIL_ID_PREFIX}${Date.now()}`,
+      emailSubject: '',
+      emailFrom: '',
+      source: ENTRY_SOURCES.MANUAL
+    };
+
+    // The user knows the service, so only price and duplicate charge alerts apply
+    const alerts = this.aggregator.detectChargeAlerts(subscriptionData, existingRows, false);
+    for (const alert of alerts) {
+      await this.packageDB.saveSubscriptionAlert({ ...alert, userEmail: subscriptionData.userEmail });
+    }
+
+    const subscription = await this.packageDB.saveSubscriptionToDB(subscriptionData);
+
+    // A calendar failure (e.g. not signed in) keeps the saved charge
+    let event = null;
+    let reminderError = null;
+    try {
+      event = await this.createRenewalReminder({ ...subscriptionData, cycleSource: renewal.source }, renewalSettings);
+    } catch (error) {
+      console.error(`Failed to create calendar reminder for ${subscriptionName}:`, error);
+      reminderError = error.message;
+    }
+
+    return { subscription, event, alertCount: alerts.length, reminderError };
+  }
+
+  /**
+   * Pre-filter to check if email is likely subscription-related
+   * Only uses subscription-specific keywords and subject filtering
+   */
+  isLikelySubscriptionEmail(email, subscriptionKeywords) {
+    const subject = (email.subject || '').toLowerCase();
+    const fullContent = (email.snippet || '').toLowerCase();
+
+    // Check if subject contains subscription or plan
+    const hasSubscriptionSubject = subject.includes('subscription') || subject.includes('plan');
+
+    // Check if content contains subscription-specific keywords
+    const hasSubscriptionContent = subscriptionKeywords.some(keyword =>
+      fullContent.includes(keyword.toLowerCase())
+    );
+
+    // Allow if: subscription content OR subscription/plan in subject
+    return hasSubscriptionContent || hasSubscriptionSubject;
+  }
+
+  /**
+   * Client-side equivalent of the subscription Gmail search query (used for synced messages)
+   */
+  matchesSubscriptionSearch(email, subscriptionKeywords) {
+    const subject = (email.subject || '').toLowerCase();
+    const content = `${email.snippet || ''} ${email.body || ''}`.toLowerCase();
+
+    const subjectTerms = ['subscription', 'plan', 'membership', 'renewal', 'trial'];
+    return subjectTerms.some(term => subject.includes(term)) ||
+      subscriptionKeywords.some(keyword => content.includes(keyword.toLowerCase()));
+  }
+
+  /**
+   * Search for subscription-related emails
+   */
+  async searchSubscriptionEmails(options = {}) {
+    try {
+      const { startDate, endDate, signal = null } = options;
+      const keywords = SUBSCRIPTION_CONFIG.DEFAULT_SEARCH_KEYWORDS;
+
+      console.log('Searching subscription emails from', startDate, 'to', endDate);
+
+      // Build more restrictive search query for subscription emails
+      const subscriptionSpecificKeywords = ['subscription', 'renewal', 'monthly subscription', 'annual subscription'];
+
+      const searchOptions = {
+        newerThan: startDate,
+        olderThan: endDate,
+        signal
+      };
+
+      // Override the buildSearchQuery to be more restrictive
+      const originalBuildQuery = this.gmailScanner.buildSearchQuery;
+      this.gmailScanner.buildSearchQuery = (newerThan, olderThan) => {
+        // Build the query components - only use subscription keywords and subject filter in Gmail search
+        const subjectQuery = 'subject:(subscription OR plan or membership or renewal or trial)';
+        const subscriptionContentQuery = [...subscriptionSpecificKeywords, ...TRIAL_CONFIG.KEYWORDS]
+          .map(keyword => `"${keyword}"`).join(' OR ');
+
+        // Use subscription-specific content OR subscription/plan in subject (payment filtering will be done on snippets later)
+        let query = `((${subscriptionContentQuery}) OR ${subjectQuery})`;
+
+        if (newerThan) {
+          const date = new Date(newerThan);
+          const dateStr = date.toISOString().split('T')[0].replace(/-/g, '/');
+          query += ` after:${dateStr}`;
+        }
+
+        if (olderThan) {
+          const date = new Date(olderThan);
+          const dateStr = date.toISOString().split('T')[0].replace(/-/g, '/');
+          query += ` before:${dateStr}`;
+        }
+
+        query += ` ${SEARCH_QUERIES.SPAM_FILTER}`;
+        console.log('Subscription search query:', query);
+        return query;
+      };
+
+      let emailIds;
+      try {
+        emailIds = await this.gmailScanner.searchEmails(searchOptions);
+      } finally {
+        // Restore original method, also when the search was cancelled
+        this.gmailScanner.buildSearchQuery = originalBuildQuery;
+      }
+
+      console.log(`Found ${emailIds.length} potential subscription emails`);
+      return emailIds;
+    } catch (error) {
+      console.error('Search subscription emails error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract subscription information from email content using the LLM (or the rule-based fallback)
+   */
+  async extractSubscriptionInfo(emailContent, emailFrom, emailSubject, emailDate = null, signal = null) {
+    try {
+      const prompt = `Analyze the following email and determine if it is a subscription billing/payment notification email.
+
+Email from: ${emailFrom}
+Email subject: ${emailSubject}
+Email content:
+${emailContent}
+
+Return ONLY a valid JSON object with the following structure:
+{
+  "isSubscriptionEmail": boolean,
+  "subscriptionName": "service name (e.g., 'Netflix', 'Spotify', 'Adobe') or null if not a subscription email",
+  "amount": "payment amount with currency (e.g., '$9.99', '€12.50') or null if not found",
+  "billingDate": "YYYY-MM-DD format of when this payment was processed, or null if not found",
+  "billingPeriod": "one of 'weekly', 'monthly', 'quarterly', 'annual', or null if not stated",
+  "nextBillingDate": "YYYY-MM-DD format of the next billing/renewal date if the email states it explicitly, or null"
+}
 
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          const oldVersion = event.oldVersion;
-          const newVersion = event.newVersion;
+Rules:
+- Set isSubscriptionEmail to true ONLY if the email is clearly about an ACTUAL subscription payment, billing, or renewal that has already been charged
+- Set isSubscriptionEmail to false for ALL of the following:
+  * Advertisement emails (e.g., "Get 3 months free", "Redeem your trial", "Special offer")
+  * Trial offers or promotional emails
+  * Emails about starting new subscriptions or trials
+  * Emails that mention "free", "trial", "offer", "redeem", "discount", "promo"
+  * Emails that are trying to sell or promote services
+- If isSubscriptionEmail is false, set all other fields to null
+- For subscriptionName, extract the service/company name (e.g., "Netflix" from "Netflix.com" or "Your Netflix subscription")
+- For amount, include currency symbol and amount (e.g., "$9.99", "€12.50")
+- For billingDate, use YYYY-MM-DD format based on the payment/billing date mentioned in the email
+- For billingPeriod, use what the email says (e.g., "per year", "annual plan" -> "annual"); do not guess
+- For nextBillingDate, only use a date the email explicitly gives as the next charge or renewal date
+- Do not include any explanatory text, markdown formatting, or code blocks
+- Return only the raw JSON object`;
+      const { data: subscriptionInfo, extractor } = await this.llmExtractor.runExtraction(prompt, {
+        type: EXTRACTOR_CONFIG.TASKS.SUBSCRIPTION,
+        email: { content: emailContent, from: emailFrom, subject: emailSubject, date: emailDate },
+        signal
+      });
+      console.log("Subscription info extracted:", JSON.stringify(subscriptionInfo));
 
-          console.log(`Database upgrade from version ${oldVersion} to ${newVersion}`);
+      const parsedAmount = parseCurrencyAmount(subscriptionInfo.amount);
 
-          // Create packages store if it doesn't exist
-          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.STORE_NAME)) {
-            const store = db.createObjectStore(PACKAGE_CONFIG.STORE_NAME, {
-              keyPath: PACKAGE_SCHEMA.ID
-            });
+      return {
+        isSubscriptionEmail: subscriptionInfo.isSubscriptionEmail,
+        subscriptionName: subscriptionInfo.subscriptionName,
+        amount: subscriptionInfo.amount,
+        amountValue: parsedAmount ? parsedAmount.value : null,
+        currency: parsedAmount ? parsedAmount.currency : null,
+        billingDate: subscriptionInfo.billingDate || (emailDate ? new Date(emailDate).toISOString().split('T')[0] : null),
+        billingPeriod: subscriptionInfo.billingPeriod || null,
+        nextBillingDate: subscriptionInfo.nextBillingDate || null,
+        emailSubject: emailSubject,
+        extractor
+      };
+    } catch (error) {
+      console.error('Extract subscription info error:', error);
+      throw error;
+    }
+  }
 
-            // Create indexes
-            store.createIndex(PACKAGE_SCHEMA.USER_EMAIL, PACKAGE_SCHEMA.USER_EMAIL, { unique: false });
-            store.createIndex(PACKAGE_SCHEMA.DELIVERY_TIME, PACKAGE_SCHEMA.DELIVERY_TIME, { unique: false });
-            store.createIndex(PACKAGE_SCHEMA.EMAIL_ID, PACKAGE_SCHEMA.EMAIL_ID, { unique: false });
-          }
+  /**
+   * Get current user's email address
+   */
+  async getCurrentUserEmail() {
+    try {
+      const token = await this.gmailScanner.getAuthToken();
+      const response = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/profile', {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
 
-          // Create subscriptions store if it doesn't exist
-          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME)) {
-            const subscriptionStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME, {
-              keyPath: SUBSCRIPTION_SCHEMA.ID
-            });
+      if (response.ok) {
+        const profile = await response.json();
+        return profile.emailAddress || 'unknown@gmail.com';
+      }
+      return 'unknown@gmail.com';
+    } catch (error) {
+      console.error('Failed to get user email:', error);
+      return 'unknown@gmail.com';
+    }
+  }
 
-            // Create indexes for subscriptions
-            subscriptionStore.createIndex(SUBSCRIPTION_SCHEMA.USER_EMAIL, SUBSCRIPTION_SCHEMA.USER_EMAIL, { unique: false });
-            subscriptionStore.createIndex(SUBSCRIPTION_SCHEMA.BILLING_DATE, SUBSCRIPTION_SCHEMA.BILLING_DATE, { unique: false });
-            subscriptionStore.createIndex(SUBSCRIPTION_SCHEMA.EMAIL_ID, SUBSCRIPTION_SCHEMA.EMAIL_ID, { unique: false });
-          }
+  /**
+   * Get free trial reminder settings merged with defaults
+   */
+  async getTrialSettings() {
+    const result = await chrome.storage.local.get(TRIAL_CONFIG.SETTINGS_KEY);
+    return { ...TRIAL_CONFIG.DEFAULT_SETTINGS, ...result[TRIAL_CONFIG.SETTINGS_KEY] };
+  }
 
-          // Create scan history store if it doesn't exist
-          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME)) {
-            const scanHistoryStore = db.createObjectStore(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME, {
-              keyPath: SCAN_HISTORY_SCHEMA.ID
-            });
+  /**
+   * Update free trial reminder settings
+   */
+  async updateTrialSettings(updates = {}) {
+    const settings = await this.getTrialSettings();
+    // A value that is not a number keeps the current setting
+    const reminderDaysBefore = Number(updates.reminderDaysBefore);
+    if (updates.reminderDaysBefore !== undefined && Number.isFinite(reminderDaysBefore)) {
+      settings.reminderDaysBefore = Math.max(0, Math.round(reminderDaysBefore));
+    }
 
-            // Create indexes for scan history
-            scanHistoryStore.createIndex(SCAN_HISTORY_SCHEMA.SCAN_DATE, SCAN_HISTORY_SCHEMA.SCAN_DATE, { unique: false });
-            scanHistoryStore.createIndex(SCAN_HISTORY_SCHEMA.EARLIEST_EMAIL_TIMESTAMP, SCAN_HISTORY_SCHEMA.EARLIEST_EMAIL_TIMESTAMP, { unique: false });
-            scanHistoryStore.createIndex(SCAN_HISTORY_SCHEMA.LATEST_EMAIL_TIMESTAMP, SCAN_HISTORY_SCHEMA.LATEST_EMAIL_TIMESTAMP, { unique: false });
-          }
+    await chrome.storage.local.set({ [TRIAL_CONFIG.SETTINGS_KEY]: settings });
+    return settings;
+  }
 
-          // Create subscription scan history store if it doesn't exist
-          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME)) {
-            const subscriptionScanHistoryStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME, {
-              keyPath: SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ID
-            });
+  /**
+   * Check if an email is likely about a free trial before sending it to the LLM
+   */
+  isLikelyTrialEmail(email) {
+    const text = `${email.subject || ''} ${email.snippet || ''}`.toLowerCase();
+    return TRIAL_CONFIG.KEYWORDS.some(keyword => text.includes(keyword)) ||
+      /\btrial\b/.test((email.subject || '').toLowerCase());
+  }
 
-            // Create indexes for subscription scan history
-            subscriptionScanHistoryStore.createIndex(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE, { unique: false });
-            subscriptionScanHistoryStore.createIndex(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.START_DATE, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.START_DATE, { unique: false });
-            subscriptionScanHistoryStore.createIndex(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE, SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE, { unique: false });
-          }
+  /**
+   * Extract free trial information from email content using the LLM (or the rule-based fallback)
+   */
+  async extractTrialInfo(emailContent, emailFrom, emailSubject, emailDate = null, signal = null) {
+    try {
+      const prompt = `Analyze the following email and determine if it confirms a free trial the user has STARTED (or that is about to end) and that will convert into a paid subscription.
 
-          // Create subscription calendar events store if it doesn't exist
-          if (!db.objectStoreNames.contains(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME)) {
-            const subscriptionCalendarEventsStore = db.createObjectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME, {
-              keyPath: SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.ID
-            });
+Email from: ${emailFrom}
+Email subject: ${emailSubject}
+Email date: ${emailDate || 'unknown'}
+Email content:
+${emailContent}
 
-            // Create indexes for subscription calendar events
-            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID, { unique: false });
-            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME, { unique: false });
-            subscriptionCalendarEventsStore.createIndex(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CREATED_DATE, SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CREATED_DATE, { unique: false });
-          }
+Return ONLY a valid JSON object with the following structure:
+{
+  "isTrialEmail": boolean,
+  "serviceName": "service name (e.g., 'Netflix', 'Spotify', 'Adobe') or null",
+  "trialEndDate": "YYYY-MM-DD format of when the trial ends and the first charge happens, or null if not found",
+  "priceAfterTrial": "price charged after the trial with currency (e.g., '$9.99', '€12.50') or null if not found"
+}
 
-          // Handle version upgrades
-          if (oldVersion < 2) {
-            console.log('Upgraded database schema to include email details fields');
-          }
-          if (oldVersion < 3) {
-            console.log('Upgraded database schema to include scan history');
-          }
-          if (oldVersion < 4) {
-            console.log('Upgraded database schema to include subscriptions');
-          }
-          if (oldVersion < 5) {
-            console.log('Upgraded database schema to include subscription scan history and calendar events tracking');
-          }
-        };
+Rules:
+- Set isTrialEmail to true ONLY if the user has an active trial (trial started, trial confirmation, or trial ending soon)
+- Set isTrialEmail to false for advertisements and offers to START a trial (e.g., "Try 3 months free", "Redeem your trial")
+- If the email gives a trial length instead of an end date (e.g., "your 7-day trial"), add it to the email date
+- If isTrialEmail is false, set all other fields to null
+- Do not include any explanatory text, markdown formatting, or code blocks
+- Return only the raw JSON object`;
+
+      const { data: trialInfo, extractor } = await this.llmExtractor.runExtraction(prompt, {
+        type: EXTRACTOR_CONFIG.TASKS.TRIAL,
+        email: { content: emailContent, from: emailFrom, subject: emailSubject, date: emailDate },
+        signal
+      });
+      console.log('Trial info extracted:', JSON.stringify(trialInfo));
+
+      const parsedAmount = parseCurrencyAmount(trialInfo.priceAfterTrial);
+      const trialEndDate = trialInfo.trialEndDate && !isNaN(new Date(trialInfo.trialEndDate).getTime())
+        ? trialInfo.trialEndDate
+        : null;
+
+      return {
+        isTrialEmail: !!trialInfo.isTrialEmail,
+        serviceName: trialInfo.serviceName,
+        trialEndDate,
+        priceAfterTrial: trialInfo.priceAfterTrial,
+        amountValue: parsedAmount ? parsedAmount.value : null,
+        currency: parsedAmount ? parsedAmount.currency : null,
+        extractor
+      };
+    } catch (error) {
+      console.error('Extract trial info error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Classify a trial email, save the trial and create its reminder.
+   * Returns null when the email is not an active trial so it can be handled as a regular charge.
+   */
+  async processTrialEmail(email, emailId, trialSettings, signal = null) {
+    // Rescanning an email already recorded as a trial needs no second extraction
+    const knownTrial = await this.packageDB.getTrial(emailId, TRIAL_SCHEMA.EMAIL_ID);
+    if (knownTrial) {
+      console.log(`Email ${emailId} is already recorded as trial ${knownTrial[TRIAL_SCHEMA.ID]}, skipping`);
+      return knownTrial;
+    }
+
+    const trialInfo = await this.extractTrialInfo(email.body || email.snippet || '', email.from, email.subject, email.date, signal);
+    if (!trialInfo.isTrialEmail || !trialInfo.serviceName || !trialInfo.trialEndDate) {
+      return null;
+    }
+
+    // Trial start and "ending soon" emails for the same trial share one record per account
+    const userEmail = await this.getCurrentUserEmail();
+    const trialId = `trial_${userEmail}_${this.aggregator.normalizeName(trialInfo.serviceName).replace(/\s+/g, '_')}_${trialInfo.trialEndDate}`;
+    const existingTrial = await this.packageDB.getTrial(trialId);
+
+    // Remind a few days before conversion, but never in the past.
+    // A known trial keeps the date its calendar reminder was created with.
+    const today = new Date().toISOString().split('T')[0];
+    const reminder = new Date(`${trialInfo.trialEndDate}T00:00:00Z`);
+    reminder.setUTCDate(reminder.getUTCDate() - trialSettings.reminderDaysBefore);
+    const reminderDate = existingTrial ? existingTrial[TRIAL_SCHEMA.REMINDER_DATE] :
+      (reminder.toISOString().split('T')[0] < today ? today : reminder.toISOString().split('T')[0]);
+
+    const trial = await this.packageDB.saveTrial({
+      id: trialId,
+      userEmail,
+      serviceName: trialInfo.serviceName,
+      trialEndDate: trialInfo.trialEndDate,
+      priceAfterTrial: trialInfo.priceAfterTrial,
+      amountValue: trialInfo.amountValue,
+      currency: trialInfo.currency,
+      reminderDate,
+      // The first email stays linked so rescanning it finds the trial without another extraction
+      emailId: existingTrial ? existingTrial[TRIAL_SCHEMA.EMAIL_ID] : emailId,
+      emailSubject: existingTrial ? existingTrial[TRIAL_SCHEMA.EMAIL_SUBJECT] : email.subject,
+      emailFrom: existingTrial ? existingTrial[TRIAL_SCHEMA.EMAIL_FROM] : email.from,
+      extractor: trialInfo.extractor
+    });
+
+    if (trialInfo.trialEndDate < today) {
+      console.log(`Trial for ${trialInfo.serviceName} already ended on ${trialInfo.trialEndDate}, skipping reminder`);
+      return trial;
+    }
+
+    try {
+      const eventExists = await this.packageDB.trialCalendarEventExists(trial.id);
+      if (eventExists) {
+        console.log(`Calendar reminder already exists for trial ${trial.id}, skipping`);
+        return trial;
+      }
+
+      const event = await this.createTrialReminderEvent(trial);
+      await this.packageDB.saveTrialCalendarEventRecord({
+        trialId: trial.id,
+        emailId,
+        serviceName: trial.serviceName,
+        calendarEventId: event.id,
+        reminderDate
+      });
+    } catch (eventError) {
+      console.error(`Failed to create calendar reminder for trial ${trial.id}:`, eventError);
+    }
+
+    return trial;
+  }
+
+  /**
+   * Create calendar reminder before a free trial converts to a paid subscription
+   */
+  async createTrialReminderEvent(trial) {
+    const gmailUrl = getGmailMessageUrl(trial.emailId, trial.userEmail);
+
+    const event = await this.calendarManager.createEvent({
+      title: `${trial.serviceName} free trial ends ${trial.trialEndDate}`,
+      date: trial.reminderDate,
+      description: `Your ${trial.serviceName} free trial converts to a paid subscription on ${trial.trialEndDate}.
+Price after trial: ${trial.priceAfterTrial || 'N/A'}
+Cancel before then if you don't want to be charged.
+Original email: ${trial.emailSubject}
+View original email: ${gmailUrl}`
+    });
+
+    console.log(`Created trial reminder for ${trial.serviceName} on ${trial.reminderDate}`);
+    return event;
+  }
+
+  /**
+   * Get active upcoming renewal reminders for an account, dropping ones deleted directly in Google Calendar
+   * One-off reminders whose date has passed are left out, series keep recurring
+   */
+  async getReminders(account = null) {
+    const today = new Date().toISOString().split('T')[0];
+    const records = (await this.getAccountReminderRecords(account)).filter(record =>
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE] === CALENDAR_EVENT_TYPES.SERIES ||
+      !record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE] ||
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE] >= today
+    );
+
+    const checked = [];
+    for (let start = 0; start < records.length; start += CALENDAR_API.CHECK_CONCURRENCY) {
+      const batch = records.slice(start, start + CALENDAR_API.CHECK_CONCURRENCY);
+      checked.push(...await Promise.all(batch.map(record => this.checkReminderEvent(record))));
+    }
+
+    return checked.filter(Boolean);
+  }
+
+  /**
+   * Look up a reminder's Calendar event, marking the record deleted and returning null when the event is gone
+   */
+  async checkReminderEvent(record) {
+    const calendarEventId = record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID];
+    try {
+      const event = await this.calendarManager.getEvent(calendarEventId, record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_ID]);
+      if (event.status !== 'cancelled') return record;
+    } catch (error) {
+      // Keep the reminder listed when Calendar can't be reached
+      if (!this.calendarManager.isEventGone(error)) return record;
+    }
+
+    console.log(`Calendar event ${calendarEventId} was deleted outside the extension`);
+    await this.markReminderDeleted(calendarEventId);
+    return null;
+  }
+
+  /**
+   * Replace a reminder's title, description and date
+   */
+  async updateReminder(calendarEventId, eventData) {
+    return this.syncReminderChange(calendarEventId, async () => {
+      const record = await this.packageDB.getCalendarEventRecordByEventId(calendarEventId);
+      const target = await this.getReminderTarget(record);
+      const seriesChanges = eventData.date ? this.getSeriesChanges(record, eventData.date) : {};
+
+      // A full update replaces the event, so a series keeps its recurrence and reminders
+      if (record && record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE] === CALENDAR_EVENT_TYPES.SERIES) {
+        const settings = await this.getRenewalSettings();
+        const calendarSettings = await this.calendarManager.getSettings();
+        Object.assign(seriesChanges, this.getSeriesTiming(settings, {
+          allDay: target.timing.allDay,
+          eventTime: target.timing.time,
+          durationMinutes: target.timing.durationMinutes || calendarSettings.durationMinutes
+        }));
+        seriesChanges.recurrence = seriesChanges.recurrence || record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.RECURRENCE];
+        seriesChanges.reminders = this.getReminderOverrides(settings, seriesChanges.allDay);
+        seriesChanges.colorId = SUBSCRIPTION_CONFIG.CALENDAR_COLORS[record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.BILLING_CYCLE]];
+      }
+
+      await this.calendarManager.updateEvent(calendarEventId, { ...eventData, ...target.timing, ...seriesChanges }, target.calendarId);
+      return this.packageDB.updateCalendarEventRecord(calendarEventId, {
+        [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE]: eventData.date || null,
+        ...(seriesChanges.recurrence ? { [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.RECURRENCE]: seriesChanges.recurrence } : {}),
+        ...(seriesChanges.time ? {
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TIME]: seriesChanges.time,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.DURATION_MINUTES]: seriesChanges.durationMinutes
+        } : {})
+      });
+    });
+  }
+
+  /**
+   * Move a reminder to another date or change its title/description
+   */
+  async patchReminder(calendarEventId, changes) {
+    return this.syncReminderChange(calendarEventId, async () => {
+      const record = await this.packageDB.getCalendarEventRecordByEventId(calendarEventId);
+      const target = await this.getReminderTarget(record);
+      const seriesChanges = changes.date ? { ...target.timing, ...this.getSeriesChanges(record, changes.date) } : {};
+
+      await this.calendarManager.patchEvent(calendarEventId, { ...changes, ...seriesChanges }, target.calendarId);
+      const recordChanges = changes.date
+        ? { [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE]: changes.date }
+        : {};
+      if (seriesChanges.recurrence) {
+        recordChanges[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.RECURRENCE] = seriesChanges.recurrence;
+      }
+      return this.packageDB.updateCalendarEventRecord(calendarEventId, recordChanges);
+    });
+  }
+
+  /**
+   * Remove a reminder from Google Calendar
+   */
+  async deleteReminder(calendarEventId) {
+    return this.syncReminderChange(calendarEventId, async () => {
+      const record = await this.packageDB.getCalendarEventRecordByEventId(calendarEventId);
+      const target = await this.getReminderTarget(record);
+
+      await this.calendarManager.deleteEvent(calendarEventId, target.calendarId);
+      return this.markReminderDeleted(calendarEventId);
+    });
+  }
+
+  /**
+   * Calendar and timing of an existing reminder, so edits go to the calendar it was created in
+   */
+  async getReminderTarget(record) {
+    if (!record) {
+      return { calendarId: null, timing: {} };
+    }
+
+    const calendarId = record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_ID] || CALENDAR_API.DEFAULT_CALENDAR_ID;
+    const eventTime = record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TIME];
+    let durationMinutes = record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.DURATION_MINUTES];
+
+    // Timed reminders saved before their duration was recorded keep the length of the event in Calendar
+    if (eventTime && !durationMinutes) {
+      try {
+        const event = await this.calendarManager.getEvent(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID], calendarId);
+        durationMinutes = Math.round((new Date(event.end.dateTime) - new Date(event.start.dateTime)) / 60000) || null;
+      } catch (error) {
+        console.warn('Could not read reminder duration from Calendar:', error.message);
+      }
+      durationMinutes = durationMinutes || (await this.calendarManager.getSettings()).durationMinutes;
+    }
+
+    return {
+      calendarId,
+      timing: { allDay: !eventTime, time: eventTime, durationMinutes }
+    };
+  }
+
+  /**
+   * Recurrence for a series moved to a new date, so the repeat day follows the move
+   */
+  getSeriesChanges(record, date) {
+    if (!record || record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE] !== CALENDAR_EVENT_TYPES.SERIES) {
+      return {};
+    }
+
+    const cycle = this.aggregator.getBillingCycle(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.BILLING_CYCLE]);
+    return { recurrence: [this.aggregator.buildRecurrenceRule(date, cycle)] };
+  }
+
+  /**
+   * Create the recurring renewal event for a subscription, or move the existing one if its cycle changed.
+   * Returns the created event, or null if the series already existed.
+   */
+  async ensureRenewalSeries(subscription, settings) {
+    if (!subscription.nextRenewalDate) return null;
+
+    const key = this.aggregator.normalizeName(subscription.subscriptionName);
+    const cycle = this.aggregator.getBillingCycle(subscription.billingCycle);
+    const recurrence = [this.aggregator.buildRecurrenceRule(subscription.nextRenewalDate, cycle, subscription.billingDate)];
+
+    const records = (await this.getAccountReminderRecords(subscription.userEmail, true))
+      .filter(record => this.aggregator.normalizeName(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME]) === key);
+    const series = records.find(record => record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE] === CALENDAR_EVENT_TYPES.SERIES);
+
+    if (series) {
+      // Removed by the user, don't bring it back
+      if (series[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS] !== CALENDAR_REMINDER_STATUS.ACTIVE) return null;
+
+      const currentRule = (series[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.RECURRENCE] || []).join();
+      if (currentRule === recurrence.join()) return null;
+
+      const seriesId = series[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID];
+      const target = await this.getReminderTarget(series);
+      console.log(`Billing cycle for ${subscription.subscriptionName} changed, moving its renewal series`);
+      await this.syncReminderChange(seriesId, async () => {
+        await this.calendarManager.patchEvent(seriesId, {
+          date: subscription.nextRenewalDate,
+          ...target.timing,
+          recurrence,
+          colorId: SUBSCRIPTION_CONFIG.CALENDAR_COLORS[cycle.id]
+        }, target.calendarId);
+        return this.packageDB.updateCalendarEventRecord(seriesId, {
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE]: subscription.nextRenewalDate,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.RECURRENCE]: recurrence,
+          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.BILLING_CYCLE]: cycle.id
+        });
+      });
+      return null;
+    }
+
+    const timing = this.getSeriesTiming(settings, await this.calendarManager.getSettings());
+    const event = await this.createSubscriptionReminderEvent(subscription, {
+      ...timing,
+      recurrence,
+      reminders: this.getReminderOverrides(settings, timing.allDay)
+    });
+
+    await this.packageDB.saveCalendarEventRecord({
+      emailId: subscription.emailId,
+      subscriptionName: subscription.subscriptionName,
+      calendarEventId: event.id,
+      emailSubject: subscription.emailSubject,
+      emailFrom: subscription.emailFrom,
+      reminderDate: event.reminderDate,
+      eventType: CALENDAR_EVENT_TYPES.SERIES,
+      recurrence,
+      billingCycle: cycle.id,
+      calendarId: event.calendarId,
+      eventTime: event.eventTime,
+      durationMinutes: event.durationMinutes,
+      userEmail: subscription.userEmail
+    });
+
+    // Upcoming one-off reminders are now covered by the series
+    const today = new Date().toISOString().split('T')[0];
+    const oneOffRecords = records.filter(record =>
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE] !== CALENDAR_EVENT_TYPES.SERIES &&
+      record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS] === CALENDAR_REMINDER_STATUS.ACTIVE
+    );
+
+    for (const record of oneOffRecords) {
+      const oneOffId = record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID];
+      const reminderDate = record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.REMINDER_DATE];
+      try {
+        if (!reminderDate || reminderDate >= today) {
+          const target = await this.getReminderTarget(record);
+          await this.calendarManager.deleteEvent(oneOffId, target.calendarId);
+        }
+      } catch (error) {
+        if (!this.calendarManager.isEventGone(error)) {
+          console.error(`Failed to remove one-off reminder ${oneOffId}:`, error);
+          continue;
+        }
+      }
+
+      await this.packageDB.updateCalendarEventRecord(oneOffId, {
+        [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS]: CALENDAR_REMINDER_STATUS.MIGRATED,
+        [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SERIES_EVENT_ID]: event.id
       });
-    } catch (error) {
-      console.error('Failed to initialize database:', error);
-      throw error;
     }
+
+    return event;
   }
 
   /**
-   * Save package to database
+   * Calendar reminder records belonging to one account (all records without an account).
+   * Records saved before they carried an account are matched through the charge email they were created for.
    */
-  async savePackageToDB(packageData) {
-    try {
-      if (!this.db) await this.initDB();
+  async getAccountReminderRecords(account, includeInactive = false) {
+    const records = await this.packageDB.getCalendarEventRecords(includeInactive);
+    if (!account) return records;
+
+    const accountEmailIds = new Set((await this.packageDB.getSubscriptions(account)).map(row => row[SUBSCRIPTION_SCHEMA.EMAIL_ID]));
+    return records.filter(record => record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.USER_EMAIL]
+      ? record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.USER_EMAIL] === account
+      : accountEmailIds.has(record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID]));
+  }
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+  /**
+   * Create renewal series for subscriptions still tracked with one-off reminders whose cycle is now known
+   */
+  async migrateRemindersToSeries(settings, account = null) {
+    const records = await this.getAccountReminderRecords(account);
+    const oneOffRecords = records.filter(record => record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EVENT_TYPE] !== CALENDAR_EVENT_TYPES.SERIES);
+    if (oneOffRecords.length === 0) return [];
 
-        const packageRecord = {
-          [PACKAGE_SCHEMA.ID]: `${packageData.emailId}_${Date.now()}`,
-          [PACKAGE_SCHEMA.USER_EMAIL]: packageData.userEmail,
-          [PACKAGE_SCHEMA.SENDER]: packageData.sender,
-          [PACKAGE_SCHEMA.DELIVERY_DATE]: packageData.deliveryDate,
-          [PACKAGE_SCHEMA.DELIVERY_TIME]: packageData.deliveryTime,
-          [PACKAGE_SCHEMA.EMAIL_ID]: packageData.emailId,
-          [PACKAGE_SCHEMA.EMAIL_SUBJECT]: packageData.emailSubject || '',
-          [PACKAGE_SCHEMA.EMAIL_FROM]: packageData.emailFrom || '',
-          [PACKAGE_SCHEMA.EMAIL_SNIPPET]: packageData.emailSnippet || '',
-          [PACKAGE_SCHEMA.PICKED_UP]: false,
-          [PACKAGE_SCHEMA.CREATED_AT]: new Date().toISOString()
-        };
+    const { subscriptions } = await this.aggregator.getDashboard(account);
+    const createdEvents = [];
 
-        const request = store.add(packageRecord);
+    for (const sub of subscriptions) {
+      if (sub.cycleSource === 'default') continue;
 
-        request.onsuccess = () => {
-          console.log('Package saved to database:', packageRecord.id);
-          resolve(packageRecord);
-        };
+      const record = oneOffRecords.find(oneOff =>
+        this.aggregator.normalizeName(oneOff[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME]) === sub.key
+      );
+      if (!record) continue;
 
-        request.onerror = () => {
-          console.error('Failed to save package:', request.error);
-          reject(new Error(ERROR_MESSAGES.PACKAGE_SAVE_FAILED));
-        };
-      });
-    } catch (error) {
-      console.error('Save package error:', error);
-      throw error;
+      try {
+        const event = await this.ensureRenewalSeries({
+          subscriptionName: sub.name,
+          amount: sub.amount,
+          billingCycle: sub.billingCycle,
+          billingDate: sub.lastBillingDate,
+          nextRenewalDate: sub.nextChargeDate,
+          emailId: sub.emailId,
+          userEmail: sub.userEmail,
+          emailSubject: record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_SUBJECT],
+          emailFrom: record[SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_FROM]
+        }, settings);
+        if (event) createdEvents.push(event);
+      } catch (error) {
+        console.error(`Failed to migrate reminders for ${sub.name}:`, error);
+      }
     }
+
+    return createdEvents;
   }
 
   /**
-   * Get unpicked packages from database (excludes picked up packages)
+   * Timing for a new renewal series. All-day events can't remind later than midnight of their own day,
+   * so with same-day reminders the series starts at REMINDER_HOUR instead.
    */
-  async getUnpickedPackages() {
-    try {
-      if (!this.db) await this.initDB();
+  getSeriesTiming(settings, calendarSettings) {
+    if (calendarSettings.allDay && settings.leadDays === 0) {
+      return {
+        allDay: false,
+        time: `${String(SUBSCRIPTION_CONFIG.REMINDER_HOUR).padStart(2, '0')}:00`,
+        durationMinutes: calendarSettings.durationMinutes
+      };
+    }
+    return { allDay: calendarSettings.allDay, time: calendarSettings.eventTime, durationMinutes: calendarSettings.durationMinutes };
+  }
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+  /**
+   * Calendar reminder overrides firing lead days before the renewal event
+   */
+  getReminderOverrides(settings, allDay = true) {
+    // Timed events count back from their start; all-day events from midnight (API maximum is 4 weeks)
+    let minutes = settings.leadDays * 24 * 60;
+    if (allDay && settings.leadDays > 0) {
+      minutes -= SUBSCRIPTION_CONFIG.REMINDER_HOUR * 60;
+    }
 
-        const request = store.getAll();
+    return settings.methods.map(method => ({ method, minutes: Math.min(minutes, 40320) }));
+  }
 
-        request.onsuccess = () => {
-          // Filter packages where pickedUp is false (exclude picked up packages)
-          const unpickedPackages = request.result.filter(pkg =>
-            pkg[PACKAGE_SCHEMA.PICKED_UP] === false
-          );
+  /**
+   * Apply a calendar change and keep the local record in sync.
+   * An event already deleted in Google Calendar (404/410) is marked deleted locally instead of failing.
+   */
+  async syncReminderChange(calendarEventId, change) {
+    try {
+      const record = await change();
+      return { record, externallyDeleted: false };
+    } catch (error) {
+      if (!this.calendarManager.isEventGone(error)) {
+        throw error;
+      }
 
-          // Sort by delivery time (newest first)
-          const packages = unpickedPackages.sort((a, b) =>
-            new Date(b[PACKAGE_SCHEMA.DELIVERY_TIME]) - new Date(a[PACKAGE_SCHEMA.DELIVERY_TIME])
-          );
-          resolve(packages);
-        };
+      console.log(`Calendar event ${calendarEventId} was deleted outside the extension`);
+      const record = await this.markReminderDeleted(calendarEventId);
+      return { record, externallyDeleted: true };
+    }
+  }
 
-        request.onerror = () => {
-          console.error('Failed to fetch packages:', request.error);
-          reject(new Error(ERROR_MESSAGES.PACKAGE_FETCH_FAILED));
-        };
-      });
-    } catch (error) {
-      console.error('Get packages error:', error);
-      throw error;
+  /**
+   * Mark a reminder deleted; the record is kept so re-scans don't recreate the event
+   */
+  async markReminderDeleted(calendarEventId) {
+    return this.packageDB.updateCalendarEventRecord(calendarEventId, {
+      [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.STATUS]: CALENDAR_REMINDER_STATUS.DELETED
+    });
+  }
+
+  /**
+   * Get renewal reminder settings merged with defaults
+   */
+  async getRenewalSettings() {
+    const result = await chrome.storage.local.get(SUBSCRIPTION_CONFIG.REMINDER_SETTINGS_KEY);
+    return { ...SUBSCRIPTION_CONFIG.DEFAULT_REMINDER_SETTINGS, ...result[SUBSCRIPTION_CONFIG.REMINDER_SETTINGS_KEY] };
+  }
+
+  /**
+   * Update renewal reminder settings
+   */
+  async updateRenewalSettings(updates = {}) {
+    const settings = await this.getRenewalSettings();
+    // A value that is not a number keeps the current setting
+    const leadDays = Number(updates.leadDays);
+    if (updates.leadDays !== undefined && Number.isFinite(leadDays)) {
+      settings.leadDays = Math.max(0, Math.round(leadDays));
+    }
+    if (Array.isArray(updates.methods)) {
+      const methods = updates.methods.filter(method => SUBSCRIPTION_CONFIG.REMINDER_METHODS.includes(method));
+      if (methods.length > 0) settings.methods = methods;
     }
+
+    await chrome.storage.local.set({ [SUBSCRIPTION_CONFIG.REMINDER_SETTINGS_KEY]: settings });
+    return settings;
   }
 
   /**
-   * Mark package as picked up
+   * Reminder date a number of days before the renewal, but never in the past
    */
-  async markPackageAsPickedUp(packageId) {
-    try {
-      if (!this.db) await this.initDB();
+  getRenewalReminderDate(nextRenewalDate, leadDays) {
+    if (!nextRenewalDate) return null;
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+    const today = new Date().toISOString().split('T')[0];
+    const reminder = new Date(`${nextRenewalDate}T00:00:00Z`);
+    reminder.setUTCDate(reminder.getUTCDate() - leadDays);
+    const reminderDate = reminder.toISOString().split('T')[0];
 
-        const getRequest = store.get(packageId);
+    return reminderDate < today ? today : reminderDate;
+  }
 
-        getRequest.onsuccess = () => {
-          const packageRecord = getRequest.result;
-          if (packageRecord) {
-            packageRecord[PACKAGE_SCHEMA.PICKED_UP] = true;
+  /**
+   * Replace {placeholder} tokens in an event template; unknown placeholders are left as typed
+   */
+  fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+      if (!(key in values)) return match;
+      return values[key] === undefined || values[key] === null ? '' : String(values[key]);
+    });
+  }
 
-            const updateRequest = store.put(packageRecord);
-            updateRequest.onsuccess = () => {
-              console.log('Package marked as picked up:', packageId);
-              resolve(packageRecord);
-            };
-            updateRequest.onerror = () => reject(new Error('Failed to update package'));
-          } else {
-            reject(new Error('Package not found'));
-          }
-        };
+  /**
+   * Create calendar event for subscription reminder (lead days before the predicted renewal).
+   * With series options the event recurs from the renewal date and reminds through calendar notifications.
+   */
+  async createSubscriptionReminderEvent(subscription, seriesOptions = null) {
+    try {
+      const reminderDateStr = seriesOptions ? subscription.nextRenewalDate : subscription.reminderDate;
+      const cycle = this.aggregator.getBillingCycle(subscription.billingCycle);
+      const calendarSettings = await this.calendarManager.getSettings();
+
+      const templateValues = {
+        name: subscription.subscriptionName,
+        amount: subscription.amount || 'N/A',
+        billingDate: subscription.billingDate,
+        renewalDate: subscription.nextRenewalDate,
+        cycle: cycle.label.toLowerCase(),
+        emailSubject: subscription.emailSubject,
+        emailLink: isManualEntryId(subscription.emailId) ? '' : getGmailMessageUrl(subscription.emailId, subscription.userEmail)
+      };
 
-        getRequest.onerror = () => {
-          reject(new Error('Failed to find package'));
-        };
-      });
+      const eventData = {
+        title: this.fillTemplate(calendarSettings.titleTemplate, templateValues),
+        date: reminderDateStr,
+        description: this.fillTemplate(calendarSettings.descriptionTemplate, templateValues),
+        allDay: calendarSettings.allDay,
+        time: calendarSettings.eventTime,
+        durationMinutes: calendarSettings.durationMinutes,
+        transparency: calendarSettings.transparency,
+        colorId: SUBSCRIPTION_CONFIG.CALENDAR_COLORS[cycle.id],
+        ...(seriesOptions || {})
+      };
+
+      const event = await this.calendarManager.createEvent(eventData);
+      console.log(`Created calendar event for ${subscription.subscriptionName} on ${reminderDateStr}`);
+
+      const result = {
+        id: event.id,
+        subscriptionName: subscription.subscriptionName,
+        amount: subscription.amount,
+        reminderDate: reminderDateStr,
+        nextRenewalDate: subscription.nextRenewalDate,
+        calendarEventId: event.id,
+        calendarId: event.calendarId,
+        eventTime: eventData.allDay ? null : eventData.time,
+        durationMinutes: eventData.allDay ? null : eventData.durationMinutes
+      };
+      
+      console.log('Returning subscription event:', result);
+      return result;
     } catch (error) {
-      console.error('Mark pickup error:', error);
+      console.error('Create subscription reminder event error:', error);
       throw error;
     }
   }
+}
+
+/**
+ * Subscription Aggregator - Groups billing rows into subscriptions for the dashboard
+ */
+class SubscriptionAggregator {
+  constructor(packageDB) {
+    this.packageDB = packageDB;
+    this.billingCycles = Object.values(SUBSCRIPTION_CONFIG.BILLING_CYCLES);
+  }
 
   /**
-   * Get latest scan date from database
+   * Build the dashboard: one entry per subscription plus spend totals per currency, optionally for one account
    */
-  async getLatestScanDate() {
+  async getDashboard(account = null) {
     try {
-      if (!this.db) await this.initDB();
+      const rows = await this.packageDB.getSubscriptions(account);
+      const groups = new Map();
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
-        const index = store.index(PACKAGE_SCHEMA.DELIVERY_TIME);
+      rows.forEach(row => {
+        const key = this.normalizeName(row[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME]);
+        if (!key) return;
 
-        const request = index.openCursor(null, 'prev');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
 
-        request.onsuccess = () => {
-          const cursor = request.result;
-          if (cursor) {
-            resolve(cursor.value[PACKAGE_SCHEMA.DELIVERY_TIME]);
-          } else {
-            resolve(null);
-          }
-        };
+      const subscriptions = [...groups.entries()]
+        .map(([key, groupRows]) => this.buildSubscription(key, groupRows))
+        .sort((a, b) => (a.nextChargeDate || '').localeCompare(b.nextChargeDate || ''));
 
-        request.onerror = () => {
-          console.error('Failed to get latest scan date:', request.error);
-          resolve(null);
-        };
-      });
+      return {
+        subscriptions,
+        totals: this.calculateTotals(subscriptions)
+      };
     } catch (error) {
-      console.error('Get latest scan date error:', error);
-      return null;
+      console.error('Subscription dashboard error:', error);
+      throw error;
     }
   }
 
   /**
-   * Get packages in date range to check what's already scanned
+   * Normalize a subscription name so "Netflix", "NETFLIX Inc." and "netflix.com" group together
    */
-  async getPackagesInDateRange(startDate, endDate) {
-    try {
-      if (!this.db) await this.initDB();
+  normalizeName(name) {
+    if (!name) return '';
+
+    return name
+      .toLowerCase()
+      .replace(/\.(com|net|org|io|tv)\b/g, '')
+      .replace(/\b(inc|llc|ltd|corp|co|subscription|membership|premium|plan)\b\.?/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
-        const index = store.index(PACKAGE_SCHEMA.DELIVERY_TIME);
+  /**
+   * Build a single subscription entry from its billing rows
+   */
+  buildSubscription(key, rows) {
+    // One charge per billing date, newest row wins
+    const charges = new Map();
+    rows.forEach(row => {
+      const billingDate = row[SUBSCRIPTION_SCHEMA.BILLING_DATE];
+      if (!billingDate || isNaN(new Date(billingDate).getTime())) return;
+      if (!charges.has(billingDate)) charges.set(billingDate, row);
+    });
 
-        const startTime = new Date(startDate).getTime();
-        const endTime = new Date(endDate).getTime();
-        const packages = [];
+    const sortedCharges = [...charges.values()].sort((a, b) =>
+      a[SUBSCRIPTION_SCHEMA.BILLING_DATE].localeCompare(b[SUBSCRIPTION_SCHEMA.BILLING_DATE])
+    );
+    const latest = sortedCharges[sortedCharges.length - 1] || rows[0];
+    const billingDates = sortedCharges.map(row => row[SUBSCRIPTION_SCHEMA.BILLING_DATE]);
+
+    // Charge history wins once there are two charges, otherwise use the period stated in the email
+    const statedCycle = latest[SUBSCRIPTION_SCHEMA.BILLING_CYCLE];
+    const cycleSource = billingDates.length > 1 ? 'history' : (statedCycle ? 'email' : 'default');
+    const cycle = cycleSource === 'email' ? this.getBillingCycle(statedCycle) : this.inferBillingCycle(billingDates);
+    const parsedAmount = latest[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE] !== null && latest[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE] !== undefined
+      ? { value: latest[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE], currency: latest[SUBSCRIPTION_SCHEMA.CURRENCY] }
+      : null;
+    const lastBillingDate = billingDates[billingDates.length - 1] || null;
+
+    // Prefer the renewal predicted at scan time (it may come from an explicit date in the email)
+    const today = new Date().toISOString().split('T')[0];
+    const storedRenewal = latest[SUBSCRIPTION_SCHEMA.NEXT_RENEWAL_DATE];
+    const nextChargeDate = storedRenewal && storedRenewal >= today
+      ? storedRenewal
+      : (lastBillingDate ? this.getNextChargeDate(lastBillingDate, cycle) : null);
+
+    return {
+      key,
+      name: latest[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME],
+      amount: latest[SUBSCRIPTION_SCHEMA.AMOUNT],
+      amountValue: parsedAmount ? parsedAmount.value : null,
+      currency: parsedAmount ? parsedAmount.currency : null,
+      billingCycle: cycle.id,
+      billingCycleLabel: cycle.label,
+      cycleSource,
+      chargeCount: billingDates.length,
+      lastBillingDate,
+      nextChargeDate,
+      monthlyCost: parsedAmount ? parsedAmount.value * cycle.perYear / 12 : null,
+      yearlyCost: parsedAmount ? parsedAmount.value * cycle.perYear : null,
+      emailId: latest[SUBSCRIPTION_SCHEMA.EMAIL_ID],
+      userEmail: latest[SUBSCRIPTION_SCHEMA.USER_EMAIL],
+      source: latest[SUBSCRIPTION_SCHEMA.SOURCE] || ENTRY_SOURCES.EMAIL,
+      charges: sortedCharges.map(row => ({
+        billingDate: row[SUBSCRIPTION_SCHEMA.BILLING_DATE],
+        amount: row[SUBSCRIPTION_SCHEMA.AMOUNT],
+        emailId: row[SUBSCRIPTION_SCHEMA.EMAIL_ID]
+      }))
+    };
+  }
 
-        const request = index.openCursor();
+  /**
+   * Compare a new charge with the service's previous charges and return any alerts:
+   * price increases, duplicate charges within one cycle, and services not seen before
+   */
+  detectChargeAlerts(charge, existingRows, flagNewServices = true) {
+    const key = this.normalizeName(charge.subscriptionName);
+    if (!key || !charge.billingDate) return [];
 
-        request.onsuccess = () => {
-          const cursor = request.result;
-          if (cursor) {
-            const packageTime = new Date(cursor.value[PACKAGE_SCHEMA.DELIVERY_TIME]).getTime();
-            if (packageTime >= startTime && packageTime <= endTime) {
-              packages.push(cursor.value);
-            }
-            cursor.continue();
-          } else {
-            resolve(packages);
-          }
-        };
+    const previousRows = existingRows.filter(row =>
+      this.normalizeName(row[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME]) === key
+    );
 
-        request.onerror = () => {
-          console.error('Failed to get packages in date range:', request.error);
-          resolve([]);
-        };
-      });
-    } catch (error) {
-      console.error('Get packages in date range error:', error);
+    // Re-scanning an email we already recorded is not a new charge
+    if (previousRows.some(row => row[SUBSCRIPTION_SCHEMA.EMAIL_ID] === charge.emailId)) {
       return [];
     }
-  }
 
-  /**
-   * Check if email already exists in database
-   */
-  async emailExists(emailId) {
-    try {
-      if (!this.db) await this.initDB();
+    const baseAlert = {
+      subscriptionName: charge.subscriptionName,
+      subscriptionKey: key,
+      emailId: charge.emailId,
+      billingDate: charge.billingDate,
+      amount: charge.amount
+    };
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.STORE_NAME);
+    if (previousRows.length === 0) {
+      return flagNewServices ? [{
+        ...baseAlert,
+        type: SUBSCRIPTION_ALERT_TYPES.NEW_SERVICE,
+        message: `New charge from ${charge.subscriptionName}${charge.amount ? `: ${charge.amount}` : ''}`
+      }] : [];
+    }
 
-        const request = store.getAll();
+    const alerts = [];
+    const dayMs = 24 * 60 * 60 * 1000;
+    const pricedRows = previousRows.filter(row =>
+      row[SUBSCRIPTION_SCHEMA.BILLING_DATE] &&
+      row[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE] !== null &&
+      row[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE] !== undefined &&
+      row[SUBSCRIPTION_SCHEMA.CURRENCY] === charge.currency
+    );
 
-        request.onsuccess = () => {
-          const packages = request.result;
-          const exists = packages.some(pkg => pkg[PACKAGE_SCHEMA.EMAIL_ID] === emailId);
-          resolve(exists);
-        };
+    // Price increase: compare with the most recent earlier charge in the same currency
+    const previousCharge = pricedRows
+      .filter(row => row[SUBSCRIPTION_SCHEMA.BILLING_DATE] <= charge.billingDate)
+      .sort((a, b) => b[SUBSCRIPTION_SCHEMA.BILLING_DATE].localeCompare(a[SUBSCRIPTION_SCHEMA.BILLING_DATE]))[0];
+    if (previousCharge) {
+      const alert = this.getPriceIncreaseAlert(key, previousCharge, charge);
+      if (alert) alerts.push(alert);
+    }
 
-        request.onerror = () => {
-          console.error('Failed to check if email exists:', request.error);
-          resolve(false);
-        };
+    // Scans go newest first, so an older charge can also show that the next recorded one went up
+    const nextCharge = pricedRows
+      .filter(row => row[SUBSCRIPTION_SCHEMA.BILLING_DATE] > charge.billingDate)
+      .sort((a, b) => a[SUBSCRIPTION_SCHEMA.BILLING_DATE].localeCompare(b[SUBSCRIPTION_SCHEMA.BILLING_DATE]))[0];
+    if (nextCharge) {
+      const alert = this.getPriceIncreaseAlert(key, charge, nextCharge);
+      if (alert) alerts.push(alert);
+    }
+
+    // Duplicate charge: another charge closer than the shortest plausible gap for this cycle
+    const billingDates = [...previousRows.map(row => row[SUBSCRIPTION_SCHEMA.BILLING_DATE]), charge.billingDate]
+      .filter(date => date && !isNaN(new Date(date).getTime()))
+      .sort();
+    const cycle = this.inferBillingCycle([...new Set(billingDates)]);
+    const closeCharge = previousRows.find(row => {
+      const billingDate = row[SUBSCRIPTION_SCHEMA.BILLING_DATE];
+      if (!billingDate) return false;
+      return Math.abs(new Date(charge.billingDate) - new Date(billingDate)) / dayMs < cycle.minDays;
+    });
+    if (closeCharge) {
+      alerts.push({
+        ...baseAlert,
+        type: SUBSCRIPTION_ALERT_TYPES.DUPLICATE_CHARGE,
+        previousAmount: closeCharge[SUBSCRIPTION_SCHEMA.AMOUNT],
+        previousBillingDate: closeCharge[SUBSCRIPTION_SCHEMA.BILLING_DATE],
+        message: `${charge.subscriptionName} charged ${charge.amount || 'again'} on ${charge.billingDate}, ` +
+          `already charged on ${closeCharge[SUBSCRIPTION_SCHEMA.BILLING_DATE]} (${cycle.label.toLowerCase()} plan)`
       });
-    } catch (error) {
-      console.error('Check email exists error:', error);
-      return false;
     }
+
+    return alerts;
+  }
+
+  /**
+   * Build a price increase alert for the later of two charges, or null if it did not go up
+   * Charges are subscription rows or new charge data, both use the SUBSCRIPTION_SCHEMA field names
+   */
+  getPriceIncreaseAlert(key, previous, current) {
+    const previousValue = previous[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE];
+    const currentValue = current[SUBSCRIPTION_SCHEMA.AMOUNT_VALUE];
+    if (previousValue === null || previousValue === undefined || currentValue === null || currentValue === undefined ||
+        currentValue - previousValue <= 0.009) {
+      return null;
+    }
+
+    const name = current[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME];
+    const percent = previousValue > 0 ? Math.round((currentValue - previousValue) / previousValue * 100) : null;
+    return {
+      subscriptionName: name,
+      subscriptionKey: key,
+      emailId: current[SUBSCRIPTION_SCHEMA.EMAIL_ID],
+      billingDate: current[SUBSCRIPTION_SCHEMA.BILLING_DATE],
+      amount: current[SUBSCRIPTION_SCHEMA.AMOUNT],
+      type: SUBSCRIPTION_ALERT_TYPES.PRICE_INCREASE,
+      previousAmount: previous[SUBSCRIPTION_SCHEMA.AMOUNT],
+      previousBillingDate: previous[SUBSCRIPTION_SCHEMA.BILLING_DATE],
+      message: `${name} went up from ${previous[SUBSCRIPTION_SCHEMA.AMOUNT]} to ${current[SUBSCRIPTION_SCHEMA.AMOUNT]}` +
+        (percent !== null ? ` (+${percent}%)` : '')
+    };
   }
 
   /**
-   * Save scan history to database
+   * Infer the billing cycle from the median interval between charges
    */
-  async saveScanHistory(scanData) {
-    try {
-      if (!this.db) await this.initDB();
+  inferBillingCycle(billingDates) {
+    const defaultCycle = this.billingCycles.find(c => c.id === SUBSCRIPTION_CONFIG.DEFAULT_BILLING_CYCLE);
+    if (billingDates.length < 2) return defaultCycle;
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const intervals = [];
+    for (let i = 1; i < billingDates.length; i++) {
+      intervals.push((new Date(billingDates[i]) - new Date(billingDates[i - 1])) / dayMs);
+    }
+    intervals.sort((a, b) => a - b);
+    const median = intervals[Math.floor(intervals.length / 2)];
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME);
+    const match = this.billingCycles.find(c => median >= c.minDays && median <= c.maxDays);
+    if (match) return match;
 
-        const scanRecord = {
-          [SCAN_HISTORY_SCHEMA.ID]: `scan_${Date.now()}`,
-          [SCAN_HISTORY_SCHEMA.SCAN_DATE]: new Date().toISOString(),
-          [SCAN_HISTORY_SCHEMA.EMAILS_SCANNED]: scanData.emailsScanned,
-          [SCAN_HISTORY_SCHEMA.EARLIEST_EMAIL_TIMESTAMP]: scanData.earliestEmailTimestamp,
-          [SCAN_HISTORY_SCHEMA.LATEST_EMAIL_TIMESTAMP]: scanData.latestEmailTimestamp,
-          [SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]: scanData.startDateRequested,
-          [SCAN_HISTORY_SCHEMA.END_DATE_REQUESTED]: scanData.endDateRequested,
-          [SCAN_HISTORY_SCHEMA.PACKAGES_FOUND]: scanData.packagesFound
-        };
+    // Fall back to the closest cycle for irregular intervals
+    return this.billingCycles.reduce((closest, c) =>
+      Math.abs(c.days - median) < Math.abs(closest.days - median) ? c : closest
+    );
+  }
 
-        const request = store.add(scanRecord);
+  /**
+   * Look up a billing cycle by ID or loose label ("yearly", "per month"), defaulting to monthly
+   */
+  getBillingCycle(period) {
+    const text = (period || '').toLowerCase();
+    let id = SUBSCRIPTION_CONFIG.DEFAULT_BILLING_CYCLE;
 
-        request.onsuccess = () => {
-          console.log('Scan history saved:', scanRecord.id);
-          resolve(scanRecord);
-        };
+    if (/week/.test(text)) id = 'weekly';
+    else if (/quarter/.test(text)) id = 'quarterly';
+    else if (/year|annual/.test(text)) id = 'annual';
+    else if (/month/.test(text)) id = 'monthly';
 
-        request.onerror = () => {
-          console.error('Failed to save scan history:', request.error);
-          reject(new Error('Failed to save scan history'));
-        };
-      });
-    } catch (error) {
-      console.error('Save scan history error:', error);
-      throw error;
-    }
+    return this.billingCycles.find(c => c.id === id);
   }
 
   /**
-   * Get scan history to check for overlapping scans
+   * Predict the next renewal for a new charge: an explicit date from the email first,
+   * then the stated billing period, then the cycle inferred from earlier charges
    */
-  async getScanHistory() {
-    try {
-      if (!this.db) await this.initDB();
+  predictRenewal(charge, existingRows) {
+    const today = new Date().toISOString().split('T')[0];
+    const isValidDate = (date) => !!date && !isNaN(new Date(date).getTime());
+
+    let cycle;
+    let source;
+    if (charge.billingPeriod) {
+      cycle = this.getBillingCycle(charge.billingPeriod);
+      source = 'email';
+    } else {
+      const key = this.normalizeName(charge.subscriptionName);
+      const billingDates = [...new Set([
+        ...existingRows
+          .filter(row => this.normalizeName(row[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME]) === key)
+          .map(row => row[SUBSCRIPTION_SCHEMA.BILLING_DATE]),
+        charge.billingDate
+      ].filter(isValidDate))].sort();
+
+      cycle = this.inferBillingCycle(billingDates);
+      source = billingDates.length > 1 ? 'history' : 'default';
+    }
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME);
+    let nextRenewalDate = null;
+    if (isValidDate(charge.nextBillingDate) && (!charge.billingDate || charge.nextBillingDate > charge.billingDate)) {
+      nextRenewalDate = charge.nextBillingDate < today
+        ? this.getNextChargeDate(charge.nextBillingDate, cycle)
+        : charge.nextBillingDate;
+      source = 'email';
+    } else if (isValidDate(charge.billingDate)) {
+      nextRenewalDate = this.getNextChargeDate(charge.billingDate, cycle);
+    }
 
-        const request = store.getAll();
+    return { nextRenewalDate, billingCycle: cycle.id, source };
+  }
 
-        request.onsuccess = () => {
-          const scanHistory = request.result.sort((a, b) =>
-            new Date(b[SCAN_HISTORY_SCHEMA.SCAN_DATE]) - new Date(a[SCAN_HISTORY_SCHEMA.SCAN_DATE])
-          );
-          resolve(scanHistory);
-        };
+  /**
+   * Add a number of billing cycles to a date, keeping month-end dates at the end of the month
+   */
+  addBillingCycles(date, cycle, count = 1) {
+    const start = new Date(`${date}T00:00:00Z`);
 
-        request.onerror = () => {
-          console.error('Failed to get scan history:', request.error);
-          resolve([]);
-        };
-      });
-    } catch (error) {
-      console.error('Get scan history error:', error);
-      return [];
+    if (!cycle.months) {
+      start.setUTCDate(start.getUTCDate() + cycle.days * count);
+      return start.toISOString().split('T')[0];
     }
+
+    // Jan 31 + 1 month is Feb 28/29, not Mar 3
+    const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + cycle.months * count, 1));
+    const lastDayOfMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(start.getUTCDate(), lastDayOfMonth));
+
+    return target.toISOString().split('T')[0];
   }
 
   /**
-   * Check if a date range has already been scanned
+   * RRULE for a renewal series starting on the given date.
+   * Days after the 28th use BYSETPOS so short months fall back to their last day, like addBillingCycles.
    */
-  async getOptimizedScanRanges(startDate, endDate) {
-    try {
-      const scanHistory = await this.getScanHistory();
-      const requestedStart = new Date(startDate).getTime();
-      const requestedEnd = new Date(endDate).getTime();
+  buildRecurrenceRule(startDate, cycle, billingDate = null) {
+    if (!cycle.months) {
+      return 'RRULE:FREQ=WEEKLY';
+    }
 
-      // Find overlapping scans using the REQUESTED date ranges, not email timestamps
-      const overlappingScans = scanHistory.filter(scan => {
-        const scanStart = new Date(scan[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime();
-        const scanEnd = new Date(scan[SCAN_HISTORY_SCHEMA.END_DATE_REQUESTED]).getTime();
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const lastDayOfMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate();
+    let day = start.getUTCDate();
 
-        // Check if there's any overlap between requested ranges
-        return !(scanEnd < requestedStart || scanStart > requestedEnd);
-      });
+    // A month-end renewal may have been clamped from a later billing day (Jan 31 -> Feb 28)
+    const billingDay = billingDate ? new Date(`${billingDate}T00:00:00Z`).getUTCDate() : NaN;
+    if (day === lastDayOfMonth && billingDay > day) {
+      day = billingDay;
+    }
 
-      if (overlappingScans.length === 0) {
-        // No overlaps, scan the entire range
-        return [{ startDate, endDate, reason: 'No previous scans found' }];
-      }
+    const parts = cycle.months === 12
+      ? ['FREQ=YEARLY', `BYMONTH=${start.getUTCMonth() + 1}`]
+      : ['FREQ=MONTHLY', ...(cycle.months > 1 ? [`INTERVAL=${cycle.months}`] : [])];
 
-      // Calculate gaps that need to be scanned
-      const rangesToScan = [];
-      let currentStart = requestedStart;
+    if (day <= 28) {
+      parts.push(`BYMONTHDAY=${day}`);
+    } else {
+      const candidateDays = [];
+      for (let d = 28; d <= day; d++) candidateDays.push(d);
+      parts.push(`BYMONTHDAY=${candidateDays.join(',')}`, 'BYSETPOS=-1');
+    }
 
-      // Sort overlapping scans by requested start date
-      overlappingScans.sort((a, b) =>
-        new Date(a[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime() -
-        new Date(b[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime()
-      );
+    return `RRULE:${parts.join(';')}`;
+  }
 
-      for (const scan of overlappingScans) {
-        const scanStart = new Date(scan[SCAN_HISTORY_SCHEMA.START_DATE_REQUESTED]).getTime();
-        const scanEnd = new Date(scan[SCAN_HISTORY_SCHEMA.END_DATE_REQUESTED]).getTime();
+  /**
+   * Next expected charge on or after today, stepping forward from the last billing date
+   */
+  getNextChargeDate(lastBillingDate, cycle) {
+    const today = new Date().toISOString().split('T')[0];
+    let count = 1;
+    let next;
 
-        // If there's a gap before this scan, add it to ranges to scan
-        if (currentStart < scanStart) {
-          rangesToScan.push({
-            startDate: new Date(currentStart).toISOString().split('T')[0],
-            endDate: new Date(scanStart - 1).toISOString().split('T')[0],
-            reason: 'Gap before scanned range'
-          });
-        }
+    // Always step from the original date so month-end charges don't drift
+    do {
+      next = this.addBillingCycles(lastBillingDate, cycle, count++);
+    } while (next < today);
 
-        // Move current start to after this scan
-        currentStart = Math.max(currentStart, scanEnd + 1);
-      }
+    return next;
+  }
 
-      // If there's a gap after the last scan, add it
-      if (currentStart <= requestedEnd) {
-        rangesToScan.push({
-          startDate: new Date(currentStart).toISOString().split('T')[0],
-          endDate: endDate,
-          reason: 'Gap after scanned range'
-        });
+  /**
+   * Total monthly and yearly spend per currency
+   */
+  calculateTotals(subscriptions) {
+    const totals = {};
+
+    subscriptions.forEach(sub => {
+      if (sub.amountValue === null) return;
+
+      if (!totals[sub.currency]) {
+        totals[sub.currency] = { monthly: 0, yearly: 0, count: 0 };
       }
+      totals[sub.currency].monthly += sub.monthlyCost;
+      totals[sub.currency].yearly += sub.yearlyCost;
+      totals[sub.currency].count++;
+    });
 
-      return rangesToScan.length > 0 ? rangesToScan : [{
-        startDate: null,
-        endDate: null,
-        reason: 'Range already fully scanned'
-      }];
+    Object.values(totals).forEach(total => {
+      total.monthly = Math.round(total.monthly * 100) / 100;
+      total.yearly = Math.round(total.yearly * 100) / 100;
+    });
 
-    } catch (error) {
-      console.error('Get optimized scan ranges error:', error);
-      // Fallback to scanning the entire range
-      return [{ startDate, endDate, reason: 'Error checking scan history, scanning full range' }];
-    }
+    return totals;
+  }
+}
+
+/**
+ * Data Exporter - Writes packages and subscriptions as CSV/JSON and renewals as an iCalendar file
+ */
+class DataExporter {
+  constructor(packageDB, aggregator) {
+    this.packageDB = packageDB;
+    this.aggregator = aggregator;
   }
 
   /**
-   * Save subscription to database
+   * Export packages, filtered by date range and by status ('picked_up' selects picked-up packages)
    */
-  async saveSubscriptionToDB(subscriptionData) {
+  async exportPackages(options = {}, account = null) {
     try {
-      if (!this.db) await this.initDB();
-
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME);
-
-        const subscriptionRecord = {
-          [SUBSCRIPTION_SCHEMA.ID]: `${subscriptionData.emailId}_${Date.now()}`,
-          [SUBSCRIPTION_SCHEMA.USER_EMAIL]: subscriptionData.userEmail,
-          [SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME]: subscriptionData.subscriptionName,
-          [SUBSCRIPTION_SCHEMA.AMOUNT]: subscriptionData.amount,
-          [SUBSCRIPTION_SCHEMA.BILLING_DATE]: subscriptionData.billingDate,
-          [SUBSCRIPTION_SCHEMA.REMINDER_DATE]: subscriptionData.reminderDate,
-          [SUBSCRIPTION_SCHEMA.EMAIL_ID]: subscriptionData.emailId,
-          [SUBSCRIPTION_SCHEMA.EMAIL_SUBJECT]: subscriptionData.emailSubject || '',
-          [SUBSCRIPTION_SCHEMA.EMAIL_FROM]: subscriptionData.emailFrom || '',
-          [SUBSCRIPTION_SCHEMA.CREATED_AT]: new Date().toISOString()
-        };
-
-        const request = store.add(subscriptionRecord);
-
-        request.onsuccess = () => {
-          console.log('Subscription saved to database:', subscriptionRecord.id);
-          resolve(subscriptionRecord);
-        };
+      const statuses = options.statuses && options.statuses.length ? options.statuses : null;
+      const packages = this.filterByDate(await this.packageDB.getPackages(account), EXPORT_CONFIG.PACKAGE_DATE_FIELD, options)
+        .filter(pkg => !statuses || statuses.includes(this.getPackageStatus(pkg)));
 
-        request.onerror = () => {
-          console.error('Failed to save subscription:', request.error);
-          reject(new Error('Failed to save subscription'));
-        };
-      });
+      return this.buildFile('packages', options.format, packages, EXPORT_CONFIG.PACKAGE_COLUMNS);
     } catch (error) {
-      console.error('Save subscription error:', error);
+      console.error('Export packages error:', error);
       throw error;
     }
   }
 
   /**
-   * Get all subscriptions from database
+   * Export subscription charges, filtered by billing date
    */
-  async getSubscriptions() {
+  async exportSubscriptions(options = {}, account = null) {
     try {
-      if (!this.db) await this.initDB();
-
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME);
-
-        const request = store.getAll();
-
-        request.onsuccess = () => {
-          // Sort by billing date (newest first)
-          const subscriptions = request.result.sort((a, b) =>
-            new Date(b[SUBSCRIPTION_SCHEMA.BILLING_DATE]) - new Date(a[SUBSCRIPTION_SCHEMA.BILLING_DATE])
-          );
-          resolve(subscriptions);
-        };
+      const subscriptions = this.filterByDate(await this.packageDB.getSubscriptions(account), EXPORT_CONFIG.SUBSCRIPTION_DATE_FIELD, options);
 
-        request.onerror = () => {
-          console.error('Failed to fetch subscriptions:', request.error);
-          reject(new Error('Failed to fetch subscriptions'));
-        };
-      });
+      return this.buildFile('subscriptions', options.format, subscriptions, EXPORT_CONFIG.SUBSCRIPTION_COLUMNS);
     } catch (error) {
-      console.error('Get subscriptions error:', error);
+      console.error('Export subscriptions error:', error);
       throw error;
     }
   }
 
   /**
-   * Save subscription scan history
+   * Export one recurring all-day event per subscription, starting at its next expected charge
    */
-  async saveSubscriptionScanHistory(scanData) {
+  async exportRenewalCalendar(reminderSettings = {}, account = null) {
     try {
-      if (!this.db) await this.initDB();
-
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME);
-
-        const scanRecord = {
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ID]: `sub_scan_${Date.now()}`,
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE]: new Date().toISOString(),
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.START_DATE]: scanData.startDate,
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE]: scanData.endDate,
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.EMAILS_SCANNED]: scanData.emailsScanned,
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SUBSCRIPTIONS_FOUND]: scanData.subscriptionsFound,
-          [SUBSCRIPTION_SCAN_HISTORY_SCHEMA.CALENDAR_EVENTS_CREATED]: scanData.calendarEventsCreated
-        };
-
-        const request = store.add(scanRecord);
-
-        request.onsuccess = () => {
-          console.log('Subscription scan history saved:', scanRecord.id);
-          resolve(scanRecord);
-        };
+      const { subscriptions } = await this.aggregator.getDashboard(account);
+      const renewals = subscriptions.filter(sub => sub.nextChargeDate);
 
-        request.onerror = () => {
-          console.error('Failed to save subscription scan history:', request.error);
-          reject(new Error('Failed to save subscription scan history'));
-        };
-      });
+      return {
+        filename: this.getFilename('renewals', EXPORT_CONFIG.FORMATS.ICS),
+        mimeType: EXPORT_CONFIG.MIME_TYPES.ics,
+        content: this.toIcs(renewals, reminderSettings.leadDays),
+        count: renewals.length
+      };
     } catch (error) {
-      console.error('Save subscription scan history error:', error);
+      console.error('Export renewal calendar error:', error);
       throw error;
     }
   }
 
   /**
-   * Get latest subscription scan date
+   * Serialize records in the requested format
    */
-  async getLatestSubscriptionScanDate() {
-    try {
-      if (!this.db) await this.initDB();
+  buildFile(dataType, format = EXPORT_CONFIG.FORMATS.CSV, records, columns) {
+    let content;
+    if (format === EXPORT_CONFIG.FORMATS.CSV) {
+      content = this.toCsv(records, columns);
+    } else if (format === EXPORT_CONFIG.FORMATS.JSON) {
+      content = this.toJson(records, columns);
+    } else {
+      throw new Error(ERROR_MESSAGES.EXPORT_FORMAT_UNSUPPORTED);
+    }
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME);
-        const index = store.index(SUBSCRIPTION_SCAN_HISTORY_SCHEMA.SCAN_DATE);
+    return {
+      filename: this.getFilename(dataType, format),
+      mimeType: EXPORT_CONFIG.MIME_TYPES[format],
+      content,
+      count: records.length
+    };
+  }
 
-        const request = index.openCursor(null, 'prev');
+  /**
+   * Status used by the export filter, with picked-up packages reported separately
+   */
+  getPackageStatus(pkg) {
+    if (pkg[PACKAGE_SCHEMA.PICKED_UP]) return EXPORT_CONFIG.PICKED_UP_STATUS;
+    return pkg[PACKAGE_SCHEMA.STATUS] || PACKAGE_STATUS.DELIVERED;
+  }
 
-        request.onsuccess = () => {
-          const cursor = request.result;
-          if (cursor) {
-            resolve(cursor.value[SUBSCRIPTION_SCAN_HISTORY_SCHEMA.END_DATE]);
-          } else {
-            resolve(null);
-          }
-        };
+  /**
+   * Keep records whose date field falls within the inclusive YYYY-MM-DD range
+   */
+  filterByDate(records, field, { startDate = null, endDate = null } = {}) {
+    if (!startDate && !endDate) return records;
 
-        request.onerror = () => {
-          console.error('Failed to get latest subscription scan date:', request.error);
-          resolve(null);
-        };
-      });
-    } catch (error) {
-      console.error('Get latest subscription scan date error:', error);
-      return null;
-    }
+    return records.filter(record => {
+      const time = new Date(record[field]).getTime();
+      if (isNaN(time)) return false;
+
+      const date = new Date(time).toISOString().split('T')[0];
+      return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+    });
   }
 
   /**
-   * Check if calendar event already exists for email
+   * CSV with a header row of schema field names (RFC 4180 quoting, CRLF line endings)
    */
-  async calendarEventExists(emailId) {
-    try {
-      if (!this.db) await this.initDB();
-
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readonly');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
-        const index = store.index(SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID);
+  toCsv(records, columns) {
+    const rows = [columns, ...records.map(record => columns.map(column => record[column]))];
+    return rows.map(row => row.map(value => this.formatCsvCell(value)).join(',')).join('\r\n') + '\r\n';
+  }
 
-        const request = index.get(emailId);
+  /**
+   * Quote a CSV cell; arrays and objects (status history) are written as JSON
+   */
+  formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
 
-        request.onsuccess = () => {
-          resolve(!!request.result);
-        };
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
 
-        request.onerror = () => {
-          console.error('Failed to check calendar event exists:', request.error);
-          resolve(false);
-        };
-      });
-    } catch (error) {
-      console.error('Check calendar event exists error:', error);
-      return false;
+    // Stop spreadsheets from evaluating email-derived text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
     }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
   }
 
   /**
-   * Save calendar event record
+   * JSON array holding only the schema fields of each record
    */
-  async saveCalendarEventRecord(eventData) {
-    try {
-      if (!this.db) await this.initDB();
+  toJson(records, columns) {
+    const rows = records.map(record =>
+      Object.fromEntries(columns.map(column => [column, record[column] === undefined ? null : record[column]]))
+    );
+    return JSON.stringify(rows, null, 2);
+  }
 
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME);
+  /**
+   * iCalendar file with a recurring all-day event per subscription and an optional reminder alarm
+   */
+  toIcs(subscriptions, leadDays = null) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const formatDate = (date) => date.replace(/-/g, '');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${EXPORT_CONFIG.ICS_PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeIcsText(EXPORT_CONFIG.ICS_CALENDAR_NAME)}`
+    ];
+
+    subscriptions.forEach(sub => {
+      const cycle = this.aggregator.getBillingCycle(sub.billingCycle);
+      const endDate = new Date(`${sub.nextChargeDate}T00:00:00Z`);
+      endDate.setUTCDate(endDate.getUTCDate() + 1);
+
+      const description = [
+        sub.amount ? `Amount: ${sub.amount}` : null,
+        `Billing cycle: ${cycle.label}`,
+        sub.lastBillingDate ? `Last charged: ${sub.lastBillingDate}` : null,
+        sub.emailId && !isManualEntryId(sub.emailId) ? getGmailMessageUrl(sub.emailId, sub.userEmail) : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${encodeURIComponent(sub.key)}-${encodeURIComponent(sub.userEmail || '')}@gmail-tracker`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(sub.nextChargeDate)}`,
+        `DTEND;VALUE=DATE:${formatDate(endDate.toISOString().split('T')[0])}`,
+        this.aggregator.buildRecurrenceRule(sub.nextChargeDate, cycle, sub.lastBillingDate),
+        `SUMMARY:${this.escapeIcsText(`${sub.name} renewal${sub.amount ? ` (${sub.amount})` : ''}`)}`,
+        `DESCRIPTION:${this.escapeIcsText(description)}`,
+        'TRANSP:TRANSPARENT'
+      );
 
-        const eventRecord = {
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.ID]: `cal_event_${Date.now()}`,
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_ID]: eventData.emailId,
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.SUBSCRIPTION_NAME]: eventData.subscriptionName,
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID]: eventData.calendarEventId,
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CREATED_DATE]: new Date().toISOString(),
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_SUBJECT]: eventData.emailSubject,
-          [SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.EMAIL_FROM]: eventData.emailFrom
-        };
+      if (leadDays !== null && leadDays !== undefined) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${this.escapeIcsText(`${sub.name} renews soon`)}`,
+          `TRIGGER:-P${Math.max(0, Number(leadDays))}D`,
+          'END:VALARM'
+        );
+      }
 
-        const request = store.add(eventRecord);
+      lines.push('END:VEVENT');
+    });
 
-        request.onsuccess = () => {
-          console.log('Calendar event record saved:', eventRecord.id);
-          resolve(eventRecord);
-        };
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+  }
 
-        request.onerror = () => {
-          console.error('Failed to save calendar event record:', request.error);
-          reject(new Error('Failed to save calendar event record'));
-        };
-      });
-    } catch (error) {
-      console.error('Save calendar event record error:', error);
-      throw error;
+  /**
+   * Escape iCalendar TEXT values
+   */
+  escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line at the octet limit, continuing with a leading space
+   */
+  foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    // Continuation lines lose one octet to the leading space; never split a character
+    for (const char of line) {
+      const charBytes = encoder.encode(char).length;
+      const limit = parts.length ? EXPORT_CONFIG.ICS_LINE_LIMIT - 1 : EXPORT_CONFIG.ICS_LINE_LIMIT;
+      if (currentBytes + charBytes > limit) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += charBytes;
     }
+    parts.push(current);
+
+    return parts.join('\r\n ');
   }
 
+  /**
+   * Download file name, e.g. gmail-tracker-packages-2024-05-01.csv
+   */
+  getFilename(dataType, format) {
+    const date = new Date().toISOString().split('T')[0];
+    return `${EXPORT_CONFIG.FILENAME_PREFIX}-${dataType}-${date}.${format}`;
+  }
 }
 
 /**
- * Subscription Tracker - Main orchestrator for subscription tracking
+ * Backup Manager - Versioned backup and restore of the local database and settings
  */
-class SubscriptionTracker {
-  constructor(gmailScanner, llmExtractor, calendarManager, packageDB) {
-    this.gmailScanner = gmailScanner;
-    this.llmExtractor = llmExtractor;
-    this.calendarManager = calendarManager;
+class BackupManager {
+  constructor(packageDB) {
     this.packageDB = packageDB;
   }
 
   /**
-   * Scan current month subscription emails and create calendar reminders
+   * Build a backup file of every object store and the stored settings
    */
-  async scanCurrentMonthSubscriptions(progressCallback = null) {
+  async createBackup() {
     try {
-      // Get the last scan date to optimize scanning
-      const lastScanDate = await this.packageDB.getLatestSubscriptionScanDate();
-      
-      let startDate, endDate;
-      if (lastScanDate) {
-        // Scan from last scan date to now
-        startDate = lastScanDate;
-        endDate = new Date().toISOString().split('T')[0];
-        console.log(`Incremental scan from ${startDate} to ${endDate}`);
-      } else {
-        // First time scan - scan current month
-        const now = new Date();
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0];
-        console.log(`Initial scan from ${startDate} to ${endDate}`);
+      const [stores, storedSettings] = await Promise.all([
+        this.packageDB.getAllStoreRecords(),
+        chrome.storage.local.get(BACKUP_CONFIG.SETTINGS_KEYS)
+      ]);
+
+      const backup = {
+        format: BACKUP_CONFIG.FORMAT,
+        version: BACKUP_CONFIG.VERSION,
+        schemaVersion: PACKAGE_CONFIG.DB_VERSION,
+        createdAt: new Date().toISOString(),
+        stores,
+        settings: this.removeSecrets(storedSettings)
+      };
+      const date = backup.createdAt.split('T')[0];
+
+      return {
+        filename: `${BACKUP_CONFIG.FILENAME_PREFIX}-${date}.json`,
+        mimeType: BACKUP_CONFIG.MIME_TYPE,
+        content: JSON.stringify(backup),
+        counts: Object.fromEntries(Object.entries(stores).map(([storeName, records]) => [storeName, records.length]))
+      };
+    } catch (error) {
+      console.error('Create backup error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a backup by merging it into the local data or replacing it.
+   * Records from an older schema version go through the same migrations as a database upgrade.
+   */
+  async restoreBackup(backup, mode = BACKUP_CONFIG.MODES.MERGE) {
+    try {
+      if (!Object.values(BACKUP_CONFIG.MODES).includes(mode)) {
+        throw new Error(`Unknown restore mode: ${mode}`);
       }
 
-      // Define keywords for filtering
-      const subscriptionSpecificKeywords = ['subscription', 'renewal', 'monthly subscription', 'annual subscription'];
+      const { stores, skipped } = this.validateBackup(backup);
 
-      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 10, message: 'Searching for subscription emails...' });
+      const accountsByEmailId = this.packageDB.getAccountsByEmailId(stores[PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME] || []);
+      Object.entries(stores).forEach(([storeName, records]) => {
+        records.forEach(record => this.packageDB.migrateRecord(storeName, record, backup.schemaVersion, accountsByEmailId));
+      });
 
-      // Search for subscription-related emails
-      const emailIds = await this.searchSubscriptionEmails({ startDate, endDate });
+      const summary = await this.packageDB.restoreStoreRecords(stores, mode);
+      const settingsRestored = await this.restoreSettings(backup.settings || {}, mode);
 
-      if (emailIds.length === 0) {
-        if (progressCallback) progressCallback({ step: 'complete', progress: 100, message: 'No subscription emails found' });
-        return [];
-      }
+      console.log(`Restored backup from ${backup.createdAt} (${mode}):`, summary);
+      return { mode, stores: summary, skipped, settingsRestored };
+    } catch (error) {
+      console.error('Restore backup error:', error);
+      throw error;
+    }
+  }
 
-      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 30, message: `Processing ${emailIds.length} subscription emails...` });
+  /**
+   * Check the backup format and versions, returning the known stores and the number of unusable records
+   */
+  validateBackup(backup) {
+    if (!backup || backup.format !== BACKUP_CONFIG.FORMAT || !backup.stores || typeof backup.stores !== 'object') {
+      throw new Error(ERROR_MESSAGES.BACKUP_INVALID);
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1 || !Number.isInteger(backup.version)) {
+      throw new Error(ERROR_MESSAGES.BACKUP_INVALID);
+    }
+    if (backup.version > BACKUP_CONFIG.VERSION || backup.schemaVersion > PACKAGE_CONFIG.DB_VERSION) {
+      throw new Error(ERROR_MESSAGES.BACKUP_TOO_NEW);
+    }
 
-      const subscriptions = [];
-      const totalEmails = emailIds.length;
-      let processedEmails = 0;
-      let analyzedEmails = 0;
+    // Stores missing from older backups are restored as empty; every store is keyed by 'id'
+    let skipped = 0;
+    const stores = {};
+    Object.keys(BACKUP_CONFIG.STORES).forEach(storeName => {
+      const records = Array.isArray(backup.stores[storeName]) ? backup.stores[storeName] : [];
+      stores[storeName] = records.filter(record => {
+        const valid = !!record && typeof record === 'object' && record.id !== null && record.id !== undefined;
+        if (!valid) skipped++;
+        return valid;
+      });
+    });
 
-      for (let i = 0; i < emailIds.length; i++) {
-        const emailId = emailIds[i];
-        processedEmails++;
-        const emailProgress = 30 + (processedEmails / totalEmails) * 50;
+    return { stores, skipped };
+  }
 
-        try {
-          if (progressCallback) {
-            progressCallback({
-              step: 'subscription_scan',
-              progress: Math.round(emailProgress),
-              message: `Processing email ${processedEmails}/${totalEmails}...`
-            });
-          }
+  /**
+   * Restore settings: replace overwrites them all, merge only fills in settings not set locally.
+   * Returns the number of settings written.
+   */
+  async restoreSettings(settings, mode) {
+    const local = await chrome.storage.local.get(BACKUP_CONFIG.SETTINGS_KEYS);
+    const updates = {};
+
+    BACKUP_CONFIG.SETTINGS_KEYS.forEach(key => {
+      if (settings[key] === undefined) return;
+      if (mode === BACKUP_CONFIG.MODES.MERGE && local[key] !== undefined) return;
+      updates[key] = settings[key];
+    });
 
-          // Fetch email content
-          const email = await this.gmailScanner.fetchEmail(emailId);
+    // API keys never leave this device, keep the local one
+    const llmKey = LLM_BACKEND_CONFIG.SETTINGS_KEY;
+    if (updates[llmKey] && local[llmKey]?.openai?.apiKey) {
+      updates[llmKey] = {
+        ...updates[llmKey],
+        openai: { ...updates[llmKey].openai, apiKey: local[llmKey].openai.apiKey }
+      };
+    }
 
-          // Pre-filter: Check if this email is likely subscription-related before sending to LLM
-          if (!this.isLikelySubscriptionEmail(email, subscriptionSpecificKeywords)) {
-            console.log(`Filtered out email: "${email.subject}" - not subscription-related`);
-            continue; // Skip this email
-          }
+    await chrome.storage.local.set(updates);
 
-          analyzedEmails++;
-          if (progressCallback) {
-            progressCallback({
-              step: 'subscription_scan',
-              progress: Math.round(emailProgress),
-              message: `Analyzing subscription email ${analyzedEmails} (${processedEmails}/${totalEmails} processed)`
-            });
-          }
+    if (mode === BACKUP_CONFIG.MODES.REPLACE) {
+      const removed = BACKUP_CONFIG.SETTINGS_KEYS.filter(key => settings[key] === undefined);
+      // The incremental sync cursor may be past emails that are no longer in the database.
+      // Calendar event records were kept, so rescanning those emails doesn't create their reminders again.
+      await chrome.storage.local.remove([...removed, SYNC_CONFIG.STORAGE_KEY]);
+    }
 
-          // Extract subscription information using LLM
-          const subscriptionInfo = await this.extractSubscriptionInfo(email.body || email.snippet || '', email.from, email.subject, email.date);
+    return Object.keys(updates).length;
+  }
 
-          if (subscriptionInfo.isSubscriptionEmail) {
-            const billingDate = new Date(subscriptionInfo.billingDate);
-            const reminderDate = new Date(billingDate);
-            reminderDate.setMonth(reminderDate.getMonth() + 1);
+  /**
+   * Strip credentials from settings before they are written to a file
+   */
+  removeSecrets(settings) {
+    const llmSettings = settings[LLM_BACKEND_CONFIG.SETTINGS_KEY];
+    if (!llmSettings?.openai?.apiKey) return settings;
 
-            const subscriptionData = {
-              userEmail: await this.getCurrentUserEmail(),
-              subscriptionName: subscriptionInfo.subscriptionName,
-              amount: subscriptionInfo.amount,
-              billingDate: subscriptionInfo.billingDate,
-              reminderDate: reminderDate.toISOString().split('T')[0],
-              emailId: emailId,
-              emailSubject: email.subject,
-              emailFrom: email.from
-            };
+    return {
+      ...settings,
+      [LLM_BACKEND_CONFIG.SETTINGS_KEY]: { ...llmSettings, openai: { ...llmSettings.openai, apiKey: '' } }
+    };
+  }
+}
 
-            // Save to database
-            const savedSubscription = await this.packageDB.saveSubscriptionToDB(subscriptionData);
+/**
+ * Notification Manager - Desktop notifications for deliveries and renewals
+ */
+class NotificationManager {
+  constructor(packageDB) {
+    this.packageDB = packageDB;
+  }
 
-            subscriptions.push({
-              ...subscriptionInfo,
-              emailId: emailId,
-              emailDate: email.date,
-              emailSubject: email.subject,
-              emailFrom: email.from
-            });
-          }
+  /**
+   * Get notification settings merged with defaults
+   */
+  async getSettings() {
+    const result = await chrome.storage.local.get(NOTIFICATION_CONFIG.SETTINGS_KEY);
+    const stored = result[NOTIFICATION_CONFIG.SETTINGS_KEY] || {};
 
-        } catch (emailError) {
-          console.error(`Failed to process email ${emailId}:`, emailError);
-        }
-      }
+    return {
+      delivery: { ...NOTIFICATION_CONFIG.DEFAULT_SETTINGS.delivery, ...stored.delivery },
+      renewal: { ...NOTIFICATION_CONFIG.DEFAULT_SETTINGS.renewal, ...stored.renewal }
+    };
+  }
 
-      if (progressCallback) progressCallback({ step: 'subscription_scan', progress: 80, message: `Creating calendar events for ${subscriptions.length} subscriptions...` });
+  /**
+   * Update mute settings for one or both notification types
+   */
+  async updateSettings(updates = {}) {
+    const settings = await this.getSettings();
 
-      // Create calendar events for subscriptions (check for duplicates)
-      const createdEvents = [];
-      for (let i = 0; i < subscriptions.length; i++) {
-        const subscription = subscriptions[i];
-        try {
-          // Check if calendar event already exists for this email
-          const eventExists = await this.packageDB.calendarEventExists(subscription.emailId);
-          if (eventExists) {
-            console.log(`Calendar event already exists for email ${subscription.emailId}, skipping`);
-            continue;
-          }
+    Object.values(NOTIFICATION_CONFIG.TYPES).forEach(type => {
+      if (!updates[type]) return;
 
-          const event = await this.createSubscriptionReminderEvent(subscription);
-          
-          // Save calendar event record to prevent duplicates
-          await this.packageDB.saveCalendarEventRecord({
-            emailId: subscription.emailId,
-            subscriptionName: subscription.subscriptionName,
-            calendarEventId: event.id,
-            emailSubject: subscription.emailSubject,
-            emailFrom: subscription.emailFrom
-          });
-          
-          createdEvents.push(event);
-        } catch (eventError) {
-          console.error(`Failed to create calendar event for subscription:`, eventError);
-        }
+      if (typeof updates[type].muted === 'boolean') {
+        settings[type].muted = updates[type].muted;
       }
+      // A value that is not a number keeps the current setting
+      const daysAhead = Number(updates[type].daysAhead);
+      if (type === NOTIFICATION_CONFIG.TYPES.RENEWAL && updates[type].daysAhead && Number.isFinite(daysAhead)) {
+        settings[type].daysAhead = Math.max(1, Math.round(daysAhead));
+      }
+    });
 
-      if (progressCallback) {
-        progressCallback({
-          step: 'complete',
-          progress: 100,
-          message: `Created ${createdEvents.length} subscription reminders`
+    await chrome.storage.local.set({ [NOTIFICATION_CONFIG.SETTINGS_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Create a notification, resolving with its ID
+   */
+  createNotification(notificationId, options) {
+    return new Promise((resolve) => {
+      chrome.notifications.create(notificationId, {
+        iconUrl: NOTIFICATION_CONFIG.ICON_URL,
+        ...options
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to create notification:', chrome.runtime.lastError.message);
+        }
+        resolve(notificationId);
+      });
+    });
+  }
+
+  /**
+   * Send one notification per newly delivered package, skipping deliveries that are no longer recent
+   */
+  async notifyDeliveries(packages) {
+    try {
+      const settings = await this.getSettings();
+      const recentSince = Date.now() - NOTIFICATION_CONFIG.RECENT_DELIVERY_HOURS * 60 * 60 * 1000;
+      packages = packages.filter(pkg => new Date(pkg[PACKAGE_SCHEMA.DELIVERY_TIME]).getTime() >= recentSince);
+      if (settings.delivery.muted || packages.length === 0) return;
+
+      const shown = packages.slice(0, NOTIFICATION_CONFIG.MAX_DELIVERY_NOTIFICATIONS);
+      for (const pkg of shown) {
+        const trackingInfo = pkg[PACKAGE_SCHEMA.TRACKING_NUMBER] ? ` (${pkg[PACKAGE_SCHEMA.TRACKING_NUMBER]})` : '';
+
+        await this.createNotification(`${NOTIFICATION_CONFIG.ID_PREFIXES.DELIVERY}${pkg[PACKAGE_SCHEMA.ID]}`, {
+          type: 'basic',
+          title: `📦 Delivered: ${pkg[PACKAGE_SCHEMA.SENDER] || 'Package'}`,
+          message: `${pkg[PACKAGE_SCHEMA.EMAIL_SUBJECT] || 'Your package was delivered'}${trackingInfo}`,
+          buttons: NOTIFICATION_CONFIG.DELIVERY_BUTTONS.map(title => ({ title })),
+          requireInteraction: true
         });
       }
 
-      // Save subscription scan history
-      try {
-        await this.packageDB.saveSubscriptionScanHistory({
-          startDate: startDate,
-          endDate: endDate,
-          emailsScanned: emailIds.length,
-          subscriptionsFound: subscriptions.length,
-          calendarEventsCreated: createdEvents.length
+      // Collapse the rest into a single summary to avoid flooding the desktop
+      const remaining = packages.length - shown.length;
+      if (remaining > 0) {
+        await this.createNotification(`${NOTIFICATION_CONFIG.ID_PREFIXES.DELIVERY_SUMMARY}${Date.now()}`, {
+          type: 'basic',
+          title: '📦 More deliveries',
+          message: `${remaining} more packages were delivered. Open Gmail Tracker to see them.`
         });
-      } catch (historyError) {
-        console.error('Failed to save subscription scan history:', historyError);
       }
+    } catch (error) {
+      console.error('Delivery notification error:', error);
+    }
+  }
 
-      // Don't clear progress here - let the progress callback handle it
+  /**
+   * Send a digest of subscription renewals due within the configured number of days
+   */
+  async sendRenewalDigest() {
+    try {
+      const settings = await this.getSettings();
+      if (settings.renewal.muted) return;
+
+      const today = new Date().toISOString().split('T')[0];
+      const until = new Date();
+      until.setDate(until.getDate() + settings.renewal.daysAhead);
+      const untilDate = until.toISOString().split('T')[0];
+
+      // The same subscription can be billed by several emails, keep one entry per renewal
+      const renewals = new Map();
+      const subscriptions = await this.packageDB.getSubscriptions();
+      subscriptions.forEach(sub => {
+        // Rows saved before renewal prediction only have the reminder date
+        const renewalDate = sub[SUBSCRIPTION_SCHEMA.NEXT_RENEWAL_DATE] || sub[SUBSCRIPTION_SCHEMA.REMINDER_DATE];
+        if (!renewalDate || renewalDate < today || renewalDate > untilDate) return;
+
+        const key = `${sub[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME]}_${renewalDate}`;
+        renewals.set(key, { sub, renewalDate });
+      });
 
-      return createdEvents;
+      if (renewals.size === 0) return;
 
-    } catch (error) {
-      console.error('Scan subscriptions error:', error);
-      if (progressCallback) {
-        progressCallback({
-          step: 'error',
-          progress: 0,
-          message: `Error: ${error.message}`
-        });
+      // Only send the same digest once per day
+      const digestKey = [...renewals.keys()].sort().join('|');
+      const stateResult = await chrome.storage.local.get(NOTIFICATION_CONFIG.DIGEST_STATE_KEY);
+      const digestState = stateResult[NOTIFICATION_CONFIG.DIGEST_STATE_KEY];
+      if (digestState && digestState.date === today && digestState.key === digestKey) {
+        return;
       }
-      throw error;
+
+      const items = [...renewals.values()]
+        .sort((a, b) => a.renewalDate.localeCompare(b.renewalDate))
+        .slice(0, NOTIFICATION_CONFIG.MAX_DIGEST_ITEMS)
+        .map(({ sub, renewalDate }) => ({
+          title: sub[SUBSCRIPTION_SCHEMA.SUBSCRIPTION_NAME] || 'Subscription',
+          message: `${sub[SUBSCRIPTION_SCHEMA.AMOUNT] || ''} on ${renewalDate}`.trim()
+        }));
+
+      await this.createNotification(NOTIFICATION_CONFIG.ID_PREFIXES.RENEWAL_DIGEST, {
+        type: 'list',
+        title: `💳 ${renewals.size} renewal${renewals.size === 1 ? '' : 's'} in the next ${settings.renewal.daysAhead} days`,
+        message: 'Upcoming subscription renewals',
+        items
+      });
+
+      await chrome.storage.local.set({
+        [NOTIFICATION_CONFIG.DIGEST_STATE_KEY]: { date: today, key: digestKey }
+      });
+    } catch (error) {
+      console.error('Renewal digest error:', error);
     }
   }
 
   /**
-   * Pre-filter to check if email is likely subscription-related
-   * Only uses subscription-specific keywords and subject filtering
+   * Schedule the daily renewal digest
    */
-  isLikelySubscriptionEmail(email, subscriptionKeywords) {
-    const subject = (email.subject || '').toLowerCase();
-    const fullContent = (email.snippet || '').toLowerCase();
-
-    // Check if subject contains subscription or plan
-    const hasSubscriptionSubject = subject.includes('subscription') || subject.includes('plan');
-
-    // Check if content contains subscription-specific keywords
-    const hasSubscriptionContent = subscriptionKeywords.some(keyword =>
-      fullContent.includes(keyword.toLowerCase())
-    );
-
-    // Allow if: subscription content OR subscription/plan in subject
-    return hasSubscriptionContent || hasSubscriptionSubject;
+  scheduleRenewalDigest() {
+    chrome.alarms.create(NOTIFICATION_CONFIG.DIGEST_ALARM_NAME, {
+      delayInMinutes: 1,
+      periodInMinutes: NOTIFICATION_CONFIG.DIGEST_INTERVAL_MINUTES
+    });
   }
 
   /**
-   * Search for subscription-related emails
+   * Get the package ID from a delivery notification ID
    */
-  async searchSubscriptionEmails(options = {}) {
-    try {
-      const { startDate, endDate } = options;
-      const keywords = SUBSCRIPTION_CONFIG.DEFAULT_SEARCH_KEYWORDS;
+  getPackageId(notificationId) {
+    if (!notificationId.startsWith(NOTIFICATION_CONFIG.ID_PREFIXES.DELIVERY)) {
+      return null;
+    }
+    return notificationId.slice(NOTIFICATION_CONFIG.ID_PREFIXES.DELIVERY.length);
+  }
 
-      console.log('Searching subscription emails from', startDate, 'to', endDate);
+  /**
+   * Clear the delivery notification for a package
+   */
+  clearDeliveryNotification(packageId) {
+    chrome.notifications.clear(`${NOTIFICATION_CONFIG.ID_PREFIXES.DELIVERY}${packageId}`);
+  }
 
-      // Build more restrictive search query for subscription emails
-      const subscriptionSpecificKeywords = ['subscription', 'renewal', 'monthly subscription', 'annual subscription'];
+  /**
+   * Open the most recent email for a package in Gmail
+   */
+  async openPackageEmail(packageId) {
+    const packageRecord = await this.packageDB.getPackageById(packageId);
+    if (!packageRecord) return;
 
-      const searchOptions = {
-        newerThan: startDate,
-        olderThan: endDate
-      };
+    const history = packageRecord[PACKAGE_SCHEMA.STATUS_HISTORY] || [];
+    const latestEntry = history[history.length - 1];
+    const emailId = (latestEntry && latestEntry.emailId) || packageRecord[PACKAGE_SCHEMA.EMAIL_ID];
 
-      // Override the buildSearchQuery to be more restrictive
-      const originalBuildQuery = this.gmailScanner.buildSearchQuery;
-      this.gmailScanner.buildSearchQuery = (newerThan, olderThan) => {
-        // Build the query components - only use subscription keywords and subject filter in Gmail search
-        const subjectQuery = 'subject:(subscription OR plan or membership or renewal)';
-        const subscriptionContentQuery = subscriptionSpecificKeywords.map(keyword => `"${keyword}"`).join(' OR ');
+    chrome.tabs.create({ url: getGmailMessageUrl(emailId, packageRecord[PACKAGE_SCHEMA.USER_EMAIL]) });
+  }
+}
 
-        // Use subscription-specific content OR subscription/plan in subject (payment filtering will be done on snippets later)
-        let query = `((${subscriptionContentQuery}) OR ${subjectQuery})`;
+/**
+ * Package Tracker - Main orchestrator for package delivery tracking
+ */
+class PackageTracker {
+  constructor(gmailScanner, llmExtractor, packageDB, syncEngine = null, notificationManager = null, calendarManager = null) {
+    this.gmailScanner = gmailScanner;
+    this.llmExtractor = llmExtractor;
+    this.packageDB = packageDB;
+    this.syncEngine = syncEngine;
+    this.notificationManager = notificationManager;
+    this.calendarManager = calendarManager;
+  }
 
-        if (newerThan) {
-          const date = new Date(newerThan);
-          const dateStr = date.toISOString().split('T')[0].replace(/-/g, '/');
-          query += ` after:${dateStr}`;
-        }
+  /**
+   * Get delivery window event settings merged with defaults
+   */
+  async getDeliveryEventSettings() {
+    const result = await chrome.storage.local.get(DELIVERY_EVENT_CONFIG.SETTINGS_KEY);
+    return { ...DELIVERY_EVENT_CONFIG.DEFAULT_SETTINGS, ...result[DELIVERY_EVENT_CONFIG.SETTINGS_KEY] };
+  }
 
-        if (olderThan) {
-          const date = new Date(olderThan);
-          const dateStr = date.toISOString().split('T')[0].replace(/-/g, '/');
-          query += ` before:${dateStr}`;
-        }
+  /**
+   * Update delivery window event settings
+   */
+  async updateDeliveryEventSettings(updates = {}) {
+    const settings = await this.getDeliveryEventSettings();
+    if (typeof updates.enabled === 'boolean') {
+      settings.enabled = updates.enabled;
+    }
+    if (Object.values(DELIVERY_EVENT_CONFIG.COMPLETED_ACTIONS).includes(updates.completedAction)) {
+      settings.completedAction = updates.completedAction;
+    }
 
-        query += ` ${SEARCH_QUERIES.SPAM_FILTER}`;
-        console.log('Subscription search query:', query);
-        return query;
-      };
+    await chrome.storage.local.set({ [DELIVERY_EVENT_CONFIG.SETTINGS_KEY]: settings });
+    return settings;
+  }
 
-      const emailIds = await this.gmailScanner.searchEmails(searchOptions);
+  /**
+   * Mark a package as picked up and finish its delivery window event
+   */
+  async markPackageAsPickedUp(packageId) {
+    const packageRecord = await this.packageDB.markPackageAsPickedUp(packageId);
+    return this.syncDeliveryEvent(packageRecord);
+  }
 
-      // Restore original method
-      this.gmailScanner.buildSearchQuery = originalBuildQuery;
+  /**
+   * Undo a pickup and bring back the delivery window event it finished
+   */
+  async markPackageAsUnpicked(packageId) {
+    const packageRecord = await this.packageDB.markPackageAsUnpicked(packageId);
+    return this.reopenDeliveryEvent(packageRecord);
+  }
 
-      console.log(`Found ${emailIds.length} potential subscription emails`);
-      return emailIds;
-    } catch (error) {
-      console.error('Search subscription emails error:', error);
-      throw error;
-    }
+  /**
+   * Save manual corrections and move or finish the delivery event to match
+   */
+  async updatePackage(packageId, changes) {
+    const packageRecord = await this.packageDB.updatePackage(packageId, changes);
+    return this.reopenDeliveryEvent(packageRecord);
   }
 
   /**
-   * Extract subscription information from email content using LLM
+   * Delete a package together with its delivery window event
    */
-  async extractSubscriptionInfo(emailContent, emailFrom, emailSubject, emailDate = null) {
-    try {
-      const prompt = `Analyze the following email and determine if it is a subscription billing/payment notification email.
+  async deletePackage(packageId) {
+    const packageRecord = await this.packageDB.getPackageById(packageId);
+    if (!packageRecord) throw new Error(ERROR_MESSAGES.PACKAGE_NOT_FOUND);
 
-Email from: ${emailFrom}
-Email subject: ${emailSubject}
-Email content:
-${emailContent}
+    const eventId = packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_ID];
+    if (this.calendarManager && eventId) {
+      try {
+        await this.calendarManager.deleteEvent(eventId, packageRecord[PACKAGE_SCHEMA.CALENDAR_ID]);
+      } catch (error) {
+        if (!this.calendarManager.isEventGone(error)) {
+          console.error(`Failed to delete delivery event for package ${packageId}:`, error);
+        }
+      }
+    }
 
-Return ONLY a valid JSON object with the following structure:
-{
-  "isSubscriptionEmail": boolean,
-  "subscriptionName": "service name (e.g., 'Netflix', 'Spotify', 'Adobe') or null if not a subscription email",
-  "amount": "payment amount with currency (e.g., '$9.99', '€12.50') or null if not found",
-  "billingDate": "YYYY-MM-DD format of when this payment was processed, or null if not found"
-}
+    return this.packageDB.deletePackage(packageId);
+  }
 
-Rules:
-- Set isSubscriptionEmail to true ONLY if the email is clearly about an ACTUAL subscription payment, billing, or renewal that has already been charged
-- Set isSubscriptionEmail to false for ALL of the following:
-  * Advertisement emails (e.g., "Get 3 months free", "Redeem your trial", "Special offer")
-  * Trial offers or promotional emails
-  * Emails about starting new subscriptions or trials
-  * Emails that mention "free", "trial", "offer", "redeem", "discount", "promo"
-  * Emails that are trying to sell or promote services
-- If isSubscriptionEmail is false, set all other fields to null
-- For subscriptionName, extract the service/company name (e.g., "Netflix" from "Netflix.com" or "Your Netflix subscription")
-- For amount, include currency symbol and amount (e.g., "$9.99", "€12.50")
-- For billingDate, use YYYY-MM-DD format based on the payment/billing date mentioned in the email
-- Do not include any explanatory text, markdown formatting, or code blocks
-- Return only the raw JSON object`;
-      console.log("Email subject:", emailSubject);
-      console.log("Email conetent:", emailContent)
-      const response = await this.llmExtractor.callLLM(prompt);
+  /**
+   * Add a package that was announced outside email, such as by SMS. It is linked to an existing package
+   * with the same tracking or order number and gets a delivery window event like a scanned one.
+   */
+  async addManualPackage(entry = {}, account = null) {
+    if (!(entry.sender || '').trim()) {
+      throw new Error(`${ERROR_MESSAGES.MANUAL_ENTRY_INVALID}: sender is required`);
+    }
 
-      const cleanedResponse = response
-        .replace(/```json\s*/g, '')
-        .replace(/```\s*/g, '')
-        .replace(/^\s*[\r\n]+/gm, '')
-        .trim();
+    // Same validation as the edit form
+    const fields = {};
+    for (const field of PACKAGE_EDIT_CONFIG.EDITABLE_FIELDS) {
+      if (entry[field] !== undefined) fields[field] = this.packageDB.normalizePackageEdit(field, entry[field]);
+    }
 
-      const subscriptionInfo = JSON.parse(cleanedResponse);
-      console.log("Subscription info extracted:", JSON.stringify(subscriptionInfo));
+    const trackingNumber = fields[PACKAGE_SCHEMA.TRACKING_NUMBER] ? fields[PACKAGE_SCHEMA.TRACKING_NUMBER].toUpperCase() : null;
+    const now = new Date().toISOString();
+    const packageData = {
+      userEmail: account || await this.getCurrentUserEmail(),
+      sender: fields[PACKAGE_SCHEMA.SENDER],
+      status: fields[PACKAGE_SCHEMA.STATUS] || MANUAL_ENTRY_CONFIG.DEFAULT_PACKAGE_STATUS,
+      deliveryDate: fields[PACKAGE_SCHEMA.DELIVERY_DATE] || null,
+      expectedDeliveryDate: fields[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE] || null,
+      orderNumber: fields[PACKAGE_SCHEMA.ORDER_NUMBER]
+        ? this.normalizeOrderNumber(fields[PACKAGE_SCHEMA.ORDER_NUMBER]) || fields[PACKAGE_SCHEMA.ORDER_NUMBER]
+        : null,
+      deliveryTime: now,
+      emailId: `${MANUAL_ENTRY_CONFIG.EMAIL_ID_PREFIX}${Date.now()}`,
+      emailSubject: '',
+      emailFrom: '',
+      emailSnippet: '',
+      trackingNumber,
+      // A known tracking number format tells the carrier when none was picked
+      carrier: fields[PACKAGE_SCHEMA.CARRIER] || (trackingNumber ? this.extractTrackingInfo(trackingNumber).carrier : null),
+      extractor: null,
+      source: ENTRY_SOURCES.MANUAL
+    };
 
-      return {
-        isSubscriptionEmail: subscriptionInfo.isSubscriptionEmail,
-        subscriptionName: subscriptionInfo.subscriptionName,
-        amount: subscriptionInfo.amount,
-        billingDate: subscriptionInfo.billingDate || (emailDate ? new Date(emailDate).toISOString().split('T')[0] : null),
-        emailSubject: emailSubject
-      };
-    } catch (error) {
-      console.error('Extract subscription info error:', error);
-      throw error;
-    }
+    // A package the user deleted is not a match, the entry starts a new one
+    const { record, isNew } = await this.packageDB.savePackageStatusUpdate(packageData, false);
+    return { package: await this.syncDeliveryEvent(record), isNew };
   }
 
   /**
-   * Get current user's email address
+   * Sync the delivery event of a package that may no longer be complete.
+   * An event finished by a pickup or a delivered status is turned back into an open one.
    */
-  async getCurrentUserEmail() {
-    try {
-      const token = await this.gmailScanner.getAuthToken();
-      const response = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/profile', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+  async reopenDeliveryEvent(packageRecord) {
+    const isComplete = packageRecord[PACKAGE_SCHEMA.PICKED_UP] ||
+      DELIVERY_EVENT_CONFIG.COMPLETED_STATUSES.includes(packageRecord[PACKAGE_SCHEMA.STATUS]);
+    if (!this.calendarManager || isComplete || !packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]) {
+      return this.syncDeliveryEvent(packageRecord);
+    }
 
-      if (response.ok) {
-        const profile = await response.json();
-        return profile.emailAddress || 'unknown@gmail.com';
+    const packageId = packageRecord[PACKAGE_SCHEMA.ID];
+    const eventId = packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_ID];
+    let reopened = await this.packageDB.updatePackageFields(packageId, { [PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]: false });
+
+    // A deleted event is created again by syncDeliveryEvent, a "done" one is patched back
+    if (eventId && reopened[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE]) {
+      try {
+        await this.calendarManager.patchEvent(eventId, this.buildDeliveryEventData(reopened), packageRecord[PACKAGE_SCHEMA.CALENDAR_ID]);
+        console.log(`Reopened delivery event for package ${packageId}`);
+        reopened = await this.packageDB.updatePackageFields(packageId, {
+          [PACKAGE_SCHEMA.CALENDAR_EVENT_DATE]: reopened[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE]
+        });
+      } catch (error) {
+        if (!this.calendarManager.isEventGone(error)) {
+          console.error(`Failed to reopen delivery event for package ${packageId}:`, error);
+          return reopened;
+        }
+        reopened = await this.packageDB.updatePackageFields(packageId, { [PACKAGE_SCHEMA.CALENDAR_EVENT_ID]: null });
       }
-      return 'unknown@gmail.com';
-    } catch (error) {
-      console.error('Failed to get user email:', error);
-      return 'unknown@gmail.com';
     }
+
+    return this.syncDeliveryEvent(reopened);
   }
 
   /**
-   * Create calendar event for subscription reminder (1 month from billing date)
+   * Create, move or finish the calendar event for a package's expected delivery.
+   * Calendar failures are logged and never fail the scan; returns the (updated) package record.
    */
-  async createSubscriptionReminderEvent(subscription) {
+  async syncDeliveryEvent(packageRecord) {
+    if (!this.calendarManager || packageRecord[PACKAGE_SCHEMA.DELETED]) return packageRecord;
+
+    const packageId = packageRecord[PACKAGE_SCHEMA.ID];
+    const eventId = packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_ID];
+    const calendarId = packageRecord[PACKAGE_SCHEMA.CALENDAR_ID];
+    const expectedDate = packageRecord[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE];
+    const status = packageRecord[PACKAGE_SCHEMA.STATUS];
+    const isComplete = packageRecord[PACKAGE_SCHEMA.PICKED_UP] || DELIVERY_EVENT_CONFIG.COMPLETED_STATUSES.includes(status);
+
+    // An event that was finished, or deleted in Google Calendar, is not created again
+    const finishedFields = {
+      [PACKAGE_SCHEMA.CALENDAR_EVENT_ID]: null,
+      [PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]: true
+    };
+
     try {
-      const billingDate = new Date(subscription.billingDate);
+      if (isComplete) {
+        if (!eventId || packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]) return packageRecord;
 
-      // Create reminder for 1 month after the billing date
-      const reminderDate = new Date(billingDate);
-      reminderDate.setMonth(reminderDate.getMonth() + 1);
+        const settings = await this.getDeliveryEventSettings();
+        if (settings.completedAction === DELIVERY_EVENT_CONFIG.COMPLETED_ACTIONS.MARK_DONE) {
+          await this.calendarManager.patchEvent(eventId, this.buildDeliveryEventData(packageRecord, true), calendarId);
+          return this.packageDB.updatePackageFields(packageId, { [PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]: true });
+        }
 
-      const reminderDateStr = reminderDate.toISOString().split('T')[0];
+        await this.calendarManager.deleteEvent(eventId, calendarId);
+        return this.packageDB.updatePackageFields(packageId, finishedFields);
+      }
 
-      const eventTitle = `${subscription.subscriptionName} Subscription Renewal`;
-      const gmailUrl = `https://mail.google.com/mail/u/0/#inbox/${subscription.emailId}`;
-      const eventDescription = `Subscription renewal reminder for ${subscription.subscriptionName}
-Amount: ${subscription.amount || 'N/A'}
-Last billing: ${subscription.billingDate}
-Original email: ${subscription.emailSubject}
-View original email: ${gmailUrl}`;
+      if (!expectedDate || !DELIVERY_EVENT_CONFIG.EVENT_STATUSES.includes(status)) return packageRecord;
 
-      const eventData = {
-        title: eventTitle,
-        date: reminderDateStr,
-        description: eventDescription
-      };
+      // Estimate changed, move the existing event
+      if (eventId) {
+        if (packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_DATE] === expectedDate) return packageRecord;
 
-      const event = await this.calendarManager.createEvent(eventData);
-      console.log(`Created calendar event for ${subscription.subscriptionName} on ${reminderDateStr}`);
+        await this.calendarManager.patchEvent(eventId, this.buildDeliveryEventData(packageRecord), calendarId);
+        console.log(`Moved delivery event for package ${packageId} to ${expectedDate}`);
+        return this.packageDB.updatePackageFields(packageId, { [PACKAGE_SCHEMA.CALENDAR_EVENT_DATE]: expectedDate });
+      }
 
-      const result = {
-        id: event.id,
-        subscriptionName: subscription.subscriptionName,
-        amount: subscription.amount,
-        reminderDate: reminderDateStr,
-        calendarEventId: event.id
-      };
-      
-      console.log('Returning subscription event:', result);
-      return result;
+      if (packageRecord[PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]) return packageRecord;
+
+      const settings = await this.getDeliveryEventSettings();
+      if (!settings.enabled) return packageRecord;
+
+      const event = await this.calendarManager.createEvent(this.buildDeliveryEventData(packageRecord));
+      console.log(`Created delivery event for package ${packageId} on ${expectedDate}`);
+      return this.packageDB.updatePackageFields(packageId, {
+        [PACKAGE_SCHEMA.CALENDAR_EVENT_ID]: event.id,
+        [PACKAGE_SCHEMA.CALENDAR_ID]: event.calendarId,
+        [PACKAGE_SCHEMA.CALENDAR_EVENT_DATE]: expectedDate,
+        [PACKAGE_SCHEMA.CALENDAR_EVENT_DONE]: false
+      });
     } catch (error) {
-      console.error('Create subscription reminder event error:', error);
-      throw error;
+      if (eventId && this.calendarManager.isEventGone(error)) {
+        console.log(`Delivery event for package ${packageId} was deleted outside the extension`);
+        return this.packageDB.updatePackageFields(packageId, finishedFields);
+      }
+
+      console.error(`Failed to sync delivery event for package ${packageId}:`, error);
+      return packageRecord;
     }
   }
-}
 
-/**
- * Package Tracker - Main orchestrator for package delivery tracking
- */
-class PackageTracker {
-  constructor(gmailScanner, llmExtractor, packageDB) {
-    this.gmailScanner = gmailScanner;
-    this.llmExtractor = llmExtractor;
-    this.packageDB = packageDB;
+  /**
+   * Event title, date and description for a package's delivery window
+   */
+  buildDeliveryEventData(packageRecord, isDone = false) {
+    const carrier = CARRIER_CONFIG.CARRIERS.find(c => c.id === packageRecord[PACKAGE_SCHEMA.CARRIER]);
+    const sender = packageRecord[PACKAGE_SCHEMA.SENDER] || 'unknown sender';
+    const trackingNumber = packageRecord[PACKAGE_SCHEMA.TRACKING_NUMBER];
+    const trackingTemplate = CARRIER_CONFIG.TRACKING_URLS[packageRecord[PACKAGE_SCHEMA.CARRIER]];
+    const status = packageRecord[PACKAGE_SCHEMA.STATUS];
+
+    const title = `${carrier ? `${carrier.name} package` : 'Package'} from ${sender} ${isDone ? 'delivered' : 'expected'}`;
+
+    const descriptionLines = [];
+    if (trackingNumber) descriptionLines.push(`Tracking number: ${trackingNumber}`);
+    if (trackingNumber && trackingTemplate) {
+      descriptionLines.push(`Track package: ${trackingTemplate.replace('{trackingNumber}', encodeURIComponent(trackingNumber))}`);
+    }
+    if (packageRecord[PACKAGE_SCHEMA.ORDER_NUMBER]) descriptionLines.push(`Order: ${packageRecord[PACKAGE_SCHEMA.ORDER_NUMBER]}`);
+    descriptionLines.push(`Status: ${PACKAGE_STATUS_LABELS[status] || status}`);
+    if (!isManualEntryId(packageRecord[PACKAGE_SCHEMA.EMAIL_ID])) {
+      descriptionLines.push(`View original email: ${getGmailMessageUrl(packageRecord[PACKAGE_SCHEMA.EMAIL_ID], packageRecord[PACKAGE_SCHEMA.USER_EMAIL])}`);
+    }
+
+    // A finished event moves to the actual delivery day when it is known
+    const deliveryDate = packageRecord[PACKAGE_SCHEMA.DELIVERY_DATE];
+    const date = isDone && /^\d{4}-\d{2}-\d{2}$/.test(deliveryDate || '')
+      ? deliveryDate
+      : packageRecord[PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE];
+
+    return {
+      title: isDone ? `${DELIVERY_EVENT_CONFIG.DONE_TITLE_PREFIX}${title}` : title,
+      date,
+      description: descriptionLines.join('\n'),
+      transparency: 'transparent',
+      colorId: DELIVERY_EVENT_CONFIG.COLOR_ID
+    };
   }
 
   /**
@@ -1652,7 +7032,8 @@ class PackageTracker {
       const {
         startDate = PACKAGE_CONFIG.DEFAULT_START_DATE,
         endDate = PACKAGE_CONFIG.DEFAULT_END_DATE,
-        keywords = PACKAGE_CONFIG.DEFAULT_SEARCH_KEYWORDS
+        keywords = PACKAGE_CONFIG.DEFAULT_SEARCH_KEYWORDS,
+        signal = null
       } = options;
 
       console.log('Searching package emails from', startDate, 'to', endDate);
@@ -1661,7 +7042,8 @@ class PackageTracker {
       const keywordQuery = keywords.map(keyword => `"${keyword}"`).join(' OR ');
       const searchOptions = {
         newerThan: startDate,
-        olderThan: endDate
+        olderThan: endDate,
+        signal
       };
 
       // Override the buildSearchQuery to include package keywords
@@ -1685,10 +7067,13 @@ class PackageTracker {
         return query;
       };
 
-      const emailIds = await this.gmailScanner.searchEmails(searchOptions);
-
-      // Restore original method
-      this.gmailScanner.buildSearchQuery = originalBuildQuery;
+      let emailIds;
+      try {
+        emailIds = await this.gmailScanner.searchEmails(searchOptions);
+      } finally {
+        // Restore original method, also when the search was cancelled
+        this.gmailScanner.buildSearchQuery = originalBuildQuery;
+      }
 
       console.log(`Found ${emailIds.length} potential package emails`);
       return emailIds;
@@ -1701,13 +7086,21 @@ class PackageTracker {
 
 
   /**
-   * Extract delivery information from email content using LLM
+   * Check if an email matches the package search keywords (used for synced messages)
+   */
+  isLikelyPackageEmail(email, keywords = PACKAGE_CONFIG.DEFAULT_SEARCH_KEYWORDS) {
+    const content = `${email.subject || ''} ${email.snippet || ''} ${email.body || ''}`.toLowerCase();
+    return keywords.some(keyword => content.includes(keyword.toLowerCase()));
+  }
+
+  /**
+   * Extract delivery information from email content using the LLM (or the rule-based fallback)
    */
-  async extractDeliveryInfo(emailContent, emailFrom, emailSubject, emailDate = null) {
+  async extractDeliveryInfo(emailContent, emailFrom, emailSubject, emailDate = null, emailBody = null, signal = null) {
     try {
-      const prompt = `Analyze the following email and determine if it is a package/delivery notification email.
+      const prompt = `Analyze the following email and determine if it is a package/order shipment notification email.
 
-First, check if this email is related to package delivery.
+First, check if this email is related to an order or package shipment.
 
 Email from: ${emailFrom}
 Email subject: ${emailSubject}
@@ -1717,42 +7110,195 @@ ${emailContent}
 Return ONLY a valid JSON object with the following structure:
 {
   "isDeliveryEmail": boolean,
-  "deliveryDate": "YYYY-MM-DD or null if not found or not a delivery email",
-  "sender": "company/service name (e.g., 'amazon', 'fedex', 'ups') or null if not a delivery email"
+  "status": "one of 'order_placed', 'shipped', 'out_for_delivery', 'delivered', 'delayed', 'returned', 'exception', or null if not a shipment email",
+  "deliveryDate": "YYYY-MM-DD the package was delivered, or null if not delivered yet or not found",
+  "expectedDeliveryDate": "YYYY-MM-DD the package is expected to arrive, or null if not found",
+  "orderNumber": "order number as written in the email, or null if not found",
+  "sender": "company/service name (e.g., 'amazon', 'fedex', 'ups') or null if not a shipment email"
 }
 Rules:
-- Set isDeliveryEmail to true only if the email is clearly about the package is delivered
-- If isDeliveryEmail is false, set deliveryDate and sender to null
+- Set isDeliveryEmail to true only if the email is clearly about a specific order or package: order confirmation, shipped, out for delivery, delivered, delayed, returned or a delivery exception
+- Set isDeliveryEmail to false for advertisements, newsletters and promotional emails
+- If isDeliveryEmail is false, set all other fields to null
+- For status, use 'order_placed' for order confirmations, 'shipped' for shipping confirmations or in-transit updates, 'out_for_delivery' when the package arrives today, 'delivered' when it has been delivered, 'delayed' when the delivery is late or rescheduled, 'returned' when it was returned or refunded, and 'exception' for failed delivery attempts or problems that need action
 - For sender, extract the company name from the email domain or content (e.g., "amazon" from "amazon.com" or "Amazon", "fedex" from "FedEx")
-- For deliveryDate, use YYYY-MM-DD format
+- For deliveryDate and expectedDeliveryDate, use YYYY-MM-DD format
 - Do not include any explanatory text, markdown formatting, or code blocks
 - Return only the raw JSON object`;
 
-      const response = await this.llmExtractor.callLLM(prompt);
-
-      const cleanedResponse = response.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-
-      const deliveryInfo = JSON.parse(cleanedResponse);
+      const { data: deliveryInfo, extractor } = await this.llmExtractor.runExtraction(prompt, {
+        type: EXTRACTOR_CONFIG.TASKS.DELIVERY,
+        email: { content: emailContent, body: emailBody, from: emailFrom, subject: emailSubject, date: emailDate },
+        signal
+      });
       console.log("Here is the email subject: " + emailSubject);
       console.log("Here is the deliveryInfo: " + JSON.stringify(deliveryInfo));
 
-      // If deliveryDate is null and we have an email date, use the email sent date
+      const status = this.normalizeStatus(deliveryInfo.status, `${emailSubject} ${emailContent}`);
+
+      // If a delivered package has no deliveryDate and we have an email date, use the email sent date
       let finalDeliveryDate = deliveryInfo.deliveryDate;
-      if (!finalDeliveryDate && emailDate) {
+      if (!finalDeliveryDate && emailDate && status === PACKAGE_STATUS.DELIVERED) {
         const emailSentDate = new Date(emailDate);
         finalDeliveryDate = emailSentDate.toISOString().split('T')[0]; // Format as YYYY-MM-DD
         console.log(`Using email sent date as delivery date: ${finalDeliveryDate}`);
       }
 
+      // Tracking numbers are matched against the full body, the snippet is often truncated
+      const trackingInfo = deliveryInfo.isDeliveryEmail
+        ? this.extractTrackingInfo(emailBody || emailContent, emailFrom, emailSubject)
+        : { trackingNumber: null, carrier: null };
+
+      const orderNumber = deliveryInfo.isDeliveryEmail
+        ? this.normalizeOrderNumber(deliveryInfo.orderNumber) || this.extractOrderNumber(`${emailSubject} ${emailBody || emailContent}`)
+        : null;
+
       return {
         isDeliveryEmail: deliveryInfo.isDeliveryEmail,
+        status: deliveryInfo.isDeliveryEmail ? status : null,
         deliveryDate: finalDeliveryDate || null,
-        sender: deliveryInfo.sender || this.extractSenderFromEmail(emailFrom)
+        expectedDeliveryDate: deliveryInfo.expectedDeliveryDate || null,
+        orderNumber: orderNumber,
+        sender: deliveryInfo.sender || this.extractSenderFromEmail(emailFrom),
+        trackingNumber: trackingInfo.trackingNumber,
+        carrier: trackingInfo.carrier,
+        extractor
       };
     } catch (error) {
-      console.error('Extract delivery info error:', error);
-      throw error;
+      console.error('Extract delivery info error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the LLM status, falling back to keyword matching on the subject and content.
+   * Without either the package is treated as shipped, never as delivered, so no pickup reminder is made for it.
+   */
+  normalizeStatus(status, text) {
+    const validStatuses = Object.values(PACKAGE_STATUS);
+    const normalized = (status || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (validStatuses.includes(normalized)) {
+      return normalized;
+    }
+
+    const lowerText = (text || '').toLowerCase();
+    for (const [keywordStatus, keywords] of Object.entries(PACKAGE_CONFIG.STATUS_KEYWORDS)) {
+      if (keywords.some(keyword => lowerText.includes(keyword))) {
+        return keywordStatus;
+      }
+    }
+
+    return PACKAGE_STATUS.SHIPPED;
+  }
+
+  /**
+   * Normalize order number for linking (uppercase, no whitespace or leading #)
+   */
+  normalizeOrderNumber(orderNumber) {
+    if (!orderNumber || typeof orderNumber !== 'string') return null;
+
+    const normalized = orderNumber.replace(/^#/, '').replace(/\s+/g, '').toUpperCase();
+    return /\d/.test(normalized) && normalized.length >= 5 ? normalized : null;
+  }
+
+  /**
+   * Extract an order number from email text
+   */
+  extractOrderNumber(text) {
+    const plainText = (text || '').replace(/<[^>]+>/g, ' ');
+    const match = plainText.match(PACKAGE_CONFIG.ORDER_NUMBER_PATTERN);
+    return match ? this.normalizeOrderNumber(match[1]) : null;
+  }
+
+  /**
+   * Extract tracking number and carrier from email content using known carrier formats
+   */
+  extractTrackingInfo(emailContent, emailFrom = '', emailSubject = '') {
+    try {
+      // Strip HTML tags and entities so numbers split across markup still match
+      const text = (emailContent || '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;|&#160;/gi, ' ')
+        .replace(/\s+/g, ' ');
+      const context = `${emailFrom} ${emailSubject} ${text}`.toLowerCase();
+
+      for (const carrier of CARRIER_CONFIG.CARRIERS) {
+        const hasContext = this.hasCarrierContext(carrier, context);
+
+        for (const pattern of carrier.patterns) {
+          const matches = text.match(pattern);
+          if (matches) {
+            return {
+              trackingNumber: matches[0].toUpperCase(),
+              carrier: carrier.id
+            };
+          }
+        }
+
+        if (!hasContext) continue;
+
+        // Bare numbers are only tracking numbers next to the carrier's name or a tracking label
+        for (const pattern of carrier.contextPatterns) {
+          const match = this.findNearCarrierContext(text, pattern, carrier);
+          if (match) {
+            return {
+              trackingNumber: match.toUpperCase(),
+              carrier: carrier.id
+            };
+          }
+        }
+      }
+
+      // Fall back to an explicitly labelled tracking number
+      const carrier = this.detectCarrier(context);
+      const labelledMatch = text.match(CARRIER_CONFIG.LABELLED_TRACKING_PATTERN);
+      if (labelledMatch) {
+        return {
+          trackingNumber: labelledMatch[1].toUpperCase(),
+          carrier: carrier
+        };
+      }
+
+      return { trackingNumber: null, carrier: carrier };
+    } catch (error) {
+      console.error('Extract tracking info error:', error);
+      return { trackingNumber: null, carrier: null };
+    }
+  }
+
+  /**
+   * Find the first match of a context pattern that has the carrier's name or a tracking label close by
+   */
+  findNearCarrierContext(text, pattern, carrier) {
+    for (const match of text.matchAll(pattern)) {
+      const start = Math.max(0, match.index - CARRIER_CONFIG.CONTEXT_WINDOW);
+      const end = match.index + match[0].length + CARRIER_CONFIG.CONTEXT_WINDOW;
+      const surroundings = text.slice(start, end).toLowerCase();
+
+      if (this.hasCarrierContext(carrier, surroundings) || CARRIER_CONFIG.TRACKING_LABEL_PATTERN.test(surroundings)) {
+        return match[0];
+      }
     }
+    return null;
+  }
+
+  /**
+   * Check if any of the carrier keywords appear as a whole word in the context.
+   * Hyphens count as part of the word, so 'ups' does not match "sign-ups" or "pop-ups".
+   */
+  hasCarrierContext(carrier, context) {
+    return carrier.keywords.some(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`).test(context);
+    });
+  }
+
+  /**
+   * Detect carrier from sender, subject and content keywords
+   */
+  detectCarrier(context) {
+    const carrier = CARRIER_CONFIG.CARRIERS.find(c => this.hasCarrierContext(c, context));
+    return carrier ? carrier.id : null;
   }
 
   /**
@@ -1801,18 +7347,53 @@ Rules:
 
   /**
    * Process package emails - main orchestrator function with smart scanning and scan history optimization
+   * options.scanControl cancels or pauses the scan between emails and skips emails a resumed scan already processed
    */
   async processPackageEmails(options = {}, progressCallback = null) {
+    const scanControl = options.scanControl || new ScanControl();
+
     try {
       const startTime = Date.now();
       const { startDate, endDate } = options;
+      const today = new Date().toISOString().split('T')[0];
+
+      // Step 1: Fetch messages added since the last sync when the requested range reaches today
+      let sync = null;
+      if (this.syncEngine && (!endDate || endDate >= today)) {
+        if (progressCallback) progressCallback({ step: 'optimizing', progress: 3, message: 'Checking for new emails since last sync...' });
+        sync = await this.syncEngine.startSync(SYNC_CONFIG.SCOPES.PACKAGE);
+      }
 
-      // Step 1: Check scan history for optimization
+      // Step 2: Check scan history for optimization
       if (progressCallback) progressCallback({ step: 'optimizing', progress: 5, message: 'Checking scan history for optimization...' });
 
-      const optimizedRanges = await this.packageDB.getOptimizedScanRanges(startDate, endDate);
+      let optimizedRanges = (await this.packageDB.getOptimizedScanRanges(startDate, endDate, options.account))
+        .filter(range => range.startDate !== null);
+
+      if (sync && sync.messageIds) {
+        // History covers everything since the last sync, only older gaps need a range search
+        optimizedRanges = optimizedRanges
+          .filter(range => range.startDate < sync.lastSyncDate)
+          .map(range => range.endDate > sync.lastSyncDate ? { ...range, endDate: sync.lastSyncDate } : range);
+        optimizedRanges.unshift({
+          startDate: sync.lastSyncDate,
+          endDate: today,
+          emailIds: sync.messageIds,
+          reason: sync.reason
+        });
+      }
+
+      // Emails that failed on earlier scans are retried first, so a range that includes them skips them once saved
+      const retryFailures = new Map(
+        (await this.packageDB.getExtractionFailures(options.account, SYNC_CONFIG.SCOPES.PACKAGE, true))
+          .map(failure => [failure[EXTRACTION_FAILURE_SCHEMA.EMAIL_ID], failure])
+      );
+      if (retryFailures.size > 0) {
+        optimizedRanges.unshift({ emailIds: [...retryFailures.keys()], reason: 'retry', isRetry: true });
+      }
 
-      if (optimizedRanges.length === 1 && optimizedRanges[0].startDate === null) {
+      if (optimizedRanges.length === 0) {
+        if (sync) await this.syncEngine.commitSync(sync);
         if (progressCallback) progressCallback({
           step: 'complete',
           progress: 100,
@@ -1824,25 +7405,35 @@ Rules:
       console.log(`Optimized scan ranges:`, optimizedRanges);
 
       let allProcessedPackages = [];
+      let updatedPackageCount = 0;
+      const newDeliveries = new Map();
       let totalEmailsScanned = 0;
       let earliestEmailTimestamp = null;
       let latestEmailTimestamp = null;
 
-      // Step 2: Process each optimized range
+      // Step 3: Process each optimized range
       for (let rangeIndex = 0; rangeIndex < optimizedRanges.length; rangeIndex++) {
+        await scanControl.waitIfPaused();
+
         const range = optimizedRanges[rangeIndex];
         const baseProgress = (rangeIndex / optimizedRanges.length) * 85; // Reserve 15% for final steps
+        const isHistoryRange = Array.isArray(range.emailIds);
 
         if (progressCallback) progressCallback({
           step: 'scanning',
           progress: Math.round(baseProgress + 5),
-          message: `Scanning emails from ${range.startDate} to ${range.endDate}`
+          message: range.isRetry
+            ? `Retrying ${range.emailIds.length} emails that failed on earlier scans`
+            : isHistoryRange
+              ? `Checking ${range.emailIds.length} new emails since last sync`
+              : `Scanning emails from ${range.startDate} to ${range.endDate}`
         });
 
-        // Search for package emails in this range
-        const rangeOptions = { ...options, startDate: range.startDate, endDate: range.endDate };
-        const allEmailIds = await this.searchPackageEmails(rangeOptions);
-        totalEmailsScanned += allEmailIds.length;
+        // Use synced message IDs or search for package emails in this range
+        const rangeOptions = { ...options, startDate: range.startDate, endDate: range.endDate, signal: scanControl.signal };
+        const allEmailIds = isHistoryRange ? range.emailIds : await this.searchPackageEmails(rangeOptions);
+        // Retried emails belong to ranges that were already counted in the scan history
+        if (!range.isRetry) totalEmailsScanned += allEmailIds.length;
 
         if (allEmailIds.length === 0) {
           console.log(`No emails found in range ${range.startDate} to ${range.endDate}`);
@@ -1861,13 +7452,11 @@ Rules:
           message: `Filtering ${allEmailIds.length} emails...`
         });
 
-        const newEmailIds = [];
-        for (const emailId of allEmailIds) {
-          const exists = await this.packageDB.emailExists(emailId);
-          if (!exists) {
-            newEmailIds.push(emailId);
-          }
-        }
+        // Failed emails were already retried in the first range, a resumed scan skips the ones it processed before the restart
+        const existingEmailIds = await this.packageDB.getExistingEmailIds(allEmailIds);
+        const newEmailIds = allEmailIds.filter(emailId =>
+          !existingEmailIds.has(emailId) && (range.isRetry || !retryFailures.has(emailId)) && !scanControl.isProcessed(emailId)
+        );
 
         console.log(`Range ${rangeIndex + 1}: Total emails found: ${allEmailIds.length}, New emails to process: ${newEmailIds.length}`);
 
@@ -1882,12 +7471,20 @@ Rules:
 
         const processedPackages = [];
         const totalEmails = newEmailIds.length;
+        const emailQueue = this.gmailScanner.createEmailQueue(newEmailIds, 'full', scanControl.signal);
 
         // Process emails in this range
         for (let i = 0; i < newEmailIds.length; i++) {
+          await scanControl.waitIfPaused();
+
           const emailId = newEmailIds[i];
           const emailProgress = baseProgress + 15 + ((i + 1) / totalEmails) * 65; // 65% for processing emails
 
+          const previousFailure = retryFailures.get(emailId);
+          if (previousFailure) {
+            await this.packageDB.deleteExtractionFailure(previousFailure[EXTRACTION_FAILURE_SCHEMA.ID]);
+          }
+
           try {
             if (progressCallback) {
               progressCallback({
@@ -1897,54 +7494,93 @@ Rules:
               });
             }
 
-            // Fetch email content
-            const email = await this.gmailScanner.fetchEmail(emailId);
+            // Fetch email content (prefetched in batches)
+            const email = await emailQueue.get(i);
             const emailTimestamp = new Date(email.date).toISOString();
 
-            // Track earliest and latest email timestamps
-            if (!earliestEmailTimestamp || emailTimestamp < earliestEmailTimestamp) {
+            // Track earliest and latest email timestamps, retried emails would stretch the scanned range
+            if (!range.isRetry && (!earliestEmailTimestamp || emailTimestamp < earliestEmailTimestamp)) {
               earliestEmailTimestamp = emailTimestamp;
             }
-            if (!latestEmailTimestamp || emailTimestamp > latestEmailTimestamp) {
+            if (!range.isRetry && (!latestEmailTimestamp || emailTimestamp > latestEmailTimestamp)) {
               latestEmailTimestamp = emailTimestamp;
             }
 
+            // Synced messages are not keyword-filtered by Gmail search, filter them here
+            if (isHistoryRange && !this.isLikelyPackageEmail(email, options.keywords)) {
+              continue;
+            }
+
             // Use email snippet directly instead of cleaning full body
             const emailContent = email.snippet || email.body || '';
 
             // Extract delivery information
-            const deliveryInfo = await this.extractDeliveryInfo(emailContent, email.from, email.subject, email.date);
+            const deliveryInfo = await this.extractDeliveryInfo(emailContent, email.from, email.subject, email.date, email.body, scanControl.signal);
             console.log(deliveryInfo.isDeliveryEmail);
 
             if (deliveryInfo.isDeliveryEmail) {
-              // Save to database with email details
+              // Save to database with email details, linking to an existing package when possible
               const packageData = {
                 userEmail: await this.getCurrentUserEmail(),
                 sender: deliveryInfo.sender,
+                status: deliveryInfo.status,
                 deliveryDate: deliveryInfo.deliveryDate,
+                expectedDeliveryDate: deliveryInfo.expectedDeliveryDate,
+                orderNumber: deliveryInfo.orderNumber,
                 deliveryTime: emailTimestamp,
                 emailId: emailId,
                 emailSubject: email.subject,
                 emailFrom: email.from,
-                emailSnippet: email.snippet
+                emailSnippet: email.snippet,
+                trackingNumber: deliveryInfo.trackingNumber,
+                carrier: deliveryInfo.carrier,
+                extractor: deliveryInfo.extractor
               };
 
-              const savedPackage = await this.packageDB.savePackageToDB(packageData);
-              processedPackages.push(savedPackage);
+              const { record, isNew, previousStatus } = await this.packageDB.savePackageStatusUpdate(packageData);
+              await this.syncDeliveryEvent(record);
+              if (isNew) {
+                processedPackages.push(record);
+              } else {
+                updatedPackageCount++;
+              }
+
+              // Track packages that just became delivered for notifications
+              if (record[PACKAGE_SCHEMA.STATUS] === PACKAGE_STATUS.DELIVERED &&
+                  previousStatus !== PACKAGE_STATUS.DELIVERED &&
+                  !record[PACKAGE_SCHEMA.PICKED_UP] &&
+                  !record[PACKAGE_SCHEMA.DELETED]) {
+                newDeliveries.set(record[PACKAGE_SCHEMA.ID], record);
+              }
             }
 
           } catch (emailError) {
+            if (scanControl.signal.aborted) throw emailError;
             console.error(`Failed to process email ${emailId}:`, emailError);
-            // Continue processing other emails
+            // Record it for a retry on the next scan and continue processing other emails
+            await this.packageDB.saveExtractionFailure({
+              emailId,
+              scanType: SYNC_CONFIG.SCOPES.PACKAGE,
+              account: options.account,
+              error: emailError.message
+            }, previousFailure).catch(saveError => console.error('Could not record extraction failure:', saveError));
+          } finally {
+            await scanControl.markProcessed(emailId);
           }
         }
 
         allProcessedPackages.push(...processedPackages);
       }
 
-      // Step 3: Save scan history
+      // Step 4: Save scan history and sync position
       if (progressCallback) progressCallback({ step: 'saving', progress: 90, message: 'Saving scan history...' });
 
+      if (sync) await this.syncEngine.commitSync(sync);
+
+      if (this.notificationManager && newDeliveries.size > 0) {
+        await this.notificationManager.notifyDeliveries([...newDeliveries.values()]);
+      }
+
       if (totalEmailsScanned > 0) {
         const scanHistoryData = {
           emailsScanned: totalEmailsScanned,
@@ -1952,7 +7588,9 @@ Rules:
           latestEmailTimestamp: latestEmailTimestamp || new Date(endDate).toISOString(),
           startDateRequested: startDate,
           endDateRequested: endDate,
-          packagesFound: allProcessedPackages.length
+          packagesFound: allProcessedPackages.length,
+          trigger: options.trigger,
+          account: options.account
         };
 
         try {
@@ -1972,7 +7610,7 @@ Rules:
         progressCallback({
           step: 'complete',
           progress: 100,
-          message: `Scan complete! Found ${allProcessedPackages.length} new packages from ${totalEmailsScanned} emails scanned`
+          message: `Scan complete! Found ${allProcessedPackages.length} new packages and ${updatedPackageCount} status updates from ${totalEmailsScanned} emails scanned`
         });
       }
 
@@ -1980,6 +7618,12 @@ Rules:
       return allProcessedPackages;
 
     } catch (error) {
+      if (scanControl.signal.aborted) {
+        console.log('Package scan cancelled');
+        if (progressCallback) progressCallback({ step: 'cancelled', progress: 0, message: ERROR_MESSAGES.SCAN_CANCELLED });
+        throw error;
+      }
+
       console.error('Process package emails error:', error);
       if (progressCallback) {
         progressCallback({
@@ -1993,6 +7637,125 @@ Rules:
   }
 }
 
+/**
+ * Cancel, pause and resume control for one scan, threaded through the trackers as options.scanControl
+ * Keeps the IDs of processed emails and checkpoints them to storage so the scan can resume after a service worker restart
+ */
+class ScanControl {
+  constructor(scanType = null, checkpoint = null) {
+    // Without a scan type nothing is checkpointed, e.g. for scans run outside runPackageScan/runSubscriptionScan
+    this.scanType = scanType;
+    this.abortController = new AbortController();
+    this.paused = false;
+    this.resumeWaiters = [];
+    this.onPaused = null;
+    this.options = checkpoint?.options || {};
+    this.account = checkpoint?.account || null;
+    this.processedIds = new Set(checkpoint?.processedIds || []);
+    // Results the tracker needs once the loop is done, restored along with the processed IDs
+    this.results = checkpoint?.results || {};
+    this.unsavedCount = 0;
+  }
+
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  /**
+   * Abort the scan, including any Gmail request or LLM prompt in flight
+   */
+  cancel() {
+    if (this.signal.aborted) return;
+    this.abortController.abort(new Error(ERROR_MESSAGES.SCAN_CANCELLED));
+    this.resume();
+  }
+
+  /**
+   * Hold the scan before its next email
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.resumeWaiters.forEach(resolve => resolve());
+    this.resumeWaiters = [];
+  }
+
+  /**
+   * Called by the trackers between emails: waits while paused and throws the abort reason once cancelled
+   */
+  async waitIfPaused() {
+    if (this.paused && !this.signal.aborted) {
+      await this.saveCheckpoint();
+      if (this.onPaused) this.onPaused();
+
+      while (this.paused && !this.signal.aborted) {
+        await new Promise(resolve => this.resumeWaiters.push(resolve));
+      }
+    }
+
+    this.signal.throwIfAborted();
+  }
+
+  isProcessed(emailId) {
+    return this.processedIds.has(emailId);
+  }
+
+  /**
+   * Add an email to the cursor, saving it every CHECKPOINT_EVERY emails
+   * Emails interrupted by a cancel are left out so they are processed again next time
+   */
+  async markProcessed(emailId) {
+    if (this.signal.aborted) return;
+
+    this.processedIds.add(emailId);
+    if (++this.unsavedCount >= SCAN_CONTROL_CONFIG.CHECKPOINT_EVERY) {
+      await this.saveCheckpoint();
+    }
+  }
+
+  /**
+   * Write the cursor to storage, a failed write only costs re-processing emails on resume
+   */
+  async saveCheckpoint() {
+    if (!this.scanType) return;
+
+    try {
+      await chrome.storage.local.set({
+        [SCAN_CONTROL_CONFIG.CHECKPOINT_KEYS[this.scanType]]: {
+          scanType: this.scanType,
+          options: this.options,
+          account: this.account,
+          processedIds: [...this.processedIds],
+          results: this.results,
+          updatedAt: new Date().toISOString()
+        }
+      });
+      this.unsavedCount = 0;
+    } catch (error) {
+      console.error(`Failed to checkpoint ${this.scanType} scan:`, error);
+    }
+  }
+
+  static async getCheckpoint(scanType) {
+    const key = SCAN_CONTROL_CONFIG.CHECKPOINT_KEYS[scanType];
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  static async clearCheckpoint(scanType) {
+    await chrome.storage.local.remove(SCAN_CONTROL_CONFIG.CHECKPOINT_KEYS[scanType]);
+  }
+}
+
+// Controls of the running scans, null when that scan type is idle
+const activeScanControls = {
+  package: null,
+  subscription: null
+};
+
 // Separate scanning state management for subscription and package scans
 let subscriptionScanningState = {
   isScanning: false,
@@ -2000,7 +7763,8 @@ let subscriptionScanningState = {
   message: '',
   step: '',
   startTime: null,
-  options: null
+  options: null,
+  account: null
 };
 
 let packageScanningState = {
@@ -2009,7 +7773,8 @@ let packageScanningState = {
   message: '',
   step: '',
   startTime: null,
-  options: null
+  options: null,
+  account: null
 };
 
 // Load scanning states from storage on startup
@@ -2040,11 +7805,45 @@ async function loadScanningStates() {
         console.log('Package scanning state expired or not active, starting fresh');
       }
     }
+
+    await restoreResumableScans();
   } catch (error) {
     console.error('Failed to load scanning states:', error);
   }
 }
 
+/**
+ * Mark scans that were checkpointed but are no longer running (the service worker restarted) as resumable
+ */
+async function restoreResumableScans() {
+  for (const scanType of ['package', 'subscription']) {
+    const checkpoint = await ScanControl.getCheckpoint(scanType);
+    if (!checkpoint || activeScanControls[scanType]) continue;
+
+    const resumableState = {
+      isScanning: false,
+      isPaused: false,
+      resumable: true,
+      progress: 0,
+      message: `Scan interrupted after ${checkpoint.processedIds.length} emails, resume to continue`,
+      step: 'interrupted',
+      startTime: null,
+      options: checkpoint.options,
+      account: checkpoint.account
+    };
+
+    if (scanType === 'package') {
+      packageScanningState = resumableState;
+    } else {
+      subscriptionScanningState = resumableState;
+    }
+
+    // The last progress of the interrupted run would keep the UI in its scanning state
+    await chrome.storage.local.remove(scanType === 'package' ? 'currentPackageProgress' : 'currentSubscriptionProgress');
+    console.log(`Found an interrupted ${scanType} scan, it can be resumed`);
+  }
+}
+
 // Save scanning states to storage
 async function saveScanningStates() {
   try {
@@ -2085,7 +7884,7 @@ async function updateProgressState(scanType, progressData) {
       timestamp: Date.now()
     };
     
-    if (progressData.step !== 'complete' && progressData.step !== 'error') {
+    if (!SCAN_CONTROL_CONFIG.END_STEPS.includes(progressData.step)) {
       await chrome.storage.local.set({ [currentProgressKey]: enhancedProgressData });
     } else {
       // For completion/error states, store briefly then clear
@@ -2106,27 +7905,489 @@ async function updateProgressState(scanType, progressData) {
       type: 'SCANNING_STATE_CHANGED',
       data: {
         isScanning: state.isScanning,
+        isPaused: !!state.isPaused,
+        resumable: !!state.resumable,
         progress: state.progress,
         message: state.message,
         step: state.step,
         scanType: scanType
       }
-    };
-    
-    // Send to popup
-    chrome.runtime.sendMessage(progressMessage).catch(() => {});
-    chrome.runtime.sendMessage(stateMessage).catch(() => {});
-    
-    // Send to all content scripts
-    const tabs = await chrome.tabs.query({});
-    tabs.forEach(tab => {
-      chrome.tabs.sendMessage(tab.id, progressMessage).catch(() => {});
-      chrome.tabs.sendMessage(tab.id, stateMessage).catch(() => {});
-    });
-    
-    console.log(`Progress updated for ${scanType}:`, progressData);
-  } catch (error) {
-    console.error('Failed to update progress state:', error);
+    };
+    
+    // Send to popup
+    chrome.runtime.sendMessage(progressMessage).catch(() => {});
+    chrome.runtime.sendMessage(stateMessage).catch(() => {});
+    
+    // Send to all content scripts
+    const tabs = await chrome.tabs.query({});
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, progressMessage).catch(() => {});
+      chrome.tabs.sendMessage(tab.id, stateMessage).catch(() => {});
+    });
+    
+    console.log(`Progress updated for ${scanType}:`, progressData);
+  } catch (error) {
+    console.error('Failed to update progress state:', error);
+  }
+}
+
+/**
+ * Send a message to the popup and all content scripts
+ */
+function broadcastToAllContexts(message) {
+  chrome.runtime.sendMessage(message).catch(() => { });
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, message).catch(() => { });
+    });
+  });
+}
+
+/**
+ * Run a package scan with shared scanning state and progress broadcasting
+ * Used by the popup/widget messages and by scheduled scans, and with a checkpoint to resume an interrupted scan
+ */
+async function runPackageScan(options = {}, checkpoint = null) {
+  // Check if already scanning packages
+  if (packageScanningState.isScanning) {
+    throw new Error('Package scan already in progress');
+  }
+
+  const scanControl = new ScanControl('package', checkpoint);
+  scanControl.options = options;
+  scanControl.onPaused = () => updatePausedState('package', true, 'Scan paused');
+  activeScanControls.package = scanControl;
+  const initialMessage = checkpoint ? 'Resuming scan...' : 'Initializing...';
+
+  // Initialize package scanning state
+  packageScanningState = {
+    isScanning: true,
+    isPaused: false,
+    resumable: false,
+    progress: 0,
+    message: initialMessage,
+    step: 'initializing',
+    startTime: Date.now(),
+    options: options,
+    account: null
+  };
+
+  // Save scanning states
+  await saveScanningStates();
+
+  // Immediately broadcast that scanning has started
+  broadcastToAllContexts({
+    type: 'SCANNING_STATE_CHANGED',
+    data: {
+      isScanning: true,
+      progress: 0,
+      message: initialMessage,
+      step: 'initializing',
+      scanType: 'package'
+    }
+  });
+
+  // Handle progress updates using unified function
+  const progressCallback = (progressData) => {
+    updateProgressState('package', progressData);
+  };
+
+  try {
+    // Ensure database is initialized before starting package scan
+    await packageDB.initDB();
+    console.log('Database initialized for package scan');
+
+    // Scans run against the active account, switching accounts is blocked until they finish
+    packageScanningState.account = await accountManager.getActiveAccountEmail();
+    scanControl.account = packageScanningState.account;
+    await scanControl.saveCheckpoint();
+
+    const packages = await packageTracker.processPackageEmails({ ...options, account: packageScanningState.account, scanControl }, progressCallback);
+
+    // Reset package scanning state
+    packageScanningState.isScanning = false;
+    saveScanningStates();
+    await ScanControl.clearCheckpoint('package');
+
+    // Don't clear progress here - let the progress callback handle it with proper timing
+
+    // Broadcast final state change
+    broadcastToAllContexts({
+      type: 'SCANNING_STATE_CHANGED',
+      data: {
+        isScanning: false,
+        progress: 100,
+        message: 'Scan complete',
+        step: 'complete',
+        scanType: 'package'
+      }
+    });
+
+    return packages;
+  } catch (error) {
+    const cancelled = scanControl.signal.aborted;
+
+    // Reset package scanning state on error
+    packageScanningState.isScanning = false;
+    packageScanningState.isPaused = false;
+    saveScanningStates();
+    await ScanControl.clearCheckpoint('package');
+
+    // Broadcast error state change
+    broadcastToAllContexts({
+      type: 'SCANNING_STATE_CHANGED',
+      data: {
+        isScanning: false,
+        progress: 0,
+        message: cancelled ? ERROR_MESSAGES.SCAN_CANCELLED : `Error: ${error.message}`,
+        step: cancelled ? 'cancelled' : 'error',
+        scanType: 'package'
+      }
+    });
+
+    throw error;
+  } finally {
+    activeScanControls.package = null;
+  }
+}
+
+/**
+ * Run a subscription scan with shared scanning state and progress broadcasting
+ * Used by the popup/widget messages and by scheduled scans, and with a checkpoint to resume an interrupted scan
+ */
+async function runSubscriptionScan(options = {}, checkpoint = null) {
+  // Check if already scanning subscriptions
+  if (subscriptionScanningState.isScanning) {
+    console.log('Background: Subscription scan already in progress');
+    throw new Error('Subscription scan already in progress');
+  }
+
+  const scanControl = new ScanControl('subscription', checkpoint);
+  scanControl.options = options;
+  scanControl.onPaused = () => updatePausedState('subscription', true, 'Subscription scan paused');
+  activeScanControls.subscription = scanControl;
+  const initialMessage = checkpoint ? 'Resuming subscription scan...' : 'Initializing subscription scan...';
+
+  // Initialize subscription scanning state
+  subscriptionScanningState = {
+    isScanning: true,
+    isPaused: false,
+    resumable: false,
+    progress: 0,
+    message: initialMessage,
+    step: 'subscription_scan',
+    startTime: Date.now(),
+    options: { type: 'subscription', ...options },
+    account: null
+  };
+
+  // Save scanning states
+  await saveScanningStates();
+
+  // Send immediate progress update to show the progress bar
+  broadcastToAllContexts({
+    type: MESSAGE_TYPES.PROGRESS_UPDATE,
+    data: {
+      progress: 0,
+      message: initialMessage,
+      step: 'subscription_scan',
+      scanType: 'subscription'
+    }
+  });
+
+  // Handle progress updates using unified function
+  const progressCallback = (progressData) => {
+    // Ensure the progress data has the correct step for subscription scans
+    const enhancedProgressData = {
+      ...progressData,
+      step: SCAN_CONTROL_CONFIG.END_STEPS.includes(progressData.step) ? progressData.step : 'subscription_scan'
+    };
+    updateProgressState('subscription', enhancedProgressData);
+  };
+
+  try {
+    // Ensure database is initialized before starting subscription scan
+    await packageDB.initDB();
+    console.log('Database initialized for subscription scan');
+
+    subscriptionScanningState.account = await accountManager.getActiveAccountEmail();
+    scanControl.account = subscriptionScanningState.account;
+    await scanControl.saveCheckpoint();
+
+    const events = await subscriptionTracker.scanCurrentMonthSubscriptions(progressCallback, { ...options, account: subscriptionScanningState.account, scanControl });
+
+    // Reset subscription scanning state
+    subscriptionScanningState.isScanning = false;
+    saveScanningStates();
+    await ScanControl.clearCheckpoint('subscription');
+
+    console.log('Background: Subscription scan completed successfully, events:', events.length);
+    return events;
+  } catch (error) {
+    // Reset subscription scanning state on error
+    subscriptionScanningState.isScanning = false;
+    subscriptionScanningState.isPaused = false;
+    saveScanningStates();
+    await ScanControl.clearCheckpoint('subscription');
+
+    if (scanControl.signal.aborted) {
+      console.log('Background: Subscription scan cancelled');
+    } else {
+      console.error('Background: Subscription scan failed:', error);
+    }
+    throw error;
+  } finally {
+    activeScanControls.subscription = null;
+  }
+}
+
+/**
+ * Broadcast a paused or resumed scan, keeping its current step and progress
+ */
+function updatePausedState(scanType, isPaused, message) {
+  const state = scanType === 'package' ? packageScanningState : subscriptionScanningState;
+  return updateProgressState(scanType, { step: state.step, progress: state.progress, message, isPaused });
+}
+
+/**
+ * Cancel the running scan of a type, or discard the checkpoint of an interrupted one
+ */
+async function cancelScan(scanType) {
+  const scanControl = activeScanControls[scanType];
+  if (scanControl) {
+    scanControl.cancel();
+    return;
+  }
+
+  if (!(await ScanControl.getCheckpoint(scanType))) {
+    throw new Error(ERROR_MESSAGES.NO_SCAN_TO_CONTROL);
+  }
+
+  await ScanControl.clearCheckpoint(scanType);
+  await updateProgressState(scanType, {
+    isScanning: false,
+    resumable: false,
+    step: 'cancelled',
+    progress: 0,
+    message: ERROR_MESSAGES.SCAN_CANCELLED
+  });
+}
+
+/**
+ * Pause the running scan of a type once its current email is done
+ */
+async function pauseScan(scanType) {
+  const scanControl = activeScanControls[scanType];
+  if (!scanControl) {
+    throw new Error(ERROR_MESSAGES.NO_SCAN_TO_CONTROL);
+  }
+
+  scanControl.pause();
+  await updatePausedState(scanType, true, 'Pausing after the current email...');
+}
+
+/**
+ * Resume a paused scan, or restart an interrupted one from its checkpoint
+ * A restarted scan reports through the usual progress updates, this doesn't wait for it to finish
+ */
+async function resumeScan(scanType) {
+  const scanControl = activeScanControls[scanType];
+  if (scanControl) {
+    scanControl.resume();
+    await updatePausedState(scanType, false, 'Resuming scan...');
+    return { restarted: false };
+  }
+
+  const checkpoint = await ScanControl.getCheckpoint(scanType);
+  if (!checkpoint) {
+    throw new Error(ERROR_MESSAGES.NO_SCAN_TO_CONTROL);
+  }
+
+  const account = await accountManager.getActiveAccountEmail();
+  if (checkpoint.account && checkpoint.account !== account) {
+    throw new Error(`Switch to ${checkpoint.account} to resume this scan`);
+  }
+
+  const runScan = scanType === 'package' ? runPackageScan : runSubscriptionScan;
+  runScan(checkpoint.options, checkpoint).catch(error => console.error(`Resumed ${scanType} scan ended with an error:`, error));
+  return { restarted: true };
+}
+
+/**
+ * Reject account changes while a scan is using the active account
+ */
+function assertNoScanRunning(action = 'changing accounts') {
+  if (packageScanningState.isScanning || subscriptionScanningState.isScanning) {
+    throw new Error(`Wait for the running scan to finish before ${action}`);
+  }
+}
+
+/**
+ * Scheduled background scans using chrome.alarms
+ */
+class ScanScheduler {
+  constructor() {
+    this.alarmScanTypes = {
+      [SCHEDULE_CONFIG.ALARM_NAMES.PACKAGE]: 'package',
+      [SCHEDULE_CONFIG.ALARM_NAMES.SUBSCRIPTION]: 'subscription'
+    };
+  }
+
+  /**
+   * Get schedule settings merged with defaults
+   */
+  async getSchedule() {
+    const result = await chrome.storage.local.get(SCHEDULE_CONFIG.STORAGE_KEY);
+    const stored = result[SCHEDULE_CONFIG.STORAGE_KEY] || {};
+
+    return {
+      package: { ...SCHEDULE_CONFIG.DEFAULT_SCHEDULE.package, ...stored.package },
+      subscription: { ...SCHEDULE_CONFIG.DEFAULT_SCHEDULE.subscription, ...stored.subscription }
+    };
+  }
+
+  /**
+   * Update schedule settings for one or both scan types and apply them
+   */
+  async updateSchedule(updates = {}) {
+    const schedule = await this.getSchedule();
+
+    ['package', 'subscription'].forEach(scanType => {
+      if (updates[scanType]) {
+        const { enabled, intervalMinutes } = updates[scanType];
+        if (typeof enabled === 'boolean') {
+          schedule[scanType].enabled = enabled;
+        }
+        // Non-numeric intervals keep the current one
+        const interval = Number(intervalMinutes);
+        if (intervalMinutes && Number.isFinite(interval)) {
+          schedule[scanType].intervalMinutes = Math.max(SCHEDULE_CONFIG.MIN_INTERVAL_MINUTES, interval);
+        }
+      }
+    });
+
+    await chrome.storage.local.set({ [SCHEDULE_CONFIG.STORAGE_KEY]: schedule });
+    await this.applySchedule(schedule);
+    return schedule;
+  }
+
+  /**
+   * Create or clear alarms to match the schedule settings
+   */
+  async applySchedule(schedule = null) {
+    try {
+      schedule = schedule || await this.getSchedule();
+
+      for (const [alarmName, scanType] of Object.entries(this.alarmScanTypes)) {
+        const settings = schedule[scanType];
+
+        if (!settings.enabled) {
+          await chrome.alarms.clear(alarmName);
+          continue;
+        }
+
+        // Keep the existing alarm (and its next run time) if the interval is unchanged
+        const existing = await chrome.alarms.get(alarmName);
+        if (existing && existing.periodInMinutes === settings.intervalMinutes) {
+          continue;
+        }
+
+        chrome.alarms.create(alarmName, {
+          delayInMinutes: settings.intervalMinutes,
+          periodInMinutes: settings.intervalMinutes
+        });
+        console.log(`Scheduled ${scanType} scan every ${settings.intervalMinutes} minutes`);
+      }
+    } catch (error) {
+      console.error('Failed to apply scan schedule:', error);
+    }
+  }
+
+  /**
+   * Run the scan for a fired alarm, skipping it when one is already active
+   */
+  async handleAlarm(alarm) {
+    const scanType = this.alarmScanTypes[alarm.name];
+    if (!scanType) return;
+
+    const state = scanType === 'package' ? packageScanningState : subscriptionScanningState;
+    if (state.isScanning) {
+      console.log(`Skipping scheduled ${scanType} scan, a scan is already in progress`);
+      await this.recordRun(scanType, 'skipped', 'Scan already in progress');
+      return;
+    }
+
+    // Nobody is watching an alarm, so never open a sign-in window for it
+    if (!(await this.canAuthorizeSilently(scanType, SCHEDULE_CONFIG.TRIGGERS.SCHEDULED))) {
+      console.log(`Skipping scheduled ${scanType} scan, sign-in required`);
+      await this.recordRun(scanType, 'skipped', ERROR_MESSAGES.SIGN_IN_REQUIRED);
+      return;
+    }
+
+    try {
+      console.log(`Running scheduled ${scanType} scan`);
+      await llmExtractor.destroySession();
+
+      if (scanType === 'package') {
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - SCHEDULE_CONFIG.PACKAGE_LOOKBACK_DAYS);
+
+        const packages = await runPackageScan({
+          startDate: startDate.toISOString().split('T')[0],
+          endDate: new Date().toISOString().split('T')[0],
+          keywords: PACKAGE_CONFIG.DEFAULT_SEARCH_KEYWORDS,
+          trigger: SCHEDULE_CONFIG.TRIGGERS.SCHEDULED
+        });
+        await this.recordRun(scanType, 'completed', `Found ${packages.length} new packages`);
+      } else {
+        const events = await runSubscriptionScan({ trigger: SCHEDULE_CONFIG.TRIGGERS.SCHEDULED });
+        await this.recordRun(scanType, 'completed', `Created ${events.length} subscription reminders`);
+      }
+    } catch (error) {
+      console.error(`Scheduled ${scanType} scan failed:`, error);
+      await this.recordRun(scanType, 'failed', error.message);
+    }
+  }
+
+  /**
+   * Check that the tokens a scan needs are available, without a sign-in window for scheduled triggers
+   * Once granted, later token requests during the scan are answered from Chrome's cache
+   */
+  async canAuthorizeSilently(scanType, trigger) {
+    const interactive = trigger !== SCHEDULE_CONFIG.TRIGGERS.SCHEDULED;
+    try {
+      await gmailScanner.getAuthToken(interactive);
+
+      // Subscription scans always write reminders, package scans only when delivery events are on
+      const needsCalendar = scanType === 'subscription' || (await packageTracker.getDeliveryEventSettings()).enabled;
+      if (needsCalendar) {
+        await calendarManager.getAuthToken(interactive);
+      }
+      return true;
+    } catch (error) {
+      console.warn(`Silent sign-in for ${scanType} scan failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record the outcome of the last scheduled run for display in the popup
+   */
+  async recordRun(scanType, status, message) {
+    try {
+      const result = await chrome.storage.local.get(SCHEDULE_CONFIG.STORAGE_KEY);
+      const stored = result[SCHEDULE_CONFIG.STORAGE_KEY] || {};
+
+      stored[scanType] = {
+        ...SCHEDULE_CONFIG.DEFAULT_SCHEDULE[scanType],
+        ...stored[scanType],
+        lastRun: { time: new Date().toISOString(), status, message }
+      };
+
+      await chrome.storage.local.set({ [SCHEDULE_CONFIG.STORAGE_KEY]: stored });
+    } catch (error) {
+      console.error('Failed to record scheduled scan run:', error);
+    }
   }
 }
 
@@ -2134,12 +8395,66 @@ async function updateProgressState(scanType, progressData) {
 loadScanningStates();
 
 // Create global instances
-const gmailScanner = new GmailScanner();
-const calendarManager = new CalendarManager();
-const llmExtractor = new LLMExtractor();
 const packageDB = new PackageDatabase();
-const packageTracker = new PackageTracker(gmailScanner, llmExtractor, packageDB);
-const subscriptionTracker = new SubscriptionTracker(gmailScanner, llmExtractor, calendarManager, packageDB);
+const accountManager = new AccountManager(packageDB);
+const gmailScanner = new GmailScanner(accountManager);
+const gmailSyncEngine = new GmailSyncEngine(gmailScanner);
+const calendarManager = new CalendarManager();
+const llmExtractor = new LLMExtractor([new RuleBasedExtractor()]);
+const subscriptionAggregator = new SubscriptionAggregator(packageDB);
+const dataExporter = new DataExporter(packageDB, subscriptionAggregator);
+const backupManager = new BackupManager(packageDB);
+const notificationManager = new NotificationManager(packageDB);
+const packageTracker = new PackageTracker(gmailScanner, llmExtractor, packageDB, gmailSyncEngine, notificationManager, calendarManager);
+const subscriptionTracker = new SubscriptionTracker(gmailScanner, llmExtractor, calendarManager, packageDB, gmailSyncEngine, notificationManager);
+const scanScheduler = new ScanScheduler();
+
+// Scheduled scans and the daily renewal digest
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === NOTIFICATION_CONFIG.DIGEST_ALARM_NAME) {
+    notificationManager.sendRenewalDigest();
+    return;
+  }
+  scanScheduler.handleAlarm(alarm);
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  scanScheduler.applySchedule();
+  notificationManager.scheduleRenewalDigest();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scanScheduler.applySchedule();
+  notificationManager.scheduleRenewalDigest();
+});
+
+// Delivery notification buttons: "Mark picked up" and "Open email"
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const packageId = notificationManager.getPackageId(notificationId);
+  if (!packageId) return;
+
+  if (buttonIndex === 0) {
+    // Route through the same handling the popup and widget use
+    handleMessage({ type: MESSAGE_TYPES.MARK_PACKAGE_PICKED_UP, packageId }, null, (response) => {
+      if (!response.success) {
+        console.error('Failed to mark package as picked up from notification:', response.error);
+      }
+    });
+  } else {
+    notificationManager.openPackageEmail(packageId)
+      .catch(error => console.error('Failed to open package email:', error));
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const packageId = notificationManager.getPackageId(notificationId);
+  if (packageId) {
+    notificationManager.openPackageEmail(packageId)
+      .catch(error => console.error('Failed to open package email:', error));
+  }
+  chrome.notifications.clear(notificationId);
+});
 
 // Message handling for all functions including package tracking
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -2171,6 +8486,68 @@ async function handleMessage(message, sender, sendResponse) {
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
+      case MESSAGE_TYPES.UPDATE_CALENDAR_EVENT:
+        subscriptionTracker.updateReminder(message.calendarEventId, message.eventData)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.PATCH_CALENDAR_EVENT:
+        subscriptionTracker.patchReminder(message.calendarEventId, message.changes)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.DELETE_CALENDAR_EVENT:
+        subscriptionTracker.deleteReminder(message.calendarEventId)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_CALENDAR_SETTINGS:
+        calendarManager.getSettings()
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.UPDATE_CALENDAR_SETTINGS:
+        calendarManager.updateSettings(message.settings)
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.LIST_CALENDARS:
+        calendarManager.listCalendars()
+          .then(calendars => sendResponse({ success: true, calendars }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.CREATE_SUBSCRIPTIONS_CALENDAR:
+        calendarManager.createSubscriptionsCalendar()
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_DELIVERY_EVENT_SETTINGS:
+        packageTracker.getDeliveryEventSettings()
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.UPDATE_DELIVERY_EVENT_SETTINGS:
+        packageTracker.updateDeliveryEventSettings(message.settings)
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_CALENDAR_REMINDERS:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => subscriptionTracker.getReminders(account))
+          .then(reminders => sendResponse({ success: true, reminders }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
       case MESSAGE_TYPES.CALL_LLM:
         llmExtractor.callLLM(message.prompt)
           .then(result => sendResponse({ success: true, result }))
@@ -2185,127 +8562,59 @@ async function handleMessage(message, sender, sendResponse) {
         return true;
 
       case MESSAGE_TYPES.PROCESS_PACKAGE_EMAILS:
-        // Check if already scanning packages
-        if (packageScanningState.isScanning) {
-          sendResponse({ success: false, error: 'Package scan already in progress' });
-          return true;
-        }
-
-        // Initialize package scanning state
-        packageScanningState = {
-          isScanning: true,
-          progress: 0,
-          message: 'Initializing...',
-          step: 'initializing',
-          startTime: Date.now(),
-          options: message.options
-        };
-
-        // Save scanning states
-        await saveScanningStates();
-
-        // Immediately broadcast that scanning has started
-        const initialStateMessage = {
-          type: 'SCANNING_STATE_CHANGED',
-          data: {
-            isScanning: true,
-            progress: 0,
-            message: 'Initializing...',
-            step: 'initializing',
-            scanType: 'package'
-          }
-        };
-
-        chrome.runtime.sendMessage(initialStateMessage).catch(() => { });
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, initialStateMessage).catch(() => { });
-          });
-        });
-
-        // Handle progress updates using unified function
-        const progressCallback = (progressData) => {
-          updateProgressState('package', progressData);
-        };
+        runPackageScan(message.options)
+          .then(packages => sendResponse({ success: true, packages }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Ensure database is initialized before starting package scan
+      case MESSAGE_TYPES.GET_UNPICKED_PACKAGES:
         packageDB.initDB()
-          .then(() => {
-            console.log('Database initialized for package scan');
-            return packageTracker.processPackageEmails(message.options, progressCallback);
-          })
-          .then(packages => {
-            // Reset package scanning state
-            packageScanningState.isScanning = false;
-            saveScanningStates();
-
-            // Don't clear progress here - let the progress callback handle it with proper timing
-
-            // Broadcast final state change
-            const finalStateMessage = {
-              type: 'SCANNING_STATE_CHANGED',
-              data: {
-                isScanning: false,
-                progress: 100,
-                message: 'Scan complete',
-                step: 'complete',
-                scanType: 'package'
-              }
-            };
-
-            chrome.runtime.sendMessage(finalStateMessage).catch(() => { });
-            chrome.tabs.query({}, (tabs) => {
-              tabs.forEach(tab => {
-                chrome.tabs.sendMessage(tab.id, finalStateMessage).catch(() => { });
-              });
-            });
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.getPackageGroups(account))
+          .then(({ problems, incoming, awaitingPickup }) => sendResponse({
+            success: true,
+            packages: [...problems, ...incoming, ...awaitingPickup],
+            problems,
+            incoming,
+            awaitingPickup
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-            sendResponse({ success: true, packages });
+      case MESSAGE_TYPES.MARK_PACKAGE_PICKED_UP:
+        packageDB.initDB()
+          .then(() => packageTracker.markPackageAsPickedUp(message.packageId))
+          .then(packageRecord => {
+            notificationManager.clearDeliveryNotification(message.packageId);
+            sendResponse({ success: true, package: packageRecord });
           })
-          .catch(error => {
-            // Reset package scanning state on error
-            packageScanningState.isScanning = false;
-            saveScanningStates();
-
-            // Don't clear progress here - let the progress callback handle it
-
-            // Broadcast error state change
-            const errorStateMessage = {
-              type: 'SCANNING_STATE_CHANGED',
-              data: {
-                isScanning: false,
-                progress: 0,
-                message: `Error: ${error.message}`,
-                step: 'error',
-                scanType: 'package'
-              }
-            };
-
-            chrome.runtime.sendMessage(errorStateMessage).catch(() => { });
-            chrome.tabs.query({}, (tabs) => {
-              tabs.forEach(tab => {
-                chrome.tabs.sendMessage(tab.id, errorStateMessage).catch(() => { });
-              });
-            });
-
-            sendResponse({ success: false, error: error.message });
-          });
+          .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
-      case MESSAGE_TYPES.GET_UNPICKED_PACKAGES:
+      case MESSAGE_TYPES.MARK_PACKAGE_UNPICKED:
         packageDB.initDB()
-          .then(() => packageDB.getUnpickedPackages())
-          .then(packages => sendResponse({ success: true, packages }))
+          .then(() => packageTracker.markPackageAsUnpicked(message.packageId))
+          .then(packageRecord => sendResponse({ success: true, package: packageRecord }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
-      case MESSAGE_TYPES.MARK_PACKAGE_PICKED_UP:
+      case MESSAGE_TYPES.UPDATE_PACKAGE:
         packageDB.initDB()
-          .then(() => packageDB.markPackageAsPickedUp(message.packageId))
+          .then(() => packageTracker.updatePackage(message.packageId, message.changes))
           .then(packageRecord => sendResponse({ success: true, package: packageRecord }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
+      case MESSAGE_TYPES.DELETE_PACKAGE:
+        packageDB.initDB()
+          .then(() => packageTracker.deletePackage(message.packageId))
+          .then(packageRecord => {
+            notificationManager.clearDeliveryNotification(message.packageId);
+            sendResponse({ success: true, package: packageRecord });
+          })
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
       case MESSAGE_TYPES.GET_PACKAGES_IN_DATE_RANGE:
         packageDB.initDB()
           .then(() => packageDB.getPackagesInDateRange(message.startDate, message.endDate))
@@ -2313,6 +8622,22 @@ async function handleMessage(message, sender, sendResponse) {
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
+      case MESSAGE_TYPES.QUERY_PACKAGES:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.queryPackages(message.query, account))
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.ADD_MANUAL_PACKAGE:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageTracker.addManualPackage(message.entry, account))
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
       case MESSAGE_TYPES.CHECK_EMAIL_EXISTS:
         packageDB.initDB()
           .then(() => packageDB.emailExists(message.emailId))
@@ -2322,20 +8647,22 @@ async function handleMessage(message, sender, sendResponse) {
 
       case MESSAGE_TYPES.GET_SCAN_HISTORY:
         packageDB.initDB()
-          .then(() => packageDB.getScanHistory())
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.getScanHistory(account))
           .then(scanHistory => sendResponse({ success: true, scanHistory }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
       case MESSAGE_TYPES.SAVE_SCAN_HISTORY:
         packageDB.initDB()
-          .then(() => packageDB.saveScanHistory(message.scanData))
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.saveScanHistory({ account, ...message.scanData }))
           .then(scanRecord => sendResponse({ success: true, scanRecord }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
       case MESSAGE_TYPES.EXTRACT_DELIVERY_INFO:
-        packageTracker.extractDeliveryInfo(message.emailContent, message.emailFrom, message.emailSubject, message.emailDate)
+        packageTracker.extractDeliveryInfo(message.emailContent, message.emailFrom, message.emailSubject, message.emailDate, message.emailBody)
           .then(deliveryInfo => sendResponse({ success: true, deliveryInfo }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
@@ -2443,98 +8770,227 @@ async function handleMessage(message, sender, sendResponse) {
 
       case MESSAGE_TYPES.SCAN_SUBSCRIPTION_EMAILS:
         console.log('Background: Received SCAN_SUBSCRIPTION_EMAILS message');
-        // Check if already scanning subscriptions
-        if (subscriptionScanningState.isScanning) {
-          console.log('Background: Subscription scan already in progress');
-          sendResponse({ success: false, error: 'Subscription scan already in progress' });
-          return true;
-        }
+        runSubscriptionScan()
+          .then(events => sendResponse({ success: true, events }))
+          .catch(error => sendResponse({ success: false, error: error.message || 'Subscription scan failed' }));
+        return true;
 
-        // Initialize subscription scanning state
-        subscriptionScanningState = {
-          isScanning: true,
-          progress: 0,
-          message: 'Initializing subscription scan...',
-          step: 'subscription_scan',
-          startTime: Date.now(),
-          options: { type: 'subscription' }
-        };
+      case MESSAGE_TYPES.GET_SCAN_SCHEDULE:
+        scanScheduler.getSchedule()
+          .then(schedule => sendResponse({ success: true, schedule }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Save scanning states
-        await saveScanningStates();
+      case MESSAGE_TYPES.UPDATE_SCAN_SCHEDULE:
+        scanScheduler.updateSchedule(message.schedule)
+          .then(schedule => sendResponse({ success: true, schedule }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Send immediate progress update to show the progress bar
-        const initialProgressData = {
-          progress: 0,
-          message: 'Initializing subscription scan...',
-          step: 'subscription_scan',
-          scanType: 'subscription'
-        };
+      case MESSAGE_TYPES.GET_SUBSCRIPTION_DASHBOARD:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => subscriptionAggregator.getDashboard(account))
+          .then(dashboard => sendResponse({ success: true, ...dashboard }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        const initialUpdateMessage = {
-          type: MESSAGE_TYPES.PROGRESS_UPDATE,
-          data: initialProgressData
-        };
+      case MESSAGE_TYPES.ADD_MANUAL_SUBSCRIPTION:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => subscriptionTracker.addManualSubscription(message.entry, account))
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Send to popup
-        chrome.runtime.sendMessage(initialUpdateMessage).catch(() => {
-          // Ignore errors if popup is closed
-        });
+      case MESSAGE_TYPES.GET_SUBSCRIPTION_ALERTS:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.getSubscriptionAlerts(message.includeDismissed, account))
+          .then(alerts => sendResponse({ success: true, alerts }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Send to all content scripts
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            chrome.tabs.sendMessage(tab.id, initialUpdateMessage).catch(() => {
-              // Ignore errors if content script not available
-            });
-          });
-        });
+      case MESSAGE_TYPES.DISMISS_SUBSCRIPTION_ALERT:
+        packageDB.initDB()
+          .then(() => packageDB.dismissSubscriptionAlert(message.alertId))
+          .then(alert => sendResponse({ success: true, alert }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Handle progress updates using unified function
-        const subscriptionProgressCallback = (progressData) => {
-          // Ensure the progress data has the correct step for subscription scans
-          const enhancedProgressData = {
-            ...progressData,
-            step: progressData.step === 'complete' || progressData.step === 'error' ? progressData.step : 'subscription_scan'
-          };
-          updateProgressState('subscription', enhancedProgressData);
-        };
+      case MESSAGE_TYPES.GET_RENEWAL_SETTINGS:
+        subscriptionTracker.getRenewalSettings()
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
 
-        // Ensure database is initialized before starting subscription scan
+      case MESSAGE_TYPES.UPDATE_RENEWAL_SETTINGS:
+        // One-off reminders made before series existed move onto one without waiting for a rescan
         packageDB.initDB()
-          .then(() => {
-            console.log('Database initialized for subscription scan');
-            return subscriptionTracker.scanCurrentMonthSubscriptions(subscriptionProgressCallback);
-          })
-          .then(events => {
-            // Reset subscription scanning state
-            subscriptionScanningState.isScanning = false;
-            saveScanningStates();
-            
-            // Don't clear progress here - let the progress callback handle it with proper timing
-            
-            console.log('Background: Subscription scan completed successfully, events:', events.length);
-            sendResponse({ success: true, events });
-          })
-          .catch(error => {
-            // Reset subscription scanning state on error
-            subscriptionScanningState.isScanning = false;
-            saveScanningStates();
-            
-            // Don't clear progress here - let the progress callback handle it
-            
-            console.error('Background: Subscription scan failed:', error);
-            sendResponse({ success: false, error: error.message || 'Subscription scan failed' });
-          });
+          .then(() => Promise.all([subscriptionTracker.updateRenewalSettings(message.settings), accountManager.getActiveAccountEmail()]))
+          .then(([settings, account]) => subscriptionTracker.migrateRemindersToSeries(settings, account).then(() => settings))
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_TRIALS:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => Promise.all([packageDB.getTrials(account), subscriptionTracker.getTrialSettings()]))
+          .then(([trials, settings]) => sendResponse({ success: true, trials, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.UPDATE_TRIAL_SETTINGS:
+        subscriptionTracker.updateTrialSettings(message.settings)
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_NOTIFICATION_SETTINGS:
+        notificationManager.getSettings()
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.UPDATE_NOTIFICATION_SETTINGS:
+        notificationManager.updateSettings(message.settings)
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
       case MESSAGE_TYPES.GET_SUBSCRIPTIONS:
         packageDB.initDB()
-          .then(() => packageDB.getSubscriptions())
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.getSubscriptions(account))
           .then(subscriptions => sendResponse({ success: true, subscriptions }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
+      case MESSAGE_TYPES.GET_LLM_BACKEND_SETTINGS:
+        llmExtractor.getSettings()
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.UPDATE_LLM_BACKEND_SETTINGS:
+        llmExtractor.updateSettings(message.settings)
+          .then(settings => sendResponse({ success: true, settings }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.CHECK_LLM_BACKEND:
+        // Unsaved settings from the popup are checked without touching the saved ones
+        (message.settings ? llmExtractor.resolveSettings(message.settings) : Promise.resolve(null))
+          .then(settings => llmExtractor.checkHealth(settings))
+          .then(health => sendResponse({ success: true, health }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_EXTRACTION_FAILURES:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.getExtractionFailures(account))
+          .then(failures => sendResponse({ success: true, failures }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.RETRY_EXTRACTION_FAILURES:
+        // Failed emails are picked up by the next package and subscription scans
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => packageDB.resetExtractionFailures(account))
+          .then(count => sendResponse({ success: true, count }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.CANCEL_SCAN:
+        cancelScan(message.scanType)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.PAUSE_SCAN:
+        pauseScan(message.scanType)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.RESUME_SCAN:
+        resumeScan(message.scanType)
+          .then(({ restarted }) => sendResponse({ success: true, restarted }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.EXPORT_PACKAGES:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => dataExporter.exportPackages(message.options, account))
+          .then(file => sendResponse({ success: true, ...file }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.EXPORT_SUBSCRIPTIONS:
+        packageDB.initDB()
+          .then(() => accountManager.getActiveAccountEmail())
+          .then(account => dataExporter.exportSubscriptions(message.options, account))
+          .then(file => sendResponse({ success: true, ...file }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.EXPORT_RENEWAL_CALENDAR:
+        packageDB.initDB()
+          .then(() => Promise.all([subscriptionTracker.getRenewalSettings(), accountManager.getActiveAccountEmail()]))
+          .then(([settings, account]) => dataExporter.exportRenewalCalendar(settings, account))
+          .then(file => sendResponse({ success: true, ...file }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.CREATE_BACKUP:
+        packageDB.initDB()
+          .then(() => backupManager.createBackup())
+          .then(file => sendResponse({ success: true, ...file }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.RESTORE_BACKUP:
+        packageDB.initDB()
+          .then(() => assertNoScanRunning('restoring a backup'))
+          .then(() => backupManager.restoreBackup(message.backup, message.mode))
+          // Restored schedule settings take effect right away
+          .then(summary => scanScheduler.applySchedule().then(() => summary))
+          .then(summary => sendResponse({ success: true, ...summary }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.GET_ACCOUNTS:
+        accountManager.getAccounts()
+          .then(accounts => sendResponse({ success: true, ...accounts }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.ADD_ACCOUNT:
+        accountManager.addAccount()
+          .then(accounts => sendResponse({ success: true, ...accounts }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.REMOVE_ACCOUNT:
+        Promise.resolve()
+          .then(() => assertNoScanRunning())
+          .then(() => accountManager.removeAccount(message.email))
+          .then(accounts => sendResponse({ success: true, ...accounts }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_TYPES.SWITCH_ACCOUNT:
+        Promise.resolve()
+          .then(() => assertNoScanRunning())
+          .then(() => accountManager.switchAccount(message.email))
+          .then(accounts => sendResponse({ success: true, ...accounts }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
       default:
         sendResponse({ success: false, error: 'Unknown message type' });
     }
@@ -5,8 +5,135 @@
  */
 export const GMAIL_API = {
     BASE_URL: 'https://gmail.googleapis.com/gmail/v1',
+    BATCH_URL: 'https://gmail.googleapis.com/batch/gmail/v1',
     MAX_RESULTS_PER_PAGE: 500,
-    REQUEST_DELAY_MS: 100
+    // Gmail allows 100 requests per batch but recommends at most 50
+    BATCH_SIZE: 50,
+    // Full messages are fetched in smaller batches so processing can start sooner
+    FULL_BATCH_SIZE: 10,
+    // Batches fetched ahead of the email being processed
+    FETCH_CONCURRENCY: 3,
+    METADATA_HEADERS: ['Subject', 'From', 'Date'],
+    // Per-user quota is 250 units per second, the rest is left for the popup and widget
+    QUOTA_UNITS_PER_SECOND: 200,
+    QUOTA_COSTS: {
+        MESSAGE_GET: 5,
+        MESSAGE_LIST: 5,
+        HISTORY_LIST: 2,
+        PROFILE: 1
+    },
+    MAX_RETRIES: 5,
+    RETRY_BASE_DELAY_MS: 500,
+    RETRY_MAX_DELAY_MS: 32000,
+    RETRYABLE_STATUSES: [429, 500, 502, 503, 504],
+    // 403 responses with these reasons are rate limits too
+    RATE_LIMIT_REASONS: ['rateLimitExceeded', 'userRateLimitExceeded'],
+    // Labels whose new messages are ignored by incremental sync (mirrors SPAM_FILTER)
+    HISTORY_EXCLUDED_LABELS: ['SPAM', 'TRASH', 'DRAFT', 'SENT']
+};
+
+/**
+ * Scheduled Scan Configuration (chrome.alarms)
+ */
+export const SCHEDULE_CONFIG = {
+    STORAGE_KEY: 'scanSchedule',
+    ALARM_NAMES: {
+        PACKAGE: 'scheduledPackageScan',
+        SUBSCRIPTION: 'scheduledSubscriptionScan'
+    },
+    DEFAULT_SCHEDULE: {
+        package: { enabled: false, intervalMinutes: 60 },
+        subscription: { enabled: false, intervalMinutes: 1440 }
+    },
+    MIN_INTERVAL_MINUTES: 15,
+    // Scheduled package scans cover this many days back from today
+    PACKAGE_LOOKBACK_DAYS: 7,
+    TRIGGERS: {
+        MANUAL: 'manual',
+        SCHEDULED: 'scheduled'
+    }
+};
+
+/**
+ * Scan Cancel/Pause/Resume Configuration
+ */
+export const SCAN_CONTROL_CONFIG = {
+    // Processed-email cursor per scan type, kept until the scan finishes or is cancelled
+    CHECKPOINT_KEYS: {
+        package: 'packageScanCheckpoint',
+        subscription: 'subscriptionScanCheckpoint'
+    },
+    // The cursor is written to storage after this many processed emails
+    CHECKPOINT_EVERY: 5,
+    // Progress steps after which a scan is no longer running
+    END_STEPS: ['complete', 'error', 'cancelled']
+};
+
+/**
+ * Desktop Notification Configuration (chrome.notifications)
+ */
+export const NOTIFICATION_CONFIG = {
+    SETTINGS_KEY: 'notificationSettings',
+    DIGEST_STATE_KEY: 'renewalDigestState',
+    DIGEST_ALARM_NAME: 'renewalDigest',
+    DIGEST_INTERVAL_MINUTES: 1440,
+    TYPES: {
+        DELIVERY: 'delivery',
+        RENEWAL: 'renewal'
+    },
+    DEFAULT_SETTINGS: {
+        delivery: { muted: false },
+        renewal: { muted: false, daysAhead: 3 }
+    },
+    // Notification IDs are prefixed so clicks can be routed back to their source
+    ID_PREFIXES: {
+        DELIVERY: 'delivery:',
+        DELIVERY_SUMMARY: 'delivery-summary:',
+        RENEWAL_DIGEST: 'renewal-digest'
+    },
+    DELIVERY_BUTTONS: ['Mark picked up', 'Open email'],
+    MAX_DELIVERY_NOTIFICATIONS: 5,
+    // Older deliveries found by first or wide scans are not announced
+    RECENT_DELIVERY_HOURS: 48,
+    MAX_DIGEST_ITEMS: 5,
+    ICON_URL: 'icon.png'
+};
+
+/**
+ * Incremental Sync Configuration (Gmail History API)
+ */
+export const SYNC_CONFIG = {
+    STORAGE_KEY: 'gmailSyncState',
+    SCOPES: {
+        PACKAGE: 'package',
+        SUBSCRIPTION: 'subscription'
+    }
+};
+
+/**
+ * Gmail Account Configuration
+ * Extra accounts sign in with chrome.identity.launchWebAuthFlow, the Chrome profile
+ * account keeps using chrome.identity.getAuthToken
+ */
+export const ACCOUNT_CONFIG = {
+    STORAGE_KEY: 'gmailAccounts',
+    // Access tokens live in session storage so they are dropped when the browser closes
+    TOKEN_STORAGE_KEY: 'gmailAccountTokens',
+    AUTH_URL: 'https://accounts.google.com/o/oauth2/v2/auth',
+    // launchWebAuthFlow needs a "Web application" OAuth client, the manifest's Chrome extension client
+    // only works with chrome.identity.getAuthToken. Its authorized redirect URI is
+    // https://<extension-id>.chromiumapp.org/ (see README).
+    WEB_CLIENT_ID: '',
+    REVOKE_URL: 'https://oauth2.googleapis.com/revoke',
+    SCOPES: ['https://www.googleapis.com/auth/gmail.readonly'],
+    // Refresh tokens a minute before they expire
+    TOKEN_EXPIRY_MARGIN_MS: 60 * 1000,
+    GMAIL_URL: 'https://mail.google.com/mail/',
+    DEFAULT_STATE: {
+        accounts: [],
+        activeAccount: null,
+        legacyHistoryAccount: null
+    }
 };
 
 /**
@@ -14,7 +141,33 @@ export const GMAIL_API = {
  */
 export const CALENDAR_API = {
     BASE_URL: 'https://www.googleapis.com/calendar/v3',
-    DEFAULT_CALENDAR_ID: 'primary'
+    DEFAULT_CALENDAR_ID: 'primary',
+    CALENDAR_LIST_PATH: '/users/me/calendarList',
+    // Reminder events checked at once when the reminder list loads
+    CHECK_CONCURRENCY: 5
+};
+
+/**
+ * Reminder Calendar Settings
+ * Target calendar and event template used for new subscription reminders
+ */
+export const CALENDAR_SETTINGS_CONFIG = {
+    STORAGE_KEY: 'calendarSettings',
+    // Dedicated calendar the extension can create for reminders
+    SUBSCRIPTIONS_CALENDAR_NAME: 'Subscriptions',
+    TEMPLATE_PLACEHOLDERS: ['name', 'amount', 'billingDate', 'renewalDate', 'cycle', 'emailSubject', 'emailLink'],
+    TRANSPARENCY_OPTIONS: ['transparent', 'opaque'],
+    MIN_DURATION_MINUTES: 5,
+    DEFAULT_SETTINGS: {
+        calendarId: 'primary',
+        calendarName: 'Primary calendar',
+        titleTemplate: '{name} Subscription Renewal',
+        descriptionTemplate: 'Subscription renewal reminder for {name}\nAmount: {amount}\nRenews on: {renewalDate} ({cycle})\nLast billing: {billingDate}\nOriginal email: {emailSubject}\nView original email: {emailLink}',
+        allDay: true,
+        eventTime: '09:00',
+        durationMinutes: 30,
+        transparency: 'transparent'
+    }
 };
 
 /**
@@ -33,6 +186,136 @@ export const LLM_CONFIG = {
     SYSTEM_PROMPT: 'You are a helpful AI assistant. Provide clear and accurate responses.'
 };
 
+/**
+ * LLM Backend Configuration
+ * Prompts go to Chrome's built-in LanguageModel, an OpenAI-compatible server (llama.cpp, LM Studio) or Ollama
+ */
+export const LLM_BACKEND_CONFIG = {
+    SETTINGS_KEY: 'llmBackendSettings',
+    BACKENDS: {
+        CHROME: 'chrome',
+        OPENAI: 'openai',
+        OLLAMA: 'ollama'
+    },
+    LABELS: {
+        chrome: 'Chrome built-in (Gemini Nano)',
+        openai: 'OpenAI-compatible server',
+        ollama: 'Ollama'
+    },
+    DEFAULT_SETTINGS: {
+        backend: 'chrome',
+        openai: {
+            baseUrl: 'http://localhost:1234/v1',
+            model: '',
+            apiKey: ''
+        },
+        ollama: {
+            baseUrl: 'http://localhost:11434',
+            model: 'llama3.1'
+        },
+        timeoutMs: 60000,
+        maxConcurrency: 1
+    },
+    MIN_TIMEOUT_MS: 5000,
+    MAX_TIMEOUT_MS: 300000,
+    MAX_CONCURRENCY: 8,
+    HEALTH_CHECK_TIMEOUT_MS: 5000,
+    // Health check results are reused for this long so scans don't check before every email
+    HEALTH_CACHE_MS: 60 * 1000
+};
+
+/**
+ * Extraction Strategy Configuration
+ * The configured language model backend is tried first, the rule-based extractor is used when it is unavailable
+ */
+export const EXTRACTOR_CONFIG = {
+    TYPES: {
+        LANGUAGE_MODEL: 'language_model',
+        RULE_BASED: 'rule_based'
+    },
+    TASKS: {
+        DELIVERY: 'delivery',
+        SUBSCRIPTION: 'subscription',
+        TRIAL: 'trial'
+    },
+    // Sender domain (e.g. "netflix" for "info@mailer.netflix.com") to display name
+    SENDER_NAMES: {
+        amazon: 'Amazon',
+        ebay: 'eBay',
+        etsy: 'Etsy',
+        walmart: 'Walmart',
+        target: 'Target',
+        bestbuy: 'Best Buy',
+        ups: 'UPS',
+        fedex: 'FedEx',
+        usps: 'USPS',
+        dhl: 'DHL',
+        netflix: 'Netflix',
+        spotify: 'Spotify',
+        hulu: 'Hulu',
+        disneyplus: 'Disney+',
+        hbomax: 'HBO Max',
+        paramountplus: 'Paramount+',
+        peacocktv: 'Peacock',
+        youtube: 'YouTube',
+        apple: 'Apple',
+        google: 'Google',
+        microsoft: 'Microsoft',
+        adobe: 'Adobe',
+        dropbox: 'Dropbox',
+        audible: 'Audible',
+        patreon: 'Patreon',
+        github: 'GitHub',
+        openai: 'OpenAI',
+        nytimes: 'The New York Times',
+        duolingo: 'Duolingo',
+        notion: 'Notion',
+        canva: 'Canva'
+    },
+    // Second-level domain labels skipped when finding the sender, e.g. "amazon.co.uk"
+    DOMAIN_SUFFIX_LABELS: ['co', 'com', 'org', 'net', 'ac', 'gov'],
+    // Words dropped from "From" display names, e.g. "Netflix Billing" -> "Netflix"
+    SENDER_NAME_NOISE: /\b(billing|team|support|no-?reply|notifications?|account|accounts|info|payments?|receipts?|orders?|store|inc|llc|ltd)\b\.?/gi,
+    // Matched as whole words in the subject, so "sale" doesn't match "wholesale"
+    PROMOTION_KEYWORDS: ['% off', 'sale', 'deal', 'offer', 'redeem', 'discount', 'promo', 'coupon', 'limited time'],
+    // Subscription charges must mention one of these
+    CHARGE_KEYWORDS: ['receipt', 'payment', 'charged', 'billed', 'invoice', 'renewal', 'renewed', 'your subscription', 'membership', 'amount paid'],
+    // Words in the subject that rule out a charge (mirrors the language model prompt); receipt bodies
+    // often say "feel free to contact us" or mention offers, so the body isn't checked
+    CHARGE_EXCLUDED_KEYWORDS: ['free', 'trial', 'offer', 'redeem', 'discount', 'promo'],
+    // Delivery emails must mention one of these besides the status keyword
+    DELIVERY_CONTEXT_KEYWORDS: ['order', 'package', 'shipment', 'tracking', 'parcel', 'delivery'],
+    TRIAL_ACTIVE_KEYWORDS: ['trial ends', 'trial will end', 'trial has started', 'trial started', 'your free trial', 'your trial', 'trial period', 'trial expires'],
+    TRIAL_AD_KEYWORDS: ['start your free trial', 'start a free trial', 'try it free', 'try free', 'redeem', 'claim your', 'get started free'],
+    TRIAL_LENGTH_PATTERN: /(\d{1,3})[-\s]day\s+(?:free\s+)?trial/i,
+    BILLING_PERIOD_PATTERNS: {
+        weekly: /\b(weekly|per week|a week|every week|\/\s?(wk|week))\b/i,
+        quarterly: /\b(quarterly|per quarter|every 3 months|every three months)\b/i,
+        annual: /\b(annual(ly)?|yearly|per year|a year|every year|\/\s?(yr|year))\b/i,
+        monthly: /\b(monthly|per month|a month|every month|\/\s?(mo|month))\b/i
+    },
+    // Phrases a date follows, checked in order
+    DATE_LABELS: {
+        EXPECTED_DELIVERY: ['arriving', 'arrives', 'expected delivery', 'estimated delivery', 'delivery date', 'will arrive', 'get it by', 'expected by', 'new delivery date', 'delivery by'],
+        DELIVERED: ['delivered on', 'delivered:', 'was delivered', 'delivered'],
+        BILLING: ['billed on', 'charged on', 'payment date', 'billing date', 'date paid', 'invoice date', 'date:'],
+        NEXT_BILLING: ['next billing date', 'next payment', 'next charge', 'renews on', 'will renew on', 'renewal date', 'next bill', 'auto-renews on'],
+        TRIAL_END: ['trial ends on', 'trial ends', 'trial will end on', 'trial will end', 'trial expires on', 'ends on', 'until', 'first charge', 'will be charged on', 'billed on']
+    },
+    AMOUNT_LABELS: ['total', 'amount charged', 'amount paid', 'you paid', 'charged', 'billed', 'payment of', 'price'],
+    TRIAL_PRICE_LABELS: ['then', 'after your trial', 'after the trial', 'will be charged', 'price'],
+    MONTH_NAMES: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    WEEKDAY_NAMES: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    // Characters after a label that are searched for a date or amount
+    LABEL_WINDOW: 40,
+    // Re-prompts allowed when a language model reply doesn't match the task schema
+    MAX_REPAIR_ATTEMPTS: 2,
+    // Scans retry an email that failed extraction this many times before leaving it to a manual retry
+    MAX_FAILURE_RETRIES: 3,
+    // Replies meaning "no value", replaced with null before validation
+    NULL_STRINGS: ['', 'null', 'none', 'n/a', 'unknown']
+};
+
 /**
  * UI Configuration
  */
@@ -52,16 +335,32 @@ export const MESSAGE_TYPES = {
     SEARCH_EMAILS: 'SEARCH_EMAILS',
     FETCH_EMAIL: 'FETCH_EMAIL',
     CREATE_CALENDAR_EVENT: 'CREATE_CALENDAR_EVENT',
+    UPDATE_CALENDAR_EVENT: 'UPDATE_CALENDAR_EVENT',
+    PATCH_CALENDAR_EVENT: 'PATCH_CALENDAR_EVENT',
+    DELETE_CALENDAR_EVENT: 'DELETE_CALENDAR_EVENT',
+    GET_CALENDAR_REMINDERS: 'GET_CALENDAR_REMINDERS',
+    GET_CALENDAR_SETTINGS: 'GET_CALENDAR_SETTINGS',
+    UPDATE_CALENDAR_SETTINGS: 'UPDATE_CALENDAR_SETTINGS',
+    LIST_CALENDARS: 'LIST_CALENDARS',
+    CREATE_SUBSCRIPTIONS_CALENDAR: 'CREATE_SUBSCRIPTIONS_CALENDAR',
+    GET_DELIVERY_EVENT_SETTINGS: 'GET_DELIVERY_EVENT_SETTINGS',
+    UPDATE_DELIVERY_EVENT_SETTINGS: 'UPDATE_DELIVERY_EVENT_SETTINGS',
     CALL_LLM: 'CALL_LLM',
     // Package tracking messages
     SEARCH_PACKAGE_EMAILS: 'SEARCH_PACKAGE_EMAILS',
     PROCESS_PACKAGE_EMAILS: 'PROCESS_PACKAGE_EMAILS',
     GET_UNPICKED_PACKAGES: 'GET_UNPICKED_PACKAGES',
     MARK_PACKAGE_PICKED_UP: 'MARK_PACKAGE_PICKED_UP',
+    MARK_PACKAGE_UNPICKED: 'MARK_PACKAGE_UNPICKED',
+    UPDATE_PACKAGE: 'UPDATE_PACKAGE',
+    DELETE_PACKAGE: 'DELETE_PACKAGE',
     EXTRACT_DELIVERY_INFO: 'EXTRACT_DELIVERY_INFO',
     PROGRESS_UPDATE: 'PROGRESS_UPDATE',
     DESTROY_LLM_SESSION: 'DESTROY_LLM_SESSION',
     GET_PACKAGES_IN_DATE_RANGE: 'GET_PACKAGES_IN_DATE_RANGE',
+    QUERY_PACKAGES: 'QUERY_PACKAGES',
+    ADD_MANUAL_PACKAGE: 'ADD_MANUAL_PACKAGE',
+    ADD_MANUAL_SUBSCRIPTION: 'ADD_MANUAL_SUBSCRIPTION',
     CHECK_EMAIL_EXISTS: 'CHECK_EMAIL_EXISTS',
     // Scan history messages
     GET_SCAN_HISTORY: 'GET_SCAN_HISTORY',
@@ -72,8 +371,44 @@ export const MESSAGE_TYPES = {
     // Subscription tracking messages
     SCAN_SUBSCRIPTION_EMAILS: 'SCAN_SUBSCRIPTION_EMAILS',
     GET_SUBSCRIPTIONS: 'GET_SUBSCRIPTIONS',
+    GET_SUBSCRIPTION_DASHBOARD: 'GET_SUBSCRIPTION_DASHBOARD',
+    GET_SUBSCRIPTION_ALERTS: 'GET_SUBSCRIPTION_ALERTS',
+    DISMISS_SUBSCRIPTION_ALERT: 'DISMISS_SUBSCRIPTION_ALERT',
+    GET_TRIALS: 'GET_TRIALS',
+    UPDATE_TRIAL_SETTINGS: 'UPDATE_TRIAL_SETTINGS',
+    GET_RENEWAL_SETTINGS: 'GET_RENEWAL_SETTINGS',
+    UPDATE_RENEWAL_SETTINGS: 'UPDATE_RENEWAL_SETTINGS',
     // Cleanup messages
-    CLEANUP_SCAN_STATES: 'CLEANUP_SCAN_STATES'
+    CLEANUP_SCAN_STATES: 'CLEANUP_SCAN_STATES',
+    // Scheduled scan messages
+    GET_SCAN_SCHEDULE: 'GET_SCAN_SCHEDULE',
+    UPDATE_SCAN_SCHEDULE: 'UPDATE_SCAN_SCHEDULE',
+    // Notification messages
+    GET_NOTIFICATION_SETTINGS: 'GET_NOTIFICATION_SETTINGS',
+    UPDATE_NOTIFICATION_SETTINGS: 'UPDATE_NOTIFICATION_SETTINGS',
+    // LLM backend messages
+    GET_LLM_BACKEND_SETTINGS: 'GET_LLM_BACKEND_SETTINGS',
+    UPDATE_LLM_BACKEND_SETTINGS: 'UPDATE_LLM_BACKEND_SETTINGS',
+    CHECK_LLM_BACKEND: 'CHECK_LLM_BACKEND',
+    // Extraction failure messages
+    GET_EXTRACTION_FAILURES: 'GET_EXTRACTION_FAILURES',
+    RETRY_EXTRACTION_FAILURES: 'RETRY_EXTRACTION_FAILURES',
+    // Scan control messages
+    CANCEL_SCAN: 'CANCEL_SCAN',
+    PAUSE_SCAN: 'PAUSE_SCAN',
+    RESUME_SCAN: 'RESUME_SCAN',
+    // Export messages
+    EXPORT_PACKAGES: 'EXPORT_PACKAGES',
+    EXPORT_SUBSCRIPTIONS: 'EXPORT_SUBSCRIPTIONS',
+    EXPORT_RENEWAL_CALENDAR: 'EXPORT_RENEWAL_CALENDAR',
+    // Backup messages
+    CREATE_BACKUP: 'CREATE_BACKUP',
+    RESTORE_BACKUP: 'RESTORE_BACKUP',
+    // Account messages
+    GET_ACCOUNTS: 'GET_ACCOUNTS',
+    ADD_ACCOUNT: 'ADD_ACCOUNT',
+    REMOVE_ACCOUNT: 'REMOVE_ACCOUNT',
+    SWITCH_ACCOUNT: 'SWITCH_ACCOUNT'
 };
 
 /**
@@ -91,15 +426,204 @@ export const PACKAGE_CONFIG = {
         'shipment delivered',
         'delivery confirmation',
         'package has arrived',
-        'delivered to'
+        'delivered to',
+        'order confirmation',
+        'order placed',
+        'has shipped',
+        'shipping confirmation',
+        'out for delivery',
+        'delivery delayed',
+        'running late',
+        'returned to sender',
+        'return received',
+        'delivery exception',
+        'delivery attempt'
     ],
+    // Keyword fallback when the LLM does not return a valid status (checked in order)
+    STATUS_KEYWORDS: {
+        returned: ['returned to sender', 'return received', 'has been returned', 'refund issued'],
+        exception: ['delivery exception', 'delivery attempt', 'unable to deliver', 'action required'],
+        delayed: ['delayed', 'running late', 'new delivery date'],
+        delivered: ['delivered', 'package has arrived', 'delivery confirmation'],
+        out_for_delivery: ['out for delivery', 'arriving today'],
+        shipped: ['shipped', 'on its way', 'in transit', 'shipping confirmation'],
+        order_placed: ['order confirmation', 'order placed', 'order received', 'thanks for your order']
+    },
+    ORDER_NUMBER_PATTERN: /order\s*(?:number|no\.?|#|id)?\s*[:#]?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{4,30})\b/i,
     DB_NAME: 'PackageTracker',
-    DB_VERSION: 5,
+    DB_VERSION: 13,
     STORE_NAME: 'packages',
     SUBSCRIPTION_STORE_NAME: 'subscriptions',
     SCAN_HISTORY_STORE_NAME: 'scan_history',
     SUBSCRIPTION_SCAN_HISTORY_STORE_NAME: 'subscription_scan_history',
-    SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME: 'subscription_calendar_events'
+    SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME: 'subscription_calendar_events',
+    SUBSCRIPTION_ALERTS_STORE_NAME: 'subscription_alerts',
+    TRIALS_STORE_NAME: 'trials',
+    TRIAL_CALENDAR_EVENTS_STORE_NAME: 'trial_calendar_events',
+    EXTRACTION_FAILURES_STORE_NAME: 'extraction_failures'
+};
+
+/**
+ * Package Shipment Lifecycle States
+ */
+export const PACKAGE_STATUS = {
+    ORDER_PLACED: 'order_placed',
+    SHIPPED: 'shipped',
+    OUT_FOR_DELIVERY: 'out_for_delivery',
+    DELIVERED: 'delivered',
+    DELAYED: 'delayed',
+    RETURNED: 'returned',
+    EXCEPTION: 'exception'
+};
+
+/**
+ * Display labels for package statuses
+ */
+export const PACKAGE_STATUS_LABELS = {
+    order_placed: 'Order placed',
+    shipped: 'Shipped',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    delayed: 'Delayed',
+    returned: 'Returned',
+    exception: 'Delivery exception'
+};
+
+/**
+ * Extraction Reply Schemas
+ * JSON Schemas for the object each extraction prompt asks for, sent as the response constraint and used to validate replies
+ */
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const NULLABLE_DATE = { type: ['string', 'null'], format: 'date' };
+
+export const EXTRACTION_SCHEMAS = {
+    [EXTRACTOR_CONFIG.TASKS.DELIVERY]: {
+        type: 'object',
+        properties: {
+            isDeliveryEmail: { type: 'boolean' },
+            status: { type: ['string', 'null'], enum: [...Object.values(PACKAGE_STATUS), null] },
+            deliveryDate: NULLABLE_DATE,
+            expectedDeliveryDate: NULLABLE_DATE,
+            orderNumber: NULLABLE_STRING,
+            sender: NULLABLE_STRING
+        },
+        required: ['isDeliveryEmail', 'status', 'deliveryDate', 'expectedDeliveryDate', 'orderNumber', 'sender'],
+        additionalProperties: false
+    },
+    [EXTRACTOR_CONFIG.TASKS.SUBSCRIPTION]: {
+        type: 'object',
+        properties: {
+            isSubscriptionEmail: { type: 'boolean' },
+            subscriptionName: NULLABLE_STRING,
+            amount: NULLABLE_STRING,
+            billingDate: NULLABLE_DATE,
+            billingPeriod: { type: ['string', 'null'], enum: ['weekly', 'monthly', 'quarterly', 'annual', null] },
+            nextBillingDate: NULLABLE_DATE
+        },
+        required: ['isSubscriptionEmail', 'subscriptionName', 'amount', 'billingDate', 'billingPeriod', 'nextBillingDate'],
+        additionalProperties: false
+    },
+    [EXTRACTOR_CONFIG.TASKS.TRIAL]: {
+        type: 'object',
+        properties: {
+            isTrialEmail: { type: 'boolean' },
+            serviceName: NULLABLE_STRING,
+            trialEndDate: NULLABLE_DATE,
+            priceAfterTrial: NULLABLE_STRING
+        },
+        required: ['isTrialEmail', 'serviceName', 'trialEndDate', 'priceAfterTrial'],
+        additionalProperties: false
+    }
+};
+
+/**
+ * Package status groups shown in the popup and widget
+ */
+export const PACKAGE_STATUS_GROUPS = {
+    INCOMING: ['order_placed', 'shipped', 'out_for_delivery', 'delayed', 'exception'],
+    AWAITING_PICKUP: ['delivered'],
+    // Packages that need attention, listed on their own above the incoming ones
+    PROBLEMS: ['delayed', 'exception', 'returned']
+};
+
+/**
+ * Delivery Window Calendar Events
+ * Optional all-day events for packages on their way, removed or marked done once delivered
+ */
+export const DELIVERY_EVENT_CONFIG = {
+    SETTINGS_KEY: 'deliveryEventSettings',
+    COMPLETED_ACTIONS: {
+        DELETE: 'delete',
+        MARK_DONE: 'mark_done'
+    },
+    DEFAULT_SETTINGS: {
+        enabled: false,
+        completedAction: 'delete'
+    },
+    // Packages get an event once they have one of these statuses and an expected delivery date
+    EVENT_STATUSES: ['shipped', 'out_for_delivery', 'delayed'],
+    // The event is finished once the package reaches one of these statuses or is picked up
+    COMPLETED_STATUSES: ['delivered', 'returned'],
+    DONE_TITLE_PREFIX: '✅ ',
+    // Google Calendar colorId (blueberry)
+    COLOR_ID: '9'
+};
+
+/**
+ * Carrier Detection Configuration
+ * Carriers are checked in order. `patterns` always match, `contextPatterns` only
+ * match when one of the carrier keywords appears in the sender, subject or body.
+ */
+export const CARRIER_CONFIG = {
+    CARRIERS: [
+        {
+            id: 'amazon',
+            name: 'Amazon',
+            keywords: ['amazon', 'amazon logistics'],
+            patterns: [/\bTBA\d{12}\b/gi],
+            contextPatterns: []
+        },
+        {
+            id: 'ups',
+            name: 'UPS',
+            keywords: ['ups', 'ups.com'],
+            patterns: [/\b1Z[0-9A-Z]{16}\b/gi],
+            contextPatterns: [/\bT\d{10}\b/g]
+        },
+        {
+            id: 'usps',
+            name: 'USPS',
+            keywords: ['usps', 'usps.com', 'postal service'],
+            patterns: [/\b9[1-5]\d{18,20}\b/g, /\b[A-Z]{2}\d{9}US\b/g],
+            contextPatterns: [/\b\d{20,22}\b/g]
+        },
+        {
+            id: 'dhl',
+            name: 'DHL',
+            keywords: ['dhl', 'dhl.com'],
+            patterns: [/\bJJD\d{18}\b/gi, /\bGM\d{16,18}\b/gi],
+            contextPatterns: [/\b\d{10}\b/g]
+        },
+        {
+            id: 'fedex',
+            name: 'FedEx',
+            keywords: ['fedex', 'fedex.com'],
+            patterns: [],
+            contextPatterns: [/\b\d{20}\b/g, /\b\d{15}\b/g, /\b\d{12}\b/g]
+        }
+    ],
+    // Bare-digit context patterns only count this many characters from a carrier name or tracking label
+    CONTEXT_WINDOW: 80,
+    TRACKING_LABEL_PATTERN: /\b(?:tracking|track|waybill|awb)\b/i,
+    // Labelled numbers ("Tracking number: XXXX") for carriers without a known format
+    LABELLED_TRACKING_PATTERN: /tracking\s*(?:number|no\.?|#|id)?\s*(?:is)?\s*[:#]?\s*((?=[A-Z]*\d)[A-Z0-9]{8,34})\b/i,
+    TRACKING_URLS: {
+        amazon: 'https://track.amazon.com/tracking/{trackingNumber}',
+        ups: 'https://www.ups.com/track?tracknum={trackingNumber}',
+        usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}',
+        dhl: 'https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}',
+        fedex: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}'
+    }
 };
 
 /**
@@ -116,7 +640,85 @@ export const SUBSCRIPTION_CONFIG = {
         'renewal',
         'monthly subscription',
         'annual subscription'
-    ]
+    ],
+    // Billing cycles checked against the median interval between charges
+    BILLING_CYCLES: {
+        WEEKLY: { id: 'weekly', label: 'Weekly', days: 7, minDays: 5, maxDays: 10, months: 0, perYear: 52 },
+        MONTHLY: { id: 'monthly', label: 'Monthly', days: 30, minDays: 25, maxDays: 35, months: 1, perYear: 12 },
+        QUARTERLY: { id: 'quarterly', label: 'Quarterly', days: 91, minDays: 80, maxDays: 100, months: 3, perYear: 4 },
+        ANNUAL: { id: 'annual', label: 'Annual', days: 365, minDays: 340, maxDays: 390, months: 12, perYear: 1 }
+    },
+    // Assumed cycle when a subscription has a single charge
+    DEFAULT_BILLING_CYCLE: 'monthly',
+    // Renewal reminders are scheduled this many days before the predicted renewal
+    REMINDER_SETTINGS_KEY: 'renewalReminderSettings',
+    DEFAULT_REMINDER_SETTINGS: {
+        leadDays: 3,
+        methods: ['popup']
+    },
+    // Google Calendar reminder methods for recurring renewal events
+    REMINDER_METHODS: ['popup', 'email'],
+    // Reminders for all-day renewal events fire at this hour, lead days before the renewal
+    REMINDER_HOUR: 9,
+    // Google Calendar colorId per billing cycle
+    CALENDAR_COLORS: {
+        weekly: '7',
+        monthly: '3',
+        quarterly: '5',
+        annual: '10'
+    },
+    // Checked in order, so prefixed dollar symbols must come before the bare '$'
+    CURRENCY_SYMBOLS: [
+        ['US$', 'USD'],
+        ['CA$', 'CAD'],
+        ['C$', 'CAD'],
+        ['AU$', 'AUD'],
+        ['A$', 'AUD'],
+        ['NZ$', 'NZD'],
+        ['HK$', 'HKD'],
+        ['MX$', 'MXN'],
+        ['S$', 'SGD'],
+        ['R$', 'BRL'],
+        ['€', 'EUR'],
+        ['£', 'GBP'],
+        ['¥', 'JPY'],
+        ['₹', 'INR'],
+        ['₩', 'KRW'],
+        ['₽', 'RUB'],
+        ['₺', 'TRY'],
+        ['$', 'USD']
+    ],
+    CURRENCY_CODES: [
+        'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN',
+        'BRL', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'KRW', 'RUB', 'TRY', 'ZAR'
+    ],
+    DEFAULT_CURRENCY: 'USD'
+};
+
+/**
+ * Free Trial Tracking Configuration
+ */
+export const TRIAL_CONFIG = {
+    KEYWORDS: ['free trial', 'trial ends', 'trial period', 'trial will end', 'your trial'],
+    SETTINGS_KEY: 'trialSettings',
+    DEFAULT_SETTINGS: {
+        reminderDaysBefore: 2
+    }
+};
+
+/**
+ * Subscription Charge Alert Types
+ */
+export const SUBSCRIPTION_ALERT_TYPES = {
+    PRICE_INCREASE: 'price_increase',
+    DUPLICATE_CHARGE: 'duplicate_charge',
+    NEW_SERVICE: 'new_service'
+};
+
+export const SUBSCRIPTION_ALERT_LABELS = {
+    price_increase: 'Price increase',
+    duplicate_charge: 'Duplicate charge',
+    new_service: 'New service'
 };
 
 /**
@@ -129,10 +731,16 @@ export const SUBSCRIPTION_SCHEMA = {
     AMOUNT: 'amount',
     BILLING_DATE: 'billingDate',
     REMINDER_DATE: 'reminderDate',
+    BILLING_CYCLE: 'billingCycle',
+    NEXT_RENEWAL_DATE: 'nextRenewalDate',
+    AMOUNT_VALUE: 'amountValue',
+    CURRENCY: 'currency',
     EMAIL_ID: 'emailId',
     EMAIL_SUBJECT: 'emailSubject',
     EMAIL_FROM: 'emailFrom',
-    CREATED_AT: 'createdAt'
+    CREATED_AT: 'createdAt',
+    EXTRACTOR: 'extractor',
+    SOURCE: 'source'
 };
 
 /**
@@ -149,7 +757,95 @@ export const PACKAGE_SCHEMA = {
     EMAIL_FROM: 'emailFrom',
     EMAIL_SNIPPET: 'emailSnippet',
     PICKED_UP: 'pickedUp',
-    CREATED_AT: 'createdAt'
+    TRACKING_NUMBER: 'trackingNumber',
+    CARRIER: 'carrier',
+    STATUS: 'status',
+    STATUS_HISTORY: 'statusHistory',
+    ORDER_NUMBER: 'orderNumber',
+    EXPECTED_DELIVERY_DATE: 'expectedDeliveryDate',
+    LAST_UPDATED: 'lastUpdated',
+    CREATED_AT: 'createdAt',
+    CALENDAR_EVENT_ID: 'calendarEventId',
+    CALENDAR_ID: 'calendarId',
+    CALENDAR_EVENT_DATE: 'calendarEventDate',
+    CALENDAR_EVENT_DONE: 'calendarEventDone',
+    EXTRACTOR: 'extractor',
+    EDITED_FIELDS: 'editedFields',
+    DELETED: 'deleted',
+    SOURCE: 'source'
+};
+
+/**
+ * Where a package or subscription record came from
+ */
+export const ENTRY_SOURCES = {
+    EMAIL: 'email',
+    MANUAL: 'manual'
+};
+
+/**
+ * Manual Entry Configuration
+ */
+export const MANUAL_ENTRY_CONFIG = {
+    // Manual records have no email, their emailId is this prefix plus a timestamp
+    // so calendar event records and rescan checks keep working
+    EMAIL_ID_PREFIX: 'manual-',
+    DEFAULT_PACKAGE_STATUS: PACKAGE_STATUS.SHIPPED
+};
+
+/**
+ * Manual Package Edit Configuration
+ */
+export const PACKAGE_EDIT_CONFIG = {
+    // Fields the user can correct by hand; rescans never overwrite an edited field
+    EDITABLE_FIELDS: [
+        PACKAGE_SCHEMA.SENDER,
+        PACKAGE_SCHEMA.STATUS,
+        PACKAGE_SCHEMA.DELIVERY_DATE,
+        PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE,
+        PACKAGE_SCHEMA.CARRIER,
+        PACKAGE_SCHEMA.TRACKING_NUMBER,
+        PACKAGE_SCHEMA.ORDER_NUMBER
+    ],
+    DATE_FIELDS: [
+        PACKAGE_SCHEMA.DELIVERY_DATE,
+        PACKAGE_SCHEMA.EXPECTED_DELIVERY_DATE
+    ],
+    // How long the "Undo" toast stays up after marking a package as picked up
+    UNDO_TIMEOUT_MS: 8000
+};
+
+/**
+ * Package Search Configuration
+ */
+export const PACKAGE_QUERY_CONFIG = {
+    // Every word of a free-text search must appear in one of these fields
+    TEXT_FIELDS: [
+        PACKAGE_SCHEMA.EMAIL_SUBJECT,
+        PACKAGE_SCHEMA.EMAIL_SNIPPET,
+        PACKAGE_SCHEMA.SENDER,
+        PACKAGE_SCHEMA.TRACKING_NUMBER,
+        PACKAGE_SCHEMA.ORDER_NUMBER
+    ],
+    SORT_FIELDS: [
+        PACKAGE_SCHEMA.DELIVERY_TIME,
+        PACKAGE_SCHEMA.LAST_UPDATED,
+        PACKAGE_SCHEMA.SENDER,
+        PACKAGE_SCHEMA.CARRIER,
+        PACKAGE_SCHEMA.STATUS
+    ],
+    // Sort values offered in the popup and widget, as "field:order"
+    DEFAULT_SORT: 'deliveryTime:desc',
+    PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+    SEARCH_DEBOUNCE_MS: 300,
+    // Chips of the same kind widen the search, status and carrier chips narrow each other
+    STATUS_CHIPS: [
+        { id: 'incoming', label: '🚚 Incoming', statuses: PACKAGE_STATUS_GROUPS.INCOMING },
+        { id: 'awaiting', label: '📬 Awaiting pickup', statuses: PACKAGE_STATUS_GROUPS.AWAITING_PICKUP },
+        { id: 'problems', label: '⚠️ Problems', statuses: PACKAGE_STATUS_GROUPS.PROBLEMS }
+    ],
+    CARRIER_CHIPS: CARRIER_CONFIG.CARRIERS.map(carrier => ({ id: carrier.id, label: carrier.name }))
 };
 
 /**
@@ -163,7 +859,9 @@ export const SCAN_HISTORY_SCHEMA = {
     LATEST_EMAIL_TIMESTAMP: 'latestEmailTimestamp',
     START_DATE_REQUESTED: 'startDateRequested',
     END_DATE_REQUESTED: 'endDateRequested',
-    PACKAGES_FOUND: 'packagesFound'
+    PACKAGES_FOUND: 'packagesFound',
+    TRIGGER: 'trigger',
+    ACCOUNT: 'account'
 };
 
 /**
@@ -176,7 +874,74 @@ export const SUBSCRIPTION_SCAN_HISTORY_SCHEMA = {
     END_DATE: 'endDate',
     EMAILS_SCANNED: 'emailsScanned',
     SUBSCRIPTIONS_FOUND: 'subscriptionsFound',
-    CALENDAR_EVENTS_CREATED: 'calendarEventsCreated'
+    CALENDAR_EVENTS_CREATED: 'calendarEventsCreated',
+    TRIGGER: 'trigger',
+    ACCOUNT: 'account'
+};
+
+/**
+ * Subscription Alerts Database Schema
+ */
+export const SUBSCRIPTION_ALERT_SCHEMA = {
+    ID: 'id',
+    TYPE: 'type',
+    USER_EMAIL: 'userEmail',
+    SUBSCRIPTION_NAME: 'subscriptionName',
+    SUBSCRIPTION_KEY: 'subscriptionKey',
+    EMAIL_ID: 'emailId',
+    BILLING_DATE: 'billingDate',
+    AMOUNT: 'amount',
+    PREVIOUS_AMOUNT: 'previousAmount',
+    PREVIOUS_BILLING_DATE: 'previousBillingDate',
+    MESSAGE: 'message',
+    DISMISSED: 'dismissed',
+    CREATED_AT: 'createdAt'
+};
+
+/**
+ * Free Trials Database Schema
+ */
+export const TRIAL_SCHEMA = {
+    ID: 'id',
+    USER_EMAIL: 'userEmail',
+    SERVICE_NAME: 'serviceName',
+    TRIAL_END_DATE: 'trialEndDate',
+    PRICE_AFTER_TRIAL: 'priceAfterTrial',
+    AMOUNT_VALUE: 'amountValue',
+    CURRENCY: 'currency',
+    REMINDER_DATE: 'reminderDate',
+    EMAIL_ID: 'emailId',
+    EMAIL_SUBJECT: 'emailSubject',
+    EMAIL_FROM: 'emailFrom',
+    CREATED_AT: 'createdAt',
+    EXTRACTOR: 'extractor'
+};
+
+/**
+ * Extraction Failures Database Schema (one record per email that couldn't be processed, kept until a retry succeeds)
+ */
+export const EXTRACTION_FAILURE_SCHEMA = {
+    ID: 'id',
+    EMAIL_ID: 'emailId',
+    SCAN_TYPE: 'scanType',
+    ACCOUNT: 'account',
+    ERROR: 'error',
+    ATTEMPTS: 'attempts',
+    FIRST_FAILED_AT: 'firstFailedAt',
+    LAST_FAILED_AT: 'lastFailedAt'
+};
+
+/**
+ * Trial Calendar Events Database Schema (one record per trial reminder)
+ */
+export const TRIAL_CALENDAR_EVENTS_SCHEMA = {
+    ID: 'id',
+    TRIAL_ID: 'trialId',
+    EMAIL_ID: 'emailId',
+    SERVICE_NAME: 'serviceName',
+    CALENDAR_EVENT_ID: 'calendarEventId',
+    REMINDER_DATE: 'reminderDate',
+    CREATED_DATE: 'createdDate'
 };
 
 /**
@@ -189,7 +954,112 @@ export const SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA = {
     CALENDAR_EVENT_ID: 'calendarEventId',
     CREATED_DATE: 'createdDate',
     EMAIL_SUBJECT: 'emailSubject',
-    EMAIL_FROM: 'emailFrom'
+    EMAIL_FROM: 'emailFrom',
+    REMINDER_DATE: 'reminderDate',
+    STATUS: 'status',
+    UPDATED_DATE: 'updatedDate',
+    EVENT_TYPE: 'eventType',
+    RECURRENCE: 'recurrence',
+    BILLING_CYCLE: 'billingCycle',
+    SERIES_EVENT_ID: 'seriesEventId',
+    CALENDAR_ID: 'calendarId',
+    EVENT_TIME: 'eventTime',
+    DURATION_MINUTES: 'durationMinutes',
+    USER_EMAIL: 'userEmail'
+};
+
+/**
+ * Calendar Reminder Record States
+ * Deleted records are kept so re-scanning the same email doesn't recreate the reminder,
+ * migrated one-off reminders point at the recurring series that replaced them
+ */
+export const CALENDAR_REMINDER_STATUS = {
+    ACTIVE: 'active',
+    DELETED: 'deleted',
+    MIGRATED: 'migrated'
+};
+
+/**
+ * Calendar Reminder Event Types
+ */
+export const CALENDAR_EVENT_TYPES = {
+    SINGLE: 'single',
+    SERIES: 'series'
+};
+
+/**
+ * Data Export Configuration
+ * CSV and JSON columns follow the database schemas, renewals are written as an iCalendar file
+ */
+export const EXPORT_CONFIG = {
+    FORMATS: {
+        CSV: 'csv',
+        JSON: 'json',
+        ICS: 'ics'
+    },
+    MIME_TYPES: {
+        csv: 'text/csv',
+        json: 'application/json',
+        ics: 'text/calendar'
+    },
+    FILENAME_PREFIX: 'gmail-tracker',
+    PACKAGE_COLUMNS: Object.values(PACKAGE_SCHEMA),
+    SUBSCRIPTION_COLUMNS: Object.values(SUBSCRIPTION_SCHEMA),
+    // Records are matched against the date range by this field
+    PACKAGE_DATE_FIELD: PACKAGE_SCHEMA.DELIVERY_TIME,
+    SUBSCRIPTION_DATE_FIELD: SUBSCRIPTION_SCHEMA.BILLING_DATE,
+    // Status filter value for packages already picked up, alongside the PACKAGE_STATUS values
+    PICKED_UP_STATUS: 'picked_up',
+    ICS_PRODUCT_ID: '-//Gmail Tracker//Subscription Renewals//EN',
+    ICS_CALENDAR_NAME: 'Subscription Renewals',
+    // iCalendar lines are folded at 75 octets
+    ICS_LINE_LIMIT: 75
+};
+
+/**
+ * Backup and Restore Configuration
+ * A backup holds every object store plus the settings kept in chrome.storage.local
+ */
+export const BACKUP_CONFIG = {
+    FORMAT: 'gmail-tracker-backup',
+    // Bump when the backup file layout changes, the database layout is tracked by PACKAGE_CONFIG.DB_VERSION
+    VERSION: 1,
+    FILENAME_PREFIX: 'gmail-tracker-backup',
+    MIME_TYPE: 'application/json',
+    MODES: {
+        MERGE: 'merge',
+        REPLACE: 'replace'
+    },
+    // Every object store created in PackageDatabase.initDB, with the field that identifies
+    // the same record on another install (merge keeps the local record when either key matches)
+    STORES: {
+        [PACKAGE_CONFIG.STORE_NAME]: PACKAGE_SCHEMA.EMAIL_ID,
+        [PACKAGE_CONFIG.SUBSCRIPTION_STORE_NAME]: SUBSCRIPTION_SCHEMA.EMAIL_ID,
+        [PACKAGE_CONFIG.SCAN_HISTORY_STORE_NAME]: SCAN_HISTORY_SCHEMA.ID,
+        [PACKAGE_CONFIG.SUBSCRIPTION_SCAN_HISTORY_STORE_NAME]: SUBSCRIPTION_SCAN_HISTORY_SCHEMA.ID,
+        [PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME]: SUBSCRIPTION_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID,
+        [PACKAGE_CONFIG.SUBSCRIPTION_ALERTS_STORE_NAME]: SUBSCRIPTION_ALERT_SCHEMA.ID,
+        [PACKAGE_CONFIG.TRIALS_STORE_NAME]: TRIAL_SCHEMA.EMAIL_ID,
+        [PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME]: TRIAL_CALENDAR_EVENTS_SCHEMA.CALENDAR_EVENT_ID,
+        [PACKAGE_CONFIG.EXTRACTION_FAILURES_STORE_NAME]: EXTRACTION_FAILURE_SCHEMA.ID
+    },
+    // Records of events that live in Google Calendar are merged even when replacing, dropping them
+    // would leave the events behind and the next scan would create them a second time
+    RECONCILED_STORES: [
+        PACKAGE_CONFIG.SUBSCRIPTION_CALENDAR_EVENTS_STORE_NAME,
+        PACKAGE_CONFIG.TRIAL_CALENDAR_EVENTS_STORE_NAME
+    ],
+    // Settings restored with the database; accounts, auth tokens, scan states and checkpoints are left out
+    SETTINGS_KEYS: [
+        SCHEDULE_CONFIG.STORAGE_KEY,
+        NOTIFICATION_CONFIG.SETTINGS_KEY,
+        NOTIFICATION_CONFIG.DIGEST_STATE_KEY,
+        CALENDAR_SETTINGS_CONFIG.STORAGE_KEY,
+        LLM_BACKEND_CONFIG.SETTINGS_KEY,
+        DELIVERY_EVENT_CONFIG.SETTINGS_KEY,
+        SUBSCRIPTION_CONFIG.REMINDER_SETTINGS_KEY,
+        TRIAL_CONFIG.SETTINGS_KEY
+    ]
 };
 
 /**
@@ -202,7 +1072,30 @@ export const ERROR_MESSAGES = {
     GMAIL_SEARCH_FAILED: 'Failed to search Gmail',
     EMAIL_FETCH_FAILED: 'Failed to fetch email',
     CALENDAR_EVENT_FAILED: 'Failed to create calendar event',
+    CALENDAR_UPDATE_FAILED: 'Failed to update calendar event',
+    CALENDAR_DELETE_FAILED: 'Failed to delete calendar event',
+    CALENDAR_GET_FAILED: 'Failed to load calendar event',
+    CALENDAR_LIST_FAILED: 'Failed to load calendars',
+    CALENDAR_CREATE_FAILED: 'Failed to create calendar',
+    CALENDAR_SETTINGS_INVALID: 'Invalid calendar settings',
+    ACCOUNT_AUTH_FAILED: 'Failed to sign in to Gmail account',
+    ACCOUNT_NOT_FOUND: 'Gmail account not found',
+    ACCOUNT_REAUTH_REQUIRED: 'Sign-in for this Gmail account expired. Use "+ Account" in the popup to sign in to it again',
+    ACCOUNT_CLIENT_NOT_CONFIGURED: 'Adding Gmail accounts needs a Web application OAuth client ID in ACCOUNT_CONFIG.WEB_CLIENT_ID',
+    SIGN_IN_REQUIRED: 'Sign-in required',
     LLM_CALL_FAILED: 'LLM call failed',
+    NO_EXTRACTOR_AVAILABLE: 'No email extractor available',
+    INVALID_EXTRACTION: 'Extraction reply did not match the expected format',
+    SCAN_CANCELLED: 'Scan cancelled',
+    NO_SCAN_TO_CONTROL: 'No scan to control',
+    EXPORT_FORMAT_UNSUPPORTED: 'Export format not supported',
+    BACKUP_FAILED: 'Failed to create backup',
+    BACKUP_INVALID: 'Not a Gmail Tracker backup file',
+    BACKUP_TOO_NEW: 'Backup was made by a newer version of the extension',
+    RESTORE_FAILED: 'Failed to restore backup',
+    PACKAGE_NOT_FOUND: 'Package not found',
+    PACKAGE_EDIT_INVALID: 'Invalid package change',
+    MANUAL_ENTRY_INVALID: 'Invalid manual entry',
     DB_INIT_FAILED: 'Failed to initialize package database',
     PACKAGE_SAVE_FAILED: 'Failed to save package to database',
     PACKAGE_FETCH_FAILED: 'Failed to fetch packages from database'
@@ -11,7 +11,21 @@ const MESSAGE_TYPES = {
   GET_SCAN_HISTORY: 'GET_SCAN_HISTORY',
   SCANNING_STATE_CHANGED: 'SCANNING_STATE_CHANGED',
   SCAN_SUBSCRIPTION_EMAILS: 'SCAN_SUBSCRIPTION_EMAILS',
-  CLEANUP_SCAN_STATES: 'CLEANUP_SCAN_STATES'
+  GET_SUBSCRIPTION_ALERTS: 'GET_SUBSCRIPTION_ALERTS',
+  DISMISS_SUBSCRIPTION_ALERT: 'DISMISS_SUBSCRIPTION_ALERT',
+  CLEANUP_SCAN_STATES: 'CLEANUP_SCAN_STATES',
+  CANCEL_SCAN: 'CANCEL_SCAN',
+  PAUSE_SCAN: 'PAUSE_SCAN',
+  RESUME_SCAN: 'RESUME_SCAN',
+  QUERY_PACKAGES: 'QUERY_PACKAGES',
+  MARK_PACKAGE_UNPICKED: 'MARK_PACKAGE_UNPICKED',
+  UPDATE_PACKAGE: 'UPDATE_PACKAGE',
+  DELETE_PACKAGE: 'DELETE_PACKAGE'
+};
+
+// Scan control constants (duplicated to avoid import issues in content script)
+const SCAN_CONTROL_CONFIG = {
+  END_STEPS: ['complete', 'error', 'cancelled']
 };
 
 // Package config constants (duplicated to avoid import issues in content script)
@@ -27,10 +41,91 @@ const PACKAGE_CONFIG = {
     'shipment delivered',
     'delivery confirmation',
     'package has arrived',
-    'delivered to'
+    'delivered to',
+    'order confirmation',
+    'order placed',
+    'has shipped',
+    'shipping confirmation',
+    'out for delivery',
+    'delivery delayed',
+    'running late',
+    'returned to sender',
+    'return received',
+    'delivery exception',
+    'delivery attempt'
+  ]
+};
+
+// Package search config (duplicated to avoid import issues in content script)
+const PACKAGE_QUERY_CONFIG = {
+  DEFAULT_SORT: 'deliveryTime:desc',
+  PAGE_SIZE: 20,
+  SEARCH_DEBOUNCE_MS: 300,
+  STATUS_CHIPS: [
+    { id: 'incoming', label: '🚚 Incoming', statuses: ['order_placed', 'shipped', 'out_for_delivery', 'delayed', 'exception'] },
+    { id: 'awaiting', label: '📬 Awaiting pickup', statuses: ['delivered'] },
+    { id: 'problems', label: '⚠️ Problems', statuses: ['delayed', 'exception', 'returned'] }
+  ],
+  CARRIER_CHIPS: [
+    { id: 'amazon', label: 'Amazon' },
+    { id: 'ups', label: 'UPS' },
+    { id: 'usps', label: 'USPS' },
+    { id: 'dhl', label: 'DHL' },
+    { id: 'fedex', label: 'FedEx' }
   ]
 };
 
+// Package edit config (duplicated to avoid import issues in content script)
+const PACKAGE_EDIT_CONFIG = {
+  UNDO_TIMEOUT_MS: 8000
+};
+
+// Manual entry config (duplicated to avoid import issues in content script)
+const MANUAL_ENTRY_CONFIG = {
+  EMAIL_ID_PREFIX: 'manual-'
+};
+
+// Gmail account config (duplicated to avoid import issues in content script)
+const ACCOUNT_CONFIG = {
+  GMAIL_URL: 'https://mail.google.com/mail/'
+};
+
+// Package status labels (duplicated to avoid import issues in content script)
+const PACKAGE_STATUS_LABELS = {
+  order_placed: 'Order placed',
+  shipped: 'Shipped',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  delayed: 'Delayed',
+  returned: 'Returned',
+  exception: 'Delivery exception'
+};
+
+// Subscription alert labels (duplicated to avoid import issues in content script)
+const SUBSCRIPTION_ALERT_LABELS = {
+  price_increase: 'Price increase',
+  duplicate_charge: 'Duplicate charge',
+  new_service: 'New service'
+};
+
+// Carrier tracking config (duplicated to avoid import issues in content script)
+const CARRIER_CONFIG = {
+  CARRIER_NAMES: {
+    amazon: 'Amazon',
+    ups: 'UPS',
+    usps: 'USPS',
+    dhl: 'DHL',
+    fedex: 'FedEx'
+  },
+  TRACKING_URLS: {
+    amazon: 'https://track.amazon.com/tracking/{trackingNumber}',
+    ups: 'https://www.ups.com/track?tracknum={trackingNumber}',
+    usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}',
+    dhl: 'https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}',
+    fedex: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}'
+  }
+};
+
 class GmailContentScript {
   /**
    * Safe wrapper for chrome.runtime.sendMessage with timeout and null checks
@@ -66,6 +161,19 @@ class GmailContentScript {
     this.currentUrl = window.location.href;
     this.floatingWidget = null;
     this.isWidgetVisible = false;
+    // Latest scanning state per scan type, used for the Pause/Resume and Stop controls
+    this.scanStates = { package: null, subscription: null };
+    // Package search state, the grouped view is shown while nothing is set
+    this.packageFilters = {
+      text: '',
+      chips: new Set(),
+      showPickedUp: false,
+      sort: PACKAGE_QUERY_CONFIG.DEFAULT_SORT
+    };
+    this.packageSearchTimer = null;
+    // Action run by the undo toast's button, cleared when the toast hides
+    this.undoAction = null;
+    this.undoTimer = null;
     this.init();
   }
 
@@ -229,7 +337,7 @@ class GmailContentScript {
         }
 
         // Update toggle button with progress - only if any scan is active
-        const isScanning = request.data.step !== 'complete' && request.data.step !== 'error';
+        const isScanning = !SCAN_CONTROL_CONFIG.END_STEPS.includes(request.data.step);
         if (isScanning) {
           const scanType = isSubscriptionScan ? 'subscription' : 'package';
           this.updateToggleButtonScanning(true, request.data.progress, scanType);
@@ -239,7 +347,7 @@ class GmailContentScript {
         }
 
         // If scanning is complete, reset UI for this scan type only
-        if (request.data.step === 'complete' || request.data.step === 'error') {
+        if (SCAN_CONTROL_CONFIG.END_STEPS.includes(request.data.step)) {
           // Clear progress state
           try {
             await this.clearProgressState(isSubscriptionScan);
@@ -286,6 +394,7 @@ class GmailContentScript {
         
         // Update toggle button with scan type
         this.updateToggleButtonScanning(isScanning, progress, scanType);
+        this.displayScanControls(isSubscriptionScan ? 'subscription' : 'package', request.data);
         
         // Apply state to appropriate scan type only
         if (isSubscriptionScan) {
@@ -413,7 +522,14 @@ class GmailContentScript {
             </div>
             <div class="progress-text" id="widget-subscriptionProgressText">Initializing...</div>
           </div>
+
+          <div class="scan-controls" id="widget-subscriptionScanControls" style="display: none;">
+            <span class="scan-controls-status" id="widget-subscriptionScanStatus"></span>
+            <button class="scan-control-button" id="widget-pauseSubscriptionScan">⏸ Pause</button>
+            <button class="scan-control-button" id="widget-stopSubscriptionScan">⏹ Stop</button>
+          </div>
           
+          <div class="subscription-alerts" id="widget-subscriptionAlerts"></div>
           <div class="subscription-results" id="widget-subscriptionResults"></div>
         </div>
 
@@ -437,12 +553,39 @@ class GmailContentScript {
             <div class="progress-text" id="widget-progressText">Initializing...</div>
           </div>
 
+          <div class="scan-controls" id="widget-packageScanControls" style="display: none;">
+            <span class="scan-controls-status" id="widget-packageScanStatus"></span>
+            <button class="scan-control-button" id="widget-pausePackageScan">⏸ Pause</button>
+            <button class="scan-control-button" id="widget-stopPackageScan">⏹ Stop</button>
+          </div>
+
+          <div class="package-search">
+            <input type="search" class="package-search-input" id="widget-packageSearch" placeholder="Search subject, sender, tracking or order number">
+            <div class="filter-chips" id="widget-packageFilterChips"></div>
+            <div class="package-search-options">
+              <label title="Include picked-up packages from the date range above"><input type="checkbox" id="widget-showPickedUp"> Show picked up</label>
+              <select id="widget-packageSort">
+                <option value="deliveryTime:desc">Newest first</option>
+                <option value="deliveryTime:asc">Oldest first</option>
+                <option value="lastUpdated:desc">Recently updated</option>
+                <option value="sender:asc">Sender A-Z</option>
+                <option value="carrier:asc">Carrier</option>
+                <option value="status:asc">Status</option>
+              </select>
+            </div>
+          </div>
+
           <div class="packages-list" id="widget-packagesList"></div>
         </div>
         
         <div class="result-area" id="widget-resultArea" style="display: none;">
           Results will appear here...
         </div>
+
+        <div class="undo-toast" id="widget-undoToast" style="display: none;">
+          <span id="widget-undoToastText"></span>
+          <button id="widget-undoToastButton">Undo</button>
+        </div>
       </div>
     `;
   }
@@ -579,6 +722,44 @@ class GmailContentScript {
         margin-bottom: 8px;
       }
 
+      .subscription-alert {
+        display: flex;
+        align-items: flex-start;
+        gap: 6px;
+        background: #fef7e0;
+        border: 1px solid #fbbc04;
+        border-radius: 4px;
+        padding: 6px 8px;
+        margin-bottom: 6px;
+        font-size: 10px;
+        color: #3c4043;
+      }
+
+      .subscription-alert.alert-price_increase,
+      .subscription-alert.alert-duplicate_charge {
+        background: #fce8e6;
+        border-color: #ea4335;
+      }
+
+      .subscription-alert-body {
+        flex: 1;
+      }
+
+      .subscription-alert-type {
+        font-weight: 500;
+        margin-bottom: 2px;
+      }
+
+      .subscription-alert-dismiss {
+        background: none;
+        border: none;
+        color: #5f6368;
+        cursor: pointer;
+        font-size: 12px;
+        line-height: 1;
+        padding: 0;
+      }
+
       .subscription-item {
         background: #f3e5f5;
         border: 1px solid #e1bee7;
@@ -631,6 +812,136 @@ class GmailContentScript {
         text-align: center;
       }
 
+      .scan-controls {
+        display: flex;
+        align-items: center;
+        justify-content: flex-end;
+        gap: 6px;
+        font-size: 10px;
+        color: #5f6368;
+        margin: -6px 0 12px;
+      }
+
+      .scan-controls-status {
+        flex: 1;
+      }
+
+      .scan-control-button {
+        background: #ffffff;
+        color: #3c4043;
+        border: 1px solid #dadce0;
+        border-radius: 4px;
+        padding: 2px 8px;
+        font-size: 10px;
+        cursor: pointer;
+      }
+
+      .scan-control-button:hover {
+        background: #f8f9fa;
+      }
+
+      .package-search {
+        margin-bottom: 8px;
+      }
+
+      .package-search-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 4px 6px;
+        margin-bottom: 6px;
+        border: 1px solid #dadce0;
+        border-radius: 4px;
+        font-size: 11px;
+      }
+
+      .filter-chips {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 6px;
+      }
+
+      .filter-chip {
+        background: #ffffff;
+        border: 1px solid #dadce0;
+        border-radius: 12px;
+        color: #5f6368;
+        cursor: pointer;
+        font-size: 10px;
+        padding: 2px 8px;
+      }
+
+      .filter-chip.active {
+        background: #e8f0fe;
+        border-color: #1a73e8;
+        color: #1a73e8;
+      }
+
+      .package-search-options {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        font-size: 10px;
+        color: #5f6368;
+      }
+
+      .package-picked-up {
+        font-size: 10px;
+        color: #137333;
+        text-align: center;
+      }
+
+      .edit-link {
+        margin-left: 12px;
+      }
+
+      .package-edit-form {
+        border-top: 1px solid #f1f3f4;
+        margin-bottom: 8px;
+        padding-top: 8px;
+      }
+
+      .package-edit-form label {
+        display: block;
+        color: #5f6368;
+        font-size: 10px;
+      }
+
+      .package-edit-actions {
+        display: flex;
+        gap: 6px;
+      }
+
+      .package-delete-button {
+        margin-left: auto;
+      }
+
+      .undo-toast {
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        background: #3c4043;
+        color: #ffffff;
+        border-radius: 6px;
+        padding: 8px 10px;
+        margin-top: 8px;
+        font-size: 11px;
+      }
+
+      .undo-toast button {
+        background: none;
+        border: none;
+        color: #8ab4f8;
+        cursor: pointer;
+        font-size: 11px;
+        font-weight: 500;
+      }
+
+      .show-more-button {
+        display: block;
+        margin: 8px auto 0;
+      }
+
       .packages-list {
         margin-bottom: 12px;
       }
@@ -718,6 +1029,61 @@ class GmailContentScript {
         margin-bottom: 6px;
       }
 
+      .package-group-title {
+        font-size: 11px;
+        font-weight: 500;
+        color: #202124;
+        margin: 10px 0 6px 0;
+      }
+
+      .package-status {
+        display: inline-block;
+        font-size: 9px;
+        font-weight: 500;
+        padding: 1px 6px;
+        border-radius: 8px;
+        margin-bottom: 4px;
+        background: #e8f0fe;
+        color: #1a73e8;
+      }
+
+      .package-status.status-delivered {
+        background: #e6f4ea;
+        color: #137333;
+      }
+
+      .package-status.status-delayed,
+      .package-status.status-exception {
+        background: #fce8e6;
+        color: #c5221f;
+      }
+
+      .package-status.status-returned {
+        background: #f1f3f4;
+        color: #5f6368;
+      }
+
+      .package-timeline {
+        font-size: 10px;
+        color: #5f6368;
+        margin-bottom: 6px;
+      }
+
+      .package-timeline summary {
+        cursor: pointer;
+        color: #1a73e8;
+      }
+
+      .package-timeline ul {
+        margin: 4px 0 0 0;
+        padding-left: 14px;
+      }
+
+      .timeline-status {
+        font-weight: 500;
+        margin-right: 4px;
+      }
+
       .package-email-link {
         margin-bottom: 6px;
       }
@@ -735,6 +1101,10 @@ class GmailContentScript {
         text-decoration: underline;
       }
 
+      .track-link {
+        margin-left: 10px;
+      }
+
       .pickup-button {
         background: #ea4335;
         color: white;
@@ -853,6 +1223,26 @@ class GmailContentScript {
       this.handleScanPackages();
     });
 
+    // Pause/Resume and Stop buttons, the pause button's action follows the scan state
+    [['subscription', 'Subscription'], ['package', 'Package']].forEach(([scanType, idPart]) => {
+      const pauseButton = widget.querySelector(`#widget-pause${idPart}Scan`);
+      pauseButton.addEventListener('click', () => this.handleScanControl(scanType, pauseButton.dataset.action));
+      widget.querySelector(`#widget-stop${idPart}Scan`).addEventListener('click', () => this.handleScanControl(scanType, 'stop'));
+    });
+
+    // Package search, picked-up packages are listed for the date range above
+    widget.querySelector('#widget-packageSearch').addEventListener('input', () => {
+      clearTimeout(this.packageSearchTimer);
+      this.packageSearchTimer = setTimeout(() => this.handlePackageFilterChange(), PACKAGE_QUERY_CONFIG.SEARCH_DEBOUNCE_MS);
+    });
+    ['#widget-showPickedUp', '#widget-packageSort', '#widget-startDate', '#widget-endDate'].forEach(selector => {
+      widget.querySelector(selector).addEventListener('change', () => this.handlePackageFilterChange());
+    });
+    this.displayPackageFilterChips(widget);
+
+    // Undo toast button
+    widget.querySelector('#widget-undoToastButton').addEventListener('click', () => this.handleUndo());
+
     // Make widget draggable
     this.makeDraggable(widget);
   }
@@ -906,6 +1296,7 @@ class GmailContentScript {
 
       await this.loadUnpickedPackages();
       await this.loadSubscriptionResults();
+      await this.loadSubscriptionAlerts();
       await this.loadProgressState();
       await this.showScanOptimizationInfo();
     } catch (error) {
@@ -932,6 +1323,10 @@ class GmailContentScript {
       if (response.success) {
         const subscriptionActive = response.subscriptionScanningState?.isScanning || false;
         const packageActive = response.packageScanningState?.isScanning || false;
+
+        // Running, paused and interrupted scans get their Pause/Resume and Stop controls
+        this.displayScanControls('subscription', response.subscriptionScanningState);
+        this.displayScanControls('package', response.packageScanningState);
         
         // Apply subscription scanning state
         if (subscriptionActive || storageResult.currentSubscriptionProgress) {
@@ -1146,8 +1541,8 @@ class GmailContentScript {
         this.displaySubscriptionResults(response.events);
         // Store results for persistence
         await this.storeSubscriptionResults(response.events);
-        // Reload subscription list to show new subscriptions
-        await this.loadSubscriptionList();
+        // Reload alerts to show any price changes or unexpected charges
+        await this.loadSubscriptionAlerts();
       } else {
         const errorMessage = response.error || 'Unknown error occurred';
         this.showResult(`Error: ${errorMessage}`);
@@ -1273,15 +1668,19 @@ class GmailContentScript {
     }
   }
 
-  // Load unpicked packages
+  // Load unpicked packages, or the search results while a search or filter is set
   async loadUnpickedPackages() {
+    if (this.isPackageQueryActive()) {
+      return this.loadPackageSearchResults();
+    }
+
     try {
       const response = await chrome.runtime.sendMessage({
         type: MESSAGE_TYPES.GET_UNPICKED_PACKAGES
       });
 
       if (response && response.success) {
-        this.displayPackages(response.packages);
+        this.displayPackages(response.incoming || [], response.awaitingPickup || response.packages, response.problems || []);
       } else {
         console.error('Failed to load packages:', response.error);
       }
@@ -1290,18 +1689,36 @@ class GmailContentScript {
     }
   }
 
-  // Display packages grouped by month
-  displayPackages(packages) {
+  // Display packages with problems, incoming packages, then packages awaiting pickup grouped by month
+  displayPackages(incoming, awaitingPickup, problems = []) {
     const container = this.floatingWidget.querySelector('#widget-packagesList');
     container.innerHTML = '';
 
-    if (packages.length === 0) {
-      container.innerHTML = '<div class="no-packages">No packages waiting for pickup</div>';
+    if (problems.length === 0 && incoming.length === 0 && awaitingPickup.length === 0) {
+      container.innerHTML = '<div class="no-packages">No incoming packages or packages waiting for pickup</div>';
       return;
     }
 
+    if (problems.length > 0) {
+      container.appendChild(this.createPackageGroupTitle(`⚠️ Problems (${problems.length})`));
+      problems.forEach(pkg => {
+        container.appendChild(this.createPackageElement(pkg));
+      });
+    }
+
+    if (incoming.length > 0) {
+      container.appendChild(this.createPackageGroupTitle(`🚚 Incoming (${incoming.length})`));
+      incoming.forEach(pkg => {
+        container.appendChild(this.createPackageElement(pkg));
+      });
+    }
+
+    if (awaitingPickup.length === 0) return;
+
+    container.appendChild(this.createPackageGroupTitle(`📬 Awaiting Pickup (${awaitingPickup.length})`));
+
     // Group packages by month
-    const packagesByMonth = this.groupPackagesByMonth(packages);
+    const packagesByMonth = this.groupPackagesByMonth(awaitingPickup);
 
     // Create month groups
     Object.keys(packagesByMonth).forEach(monthKey => {
@@ -1311,6 +1728,117 @@ class GmailContentScript {
     });
   }
 
+  // Create the status and carrier filter chips
+  displayPackageFilterChips(widget) {
+    const container = widget.querySelector('#widget-packageFilterChips');
+    container.innerHTML = '';
+
+    [...PACKAGE_QUERY_CONFIG.STATUS_CHIPS, ...PACKAGE_QUERY_CONFIG.CARRIER_CHIPS].forEach(chip => {
+      const button = document.createElement('button');
+      button.className = 'filter-chip';
+      button.textContent = chip.label;
+      button.classList.toggle('active', this.packageFilters.chips.has(chip.id));
+      button.addEventListener('click', () => {
+        if (this.packageFilters.chips.has(chip.id)) {
+          this.packageFilters.chips.delete(chip.id);
+        } else {
+          this.packageFilters.chips.add(chip.id);
+        }
+        button.classList.toggle('active', this.packageFilters.chips.has(chip.id));
+        this.loadUnpickedPackages();
+      });
+      container.appendChild(button);
+    });
+  }
+
+  // Read the search controls and reload the package list
+  handlePackageFilterChange() {
+    if (!this.floatingWidget) return;
+
+    this.packageFilters.text = this.floatingWidget.querySelector('#widget-packageSearch').value.trim();
+    this.packageFilters.showPickedUp = this.floatingWidget.querySelector('#widget-showPickedUp').checked;
+    this.packageFilters.sort = this.floatingWidget.querySelector('#widget-packageSort').value;
+    this.loadUnpickedPackages();
+  }
+
+  // Check whether the search controls differ from the default grouped view
+  isPackageQueryActive() {
+    const filters = this.packageFilters;
+    return !!filters.text || filters.chips.size > 0 || filters.showPickedUp || filters.sort !== PACKAGE_QUERY_CONFIG.DEFAULT_SORT;
+  }
+
+  // Build a QUERY_PACKAGES query from the search controls
+  buildPackageQuery(offset = 0) {
+    const filters = this.packageFilters;
+    const [sortBy, sortOrder] = filters.sort.split(':');
+    const statusChips = PACKAGE_QUERY_CONFIG.STATUS_CHIPS.filter(chip => filters.chips.has(chip.id));
+    const carrierChips = PACKAGE_QUERY_CONFIG.CARRIER_CHIPS.filter(chip => filters.chips.has(chip.id));
+    const startDate = this.floatingWidget.querySelector('#widget-startDate').value;
+    const endDate = this.floatingWidget.querySelector('#widget-endDate').value;
+
+    return {
+      text: filters.text,
+      statuses: statusChips.length ? statusChips.flatMap(chip => chip.statuses) : null,
+      carriers: carrierChips.length ? carrierChips.map(chip => chip.id) : null,
+      pickedUp: filters.showPickedUp ? null : false,
+      startDate: filters.showPickedUp ? startDate || null : null,
+      endDate: filters.showPickedUp ? endDate || null : null,
+      sortBy,
+      sortOrder,
+      offset,
+      limit: PACKAGE_QUERY_CONFIG.PAGE_SIZE
+    };
+  }
+
+  // Load a page of search results, appending to the list for "Show more"
+  async loadPackageSearchResults(offset = 0) {
+    if (!this.floatingWidget) return;
+
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.QUERY_PACKAGES,
+      query: this.buildPackageQuery(offset)
+    });
+
+    if (response.success) {
+      this.displayPackageSearchResults(response, offset > 0);
+    } else {
+      console.error('Failed to search packages:', response.error);
+    }
+  }
+
+  // Display search results as a flat sorted list with a "Show more" button
+  displayPackageSearchResults(result, append) {
+    const container = this.floatingWidget.querySelector('#widget-packagesList');
+    container.querySelector('.show-more-button')?.remove();
+
+    if (!append) {
+      container.innerHTML = '';
+      if (result.total === 0) {
+        container.innerHTML = '<div class="no-packages">No packages match your search</div>';
+        return;
+      }
+      container.appendChild(this.createPackageGroupTitle(`🔎 ${result.total} package${result.total === 1 ? '' : 's'} found`));
+    }
+
+    result.packages.forEach(pkg => container.appendChild(this.createPackageElement(pkg)));
+
+    if (result.hasMore) {
+      const showMore = document.createElement('button');
+      showMore.className = 'scan-control-button show-more-button';
+      showMore.textContent = `Show more (${result.total - result.offset - result.packages.length} left)`;
+      showMore.addEventListener('click', () => this.loadPackageSearchResults(result.offset + result.packages.length));
+      container.appendChild(showMore);
+    }
+  }
+
+  // Create title element for a package status group
+  createPackageGroupTitle(text) {
+    const title = document.createElement('div');
+    title.className = 'package-group-title';
+    title.textContent = text;
+    return title;
+  }
+
   // Group packages by month
   groupPackagesByMonth(packages) {
     const grouped = {};
@@ -1386,6 +1914,12 @@ class GmailContentScript {
     return monthGroup;
   }
 
+  // Set the text of a node inside a rendered card, email-derived values are never parsed as HTML
+  setText(parent, selector, value) {
+    const node = parent.querySelector(selector);
+    if (node) node.textContent = value;
+  }
+
   // Create package element
   createPackageElement(pkg) {
     const element = document.createElement('div');
@@ -1393,41 +1927,182 @@ class GmailContentScript {
 
     const deliveryDate = new Date(pkg.deliveryTime).toLocaleDateString();
     const deliveryTime = new Date(pkg.deliveryTime).toLocaleString();
+    const trackingUrl = this.getTrackingUrl(pkg);
+    const carrierName = CARRIER_CONFIG.CARRIER_NAMES[pkg.carrier];
+    const status = pkg.status || 'delivered';
+    const isDelivered = status === 'delivered';
+    const hasEmail = !(pkg.emailId || '').startsWith(MANUAL_ENTRY_CONFIG.EMAIL_ID_PREFIX);
+    // A hand-corrected delivery day replaces the time of the delivery email
+    const deliveredOn = (pkg.editedFields || []).includes('deliveryDate') && pkg.deliveryDate
+      ? pkg.deliveryDate
+      : deliveryTime;
 
     element.innerHTML = `
       <div class="package-header">
-        <div class="package-sender">${pkg.sender}</div>
+        <div class="package-sender"></div>
         <div class="package-date">${deliveryDate}</div>
       </div>
+      <div class="package-status status-${status}">${PACKAGE_STATUS_LABELS[status] || status}</div>
       <div class="package-details">
-        Delivered: ${deliveryTime}
+        ${isDelivered ? `Delivered: ${deliveredOn}` : `Updated: ${deliveryTime}`}
+        ${!isDelivered && pkg.expectedDeliveryDate ? '<br>Expected: <span class="package-expected"></span>' : ''}
+        ${pkg.orderNumber ? '<br>Order: <span class="package-order"></span>' : ''}
+        ${pkg.trackingNumber ? `<br>Tracking: ${carrierName ? `${carrierName} ` : ''}<span class="package-tracking"></span>` : ''}
       </div>
+      ${this.getTimelineHTML(pkg)}
       <div class="package-email-link">
-        <a href="#" class="email-link" data-email-id="${pkg.emailId}">
+        ${hasEmail ? `
+        <a href="#" class="email-link original-email-link" data-email-id="${pkg.emailId}" data-account="${pkg.userEmail || ''}">
           📧 View Original Email
-        </a>
+        </a>` : '✍️ Added by hand'}
+        ${trackingUrl ? `
+        <a href="#" class="email-link track-link" data-tracking-url="${trackingUrl}">
+          🚚 Track
+        </a>` : ''}
+        <a href="#" class="email-link edit-link">✏️ Edit</a>
       </div>
+      ${this.getPackageEditFormHTML()}
+      ${pkg.pickedUp ? `
+      <div class="package-picked-up">
+        ✓ Picked up <button class="scan-control-button unpick-button">Undo</button>
+      </div>` : `
       <button class="pickup-button" data-package-id="${pkg.id}">
-        ✓ Mark as Picked Up
-      </button>
+        ${isDelivered ? '✓ Mark as Picked Up' : '✓ Mark as Received'}
+      </button>`}
     `;
+    this.setText(element, '.package-sender', pkg.sender);
+    this.setText(element, '.package-expected', pkg.expectedDeliveryDate);
+    this.setText(element, '.package-order', pkg.orderNumber);
+    this.setText(element, '.package-tracking', pkg.trackingNumber);
 
     // Add click handlers
-    const emailLink = element.querySelector('.email-link');
+    const emailLink = element.querySelector('.original-email-link');
     const pickupBtn = element.querySelector('.pickup-button');
 
-    emailLink.addEventListener('click', (e) => {
+    if (emailLink) {
+      emailLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        const gmailUrl = this.getGmailMessageUrl(emailLink.dataset.emailId, emailLink.dataset.account);
+        window.open(gmailUrl, '_blank');
+      });
+    }
+
+    const trackLink = element.querySelector('.track-link');
+    if (trackLink) {
+      trackLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        window.open(trackLink.dataset.trackingUrl, '_blank');
+      });
+    }
+
+    if (pickupBtn) {
+      pickupBtn.addEventListener('click', () => this.handleMarkAsPickedUp(pkg.id));
+    }
+
+    const unpickBtn = element.querySelector('.unpick-button');
+    if (unpickBtn) {
+      unpickBtn.addEventListener('click', () => this.handleMarkAsUnpicked(pkg.id));
+    }
+
+    const editForm = element.querySelector('.package-edit-form');
+    element.querySelector('.edit-link').addEventListener('click', (e) => {
       e.preventDefault();
-      const emailId = emailLink.dataset.emailId;
-      const gmailUrl = `https://mail.google.com/mail/u/0/#inbox/${emailId}`;
-      window.open(gmailUrl, '_blank');
+      this.fillPackageEditForm(editForm, pkg);
+      editForm.hidden = !editForm.hidden;
     });
-
-    pickupBtn.addEventListener('click', () => this.handleMarkAsPickedUp(pkg.id));
+    editForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleUpdatePackage(pkg.id, editForm);
+    });
+    editForm.querySelector('.package-cancel-button').addEventListener('click', () => {
+      editForm.hidden = true;
+    });
+    editForm.querySelector('.package-delete-button').addEventListener('click', () => this.handleDeletePackage(pkg.id));
 
     return element;
   }
 
+  // Build the hidden inline form for correcting a package's details
+  getPackageEditFormHTML() {
+    const statusOptions = Object.entries(PACKAGE_STATUS_LABELS)
+      .map(([status, label]) => `<option value="${status}">${label}</option>`)
+      .join('');
+    const carrierOptions = Object.entries(CARRIER_CONFIG.CARRIER_NAMES)
+      .map(([carrierId, name]) => `<option value="${carrierId}">${name}</option>`)
+      .join('');
+
+    return `
+      <form class="package-edit-form" hidden>
+        <label>Sender<input type="text" class="package-search-input" data-field="sender"></label>
+        <label>Status<select class="package-search-input" data-field="status">${statusOptions}</select></label>
+        <label>Carrier<select class="package-search-input" data-field="carrier"><option value="">Unknown</option>${carrierOptions}</select></label>
+        <label>Tracking number<input type="text" class="package-search-input" data-field="trackingNumber"></label>
+        <label>Order number<input type="text" class="package-search-input" data-field="orderNumber"></label>
+        <label>Expected delivery<input type="date" class="package-search-input" data-field="expectedDeliveryDate"></label>
+        <label>Delivered on<input type="date" class="package-search-input" data-field="deliveryDate"></label>
+        <div class="package-edit-actions">
+          <button type="submit" class="scan-control-button">Save</button>
+          <button type="button" class="scan-control-button package-cancel-button">Cancel</button>
+          <button type="button" class="scan-control-button package-delete-button">🗑 Delete</button>
+        </div>
+      </form>
+    `;
+  }
+
+  // Load a package's current values into its edit form, remembering them to spot changes
+  fillPackageEditForm(form, pkg) {
+    form.querySelectorAll('[data-field]').forEach(input => {
+      const value = pkg[input.dataset.field];
+      if (input.dataset.field === 'status') {
+        input.value = value || 'delivered';
+      } else if (input.type === 'date') {
+        // Only full YYYY-MM-DD dates fit a date input
+        input.value = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+      } else {
+        input.value = value || '';
+      }
+      input.dataset.original = input.value;
+    });
+  }
+
+  // Build status history timeline for packages linked from several emails
+  getTimelineHTML(pkg) {
+    const history = pkg.statusHistory || [];
+    if (history.length < 2) return '';
+
+    const entries = history.map(entry => `
+      <li>
+        <span class="timeline-status">${PACKAGE_STATUS_LABELS[entry.status] || entry.status}</span>
+        <span class="timeline-date">${new Date(entry.date).toLocaleString()}</span>
+      </li>
+    `).join('');
+
+    return `
+      <details class="package-timeline">
+        <summary>Timeline (${history.length} updates)</summary>
+        <ul>${entries}</ul>
+      </details>
+    `;
+  }
+
+  // Build a Gmail link that opens a message in the account it was scanned from
+  getGmailMessageUrl(emailId, account) {
+    if (!account || account === 'unknown@gmail.com') {
+      return `${ACCOUNT_CONFIG.GMAIL_URL}u/0/#inbox/${emailId}`;
+    }
+    return `${ACCOUNT_CONFIG.GMAIL_URL}?authuser=${encodeURIComponent(account)}#inbox/${emailId}`;
+  }
+
+  // Build carrier tracking page URL from the per-carrier template
+  getTrackingUrl(pkg) {
+    if (!pkg.trackingNumber || !pkg.carrier) return null;
+
+    const template = CARRIER_CONFIG.TRACKING_URLS[pkg.carrier];
+    if (!template) return null;
+
+    return template.replace('{trackingNumber}', encodeURIComponent(pkg.trackingNumber));
+  }
+
   // Handle mark as picked up
   async handleMarkAsPickedUp(packageId) {
     try {
@@ -1438,7 +2113,78 @@ class GmailContentScript {
 
       if (response.success) {
         await this.loadUnpickedPackages();
-        this.showResult('Package marked as picked up!');
+        this.showUndoToast('Package marked as picked up', () => this.handleMarkAsUnpicked(packageId));
+      } else {
+        this.showResult(`Error: ${response.error}`);
+      }
+    } catch (error) {
+      this.showResult(`Error: ${error.message}`);
+    }
+  }
+
+  // Undo a pickup
+  async handleMarkAsUnpicked(packageId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.MARK_PACKAGE_UNPICKED,
+        packageId
+      });
+
+      if (response.success) {
+        await this.loadUnpickedPackages();
+        this.showResult('Package moved back to waiting');
+      } else {
+        this.showResult(`Error: ${response.error}`);
+      }
+    } catch (error) {
+      this.showResult(`Error: ${error.message}`);
+    }
+  }
+
+  // Save the inline edit form of a package
+  async handleUpdatePackage(packageId, form) {
+    // Only fields the user touched are sent, so they alone are protected from rescans
+    const changes = {};
+    form.querySelectorAll('[data-field]').forEach(input => {
+      if (input.value !== input.dataset.original) changes[input.dataset.field] = input.value;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      form.hidden = true;
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.UPDATE_PACKAGE,
+        packageId,
+        changes
+      });
+
+      if (response.success) {
+        await this.loadUnpickedPackages();
+        this.showResult('Package updated. Edited fields will not be changed by later scans.');
+      } else {
+        this.showResult(`Error: ${response.error}`);
+      }
+    } catch (error) {
+      this.showResult(`Error: ${error.message}`);
+    }
+  }
+
+  // Delete a package from its edit form
+  async handleDeletePackage(packageId) {
+    if (!confirm('Delete this package? It will not come back on later scans.')) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.DELETE_PACKAGE,
+        packageId
+      });
+
+      if (response.success) {
+        await this.loadUnpickedPackages();
+        this.showResult('Package deleted');
       } else {
         this.showResult(`Error: ${response.error}`);
       }
@@ -1564,7 +2310,7 @@ class GmailContentScript {
         console.log(`Subscription progress age: ${Math.round(age / 1000)} seconds, step: ${state.step}`);
         
         // Only restore if less than 5 minutes old and not complete
-        if (age < fiveMinutes && state.step !== 'complete' && state.step !== 'error') {
+        if (age < fiveMinutes && !SCAN_CONTROL_CONFIG.END_STEPS.includes(state.step)) {
           console.log('Restoring subscription progress:', state);
           const subscriptionBtn = this.floatingWidget.querySelector('#widget-scanSubscriptionsBtn');
           if (subscriptionBtn) {
@@ -1588,7 +2334,7 @@ class GmailContentScript {
         console.log(`Package progress age: ${Math.round(age / 1000)} seconds, step: ${state.step}`);
         
         // Only restore if less than 5 minutes old and not complete
-        if (age < fiveMinutes && state.step !== 'complete' && state.step !== 'error') {
+        if (age < fiveMinutes && !SCAN_CONTROL_CONFIG.END_STEPS.includes(state.step)) {
           console.log('Restoring package progress:', state);
           const packageBtn = this.floatingWidget.querySelector('#widget-scanBtn');
           if (packageBtn) {
@@ -1690,6 +2436,31 @@ class GmailContentScript {
     }, 5000);
   }
 
+  // Show a toast whose Undo button runs undoAction until it times out
+  showUndoToast(text, undoAction) {
+    clearTimeout(this.undoTimer);
+    this.undoAction = undoAction;
+    this.floatingWidget.querySelector('#widget-undoToastText').textContent = text;
+    this.floatingWidget.querySelector('#widget-undoToast').style.display = 'flex';
+    this.undoTimer = setTimeout(() => this.hideUndoToast(), PACKAGE_EDIT_CONFIG.UNDO_TIMEOUT_MS);
+  }
+
+  // Hide the undo toast and forget its action
+  hideUndoToast() {
+    clearTimeout(this.undoTimer);
+    this.undoAction = null;
+    if (this.floatingWidget) {
+      this.floatingWidget.querySelector('#widget-undoToast').style.display = 'none';
+    }
+  }
+
+  // Run the undo toast's action
+  async handleUndo() {
+    const undoAction = this.undoAction;
+    this.hideUndoToast();
+    if (undoAction) await undoAction();
+  }
+
   // Show scan optimization info
   async showScanOptimizationInfo() {
     try {
@@ -1736,8 +2507,9 @@ class GmailContentScript {
       // Load progress state to restore any active scans
       await this.loadProgressState();
       
-      // Load subscription results when widget is shown
+      // Load subscription results and alerts when widget is shown
       await this.loadSubscriptionResults();
+      await this.loadSubscriptionAlerts();
       
       // Load unpicked packages to refresh data
       await this.loadUnpickedPackages();
@@ -1821,6 +2593,112 @@ class GmailContentScript {
     this.storeSubscriptionResults(events);
   }
 
+  // Load price-change and unexpected-charge alerts
+  async loadSubscriptionAlerts() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_SUBSCRIPTION_ALERTS });
+
+    if (response.success) {
+      this.displaySubscriptionAlerts(response.alerts);
+    } else {
+      console.error('Failed to load subscription alerts:', response.error);
+    }
+  }
+
+  // Display subscription alerts with a dismiss button each
+  displaySubscriptionAlerts(alerts) {
+    const container = this.floatingWidget?.querySelector('#widget-subscriptionAlerts');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    alerts.forEach(alert => {
+      const item = document.createElement('div');
+      item.className = `subscription-alert alert-${alert.type}`;
+      item.innerHTML = `
+        <div class="subscription-alert-body">
+          <div class="subscription-alert-type">⚠️ ${SUBSCRIPTION_ALERT_LABELS[alert.type] || 'Alert'}</div>
+          <div>${alert.message}</div>
+        </div>
+        <button class="subscription-alert-dismiss" title="Dismiss">×</button>
+      `;
+
+      item.querySelector('.subscription-alert-dismiss').addEventListener('click', () => this.handleDismissAlert(alert.id));
+      container.appendChild(item);
+    });
+  }
+
+  // Dismiss a subscription alert and refresh the list
+  async handleDismissAlert(alertId) {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.DISMISS_SUBSCRIPTION_ALERT,
+      alertId
+    });
+
+    if (response.success) {
+      await this.loadSubscriptionAlerts();
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  // Show Pause/Resume and Stop controls while a scan runs or can be resumed after an interruption
+  displayScanControls(scanType, state) {
+    this.scanStates[scanType] = state || null;
+    if (!this.floatingWidget) return;
+
+    const idPart = scanType === 'subscription' ? 'Subscription' : 'Package';
+    const container = this.floatingWidget.querySelector(`#widget-${scanType}ScanControls`);
+    const status = this.floatingWidget.querySelector(`#widget-${scanType}ScanStatus`);
+    const pauseButton = this.floatingWidget.querySelector(`#widget-pause${idPart}Scan`);
+    if (!container || !status || !pauseButton) return;
+
+    if (!state || !(state.isScanning || state.resumable)) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const canResume = state.isPaused || state.resumable;
+    pauseButton.dataset.action = canResume ? 'resume' : 'pause';
+    pauseButton.textContent = canResume ? '▶ Resume' : '⏸ Pause';
+    // The progress bar is hidden for an interrupted scan, so its status goes here
+    status.textContent = state.resumable ? state.message : '';
+    container.style.display = 'flex';
+  }
+
+  // Handle the Pause, Resume and Stop controls of a scan
+  async handleScanControl(scanType, action) {
+    const messageTypes = {
+      pause: MESSAGE_TYPES.PAUSE_SCAN,
+      resume: MESSAGE_TYPES.RESUME_SCAN,
+      stop: MESSAGE_TYPES.CANCEL_SCAN
+    };
+
+    const response = await this.sendMessageSafely({ type: messageTypes[action], scanType });
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+    } else if (response.restarted) {
+      this.showResult(`Resuming the interrupted ${scanType} scan...`);
+    }
+  }
+
+  // Quick menu items for running, paused and interrupted scans
+  getScanControlMenuItems() {
+    const labels = { package: 'package scan', subscription: 'subscription scan' };
+
+    return Object.entries(this.scanStates)
+      .filter(([, state]) => state && (state.isScanning || state.resumable))
+      .map(([scanType, state]) => {
+        const canResume = state.isPaused || state.resumable;
+        return `
+      <div class="quick-menu-item" data-action="scan-control" data-scan-type="${scanType}" data-control="${canResume ? 'resume' : 'pause'}">
+        ${canResume ? '▶ Resume' : '⏸ Pause'} ${labels[scanType]}
+      </div>
+      <div class="quick-menu-item" data-action="scan-control" data-scan-type="${scanType}" data-control="stop">
+        ⏹ Stop ${labels[scanType]}
+      </div>`;
+      }).join('');
+  }
+
   // Show quick action menu
   showQuickActionMenu(event) {
     // Remove existing menu if any
@@ -1831,7 +2709,7 @@ class GmailContentScript {
 
     const menu = document.createElement('div');
     menu.id = 'tracker-quick-menu';
-    menu.innerHTML = `
+    menu.innerHTML = `${this.getScanControlMenuItems()}
       <div class="quick-menu-item" data-action="scan-subscriptions">
         💳 Scan Subscriptions
       </div>
@@ -1890,6 +2768,9 @@ class GmailContentScript {
         case 'open-widget':
           await this.showWidget();
           break;
+        case 'scan-control':
+          await this.handleScanControl(e.target.dataset.scanType, e.target.dataset.control);
+          break;
       }
     });
 
@@ -2040,7 +2921,7 @@ class GmailContentScript {
         }
         
         // If complete, clear the progress and reset toggle
-        if (progressData.step === 'complete' || progressData.step === 'error') {
+        if (SCAN_CONTROL_CONFIG.END_STEPS.includes(progressData.step)) {
           // Reset widget UI immediately
           if (this.floatingWidget) {
             const subscriptionBtn = this.floatingWidget.querySelector('#widget-scanSubscriptionsBtn');
@@ -2052,8 +2933,9 @@ class GmailContentScript {
             // Show completion message and hide progress
             if (progressData.step === 'complete') {
               this.showResult(`Subscription scan complete! Created ${progressData.message.match(/\d+/)?.[0] || 0} calendar reminders`);
-              // Reload subscription results in widget
+              // Reload subscription results and alerts in widget
               this.loadSubscriptionResults();
+              this.loadSubscriptionAlerts();
             }
             
             // Hide progress bar immediately
@@ -2094,7 +2976,7 @@ class GmailContentScript {
         }
         
         // If complete, clear the progress and reset toggle
-        if (progressData.step === 'complete' || progressData.step === 'error') {
+        if (SCAN_CONTROL_CONFIG.END_STEPS.includes(progressData.step)) {
           // Reset widget UI immediately
           if (this.floatingWidget) {
             const packageBtn = this.floatingWidget.querySelector('#widget-scanBtn');
@@ -1,5 +1,5 @@
 // Gmail Package Tracker Popup
-import { MESSAGE_TYPES, UI_CONFIG, PACKAGE_CONFIG } from './constants.js';
+import { MESSAGE_TYPES, UI_CONFIG, PACKAGE_CONFIG, CARRIER_CONFIG, PACKAGE_STATUS, PACKAGE_STATUS_LABELS, SUBSCRIPTION_ALERT_LABELS, CALENDAR_EVENT_TYPES, CALENDAR_SETTINGS_CONFIG, ACCOUNT_CONFIG, LLM_BACKEND_CONFIG, SCAN_CONTROL_CONFIG, ERROR_MESSAGES, EXPORT_CONFIG, BACKUP_CONFIG, PACKAGE_QUERY_CONFIG, PACKAGE_EDIT_CONFIG, SUBSCRIPTION_CONFIG, MANUAL_ENTRY_CONFIG } from './constants.js';
 
 class PopupController {
   /**
@@ -29,12 +29,35 @@ class PopupController {
   constructor() {
     this.elements = {
       resultArea: document.getElementById('resultArea'),
+      undoToast: document.getElementById('undoToast'),
+      undoToastText: document.getElementById('undoToastText'),
+      undoToastButton: document.getElementById('undoToastButton'),
+      // Gmail account elements
+      accountSelect: document.getElementById('accountSelect'),
+      addAccount: document.getElementById('addAccount'),
+      removeAccount: document.getElementById('removeAccount'),
       // Subscription tracking elements
       scanSubscriptionsBtn: document.getElementById('scanSubscriptionsBtn'),
       subscriptionProgressSection: document.getElementById('subscriptionProgressSection'),
       subscriptionProgressFill: document.getElementById('subscriptionProgressFill'),
       subscriptionProgressText: document.getElementById('subscriptionProgressText'),
+      subscriptionScanControls: document.getElementById('subscriptionScanControls'),
+      subscriptionScanStatus: document.getElementById('subscriptionScanStatus'),
+      pauseSubscriptionScan: document.getElementById('pauseSubscriptionScan'),
+      stopSubscriptionScan: document.getElementById('stopSubscriptionScan'),
       subscriptionResults: document.getElementById('subscriptionResults'),
+      subscriptionAlerts: document.getElementById('subscriptionAlerts'),
+      renewalLeadDays: document.getElementById('renewalLeadDays'),
+      renewalReminderMethods: document.getElementById('renewalReminderMethods'),
+      trialReminderDays: document.getElementById('trialReminderDays'),
+      trialsList: document.getElementById('trialsList'),
+      calendarReminders: document.getElementById('calendarReminders'),
+      manualSubscriptionForm: document.getElementById('manualSubscriptionForm'),
+      manualSubscriptionName: document.getElementById('manualSubscriptionName'),
+      manualSubscriptionAmount: document.getElementById('manualSubscriptionAmount'),
+      manualSubscriptionBillingDate: document.getElementById('manualSubscriptionBillingDate'),
+      manualSubscriptionCycle: document.getElementById('manualSubscriptionCycle'),
+      manualSubscriptionNextDate: document.getElementById('manualSubscriptionNextDate'),
       // Package tracking elements
       startDate: document.getElementById('startDate'),
       endDate: document.getElementById('endDate'),
@@ -42,9 +65,89 @@ class PopupController {
       progressSection: document.getElementById('progressSection'),
       progressFill: document.getElementById('progressFill'),
       progressText: document.getElementById('progressText'),
-      packagesList: document.getElementById('packagesList')
+      packageScanControls: document.getElementById('packageScanControls'),
+      packageScanStatus: document.getElementById('packageScanStatus'),
+      pausePackageScan: document.getElementById('pausePackageScan'),
+      stopPackageScan: document.getElementById('stopPackageScan'),
+      packagesList: document.getElementById('packagesList'),
+      packageSearch: document.getElementById('packageSearch'),
+      packageFilterChips: document.getElementById('packageFilterChips'),
+      showPickedUp: document.getElementById('showPickedUp'),
+      packageSort: document.getElementById('packageSort'),
+      manualPackageForm: document.getElementById('manualPackageForm'),
+      manualPackageSender: document.getElementById('manualPackageSender'),
+      manualPackageStatus: document.getElementById('manualPackageStatus'),
+      manualPackageCarrier: document.getElementById('manualPackageCarrier'),
+      manualPackageTracking: document.getElementById('manualPackageTracking'),
+      manualPackageOrder: document.getElementById('manualPackageOrder'),
+      manualPackageExpected: document.getElementById('manualPackageExpected'),
+      // Scheduled scan elements
+      schedulePackageEnabled: document.getElementById('schedulePackageEnabled'),
+      schedulePackageInterval: document.getElementById('schedulePackageInterval'),
+      schedulePackageLastRun: document.getElementById('schedulePackageLastRun'),
+      scheduleSubscriptionEnabled: document.getElementById('scheduleSubscriptionEnabled'),
+      scheduleSubscriptionInterval: document.getElementById('scheduleSubscriptionInterval'),
+      scheduleSubscriptionLastRun: document.getElementById('scheduleSubscriptionLastRun'),
+      // Reminder calendar elements
+      calendarTarget: document.getElementById('calendarTarget'),
+      refreshCalendars: document.getElementById('refreshCalendars'),
+      createSubscriptionsCalendar: document.getElementById('createSubscriptionsCalendar'),
+      calendarEventTiming: document.getElementById('calendarEventTiming'),
+      calendarEventTime: document.getElementById('calendarEventTime'),
+      calendarTransparency: document.getElementById('calendarTransparency'),
+      calendarTitleTemplate: document.getElementById('calendarTitleTemplate'),
+      calendarDescriptionTemplate: document.getElementById('calendarDescriptionTemplate'),
+      calendarTemplateHelp: document.getElementById('calendarTemplateHelp'),
+      saveCalendarSettings: document.getElementById('saveCalendarSettings'),
+      deliveryEventsEnabled: document.getElementById('deliveryEventsEnabled'),
+      deliveryEventsCompletedAction: document.getElementById('deliveryEventsCompletedAction'),
+      // AI backend setting elements
+      llmBackend: document.getElementById('llmBackend'),
+      llmMaxConcurrency: document.getElementById('llmMaxConcurrency'),
+      llmEndpointFields: document.getElementById('llmEndpointFields'),
+      llmBaseUrl: document.getElementById('llmBaseUrl'),
+      llmModel: document.getElementById('llmModel'),
+      llmApiKey: document.getElementById('llmApiKey'),
+      llmTimeoutSeconds: document.getElementById('llmTimeoutSeconds'),
+      llmBackendStatus: document.getElementById('llmBackendStatus'),
+      checkLlmBackend: document.getElementById('checkLlmBackend'),
+      saveLlmBackendSettings: document.getElementById('saveLlmBackendSettings'),
+      extractionFailureRow: document.getElementById('extractionFailureRow'),
+      extractionFailureCount: document.getElementById('extractionFailureCount'),
+      retryExtractionFailures: document.getElementById('retryExtractionFailures'),
+      // Notification setting elements
+      notifyDeliveryEnabled: document.getElementById('notifyDeliveryEnabled'),
+      notifyRenewalEnabled: document.getElementById('notifyRenewalEnabled'),
+      notifyRenewalDays: document.getElementById('notifyRenewalDays'),
+      // Export elements
+      exportType: document.getElementById('exportType'),
+      exportFormat: document.getElementById('exportFormat'),
+      exportFilters: document.getElementById('exportFilters'),
+      exportStartDate: document.getElementById('exportStartDate'),
+      exportEndDate: document.getElementById('exportEndDate'),
+      exportStatusRow: document.getElementById('exportStatusRow'),
+      exportStatus: document.getElementById('exportStatus'),
+      exportButton: document.getElementById('exportButton'),
+      // Backup elements
+      createBackup: document.getElementById('createBackup'),
+      backupFile: document.getElementById('backupFile'),
+      restoreMode: document.getElementById('restoreMode'),
+      restoreBackup: document.getElementById('restoreBackup')
     };
 
+    // Package search state, the grouped view is shown while nothing is set
+    this.packageFilters = {
+      text: '',
+      chips: new Set(),
+      showPickedUp: false,
+      sort: PACKAGE_QUERY_CONFIG.DEFAULT_SORT
+    };
+    this.packageSearchTimer = null;
+
+    // Action run by the undo toast's button, cleared when the toast hides
+    this.undoAction = null;
+    this.undoTimer = null;
+
     this.init();
   }
 
@@ -52,12 +155,94 @@ class PopupController {
     // Set up message listeners FIRST before any other initialization
     this.setupMessageListeners();
 
+    // Gmail account handlers
+    this.elements.accountSelect.addEventListener('change', () => this.handleSwitchAccount());
+    this.elements.addAccount.addEventListener('click', () => this.handleAddAccount());
+    this.elements.removeAccount.addEventListener('click', () => this.handleRemoveAccount());
+
     // Subscription tracking handlers
     this.elements.scanSubscriptionsBtn.addEventListener('click', () => this.handleScanSubscriptions());
 
     // Package tracking handlers
     this.elements.scanPackagesBtn.addEventListener('click', () => this.handleScanPackages());
 
+    // Package search handlers, picked-up packages are listed for the date range above
+    this.elements.packageSearch.addEventListener('input', () => {
+      clearTimeout(this.packageSearchTimer);
+      this.packageSearchTimer = setTimeout(() => this.handlePackageFilterChange(), PACKAGE_QUERY_CONFIG.SEARCH_DEBOUNCE_MS);
+    });
+    [this.elements.showPickedUp, this.elements.packageSort, this.elements.startDate, this.elements.endDate]
+      .forEach(element => element.addEventListener('change', () => this.handlePackageFilterChange()));
+    this.displayPackageFilterChips();
+
+    // Manual entry handlers
+    this.elements.manualSubscriptionForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAddSubscription();
+    });
+    this.elements.manualPackageForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAddPackage();
+    });
+    this.displayManualEntryOptions();
+
+    // Pause/Resume and Stop handlers, the pause button's action follows the scan state
+    this.elements.pauseSubscriptionScan.addEventListener('click', () => this.handleScanControl('subscription', this.elements.pauseSubscriptionScan.dataset.action));
+    this.elements.stopSubscriptionScan.addEventListener('click', () => this.handleScanControl('subscription', 'stop'));
+    this.elements.pausePackageScan.addEventListener('click', () => this.handleScanControl('package', this.elements.pausePackageScan.dataset.action));
+    this.elements.stopPackageScan.addEventListener('click', () => this.handleScanControl('package', 'stop'));
+
+    // Renewal reminder lead time
+    this.elements.renewalLeadDays.addEventListener('change', () => this.handleRenewalSettingsChange());
+    this.elements.renewalReminderMethods.addEventListener('change', () => this.handleRenewalSettingsChange());
+
+    // Free trial reminder setting
+    this.elements.trialReminderDays.addEventListener('change', () => this.handleTrialSettingsChange());
+
+    // Scheduled scan handlers
+    [
+      this.elements.schedulePackageEnabled,
+      this.elements.schedulePackageInterval,
+      this.elements.scheduleSubscriptionEnabled,
+      this.elements.scheduleSubscriptionInterval
+    ].forEach(element => element.addEventListener('change', () => this.handleScheduleChange()));
+
+    // Reminder calendar handlers
+    this.elements.refreshCalendars.addEventListener('click', () => this.handleRefreshCalendars());
+    this.elements.createSubscriptionsCalendar.addEventListener('click', () => this.handleCreateSubscriptionsCalendar());
+    this.elements.calendarEventTiming.addEventListener('change', () => {
+      this.elements.calendarEventTime.disabled = this.elements.calendarEventTiming.value !== 'timed';
+    });
+    this.elements.saveCalendarSettings.addEventListener('click', () => this.handleSaveCalendarSettings());
+    [
+      this.elements.deliveryEventsEnabled,
+      this.elements.deliveryEventsCompletedAction
+    ].forEach(element => element.addEventListener('change', () => this.handleDeliveryEventSettingsChange()));
+
+    // AI backend handlers
+    this.elements.llmBackend.addEventListener('change', () => this.handleLlmBackendChange());
+    this.elements.checkLlmBackend.addEventListener('click', () => this.handleCheckLlmBackend());
+    this.elements.saveLlmBackendSettings.addEventListener('click', () => this.handleSaveLlmBackendSettings());
+    this.elements.retryExtractionFailures.addEventListener('click', () => this.handleRetryExtractionFailures());
+
+    // Notification setting handlers
+    [
+      this.elements.notifyDeliveryEnabled,
+      this.elements.notifyRenewalEnabled,
+      this.elements.notifyRenewalDays
+    ].forEach(element => element.addEventListener('change', () => this.handleNotificationSettingsChange()));
+
+    // Export handlers
+    this.elements.exportType.addEventListener('change', () => this.displayExportOptions());
+    this.elements.exportButton.addEventListener('click', () => this.handleExport());
+
+    // Backup handlers
+    this.elements.createBackup.addEventListener('click', () => this.handleCreateBackup());
+    this.elements.restoreBackup.addEventListener('click', () => this.handleRestoreBackup());
+
+    // Undo toast handler
+    this.elements.undoToastButton.addEventListener('click', () => this.handleUndo());
+
     // Initialize date inputs with defaults
     this.elements.startDate.value = PACKAGE_CONFIG.DEFAULT_START_DATE;
     this.elements.endDate.value = PACKAGE_CONFIG.DEFAULT_END_DATE;
@@ -65,18 +250,38 @@ class PopupController {
     // Check if scanning is already in progress IMMEDIATELY after message listeners are set up
     await this.checkScanningState();
 
+    // Load Gmail accounts
+    this.loadAccounts();
+
     // Load unpicked packages on startup
     this.loadUnpickedPackages();
 
-    // Load subscriptions from IndexedDB on startup (like packages)
+    // Load the subscription dashboard from IndexedDB on startup (like packages)
     await this.loadSubscriptionsFromDB();
 
-    // Load subscription results from chrome storage on startup (fallback)
-    this.loadSubscriptionResults();
+    // Load renewal reminder lead time
+    this.loadRenewalSettings();
 
     // Load progress state to restore any active scans
     this.loadProgressState();
 
+    // Load scheduled scan settings
+    this.loadScanSchedule();
+
+    // Load reminder calendar and delivery event settings
+    this.loadCalendarSettings();
+    this.loadDeliveryEventSettings();
+
+    // Load AI backend settings and emails that failed extraction
+    this.loadLlmBackendSettings();
+    this.loadExtractionFailures();
+
+    // Load notification settings
+    this.loadNotificationSettings();
+
+    // Fill the export status filter
+    this.displayExportOptions();
+
     // Show scan optimization info
     this.showScanOptimizationInfo();
 
@@ -119,7 +324,7 @@ class PopupController {
           this.updateSubscriptionProgress(message.data);
 
           // If scanning is complete, reset subscription UI and reload results
-          if (message.data.step === 'complete' || message.data.step === 'error') {
+          if (SCAN_CONTROL_CONFIG.END_STEPS.includes(message.data.step)) {
             setTimeout(() => {
               this.elements.scanSubscriptionsBtn.disabled = false;
               this.elements.scanSubscriptionsBtn.textContent = '🔍 Scan My Current Month Subscriptions';
@@ -135,7 +340,7 @@ class PopupController {
           this.updateProgress(message.data);
 
           // If scanning is complete, reset package UI
-          if (message.data.step === 'complete' || message.data.step === 'error') {
+          if (SCAN_CONTROL_CONFIG.END_STEPS.includes(message.data.step)) {
             setTimeout(() => {
               this.elements.scanPackagesBtn.disabled = false;
               this.elements.scanPackagesBtn.textContent = '🔍 Scan for Package Deliveries';
@@ -164,6 +369,7 @@ class PopupController {
         } else {
           this.applyPackageScanningState(isScanning, progress, statusMessage, step);
         }
+        this.displayScanControls(isSubscriptionScan ? 'subscription' : 'package', message.data);
 
         if (!isScanning) {
           if (step === 'complete') {
@@ -195,6 +401,35 @@ class PopupController {
     this.elements.resultArea.classList.remove(UI_CONFIG.RESULT_AREA_CLASSES.VISIBLE);
   }
 
+  /**
+   * Show a toast whose Undo button runs undoAction until it times out
+   */
+  showUndoToast(text, undoAction) {
+    clearTimeout(this.undoTimer);
+    this.undoAction = undoAction;
+    this.elements.undoToastText.textContent = text;
+    this.elements.undoToast.classList.add(UI_CONFIG.RESULT_AREA_CLASSES.VISIBLE);
+    this.undoTimer = setTimeout(() => this.hideUndoToast(), PACKAGE_EDIT_CONFIG.UNDO_TIMEOUT_MS);
+  }
+
+  /**
+   * Hide the undo toast and forget its action
+   */
+  hideUndoToast() {
+    clearTimeout(this.undoTimer);
+    this.undoAction = null;
+    this.elements.undoToast.classList.remove(UI_CONFIG.RESULT_AREA_CLASSES.VISIBLE);
+  }
+
+  /**
+   * Handle the undo toast's button
+   */
+  async handleUndo() {
+    const undoAction = this.undoAction;
+    this.hideUndoToast();
+    if (undoAction) await undoAction();
+  }
+
   /**
    * Handle scan subscriptions button click
    */
@@ -260,10 +495,11 @@ class PopupController {
         console.log('Events length:', response.events.length);
         console.log('First event structure:', response.events[0]);
         this.showResult(`Subscription scan complete! Created ${response.events.length} calendar reminders`);
-        // Store results for persistence first
-        await this.storeSubscriptionResults(response.events);
         // Reload subscriptions from IndexedDB to show updated subscriptions (like packages do)
         await this.loadSubscriptionsFromDB();
+        await this.loadExtractionFailures();
+      } else if (response.error === ERROR_MESSAGES.SCAN_CANCELLED) {
+        this.showResult('Subscription scan cancelled');
       } else {
         const errorMessage = response.error || 'Unknown error occurred';
         this.showResult(`Error: ${errorMessage}`);
@@ -371,6 +607,9 @@ class PopupController {
       if (response.success) {
         this.showResult(`Scan complete! Found ${response.packages.length} new packages`);
         await this.loadUnpickedPackages();
+        await this.loadExtractionFailures();
+      } else if (response.error === ERROR_MESSAGES.SCAN_CANCELLED) {
+        this.showResult('Package scan cancelled');
       } else {
         this.showResult(`Error: ${response.error}`);
       }
@@ -391,16 +630,20 @@ class PopupController {
   }
 
   /**
-   * Load and display unpicked packages
+   * Load and display unpicked packages, or the search results while a search or filter is set
    */
   async loadUnpickedPackages() {
+    if (this.isPackageQueryActive()) {
+      return this.loadPackageSearchResults();
+    }
+
     try {
       const response = await chrome.runtime.sendMessage({
         type: MESSAGE_TYPES.GET_UNPICKED_PACKAGES
       });
 
       if (response && response.success) {
-        this.displayPackages(response.packages);
+        this.displayPackages(response.incoming || [], response.awaitingPickup || response.packages, response.problems || []);
       } else {
         console.error('Failed to load packages:', response.error);
       }
@@ -410,52 +653,292 @@ class PopupController {
   }
 
   /**
-   * Load and display subscriptions from IndexedDB
+   * Load and display the subscription dashboard from IndexedDB
    */
   async loadSubscriptionsFromDB() {
     try {
-      const response = await chrome.runtime.sendMessage({
-        type: MESSAGE_TYPES.GET_SUBSCRIPTIONS
+      const response = await this.sendMessageSafely({
+        type: MESSAGE_TYPES.GET_SUBSCRIPTION_DASHBOARD
       });
 
-      if (response && response.success && response.subscriptions) {
-        console.log('Loaded subscriptions from IndexedDB:', response.subscriptions);
-        // Convert subscriptions to events format for display
-        const events = response.subscriptions.map(sub => ({
-          subscriptionName: sub.serviceName || sub.subscriptionName || 'Unknown Service',
-          amount: sub.amount || 'N/A',
-          reminderDate: sub.nextBillingDate || sub.reminderDate || 'N/A',
-          // Include original subscription data
-          ...sub
-        }));
-
-        if (events.length > 0) {
-          this.displaySubscriptionResults(events);
-          // Store results for persistence (with current timestamp)
-          await this.storeSubscriptionResults(events);
-        }
+      if (response.success) {
+        this.displaySubscriptionDashboard(response.subscriptions, response.totals);
       } else {
-        console.log('No subscriptions found in IndexedDB or failed to load:', response?.error);
+        console.log('Failed to load subscription dashboard:', response.error);
       }
+
+      await this.loadSubscriptionAlerts();
+      await this.loadTrials();
+      await this.loadCalendarReminders();
     } catch (error) {
       console.error('Load subscriptions from DB error:', error);
     }
   }
 
   /**
-   * Display packages in the UI grouped by month
+   * Load the renewal reminder lead time and reminder methods
+   */
+  async loadRenewalSettings() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_RENEWAL_SETTINGS });
+
+    if (response.success) {
+      this.elements.renewalLeadDays.value = String(response.settings.leadDays);
+      this.elements.renewalReminderMethods.value = response.settings.methods.join(',');
+    } else {
+      console.error('Failed to load renewal settings:', response.error);
+    }
+  }
+
+  /**
+   * Save the renewal reminder settings (applies to reminders created by future scans and to one-off reminders moved onto a series)
+   */
+  async handleRenewalSettingsChange() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_RENEWAL_SETTINGS,
+      settings: {
+        leadDays: parseInt(this.elements.renewalLeadDays.value, 10),
+        methods: this.elements.renewalReminderMethods.value.split(',')
+      }
+    });
+
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+      return;
+    }
+
+    // Saving can move one-off reminders onto recurring events
+    await this.loadCalendarReminders();
+  }
+
+  /**
+   * Load and display free trials with the reminder setting
+   */
+  async loadTrials() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_TRIALS });
+
+    if (response.success) {
+      this.elements.trialReminderDays.value = String(response.settings.reminderDaysBefore);
+      this.displayTrials(response.trials);
+    } else {
+      console.error('Failed to load trials:', response.error);
+    }
+  }
+
+  /**
+   * Display free trials, ended trials last
+   */
+  displayTrials(trials) {
+    const container = this.elements.trialsList;
+    container.innerHTML = '';
+
+    if (trials.length === 0) {
+      container.innerHTML = '<div style="color: #5f6368; font-style: italic; font-size: 11px; padding: 4px 0;">No free trials found</div>';
+      return;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const sortedTrials = [...trials].sort((a, b) => (a.trialEndDate < today) - (b.trialEndDate < today));
+
+    sortedTrials.forEach(trial => {
+      const hasEnded = trial.trialEndDate < today;
+      const item = document.createElement('div');
+      item.className = `trial-item${hasEnded ? ' trial-ended' : ''}`;
+      item.innerHTML = `
+        <div class="trial-name">${trial.serviceName}</div>
+        <div>${hasEnded ? 'Ended' : 'Ends'} ${trial.trialEndDate} · then ${trial.priceAfterTrial || 'price unknown'}</div>
+        ${hasEnded ? '' : `<div>Reminder: ${trial.reminderDate}</div>`}
+      `;
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Save the free trial reminder lead time (applies to trials found in future scans)
+   */
+  async handleTrialSettingsChange() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_TRIAL_SETTINGS,
+      settings: { reminderDaysBefore: parseInt(this.elements.trialReminderDays.value, 10) }
+    });
+
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Load and display price-change and unexpected-charge alerts
+   */
+  async loadSubscriptionAlerts() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_SUBSCRIPTION_ALERTS });
+
+    if (response.success) {
+      this.displaySubscriptionAlerts(response.alerts);
+    } else {
+      console.error('Failed to load subscription alerts:', response.error);
+    }
+  }
+
+  /**
+   * Display subscription alerts with a dismiss button each
+   */
+  displaySubscriptionAlerts(alerts) {
+    const container = this.elements.subscriptionAlerts;
+    container.innerHTML = '';
+
+    alerts.forEach(alert => {
+      const item = document.createElement('div');
+      item.className = `subscription-alert alert-${alert.type}`;
+      item.innerHTML = `
+        <div class="subscription-alert-body">
+          <div class="subscription-alert-type">⚠️ ${SUBSCRIPTION_ALERT_LABELS[alert.type] || 'Alert'}</div>
+          <div>${alert.message}</div>
+        </div>
+        <button class="subscription-alert-dismiss" title="Dismiss">×</button>
+      `;
+
+      item.querySelector('.subscription-alert-dismiss').addEventListener('click', () => this.handleDismissAlert(alert.id));
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Dismiss a subscription alert and refresh the list
+   */
+  async handleDismissAlert(alertId) {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.DISMISS_SUBSCRIPTION_ALERT,
+      alertId
+    });
+
+    if (response.success) {
+      await this.loadSubscriptionAlerts();
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Load and display renewal reminders created in Google Calendar
+   */
+  async loadCalendarReminders() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_CALENDAR_REMINDERS });
+
+    if (response.success) {
+      this.displayCalendarReminders(response.reminders);
+    } else {
+      console.error('Failed to load calendar reminders:', response.error);
+    }
+  }
+
+  /**
+   * Display calendar reminders with controls to move or remove each one
+   */
+  displayCalendarReminders(reminders) {
+    const container = this.elements.calendarReminders;
+    container.innerHTML = '';
+
+    if (reminders.length === 0) {
+      container.innerHTML = '<div style="color: #5f6368; font-style: italic; font-size: 11px; padding: 4px 0;">No calendar reminders</div>';
+      return;
+    }
+
+    reminders.forEach(reminder => {
+      const item = document.createElement('div');
+      item.className = 'reminder-item';
+      item.innerHTML = `
+        <span class="reminder-name" title="${reminder.emailSubject || ''}">${reminder.subscriptionName}</span>
+        ${reminder.eventType === CALENDAR_EVENT_TYPES.SERIES ? `<span class="reminder-repeat" title="Recurring event">↻ ${reminder.billingCycle}</span>` : ''}
+        <input type="date" class="reminder-date" value="${reminder.reminderDate || ''}">
+        <button class="reminder-button reminder-move" title="Move reminder to the selected date">Move</button>
+        <button class="reminder-button reminder-remove" title="Remove reminder from Google Calendar">Remove</button>
+      `;
+
+      const dateInput = item.querySelector('.reminder-date');
+      const moveButton = item.querySelector('.reminder-move');
+      moveButton.disabled = true;
+      dateInput.addEventListener('change', () => {
+        moveButton.disabled = !dateInput.value || dateInput.value === reminder.reminderDate;
+      });
+      moveButton.addEventListener('click', () => this.handleMoveReminder(reminder.calendarEventId, dateInput.value));
+      item.querySelector('.reminder-remove').addEventListener('click', () => this.handleRemoveReminder(reminder.calendarEventId));
+
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * Move a calendar reminder to a new date
+   */
+  async handleMoveReminder(calendarEventId, date) {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.PATCH_CALENDAR_EVENT,
+      calendarEventId,
+      changes: { date }
+    });
+
+    this.handleReminderResponse(response, `Reminder moved to ${date}`);
+  }
+
+  /**
+   * Remove a calendar reminder from Google Calendar
+   */
+  async handleRemoveReminder(calendarEventId) {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.DELETE_CALENDAR_EVENT,
+      calendarEventId
+    });
+
+    this.handleReminderResponse(response, 'Reminder removed');
+  }
+
+  /**
+   * Report the outcome of a reminder change and refresh the list
+   */
+  async handleReminderResponse(response, successMessage) {
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+      return;
+    }
+
+    this.showResult(response.externallyDeleted
+      ? 'Reminder was already deleted in Google Calendar'
+      : successMessage);
+    await this.loadCalendarReminders();
+  }
+
+  /**
+   * Display packages with problems, incoming packages, then packages awaiting pickup grouped by month
    */
-  displayPackages(packages) {
+  displayPackages(incoming, awaitingPickup, problems = []) {
     const container = this.elements.packagesList;
     container.innerHTML = '';
 
-    if (packages.length === 0) {
-      container.innerHTML = '<div class="no-packages">No packages waiting for pickup</div>';
+    if (problems.length === 0 && incoming.length === 0 && awaitingPickup.length === 0) {
+      container.innerHTML = '<div class="no-packages">No incoming packages or packages waiting for pickup</div>';
       return;
     }
 
+    if (problems.length > 0) {
+      container.appendChild(this.createPackageGroupTitle(`⚠️ Problems (${problems.length})`));
+      problems.forEach(pkg => {
+        container.appendChild(this.createPackageElement(pkg));
+      });
+    }
+
+    if (incoming.length > 0) {
+      container.appendChild(this.createPackageGroupTitle(`🚚 Incoming (${incoming.length})`));
+      incoming.forEach(pkg => {
+        container.appendChild(this.createPackageElement(pkg));
+      });
+    }
+
+    if (awaitingPickup.length === 0) return;
+
+    container.appendChild(this.createPackageGroupTitle(`📬 Awaiting Pickup (${awaitingPickup.length})`));
+
     // Group packages by month
-    const packagesByMonth = this.groupPackagesByMonth(packages);
+    const packagesByMonth = this.groupPackagesByMonth(awaitingPickup);
 
     // Create month groups
     Object.keys(packagesByMonth).forEach(monthKey => {
@@ -465,6 +948,125 @@ class PopupController {
     });
   }
 
+  /**
+   * Create the status and carrier filter chips
+   */
+  displayPackageFilterChips() {
+    const container = this.elements.packageFilterChips;
+    container.innerHTML = '';
+
+    [...PACKAGE_QUERY_CONFIG.STATUS_CHIPS, ...PACKAGE_QUERY_CONFIG.CARRIER_CHIPS].forEach(chip => {
+      const button = document.createElement('button');
+      button.className = 'filter-chip';
+      button.textContent = chip.label;
+      button.classList.toggle('active', this.packageFilters.chips.has(chip.id));
+      button.addEventListener('click', () => {
+        if (this.packageFilters.chips.has(chip.id)) {
+          this.packageFilters.chips.delete(chip.id);
+        } else {
+          this.packageFilters.chips.add(chip.id);
+        }
+        button.classList.toggle('active', this.packageFilters.chips.has(chip.id));
+        this.loadUnpickedPackages();
+      });
+      container.appendChild(button);
+    });
+  }
+
+  /**
+   * Read the search controls and reload the package list
+   */
+  handlePackageFilterChange() {
+    this.packageFilters.text = this.elements.packageSearch.value.trim();
+    this.packageFilters.showPickedUp = this.elements.showPickedUp.checked;
+    this.packageFilters.sort = this.elements.packageSort.value;
+    this.loadUnpickedPackages();
+  }
+
+  /**
+   * Check whether the search controls differ from the default grouped view
+   */
+  isPackageQueryActive() {
+    const filters = this.packageFilters;
+    return !!filters.text || filters.chips.size > 0 || filters.showPickedUp || filters.sort !== PACKAGE_QUERY_CONFIG.DEFAULT_SORT;
+  }
+
+  /**
+   * Build a QUERY_PACKAGES query from the search controls
+   */
+  buildPackageQuery(offset = 0) {
+    const filters = this.packageFilters;
+    const [sortBy, sortOrder] = filters.sort.split(':');
+    const statusChips = PACKAGE_QUERY_CONFIG.STATUS_CHIPS.filter(chip => filters.chips.has(chip.id));
+    const carrierChips = PACKAGE_QUERY_CONFIG.CARRIER_CHIPS.filter(chip => filters.chips.has(chip.id));
+
+    return {
+      text: filters.text,
+      statuses: statusChips.length ? statusChips.flatMap(chip => chip.statuses) : null,
+      carriers: carrierChips.length ? carrierChips.map(chip => chip.id) : null,
+      pickedUp: filters.showPickedUp ? null : false,
+      startDate: filters.showPickedUp ? this.elements.startDate.value || null : null,
+      endDate: filters.showPickedUp ? this.elements.endDate.value || null : null,
+      sortBy,
+      sortOrder,
+      offset,
+      limit: PACKAGE_QUERY_CONFIG.PAGE_SIZE
+    };
+  }
+
+  /**
+   * Load a page of search results, appending to the list for "Show more"
+   */
+  async loadPackageSearchResults(offset = 0) {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.QUERY_PACKAGES,
+      query: this.buildPackageQuery(offset)
+    });
+
+    if (response.success) {
+      this.displayPackageSearchResults(response, offset > 0);
+    } else {
+      console.error('Failed to search packages:', response.error);
+    }
+  }
+
+  /**
+   * Display search results as a flat sorted list with a "Show more" button
+   */
+  displayPackageSearchResults(result, append) {
+    const container = this.elements.packagesList;
+    container.querySelector('.show-more-button')?.remove();
+
+    if (!append) {
+      container.innerHTML = '';
+      if (result.total === 0) {
+        container.innerHTML = '<div class="no-packages">No packages match your search</div>';
+        return;
+      }
+      container.appendChild(this.createPackageGroupTitle(`🔎 ${result.total} package${result.total === 1 ? '' : 's'} found`));
+    }
+
+    result.packages.forEach(pkg => container.appendChild(this.createPackageElement(pkg)));
+
+    if (result.hasMore) {
+      const showMore = document.createElement('button');
+      showMore.className = 'reminder-button show-more-button';
+      showMore.textContent = `Show more (${result.total - result.offset - result.packages.length} left)`;
+      showMore.addEventListener('click', () => this.loadPackageSearchResults(result.offset + result.packages.length));
+      container.appendChild(showMore);
+    }
+  }
+
+  /**
+   * Create title element for a package status group
+   */
+  createPackageGroupTitle(text) {
+    const title = document.createElement('div');
+    title.className = 'package-group-title';
+    title.textContent = text;
+    return title;
+  }
+
   /**
    * Group packages by month
    */
@@ -543,6 +1145,14 @@ class PopupController {
     return monthGroup;
   }
 
+  /**
+   * Set the text of a node inside a rendered card, so values taken from emails are never parsed as HTML
+   */
+  setText(parent, selector, value) {
+    const node = parent.querySelector(selector);
+    if (node) node.textContent = value;
+  }
+
   /**
    * Create package element
    */
@@ -552,41 +1162,190 @@ class PopupController {
 
     const deliveryDate = new Date(pkg.deliveryTime).toLocaleDateString();
     const deliveryTime = new Date(pkg.deliveryTime).toLocaleString();
+    const trackingUrl = this.getTrackingUrl(pkg);
+    const carrierName = this.getCarrierName(pkg.carrier);
+    const status = pkg.status || PACKAGE_STATUS.DELIVERED;
+    const isDelivered = status === PACKAGE_STATUS.DELIVERED;
+    const hasEmail = !(pkg.emailId || '').startsWith(MANUAL_ENTRY_CONFIG.EMAIL_ID_PREFIX);
+    // A hand-corrected delivery day replaces the time of the delivery email
+    const deliveredOn = (pkg.editedFields || []).includes('deliveryDate') && pkg.deliveryDate
+      ? pkg.deliveryDate
+      : deliveryTime;
 
     element.innerHTML = `
       <div class="package-header">
-        <div class="package-sender">${pkg.sender}</div>
+        <div class="package-sender"></div>
         <div class="package-date">${deliveryDate}</div>
       </div>
+      <div class="package-status status-${status}">${PACKAGE_STATUS_LABELS[status] || status}</div>
       <div class="package-details">
-        Delivered: ${deliveryTime}
+        ${isDelivered ? `Delivered: ${deliveredOn}` : `Updated: ${deliveryTime}`}
+        ${!isDelivered && pkg.expectedDeliveryDate ? '<br>Expected: <span class="package-expected"></span>' : ''}
+        ${pkg.orderNumber ? '<br>Order: <span class="package-order"></span>' : ''}
+        ${pkg.trackingNumber ? `<br>Tracking: ${carrierName ? `${carrierName} ` : ''}<span class="package-tracking"></span>` : ''}
       </div>
+      ${this.getTimelineHTML(pkg)}
       <div class="package-email-link">
-        <a href="#" class="email-link" data-email-id="${pkg.emailId}">
+        ${hasEmail ? `
+        <a href="#" class="email-link original-email-link" data-email-id="${pkg.emailId}" data-account="${pkg.userEmail || ''}">
           📧 View Original Email
-        </a>
+        </a>` : '✍️ Added by hand'}
+        ${trackingUrl ? `
+        <a href="#" class="email-link track-link" data-tracking-url="${trackingUrl}">
+          🚚 Track
+        </a>` : ''}
+        <a href="#" class="email-link edit-link">✏️ Edit</a>
       </div>
+      ${this.getPackageEditFormHTML()}
+      ${pkg.pickedUp ? `
+      <div class="package-picked-up">
+        ✓ Picked up <button class="reminder-button unpick-button">Undo</button>
+      </div>` : `
       <button class="pickup-button" data-package-id="${pkg.id}">
-        ✓ Mark as Picked Up
-      </button>
+        ${isDelivered ? '✓ Mark as Picked Up' : '✓ Mark as Received'}
+      </button>`}
     `;
+    this.setText(element, '.package-sender', pkg.sender);
+    this.setText(element, '.package-expected', pkg.expectedDeliveryDate);
+    this.setText(element, '.package-order', pkg.orderNumber);
+    this.setText(element, '.package-tracking', pkg.trackingNumber);
 
     // Add click handlers
-    const emailLink = element.querySelector('.email-link');
+    const emailLink = element.querySelector('.original-email-link');
     const pickupBtn = element.querySelector('.pickup-button');
 
-    emailLink.addEventListener('click', (e) => {
+    if (emailLink) {
+      emailLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        const gmailUrl = this.getGmailMessageUrl(emailLink.dataset.emailId, emailLink.dataset.account);
+        chrome.tabs.create({ url: gmailUrl });
+      });
+    }
+
+    const trackLink = element.querySelector('.track-link');
+    if (trackLink) {
+      trackLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.tabs.create({ url: trackLink.dataset.trackingUrl });
+      });
+    }
+
+    if (pickupBtn) {
+      pickupBtn.addEventListener('click', () => this.handleMarkAsPickedUp(pkg.id));
+    }
+
+    const unpickBtn = element.querySelector('.unpick-button');
+    if (unpickBtn) {
+      unpickBtn.addEventListener('click', () => this.handleMarkAsUnpicked(pkg.id));
+    }
+
+    const editForm = element.querySelector('.package-edit-form');
+    element.querySelector('.edit-link').addEventListener('click', (e) => {
       e.preventDefault();
-      const emailId = emailLink.dataset.emailId;
-      const gmailUrl = `https://mail.google.com/mail/u/0/#inbox/${emailId}`;
-      chrome.tabs.create({ url: gmailUrl });
+      this.fillPackageEditForm(editForm, pkg);
+      editForm.hidden = !editForm.hidden;
     });
-
-    pickupBtn.addEventListener('click', () => this.handleMarkAsPickedUp(pkg.id));
+    editForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleUpdatePackage(pkg.id, editForm);
+    });
+    editForm.querySelector('.package-cancel-button').addEventListener('click', () => {
+      editForm.hidden = true;
+    });
+    editForm.querySelector('.package-delete-button').addEventListener('click', () => this.handleDeletePackage(pkg.id));
 
     return element;
   }
 
+  /**
+   * Build the hidden inline form for correcting a package's details
+   */
+  getPackageEditFormHTML() {
+    const statusOptions = Object.values(PACKAGE_STATUS)
+      .map(status => `<option value="${status}">${PACKAGE_STATUS_LABELS[status]}</option>`)
+      .join('');
+    const carrierOptions = CARRIER_CONFIG.CARRIERS
+      .map(carrier => `<option value="${carrier.id}">${carrier.name}</option>`)
+      .join('');
+
+    return `
+      <form class="package-edit-form" hidden>
+        <label>Sender<input type="text" class="template-input" data-field="sender"></label>
+        <label>Status<select class="template-input" data-field="status">${statusOptions}</select></label>
+        <label>Carrier<select class="template-input" data-field="carrier"><option value="">Unknown</option>${carrierOptions}</select></label>
+        <label>Tracking number<input type="text" class="template-input" data-field="trackingNumber"></label>
+        <label>Order number<input type="text" class="template-input" data-field="orderNumber"></label>
+        <label>Expected delivery<input type="date" class="template-input" data-field="expectedDeliveryDate"></label>
+        <label>Delivered on<input type="date" class="template-input" data-field="deliveryDate"></label>
+        <div class="package-edit-actions">
+          <button type="submit" class="reminder-button">Save</button>
+          <button type="button" class="reminder-button package-cancel-button">Cancel</button>
+          <button type="button" class="reminder-button package-delete-button">🗑 Delete</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Load a package's current values into its edit form, remembering them to spot changes
+   */
+  fillPackageEditForm(form, pkg) {
+    form.querySelectorAll('[data-field]').forEach(input => {
+      const value = pkg[input.dataset.field];
+      if (input.dataset.field === 'status') {
+        input.value = value || PACKAGE_STATUS.DELIVERED;
+      } else if (input.type === 'date') {
+        // Only full YYYY-MM-DD dates fit a date input
+        input.value = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+      } else {
+        input.value = value || '';
+      }
+      input.dataset.original = input.value;
+    });
+  }
+
+  /**
+   * Build status history timeline for packages linked from several emails
+   */
+  getTimelineHTML(pkg) {
+    const history = pkg.statusHistory || [];
+    if (history.length < 2) return '';
+
+    const entries = history.map(entry => `
+      <li>
+        <span class="timeline-status">${PACKAGE_STATUS_LABELS[entry.status] || entry.status}</span>
+        <span class="timeline-date">${new Date(entry.date).toLocaleString()}</span>
+      </li>
+    `).join('');
+
+    return `
+      <details class="package-timeline">
+        <summary>Timeline (${history.length} updates)</summary>
+        <ul>${entries}</ul>
+      </details>
+    `;
+  }
+
+  /**
+   * Build carrier tracking page URL from the per-carrier template
+   */
+  getTrackingUrl(pkg) {
+    if (!pkg.trackingNumber || !pkg.carrier) return null;
+
+    const template = CARRIER_CONFIG.TRACKING_URLS[pkg.carrier];
+    if (!template) return null;
+
+    return template.replace('{trackingNumber}', encodeURIComponent(pkg.trackingNumber));
+  }
+
+  /**
+   * Get display name for a carrier id
+   */
+  getCarrierName(carrierId) {
+    const carrier = CARRIER_CONFIG.CARRIERS.find(c => c.id === carrierId);
+    return carrier ? carrier.name : null;
+  }
+
 
 
   /**
@@ -602,7 +1361,7 @@ class PopupController {
       if (response.success) {
         // Reload packages to update display
         await this.loadUnpickedPackages();
-        this.showResult('Package marked as picked up!');
+        this.showUndoToast('Package marked as picked up', () => this.handleMarkAsUnpicked(packageId));
       } else {
         this.showResult(`Error: ${response.error}`);
       }
@@ -612,9 +1371,849 @@ class PopupController {
   }
 
   /**
-   * Show progress section
+   * Handle undoing a pickup
    */
-  showProgress() {
+  async handleMarkAsUnpicked(packageId) {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.MARK_PACKAGE_UNPICKED,
+      packageId
+    });
+
+    if (response.success) {
+      await this.loadUnpickedPackages();
+      this.showResult('Package moved back to waiting');
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Handle saving the inline edit form of a package
+   */
+  async handleUpdatePackage(packageId, form) {
+    // Only fields the user touched are sent, so they alone are protected from rescans
+    const changes = {};
+    form.querySelectorAll('[data-field]').forEach(input => {
+      if (input.value !== input.dataset.original) changes[input.dataset.field] = input.value;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      form.hidden = true;
+      return;
+    }
+
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_PACKAGE,
+      packageId,
+      changes
+    });
+
+    if (response.success) {
+      await this.loadUnpickedPackages();
+      this.showResult('Package updated. Edited fields will not be changed by later scans.');
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Handle deleting a package from its edit form
+   */
+  async handleDeletePackage(packageId) {
+    if (!confirm('Delete this package? It will not come back on later scans.')) return;
+
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.DELETE_PACKAGE,
+      packageId
+    });
+
+    if (response.success) {
+      await this.loadUnpickedPackages();
+      this.showResult('Package deleted');
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Fill the status, carrier and billing cycle choices of the manual entry forms
+   */
+  displayManualEntryOptions() {
+    this.elements.manualPackageStatus.innerHTML = Object.values(PACKAGE_STATUS)
+      .map(status => `<option value="${status}">${PACKAGE_STATUS_LABELS[status]}</option>`)
+      .join('');
+    this.elements.manualPackageStatus.value = MANUAL_ENTRY_CONFIG.DEFAULT_PACKAGE_STATUS;
+
+    this.elements.manualPackageCarrier.innerHTML = '<option value="">Detect from tracking number</option>' +
+      CARRIER_CONFIG.CARRIERS.map(carrier => `<option value="${carrier.id}">${carrier.name}</option>`).join('');
+
+    this.elements.manualSubscriptionCycle.innerHTML = '<option value="">Detect from charges</option>' +
+      Object.values(SUBSCRIPTION_CONFIG.BILLING_CYCLES).map(cycle => `<option value="${cycle.id}">${cycle.label}</option>`).join('');
+  }
+
+  /**
+   * Handle the "Add package" form
+   */
+  async handleAddPackage() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.ADD_MANUAL_PACKAGE,
+      entry: {
+        sender: this.elements.manualPackageSender.value,
+        status: this.elements.manualPackageStatus.value,
+        carrier: this.elements.manualPackageCarrier.value,
+        trackingNumber: this.elements.manualPackageTracking.value,
+        orderNumber: this.elements.manualPackageOrder.value,
+        expectedDeliveryDate: this.elements.manualPackageExpected.value
+      }
+    });
+
+    if (response.success) {
+      this.elements.manualPackageForm.reset();
+      this.elements.manualPackageStatus.value = MANUAL_ENTRY_CONFIG.DEFAULT_PACKAGE_STATUS;
+      await this.loadUnpickedPackages();
+      if (response.isNew) {
+        this.showResult('Package added');
+      } else if (response.package.pickedUp) {
+        // Picked-up packages aren't in the list, say where the update went
+        this.showResult('A picked-up package with this tracking or order number exists, the update was added to its timeline (tick "Show picked up" in search to see it)');
+      } else {
+        this.showResult('A package with this tracking or order number exists, the update was added to its timeline');
+      }
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Handle the "Add subscription" form
+   */
+  async handleAddSubscription() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.ADD_MANUAL_SUBSCRIPTION,
+      entry: {
+        subscriptionName: this.elements.manualSubscriptionName.value,
+        amount: this.elements.manualSubscriptionAmount.value,
+        billingDate: this.elements.manualSubscriptionBillingDate.value,
+        billingCycle: this.elements.manualSubscriptionCycle.value,
+        nextBillingDate: this.elements.manualSubscriptionNextDate.value
+      }
+    });
+
+    if (response.success) {
+      this.elements.manualSubscriptionForm.reset();
+      await this.loadSubscriptionsFromDB();
+      this.showResult(response.reminderError
+        ? `Subscription added, but the calendar reminder failed: ${response.reminderError}`
+        : `Subscription added${response.event ? ` with a reminder on ${response.event.reminderDate}` : ''}`);
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Load scheduled scan settings into the schedule controls
+   */
+  async loadScanSchedule() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_SCAN_SCHEDULE });
+
+    if (response.success) {
+      this.displayScanSchedule(response.schedule);
+    } else {
+      console.error('Failed to load scan schedule:', response.error);
+    }
+  }
+
+  /**
+   * Display scheduled scan settings and last run info
+   */
+  displayScanSchedule(schedule) {
+    this.elements.schedulePackageEnabled.checked = schedule.package.enabled;
+    this.elements.schedulePackageInterval.value = String(schedule.package.intervalMinutes);
+    this.elements.schedulePackageLastRun.textContent = this.formatLastRun(schedule.package.lastRun);
+
+    this.elements.scheduleSubscriptionEnabled.checked = schedule.subscription.enabled;
+    this.elements.scheduleSubscriptionInterval.value = String(schedule.subscription.intervalMinutes);
+    this.elements.scheduleSubscriptionLastRun.textContent = this.formatLastRun(schedule.subscription.lastRun);
+  }
+
+  /**
+   * Format the last scheduled run for display
+   */
+  formatLastRun(lastRun) {
+    if (!lastRun) {
+      return '';
+    }
+
+    const time = new Date(lastRun.time).toLocaleString();
+    return `Last run: ${time} (${lastRun.status}) - ${lastRun.message}`;
+  }
+
+  /**
+   * Save scheduled scan settings when a control changes
+   */
+  async handleScheduleChange() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_SCAN_SCHEDULE,
+      schedule: {
+        package: {
+          enabled: this.elements.schedulePackageEnabled.checked,
+          intervalMinutes: parseInt(this.elements.schedulePackageInterval.value, 10)
+        },
+        subscription: {
+          enabled: this.elements.scheduleSubscriptionEnabled.checked,
+          intervalMinutes: parseInt(this.elements.scheduleSubscriptionInterval.value, 10)
+        }
+      }
+    });
+
+    if (response.success) {
+      this.displayScanSchedule(response.schedule);
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Load notification settings into the notification controls
+   */
+  async loadNotificationSettings() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_NOTIFICATION_SETTINGS });
+
+    if (response.success) {
+      this.displayNotificationSettings(response.settings);
+    } else {
+      console.error('Failed to load notification settings:', response.error);
+    }
+  }
+
+  /**
+   * Display notification settings (checkboxes are checked when not muted)
+   */
+  displayNotificationSettings(settings) {
+    this.elements.notifyDeliveryEnabled.checked = !settings.delivery.muted;
+    this.elements.notifyRenewalEnabled.checked = !settings.renewal.muted;
+    this.elements.notifyRenewalDays.value = String(settings.renewal.daysAhead);
+  }
+
+  /**
+   * Save notification settings when a control changes
+   */
+  async handleNotificationSettingsChange() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_NOTIFICATION_SETTINGS,
+      settings: {
+        delivery: { muted: !this.elements.notifyDeliveryEnabled.checked },
+        renewal: {
+          muted: !this.elements.notifyRenewalEnabled.checked,
+          daysAhead: parseInt(this.elements.notifyRenewalDays.value, 10)
+        }
+      }
+    });
+
+    if (response.success) {
+      this.displayNotificationSettings(response.settings);
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Show the export filters that apply to the selected data (renewals have none, status is packages only)
+   */
+  displayExportOptions() {
+    if (!this.elements.exportStatus.options.length) {
+      const statuses = [
+        ['', 'All statuses'],
+        ...Object.values(PACKAGE_STATUS).map(status => [status, PACKAGE_STATUS_LABELS[status] || status]),
+        [EXPORT_CONFIG.PICKED_UP_STATUS, 'Picked up']
+      ];
+      statuses.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        this.elements.exportStatus.appendChild(option);
+      });
+    }
+
+    const exportType = this.elements.exportType.value;
+    const isRenewals = exportType === 'renewals';
+    this.elements.exportFormat.style.display = isRenewals ? 'none' : '';
+    this.elements.exportFilters.style.display = isRenewals ? 'none' : '';
+    this.elements.exportStatusRow.style.display = exportType === 'packages' ? '' : 'none';
+  }
+
+  /**
+   * Export the selected data for the active account and download it as a file
+   */
+  async handleExport() {
+    const exportType = this.elements.exportType.value;
+    const options = {
+      format: this.elements.exportFormat.value,
+      startDate: this.elements.exportStartDate.value || null,
+      endDate: this.elements.exportEndDate.value || null,
+      statuses: this.elements.exportStatus.value ? [this.elements.exportStatus.value] : null
+    };
+    const messageTypes = {
+      packages: MESSAGE_TYPES.EXPORT_PACKAGES,
+      subscriptions: MESSAGE_TYPES.EXPORT_SUBSCRIPTIONS,
+      renewals: MESSAGE_TYPES.EXPORT_RENEWAL_CALENDAR
+    };
+
+    this.elements.exportButton.disabled = true;
+    try {
+      const response = await this.sendMessageSafely({ type: messageTypes[exportType], options });
+
+      if (response.success) {
+        this.downloadFile(response.filename, response.mimeType, response.content);
+        this.showResult(`Exported ${response.count} ${exportType === 'renewals' ? 'subscription renewals' : exportType} to ${response.filename}`);
+      } else {
+        this.showResult(`Export failed: ${response.error}`);
+      }
+    } finally {
+      this.elements.exportButton.disabled = false;
+    }
+  }
+
+  /**
+   * Download a backup of the whole database and settings
+   */
+  async handleCreateBackup() {
+    this.elements.createBackup.disabled = true;
+    try {
+      const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.CREATE_BACKUP });
+
+      if (response.success) {
+        this.downloadFile(response.filename, response.mimeType, response.content);
+        const total = Object.values(response.counts).reduce((sum, count) => sum + count, 0);
+        this.showResult(`Backed up ${total} records to ${response.filename}`);
+      } else {
+        this.showResult(`Backup failed: ${response.error}`);
+      }
+    } finally {
+      this.elements.createBackup.disabled = false;
+    }
+  }
+
+  /**
+   * Restore the selected backup file, then reload everything it may have changed
+   */
+  async handleRestoreBackup() {
+    const file = this.elements.backupFile.files[0];
+    if (!file) {
+      this.showResult('Choose a backup file to restore');
+      return;
+    }
+
+    const mode = this.elements.restoreMode.value;
+    if (mode === BACKUP_CONFIG.MODES.REPLACE &&
+        !confirm('Replace all packages, subscriptions and history with the backup? Data not in the backup will be lost.')) {
+      return;
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      this.showResult(`Restore failed: ${ERROR_MESSAGES.BACKUP_INVALID}`);
+      return;
+    }
+
+    this.elements.restoreBackup.disabled = true;
+    try {
+      const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.RESTORE_BACKUP, backup, mode });
+
+      if (response.success) {
+        const restored = Object.values(response.stores).reduce((sum, store) => sum + store.restored, 0);
+        const kept = Object.values(response.stores).reduce((sum, store) => sum + store.kept, 0);
+        this.showResult(`Restored ${restored} records and ${response.settingsRestored} settings` +
+          (kept ? `, kept ${kept} existing records` : '') +
+          (response.skipped ? `, skipped ${response.skipped} invalid records` : ''));
+        this.elements.backupFile.value = '';
+
+        this.loadUnpickedPackages();
+        this.loadSubscriptionsFromDB();
+        this.loadRenewalSettings();
+        this.loadScanSchedule();
+        this.loadCalendarSettings();
+        this.loadDeliveryEventSettings();
+        this.loadLlmBackendSettings();
+        this.loadExtractionFailures();
+        this.loadNotificationSettings();
+      } else {
+        this.showResult(`Restore failed: ${response.error}`);
+      }
+    } finally {
+      this.elements.restoreBackup.disabled = false;
+    }
+  }
+
+  /**
+   * Save text content through a temporary download link
+   */
+  downloadFile(filename, mimeType, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Load AI backend settings
+   */
+  async loadLlmBackendSettings() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_LLM_BACKEND_SETTINGS });
+
+    if (response.success) {
+      this.displayLlmBackendSettings(response.settings);
+    } else {
+      console.error('Failed to load AI backend settings:', response.error);
+    }
+  }
+
+  /**
+   * Display AI backend settings, keeping every backend's endpoint so switching back restores it
+   */
+  displayLlmBackendSettings(settings) {
+    this.llmBackendSettings = settings;
+
+    const select = this.elements.llmBackend;
+    select.innerHTML = '';
+    Object.values(LLM_BACKEND_CONFIG.BACKENDS).forEach(backend => {
+      const option = document.createElement('option');
+      option.value = backend;
+      option.textContent = LLM_BACKEND_CONFIG.LABELS[backend];
+      select.appendChild(option);
+    });
+    select.value = settings.backend;
+
+    this.elements.llmMaxConcurrency.value = String(settings.maxConcurrency);
+    this.elements.llmTimeoutSeconds.value = Math.round(settings.timeoutMs / 1000);
+    this.showLlmBackendFields(settings.backend);
+  }
+
+  /**
+   * Show the endpoint fields for a backend, Chrome's built-in model has none
+   */
+  showLlmBackendFields(backend) {
+    this.llmBackendShown = backend;
+
+    const isChrome = backend === LLM_BACKEND_CONFIG.BACKENDS.CHROME;
+    this.elements.llmEndpointFields.style.display = isChrome ? 'none' : 'block';
+    this.elements.llmMaxConcurrency.disabled = isChrome;
+    if (isChrome) return;
+
+    const config = this.llmBackendSettings[backend];
+    this.elements.llmBaseUrl.value = config.baseUrl;
+    this.elements.llmModel.value = config.model;
+    this.elements.llmApiKey.value = config.apiKey || '';
+    this.elements.llmApiKey.style.display = backend === LLM_BACKEND_CONFIG.BACKENDS.OPENAI ? 'block' : 'none';
+  }
+
+  /**
+   * Keep the endpoint typed for the backend being shown
+   */
+  stashLlmBackendFields() {
+    const backend = this.llmBackendShown;
+    if (!backend || backend === LLM_BACKEND_CONFIG.BACKENDS.CHROME) return;
+
+    const config = this.llmBackendSettings[backend];
+    config.baseUrl = this.elements.llmBaseUrl.value;
+    config.model = this.elements.llmModel.value;
+    if (backend === LLM_BACKEND_CONFIG.BACKENDS.OPENAI) {
+      config.apiKey = this.elements.llmApiKey.value;
+    }
+  }
+
+  /**
+   * Swap the endpoint fields when another backend is picked
+   */
+  handleLlmBackendChange() {
+    this.stashLlmBackendFields();
+    this.showLlmBackendFields(this.elements.llmBackend.value);
+    this.elements.llmBackendStatus.textContent = '';
+  }
+
+  /**
+   * AI backend settings as currently entered in the popup
+   */
+  getLlmBackendFormSettings() {
+    this.stashLlmBackendFields();
+
+    return {
+      backend: this.elements.llmBackend.value,
+      openai: this.llmBackendSettings.openai,
+      ollama: this.llmBackendSettings.ollama,
+      timeoutMs: Number(this.elements.llmTimeoutSeconds.value) * 1000,
+      maxConcurrency: parseInt(this.elements.llmMaxConcurrency.value, 10)
+    };
+  }
+
+  /**
+   * Check the entered backend answers, without saving it
+   */
+  async handleCheckLlmBackend() {
+    this.elements.llmBackendStatus.textContent = 'Checking...';
+
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.CHECK_LLM_BACKEND,
+      settings: this.getLlmBackendFormSettings()
+    });
+
+    if (response.success) {
+      this.elements.llmBackendStatus.textContent = `${response.health.ok ? '✅' : '❌'} ${response.health.detail}`;
+    } else {
+      this.elements.llmBackendStatus.textContent = `❌ ${response.error}`;
+    }
+  }
+
+  /**
+   * Save AI backend settings (applies to the next email extracted)
+   */
+  async handleSaveLlmBackendSettings() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_LLM_BACKEND_SETTINGS,
+      settings: this.getLlmBackendFormSettings()
+    });
+
+    if (response.success) {
+      this.displayLlmBackendSettings(response.settings);
+      this.elements.llmBackendStatus.textContent = '';
+      this.showResult(`Emails will be extracted with ${LLM_BACKEND_CONFIG.LABELS[response.settings.backend]}`);
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Load emails scans couldn't extract
+   */
+  async loadExtractionFailures() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_EXTRACTION_FAILURES });
+
+    if (response.success) {
+      this.displayExtractionFailures(response.failures);
+    } else {
+      console.error('Failed to load extraction failures:', response.error);
+    }
+  }
+
+  /**
+   * Show how many emails failed extraction, with the latest errors in the tooltip
+   */
+  displayExtractionFailures(failures) {
+    this.extractionFailures = failures;
+    this.elements.extractionFailureRow.style.display = failures.length > 0 ? 'flex' : 'none';
+    this.elements.extractionFailureCount.textContent =
+      `⚠️ ${failures.length} email${failures.length === 1 ? '' : 's'} could not be extracted`;
+    this.elements.extractionFailureCount.title = failures
+      .slice(0, 5)
+      .map(failure => failure.error)
+      .join('\n');
+  }
+
+  /**
+   * Retry every failed email now by running the scans they came from
+   */
+  async handleRetryExtractionFailures() {
+    const scanTypes = new Set((this.extractionFailures || []).map(failure => failure.scanType));
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.RETRY_EXTRACTION_FAILURES });
+
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+      return;
+    }
+
+    if (scanTypes.has('package')) await this.handleScanPackages();
+    if (scanTypes.has('subscription')) await this.handleScanSubscriptions();
+    await this.loadExtractionFailures();
+  }
+
+  /**
+   * Load reminder calendar settings
+   */
+  async loadCalendarSettings() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_CALENDAR_SETTINGS });
+
+    if (response.success) {
+      this.displayCalendarSettings(response.settings);
+    } else {
+      console.error('Failed to load calendar settings:', response.error);
+    }
+  }
+
+  /**
+   * Display reminder calendar settings (the calendar list is only fetched on request, as it needs Calendar access)
+   */
+  displayCalendarSettings(settings, calendars = null) {
+    const select = this.elements.calendarTarget;
+    const options = calendars || [{ id: settings.calendarId, name: settings.calendarName }];
+
+    select.innerHTML = '';
+    options.forEach(calendar => {
+      const option = document.createElement('option');
+      option.value = calendar.id;
+      option.textContent = calendar.name;
+      select.appendChild(option);
+    });
+    select.value = settings.calendarId;
+
+    this.elements.calendarEventTiming.value = settings.allDay ? 'allDay' : 'timed';
+    this.elements.calendarEventTime.value = settings.eventTime;
+    this.elements.calendarEventTime.disabled = settings.allDay;
+    this.elements.calendarTransparency.value = settings.transparency;
+    this.elements.calendarTitleTemplate.value = settings.titleTemplate;
+    this.elements.calendarDescriptionTemplate.value = settings.descriptionTemplate;
+    this.elements.calendarTemplateHelp.textContent =
+      `Placeholders: ${CALENDAR_SETTINGS_CONFIG.TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(' ')}`;
+  }
+
+  /**
+   * Fetch the calendars the user can write to
+   */
+  async handleRefreshCalendars() {
+    const [calendarsResponse, settingsResponse] = await Promise.all([
+      this.sendMessageSafely({ type: MESSAGE_TYPES.LIST_CALENDARS }),
+      this.sendMessageSafely({ type: MESSAGE_TYPES.GET_CALENDAR_SETTINGS })
+    ]);
+
+    if (calendarsResponse.success && settingsResponse.success) {
+      this.displayCalendarSettings(settingsResponse.settings, calendarsResponse.calendars);
+    } else {
+      this.showResult(`Error: ${calendarsResponse.error || settingsResponse.error}`);
+    }
+  }
+
+  /**
+   * Create (or reuse) the "Subscriptions" calendar and select it
+   */
+  async handleCreateSubscriptionsCalendar() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.CREATE_SUBSCRIPTIONS_CALENDAR });
+
+    if (response.success) {
+      this.displayCalendarSettings(response.settings);
+      this.showResult(`New reminders will be added to "${response.settings.calendarName}"`);
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Save reminder calendar settings (applies to reminders created by future scans)
+   */
+  async handleSaveCalendarSettings() {
+    const select = this.elements.calendarTarget;
+    const selectedOption = select.options[select.selectedIndex];
+
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_CALENDAR_SETTINGS,
+      settings: {
+        calendarId: select.value,
+        calendarName: selectedOption ? selectedOption.textContent : select.value,
+        allDay: this.elements.calendarEventTiming.value !== 'timed',
+        eventTime: this.elements.calendarEventTime.value,
+        transparency: this.elements.calendarTransparency.value,
+        titleTemplate: this.elements.calendarTitleTemplate.value,
+        descriptionTemplate: this.elements.calendarDescriptionTemplate.value
+      }
+    });
+
+    if (response.success) {
+      this.displayCalendarSettings(response.settings);
+      this.showResult('Calendar settings saved');
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Build a Gmail link that opens a message in the account it was scanned from
+   */
+  getGmailMessageUrl(emailId, account) {
+    if (!account || account === 'unknown@gmail.com') {
+      return `${ACCOUNT_CONFIG.GMAIL_URL}u/0/#inbox/${emailId}`;
+    }
+    return `${ACCOUNT_CONFIG.GMAIL_URL}?authuser=${encodeURIComponent(account)}#inbox/${emailId}`;
+  }
+
+  /**
+   * Load the Chrome profile account and added Gmail accounts
+   */
+  async loadAccounts() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_ACCOUNTS });
+
+    if (response.success) {
+      this.displayAccounts(response);
+    } else {
+      console.error('Failed to load accounts:', response.error);
+    }
+  }
+
+  /**
+   * Display the account picker, the Chrome profile account is listed first and can't be removed
+   */
+  displayAccounts({ profileAccount, accounts, activeAccount }) {
+    const select = this.elements.accountSelect;
+    const options = [
+      { email: profileAccount || '', label: profileAccount ? `${profileAccount} (Chrome profile)` : 'Chrome profile account' },
+      ...accounts.map(account => ({ email: account.email, label: account.email }))
+    ];
+
+    select.innerHTML = '';
+    options.forEach(({ email, label }) => {
+      const option = document.createElement('option');
+      option.value = email;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = activeAccount || '';
+
+    this.elements.removeAccount.disabled = !accounts.some(account => account.email === select.value);
+
+    // Added accounts sign in with a separate OAuth client, without one only the profile account is available
+    this.elements.addAccount.disabled = !ACCOUNT_CONFIG.WEB_CLIENT_ID;
+    if (!ACCOUNT_CONFIG.WEB_CLIENT_ID) {
+      this.elements.addAccount.title = 'Adding accounts needs an OAuth client ID, see the README';
+    }
+  }
+
+  /**
+   * Switch the account scans and lists use, then reload its packages and subscriptions
+   */
+  async handleSwitchAccount() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.SWITCH_ACCOUNT,
+      email: this.elements.accountSelect.value
+    });
+    await this.handleAccountResponse(response, `Switched to ${response.activeAccount}`);
+  }
+
+  /**
+   * Sign in to another Gmail account
+   */
+  async handleAddAccount() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.ADD_ACCOUNT });
+    await this.handleAccountResponse(response, 'Account added, switch to it to scan its emails');
+  }
+
+  /**
+   * Remove the selected account, its scanned packages and subscriptions are kept
+   */
+  async handleRemoveAccount() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.REMOVE_ACCOUNT,
+      email: this.elements.accountSelect.value
+    });
+    await this.handleAccountResponse(response, 'Account removed');
+  }
+
+  /**
+   * Refresh the account picker and the account's data after an account change
+   */
+  async handleAccountResponse(response, successMessage) {
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+      await this.loadAccounts();
+      return;
+    }
+
+    this.displayAccounts(response);
+    this.showResult(successMessage);
+    this.loadUnpickedPackages();
+    await this.loadSubscriptionsFromDB();
+  }
+
+  /**
+   * Load delivery window event settings
+   */
+  async loadDeliveryEventSettings() {
+    const response = await this.sendMessageSafely({ type: MESSAGE_TYPES.GET_DELIVERY_EVENT_SETTINGS });
+
+    if (response.success) {
+      this.displayDeliveryEventSettings(response.settings);
+    } else {
+      console.error('Failed to load delivery event settings:', response.error);
+    }
+  }
+
+  /**
+   * Display delivery window event settings
+   */
+  displayDeliveryEventSettings(settings) {
+    this.elements.deliveryEventsEnabled.checked = settings.enabled;
+    this.elements.deliveryEventsCompletedAction.value = settings.completedAction;
+    this.elements.deliveryEventsCompletedAction.disabled = !settings.enabled;
+  }
+
+  /**
+   * Save delivery window event settings when a control changes
+   */
+  async handleDeliveryEventSettingsChange() {
+    const response = await this.sendMessageSafely({
+      type: MESSAGE_TYPES.UPDATE_DELIVERY_EVENT_SETTINGS,
+      settings: {
+        enabled: this.elements.deliveryEventsEnabled.checked,
+        completedAction: this.elements.deliveryEventsCompletedAction.value
+      }
+    });
+
+    if (response.success) {
+      this.displayDeliveryEventSettings(response.settings);
+    } else {
+      this.showResult(`Error: ${response.error}`);
+    }
+  }
+
+  /**
+   * Show the Pause/Resume and Stop buttons while a scan runs or can be resumed after an interruption
+   */
+  displayScanControls(scanType, state) {
+    const isSubscription = scanType === 'subscription';
+    const container = isSubscription ? this.elements.subscriptionScanControls : this.elements.packageScanControls;
+    const status = isSubscription ? this.elements.subscriptionScanStatus : this.elements.packageScanStatus;
+    const pauseButton = isSubscription ? this.elements.pauseSubscriptionScan : this.elements.pausePackageScan;
+
+    if (!state || !(state.isScanning || state.resumable)) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const canResume = state.isPaused || state.resumable;
+    pauseButton.dataset.action = canResume ? 'resume' : 'pause';
+    pauseButton.textContent = canResume ? '▶ Resume' : '⏸ Pause';
+    // The progress bar is hidden for an interrupted scan, so its status goes here
+    status.textContent = state.resumable ? state.message : '';
+    container.style.display = 'flex';
+  }
+
+  /**
+   * Handle the Pause, Resume and Stop buttons of a scan
+   */
+  async handleScanControl(scanType, action) {
+    const messageTypes = {
+      pause: MESSAGE_TYPES.PAUSE_SCAN,
+      resume: MESSAGE_TYPES.RESUME_SCAN,
+      stop: MESSAGE_TYPES.CANCEL_SCAN
+    };
+
+    const response = await this.sendMessageSafely({ type: messageTypes[action], scanType });
+    if (!response.success) {
+      this.showResult(`Error: ${response.error}`);
+      return;
+    }
+
+    if (response.restarted) {
+      this.showResult(`Resuming the interrupted ${scanType} scan...`);
+    }
+  }
+
+  /**
+   * Show progress section
+   */
+  showProgress() {
     console.log('Popup: Showing package progress bar');
     this.elements.progressSection.style.display = 'block';
     this.updateProgress({ progress: 0, message: 'Initializing...' });
@@ -680,6 +2279,10 @@ class PopupController {
 
         console.log('Popup checkScanningState - subscriptionActive:', subscriptionActive, 'packageActive:', packageActive);
 
+        // Running, paused and interrupted scans get their Pause/Resume and Stop buttons
+        this.displayScanControls('subscription', response.subscriptionScanningState);
+        this.displayScanControls('package', response.packageScanningState);
+
         // Apply subscription scanning state
         if (subscriptionActive || storageResult.currentSubscriptionProgress) {
           const state = response.subscriptionScanningState;
@@ -838,6 +2441,9 @@ class PopupController {
     // Clear any result messages
     this.showResult('Extension reloaded - scan states reset');
 
+    // Scans interrupted by the reload can still be resumed
+    this.checkScanningState();
+
     console.log('Popup: All scan states reset');
   }
 
@@ -887,84 +2493,64 @@ class PopupController {
   }
 
   /**
-   * Store subscription results in chrome storage
-   */
-  async storeSubscriptionResults(events) {
-    try {
-      await chrome.storage.local.set({
-        'subscriptionResults': events,
-        'subscriptionResultsTimestamp': Date.now()
-      });
-    } catch (error) {
-      console.error('Failed to store subscription results:', error);
-    }
-  }
-
-  /**
-   * Load subscription results from chrome storage
+   * Display the subscription dashboard: spend totals per currency, then one card per subscription
    */
-  async loadSubscriptionResults() {
-    try {
-      const result = await chrome.storage.local.get(['subscriptionResults', 'subscriptionResultsTimestamp']);
-
-      console.log('Popup loading subscription results:', result);
-
-      if (result.subscriptionResults && result.subscriptionResultsTimestamp) {
-        // Show results if they're less than 7 days old (similar to how packages persist)
-        const sevenDays = 31 * 24 * 60 * 60 * 1000;
-        const age = Date.now() - result.subscriptionResultsTimestamp;
-        console.log(`Popup subscription results age: ${Math.round(age / (60 * 60 * 1000))} hours`);
-
-        if (age < sevenDays) {
-          console.log('Popup displaying stored subscription results:', result.subscriptionResults);
-          this.displaySubscriptionResults(result.subscriptionResults);
-        } else {
-          console.log('Popup subscription results expired, not displaying');
-        }
-      } else {
-        console.log('Popup no subscription results found in storage');
-      }
-    } catch (error) {
-      console.error('Failed to load subscription results:', error);
-    }
-  }
-
-  /**
-   * Display subscription results
-   */
-  displaySubscriptionResults(events) {
-    console.log('Displaying subscription results:', events);
+  displaySubscriptionDashboard(subscriptions, totals) {
     const container = this.elements.subscriptionResults;
-    console.log('Subscription results container:', container);
-
-    if (!container) {
-      console.error('Subscription results container not found!');
-      return;
-    }
-
     container.innerHTML = '';
 
-    if (events.length === 0) {
-      container.innerHTML = '<div style="text-align: center; color: #5f6368; font-style: italic; padding: 16px;">No subscription emails found this month</div>';
+    if (subscriptions.length === 0) {
+      container.innerHTML = '<div style="text-align: center; color: #5f6368; font-style: italic; padding: 16px;">No subscriptions found yet</div>';
       return;
     }
 
-    events.forEach((event, index) => {
-      console.log(`Event ${index}:`, event);
+    const totalsElement = document.createElement('div');
+    totalsElement.className = 'subscription-totals';
+    totalsElement.innerHTML = Object.entries(totals).map(([currency, total]) => `
+      <div class="subscription-total">
+        <div class="subscription-total-monthly">${this.formatCurrency(total.monthly, currency)}<span>/mo</span></div>
+        <div class="subscription-total-yearly">${this.formatCurrency(total.yearly, currency)}/yr · ${total.count} subscription${total.count === 1 ? '' : 's'}</div>
+      </div>
+    `).join('');
+    container.appendChild(totalsElement);
+
+    subscriptions.forEach(sub => {
       const item = document.createElement('div');
       item.className = 'subscription-item';
 
+      // Show the amount as written in the email, totals use the parsed value
+      const amountText = sub.amount || (sub.amountValue !== null ? this.formatCurrency(sub.amountValue, sub.currency) : 'N/A');
+      const cycleTitles = {
+        history: `Detected from ${sub.chargeCount} charges`,
+        email: 'Stated in the billing email',
+        default: 'Assumed from a single charge'
+      };
+      const cycleTitle = sub.source === 'manual' && sub.cycleSource === 'email'
+        ? 'Entered by hand'
+        : cycleTitles[sub.cycleSource];
+
       item.innerHTML = `
-        <div class="subscription-name">${event.subscriptionName || 'Unknown Service'}</div>
-        <div class="subscription-amount">Amount: ${event.amount || 'N/A'}</div>
-        <div class="subscription-reminder">Reminder set for: ${event.reminderDate}</div>
+        <div class="subscription-header">
+          <div class="subscription-name">${sub.name || 'Unknown Service'}</div>
+          <span class="subscription-cycle" title="${cycleTitle}">${sub.billingCycleLabel}${sub.cycleSource === 'default' ? '?' : ''}</span>
+        </div>
+        <div class="subscription-amount">${amountText} per charge${sub.monthlyCost !== null ? ` · ${this.formatCurrency(sub.monthlyCost, sub.currency)}/mo` : ''}</div>
+        <div class="subscription-reminder">Next charge: ${sub.nextChargeDate || 'Unknown'}${sub.lastBillingDate ? ` · Last: ${sub.lastBillingDate}` : ''}</div>
       `;
 
       container.appendChild(item);
     });
+  }
 
-    // Store the results for persistence
-    this.storeSubscriptionResults(events);
+  /**
+   * Format an amount in the given currency, falling back to a plain number for unknown codes
+   */
+  formatCurrency(value, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value);
+    } catch (error) {
+      return `${value.toFixed(2)} ${currency}`;
+    }
   }
 
   /**
@@ -985,7 +2571,7 @@ class PopupController {
         console.log(`Popup subscription progress age: ${Math.round(age / 1000)} seconds, step: ${state.step}`);
 
         // Only restore if less than 5 minutes old and not complete
-        if (age < fiveMinutes && state.step !== 'complete' && state.step !== 'error') {
+        if (age < fiveMinutes && !SCAN_CONTROL_CONFIG.END_STEPS.includes(state.step)) {
           console.log('Popup restoring subscription progress:', state);
           this.elements.scanSubscriptionsBtn.disabled = true;
           this.elements.scanSubscriptionsBtn.textContent = 'Scanning...';
@@ -1003,7 +2589,7 @@ class PopupController {
         console.log(`Popup package progress age: ${Math.round(age / 1000)} seconds, step: ${state.step}`);
 
         // Only restore if less than 5 minutes old and not complete
-        if (age < fiveMinutes && state.step !== 'complete' && state.step !== 'error') {
+        if (age < fiveMinutes && !SCAN_CONTROL_CONFIG.END_STEPS.includes(state.step)) {
           console.log('Popup restoring package progress:', state);
           this.elements.scanPackagesBtn.disabled = true;
           this.elements.scanPackagesBtn.textContent = 'Scanning...';
@@ -1054,7 +2640,7 @@ class PopupController {
           this.updateSubscriptionProgress(progressData);
 
           // Stop polling if scan is complete or errored
-          if (progressData.step === 'complete' || progressData.step === 'error') {
+          if (SCAN_CONTROL_CONFIG.END_STEPS.includes(progressData.step)) {
             setTimeout(() => {
               this.elements.scanSubscriptionsBtn.disabled = false;
               this.elements.scanSubscriptionsBtn.textContent = '🔍 Scan My Current Month Subscriptions';
@@ -1072,7 +2658,7 @@ class PopupController {
           this.updateProgress(progressData);
 
           // Stop polling if scan is complete or errored
-          if (progressData.step === 'complete' || progressData.step === 'error') {
+          if (SCAN_CONTROL_CONFIG.END_STEPS.includes(progressData.step)) {
             setTimeout(() => {
               this.elements.scanPackagesBtn.disabled = false;
               this.elements.scanPackagesBtn.textContent = '🔍 Scan for Package Deliveries';